@@ -9,22 +9,140 @@ import {
   ScrollView,
   Keyboard,
   StatusBar,
+  Switch,
+  Platform,
+  AppState,
+  Linking,
+  Share,
+  Alert,
 } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { Accelerometer } from 'expo-sensors';
 import * as Haptics from 'expo-haptics';
-import Coin from './components/Coin';
+import * as QuickActions from 'expo-quick-actions';
+import * as Network from 'expo-network';
+import TcpSocket from 'react-native-tcp-socket';
+import Coin3D from './components/Coin3D';
+import Wheel from './components/Wheel';
+import OptionListEditor, { createOption } from './components/OptionListEditor';
 import HistoryPanel from './components/HistoryPanel';
-import { saveFlipToHistory } from './utils/storage';
+import PresetPicker from './components/PresetPicker';
+import UndoSnackbar from './components/UndoSnackbar';
+import MatchBoard from './components/MatchBoard';
+import SettingsPanel from './components/SettingsPanel';
+import CoinFaceEditor from './components/CoinFaceEditor';
+import GroupDraw from './components/GroupDraw';
+import RosterEditor from './components/RosterEditor';
+import QuestionEditor from './components/QuestionEditor';
+import SessionPanel from './components/SessionPanel';
+import ThemeProvider, { useTheme, useThemedStyles } from './components/ThemeProvider';
+import LocaleProvider, { useTranslation } from './components/LocaleProvider';
+import {
+  purgeExpiredTrash,
+  getGestureSettings,
+  getPresets,
+  setPresetFaces,
+  getLastChoice,
+  setLastChoice,
+  vetoHistoryEntry,
+} from './utils/storage';
+import {
+  DEFAULT_COIN_FACES,
+  DEFAULT_COIN_MODEL,
+  sanitizeCoinFaces,
+  describeCoinFace,
+  getCoinModelName,
+} from './utils/coinFaces';
+import { prunePhotoFaces } from './utils/facePhotos';
+import { DEFAULT_GESTURE_SETTINGS, getSwipeVelocity } from './utils/gestures';
+import { createGestureRecognizer, GESTURE_SAMPLE_INTERVAL } from './utils/gestureRecognizer';
+import {
+  DEFAULT_WEIGHT,
+  sanitizeWeight,
+  parseWeightInput,
+  getShares,
+  formatPercent,
+  formatOdds,
+  isUniform,
+} from './utils/weights';
+import { createCommitment } from './utils/provablyFair';
+import { RandomSourceError } from './utils/random';
+import { SERIES_LENGTHS } from './utils/series';
+import {
+  createDecisionEngine,
+  getChoices,
+  getOptionLabels,
+  resolveSideLabel,
+} from './utils/decisionEngine';
+import { DEFAULT_TOSS_STRENGTH, MATCH_TOSS_STRENGTH, strengthFromFlick } from './utils/tossPhysics';
+import {
+  parseRosterText,
+  canDrawGroup,
+  sanitizeTeamCount,
+  describeGroupOutcome,
+  GROUP_MODES,
+  MIN_TEAMS,
+} from './utils/roster';
+import {
+  DEFAULT_ANSWER_SET,
+  MAX_QUESTION_LENGTH,
+  getAnswers,
+  findAnswerSet,
+  isBuiltInAnswerSet,
+  sanitizeQuestion,
+} from './utils/questions';
+import { getQuickActionItems, recordWidgetFlips } from './utils/quickFlip';
+import { refreshWidgets, takeWidgetFlips } from './widgets/widgetBridge';
+import { parseDecisionLink, buildDecisionLink } from './utils/deepLinks';
+import { createSessionHost, createSessionGuest, parseSessionAddress, SESSION_PORT } from './utils/session';
+import { sanitizeLastChoice } from './utils/lastChoice';
+import { VETOES_PER_SESSION, getNextChallenge, describeChallenge } from './utils/challenge';
+import { subscribeToReduceMotion, announce, getResultAnnouncement, MAX_DISPLAY_FONT_SCALE } from './utils/accessibility';
+import { translateLabel, getEntryBuiltInLabels } from './utils/i18n';
+
+// How-to bullets at the bottom of the screen, in order (see app.instructions in utils/locales)
+const INSTRUCTIONS = [
+  'flip',
+  'flick',
+  'reset',
+  'design',
+  'options',
+  'group',
+  'ask',
+  'series',
+  'fair',
+  'widget',
+  'share',
+  'together',
+  'veto',
+  'history',
+  'screenReader',
+  'settings',
+];
 
 /**
  * Decision Coin App - Main Component
  * 
  * Features:
  * - Flip coin via button or gesture
- * - Reset via shake or button
+ * - Reset via shake or button (undoable for a few seconds)
+ * - Adjustable gesture sensitivity with a live calibration view
  * - Custom coin sides (A/B or default Heads/Tails)
- * - History tracking (last 10 flips)
+ * - Multi-option mode with a spinner wheel (2-12 options)
+ * - Weighted odds per custom side / option
+ * - Best-of-3/5/7 series and option brackets, saved as one grouped entry
+ * - Group draws from saved rosters: pick a person, shuffle an order or split into teams
+ * - Question mode: ask a question, get Yes/No, Yes/No/Maybe or your own answers
+ * - Home screen widgets and "Flip now" / "Open history" quick actions on the app icon
+ * - Decision links (decisioncoin://flip?a=Pizza&b=Tacos) to open or share a setup
+ * - Flip together: host or join a session on the local network and watch the same flips
+ * - Vetoes: overturn a result a limited number of times; history keeps the whole story
+ * - Screen reader support (flips and results are announced), reduced motion and system font sizes
+ * - Light, dark or system theme with a choice of accent colors
+ * - English and Spanish, following the device language or picked in Settings
+ * - Cryptographically secure randomness with optional provably fair commit-reveal
+ * - Saved A/B presets
+ * - History tracking (paginated, with configurable retention)
  * - Haptic feedback
  * - Crash-proof error handling
  * 
@@ -35,103 +153,538 @@ import { saveFlipToHistory } from './utils/storage';
  * - Guards against null/undefined state
  */
 
-const App = () => {
+const DecisionCoin = () => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t, language } = useTranslation();
+
   // Coin state
-  const [side, setSide] = useState(null); // null = no result yet, 'Heads'/'Tails'/'A'/'B' = result
+  const [side, setSide] = useState(null); // null = no result yet, 'Heads'/'Tails'/'A'/'B'/option label = result
   const [isFlipping, setIsFlipping] = useState(false);
-  const [isCustomMode, setIsCustomMode] = useState(false);
+  const [mode, setMode] = useState('default'); // 'default' | 'custom' | 'multi' | 'group' | 'question'
   const [customSideA, setCustomSideA] = useState('');
   const [customSideB, setCustomSideB] = useState('');
+  const [customWeightA, setCustomWeightA] = useState(DEFAULT_WEIGHT);
+  const [customWeightB, setCustomWeightB] = useState(DEFAULT_WEIGHT);
+  const [activePresetId, setActivePresetId] = useState(null); // Cleared as soon as the sides are edited
+  const [coinFaces, setCoinFaces] = useState(DEFAULT_COIN_FACES); // { a, b, model } faces and 3D shape of the custom coin
+  const [presetsVersion, setPresetsVersion] = useState(0); // Bumped when a preset is changed outside the picker
+  const [options, setOptions] = useState(() => [createOption(), createOption(), createOption()]);
+  const [optionIndex, setOptionIndex] = useState(null); // Wheel target in multi mode
+  const [resultOdds, setResultOdds] = useState(null); // { labels, weights, index } in force for the shown result
+
+  // Provably fair state: commitment shown before the flip, seed revealed after
+  const [isFairMode, setIsFairMode] = useState(false);
+  const [commitment, setCommitment] = useState(null); // { seed, hash } - seed stays hidden until revealed
+  const [revealedFair, setRevealedFair] = useState(null); // { seed, hash } of the shown result
+
+  // Multi-flip formats: series for the coin modes, bracket for the options mode
+  const [format, setFormat] = useState('single'); // 'single' | 'series' | 'bracket'
+  const [seriesLength, setSeriesLength] = useState(SERIES_LENGTHS[0]);
+  const [matchPlay, setMatchPlay] = useState(null); // { format, labels, series | bracket } of the current/last run
+  const [matchCoin, setMatchCoin] = useState(null); // { sideA, sideB } faces during a bracket match
+  const [flipKey, setFlipKey] = useState(0); // Bumped to replay the coin animation mid-run
+  const [tossStrength, setTossStrength] = useState(DEFAULT_TOSS_STRENGTH); // 0..1, how hard the current flip was thrown
+
+  // Group mode: draws from a roster of names
+  const [rosterText, setRosterText] = useState(''); // Names, one per line
+  const [activeRosterId, setActiveRosterId] = useState(null); // Cleared as soon as the names are edited
+  const [groupMode, setGroupMode] = useState('pick'); // 'pick' | 'order' | 'teams'
+  const [teamCount, setTeamCount] = useState(MIN_TEAMS);
+  const [groupResult, setGroupResult] = useState(null); // Outcome of the current/last group draw
+
+  // Question mode: a question answered from an answer set
+  const [question, setQuestion] = useState('');
+  const [answerSet, setAnswerSet] = useState(DEFAULT_ANSWER_SET); // Key of ANSWER_SETS
+  const [customAnswersText, setCustomAnswersText] = useState(''); // Comma-separated answers for 'custom'
+
+  const isCustomMode = mode === 'custom';
+  const isMultiMode = mode === 'multi';
+  const isGroupMode = mode === 'group';
+  const isQuestionMode = mode === 'question';
+  const answers = getAnswers(answerSet, customAnswersText);
+  // Two answers are flipped on the coin, more are spun on the wheel
+  const isAnswerWheel = isQuestionMode && answers.length > 2;
+  const rosterNames = parseRosterText(rosterText);
+  // The team count can't outgrow the roster as names are removed
+  const groupTeamCount = sanitizeTeamCount(teamCount, rosterNames.length);
   
   // UI state
   const [historyVisible, setHistoryVisible] = useState(false);
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [faceEditorVisible, setFaceEditorVisible] = useState(false);
+  const [gestureSettings, setGestureSettingsState] = useState(DEFAULT_GESTURE_SETTINGS);
+  const [rerunRequest, setRerunRequest] = useState(0); // Bumped to flip once restored state has rendered
+  const [resetUndo, setResetUndo] = useState(null); // { message, result } of the last reset, while undoable
+
+  // Vetoes (see utils/challenge)
+  const [vetoesLeft, setVetoesLeft] = useState(VETOES_PER_SESSION);
+  const [shownEntry, setShownEntry] = useState(null); // { id, side, label, choice, challenge } of the single flip on screen
+  const pendingChallengeRef = useRef(null); // Challenge for the re-flip a veto started
+
+  // System reduce-motion setting (see utils/accessibility)
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  // Flip-together session (see utils/session)
+  const [sessionVisible, setSessionVisible] = useState(false);
+  const [session, setSession] = useState(null); // { role, status, address, name, participants } while hosting or joined
+  const [sessionError, setSessionError] = useState(null);
+  const [sharedFlip, setSharedFlip] = useState(null); // { choice, decision } from the host, played once restored
+  const sessionRef = useRef(null); // Session host or guest behind `session`
+  const isSessionGuest = Boolean(session) && session.role === 'guest';
   
   // Refs for shake detection and flick detection
   const shakeTimeoutRef = useRef(null);
   const lastShakeTimeRef = useRef(0);
   const lastFlickTimeRef = useRef(0);
-  const prevYRef = useRef(0);
   const subscriptionRef = useRef(null);
 
+  // The accelerometer listener is subscribed once; it reads these through refs
+  const gestureSettingsRef = useRef(gestureSettings);
+  gestureSettingsRef.current = gestureSettings;
+  const settingsVisibleRef = useRef(settingsVisible);
+  settingsVisibleRef.current = settingsVisible;
+
   // Guard: Prevent overlapping flips
   const flipInProgressRef = useRef(false);
 
-  // Animation duration constant (matches Coin component)
-  const FLIP_ANIMATION_DURATION = 3200; // 3.2 seconds
+  // Resolves the promise the engine is waiting on once the Coin / Wheel / GroupDraw lands
+  const landingRef = useRef(null);
+
+  // Decision logic (drawing, pacing, history) lives in the engine
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = createDecisionEngine();
+  }
 
   /**
-   * Flip the coin
-   * Returns random result (Heads/Tails or A/B based on mode)
+   * Current choice as engine input
+   */
+  const getDecisionInput = () => ({
+    mode,
+    customSideA,
+    customSideB,
+    customWeightA,
+    customWeightB,
+    options,
+    presetId: activePresetId,
+    question,
+    answers,
+    answerSet,
+  });
+
+  // Labels of the current choice that the app supplied; only these are shown translated
+  const { builtInLabels } = getChoices(getDecisionInput());
+
+  /**
+   * Save a finished decision and remember its input as the last-used choice
+   * for the home screen widgets and the "Flip now" quick action
+   * @param {Object} input - Engine input the decision was made from
+   * @param {Object} decision
+   * @returns {Promise<string|false>} - The history entry id, false if it wasn't saved
+   */
+  const recordDecision = async (input, decision) => {
+    const entryId = await engineRef.current.record(decision);
+    await setLastChoice(input);
+    refreshWidgets();
+    return entryId;
+  };
+
+  /**
+   * Promise for the next landing of the Coin / Wheel animation
+   */
+  const waitForLanding = () => new Promise((resolve) => {
+    landingRef.current = resolve;
+  });
+
+  /**
+   * Animation finished: let the waiting flip continue
+   */
+  const handleLanded = () => {
+    const resolve = landingRef.current;
+    landingRef.current = null;
+    if (resolve) {
+      resolve();
+    }
+  };
+
+  /**
+   * Tell the user when nothing was drawn for lack of secure randomness
+   * Other draw failures are only logged
+   * @param {Error} error
+   */
+  const reportDrawError = (error) => {
+    if (error instanceof RandomSourceError) {
+      Alert.alert(t('app.random.failedTitle'), t('app.random.failedMessage'));
+    }
+  };
+
+  /**
+   * Flip the coin (or spin the wheel in multi mode)
+   * Returns random result (Heads/Tails, A/B or one of the options based on mode)
    * Guards against overlapping flips
+   * @param {number} [strength] - Toss strength 0..1 from a swipe or flick; buttons use the default
    */
-  const flipCoin = async () => {
+  const flipCoin = async (strength = DEFAULT_TOSS_STRENGTH) => {
     // Guard: Prevent overlapping flips
     if (flipInProgressRef.current || isFlipping) {
       return;
     }
 
+    // Guard: In someone else's session only the host flips
+    if (isSessionGuest) {
+      return;
+    }
+
+    // Group draws deal out names instead of flipping
+    if (isGroupMode) {
+      await drawGroup();
+      return;
+    }
+
+    // Series and brackets run their own sequence of flips
+    if (format !== 'single') {
+      await playMatchFormat();
+      return;
+    }
+
+    // Guard: A fair flip must not start before its commitment has been shown
+    if (isFairMode && !commitment) {
+      return;
+    }
+
+    // Guard: A question needs at least two answers to choose from
+    if (isQuestionMode && answers.length < 2) {
+      return;
+    }
+
     try {
       flipInProgressRef.current = true;
-      setIsFlipping(true);
+      setMatchPlay(null);
+      setShownEntry(null);
+      // A re-flip after a veto joins the vetoed flip's story
+      const challenge = pendingChallengeRef.current;
+      pendingChallengeRef.current = null;
 
-      // Haptic feedback
-      try {
-        await Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-      } catch (error) {
-        // Ignore haptic errors - not critical
-        console.warn('Haptic feedback error:', error);
+      // The result is drawn up front: the wheel needs to know where to stop
+      // and a fair flip is fixed by the commitment that is already on screen
+      const input = getDecisionInput();
+      const decision = await engineRef.current.flip(input, {
+        commitment: isFairMode ? commitment : null,
+        onStart: (picked) => {
+          // Guests start their animation as this one starts
+          if (session && session.role === 'host' && sessionRef.current) {
+            sessionRef.current.broadcastFlip(input, picked.index);
+          }
+          if (isMultiMode || isAnswerWheel) {
+            setOptionIndex(picked.index);
+          }
+          // The coin needs its landing face up front; the result stays hidden until it lands
+          setSide(picked.side);
+          setTossStrength(strength);
+          // The new result supersedes any undoable reset
+          setIsFlipping(true);
+          setResetUndo(null);
+          Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium).catch(() => {});
+          return waitForLanding();
+        },
+      });
+
+      setResultOdds(decision.odds);
+      setRevealedFair(decision.fair);
+      if (decision.fair) {
+        // Seed is spent - the next flip needs a new commitment
+        setCommitment(null);
       }
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
 
-      // Wait for animation to start
-      await new Promise((resolve) => setTimeout(resolve, 100));
-
-      // Determine result
-      let result;
-      if (isCustomMode) {
-        // Guard: Ensure custom sides are valid, default to 'A' or 'B'
-        const sideA = customSideA && customSideA.trim() ? 'A' : 'A';
-        const sideB = customSideB && customSideB.trim() ? 'B' : 'B';
-        result = Math.random() < 0.5 ? sideA : sideB;
-      } else {
-        result = Math.random() < 0.5 ? 'Heads' : 'Tails';
+      const entryId = await recordDecision(input, challenge ? { ...decision, challenge } : decision);
+      if (entryId) {
+        setShownEntry({
+          id: entryId,
+          side: decision.side,
+          label: decision.label,
+          builtInLabels: decision.builtInLabels,
+          choice: sanitizeLastChoice(input),
+          challenge,
+        });
       }
 
-      // Wait for animation to complete (match the 3.2 second animation duration)
-      await new Promise((resolve) => setTimeout(resolve, FLIP_ANIMATION_DURATION - 100));
+      // Haptic feedback for result
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
+    } catch (error) {
+      // Guard: Always reset state on error
+      console.error('flipCoin error:', error);
+      reportDrawError(error);
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
+    }
+  };
 
-      setSide(result);
+  /**
+   * Run a best-of-N series (coin modes) or a bracket (options mode) as one decision
+   * Every flip is animated and scored live; the run is saved as one history entry
+   */
+  const playMatchFormat = async () => {
+    try {
+      flipInProgressRef.current = true;
+      setShownEntry(null);
+      const input = getDecisionInput();
+      const { labels } = getChoices(input);
+
+      setSide(null);
+      setOptionIndex(null);
+      setResultOdds(null);
+      setRevealedFair(null);
+      setMatchPlay({ format, labels, builtInLabels, series: null, bracket: null });
+      setTossStrength(MATCH_TOSS_STRENGTH);
+      setIsFlipping(true);
+      setResetUndo(null);
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium).catch(() => {});
+
+      const decision = await engineRef.current.playRun(input, {
+        format,
+        bestOf: seriesLength,
+        onFlip: ({ side: face, pair }) => {
+          if (format === 'bracket') {
+            setMatchCoin({ sideA: labels[pair[0]], sideB: labels[pair[1]] });
+          }
+          // Coin lands on the drawn face
+          setSide(face);
+          setFlipKey((count) => count + 1);
+          return waitForLanding();
+        },
+        onScore: ({ series, bracket }) => {
+          setMatchPlay({ format, labels, builtInLabels, series, bracket });
+          Haptics.selectionAsync().catch(() => {});
+        },
+      });
+
+      setSide(decision.side);
+      setMatchCoin(null);
       setIsFlipping(false);
       flipInProgressRef.current = false;
 
-      // Save to history
-      try {
-        // Get display label for history
-        let historyLabel = result;
-        if (result === 'A' && customSideA && customSideA.trim()) {
-          historyLabel = customSideA.trim();
-        } else if (result === 'B' && customSideB && customSideB.trim()) {
-          historyLabel = customSideB.trim();
+      await recordDecision(input, decision);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
+    } catch (error) {
+      // Guard: Always reset state on error
+      console.error('playMatchFormat error:', error);
+      reportDrawError(error);
+      setMatchCoin(null);
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
+    }
+  };
+
+  /**
+   * Pick a person, shuffle an order or split into teams from the roster
+   * The outcome is drawn up front and revealed by the GroupDraw animation
+   */
+  const drawGroup = async () => {
+    // Guard: Not enough names for this kind of draw
+    if (!canDrawGroup(groupMode, rosterNames, groupTeamCount)) {
+      return;
+    }
+
+    try {
+      flipInProgressRef.current = true;
+      setShownEntry(null);
+      const input = { mode: 'group', groupMode, names: rosterNames, teamCount: groupTeamCount, rosterId: activeRosterId };
+      const decision = await engineRef.current.drawGroup(
+        input,
+        {
+          onStart: (picked) => {
+            setGroupResult(picked.group);
+            setSide(picked.side);
+            setIsFlipping(true);
+            setResetUndo(null);
+            Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium).catch(() => {});
+            return waitForLanding();
+          },
         }
-        await saveFlipToHistory(historyLabel);
-      } catch (error) {
-        // History save failure is non-critical - log but don't crash
-        console.error('Failed to save flip to history:', error);
-      }
+      );
 
-      // Haptic feedback for result
-      try {
-        await Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-      } catch (error) {
-        // Ignore haptic errors
-      }
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
+
+      await recordDecision(input, decision);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
     } catch (error) {
       // Guard: Always reset state on error
-      console.error('flipCoin error:', error);
+      console.error('drawGroup error:', error);
+      reportDrawError(error);
       setIsFlipping(false);
       flipInProgressRef.current = false;
     }
   };
 
+  /**
+   * Play a flip the session host made, then save it to history
+   * The host's choice isn't ours, so it doesn't become our last-used choice.
+   * @param {Object} shared - { choice, decision } with the choice already restored
+   */
+  const playSharedFlip = async ({ choice, decision }) => {
+    // Guard: Prevent overlapping flips
+    if (flipInProgressRef.current) {
+      return;
+    }
+
+    try {
+      flipInProgressRef.current = true;
+      setShownEntry(null);
+      const isWheel = choice.mode === 'multi' || (choice.mode === 'question' && choice.answers.length > 2);
+      await engineRef.current.play(decision, {
+        onStart: (picked) => {
+          if (isWheel) {
+            setOptionIndex(picked.index);
+          }
+          setSide(picked.side);
+          setTossStrength(DEFAULT_TOSS_STRENGTH);
+          setIsFlipping(true);
+          setResetUndo(null);
+          Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium).catch(() => {});
+          return waitForLanding();
+        },
+      });
+
+      setResultOdds(decision.odds);
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
+
+      await engineRef.current.record(decision);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success).catch(() => {});
+    } catch (error) {
+      // Guard: Always reset state on error
+      console.error('playSharedFlip error:', error);
+      setIsFlipping(false);
+      flipInProgressRef.current = false;
+    }
+  };
+
+  /**
+   * Host a flip-together session on this phone
+   * @param {string} name - Shown to the guests
+   */
+  const hostSession = async (name) => {
+    // Guard: One session at a time
+    if (sessionRef.current) {
+      return;
+    }
+
+    setSessionError(null);
+    setSession({ role: 'host', status: 'starting', participants: [] });
+    try {
+      const ip = await Network.getIpAddressAsync();
+      // Guard: Guests need an address on the local network to reach us
+      if (!ip || ip === '0.0.0.0') {
+        throw new Error('No local network address');
+      }
+
+      const host = createSessionHost({
+        net: TcpSocket,
+        name,
+        onParticipants: (participants) => {
+          setSession((current) => (current ? { ...current, participants } : current));
+        },
+      });
+      const port = await host.start();
+      sessionRef.current = host;
+      setSession({
+        role: 'host',
+        status: 'live',
+        address: port === SESSION_PORT ? ip : `${ip}:${port}`,
+        participants: host.getParticipants(),
+      });
+    } catch (error) {
+      console.error('hostSession error:', error);
+      setSession(null);
+      setSessionError(t('app.session.hostFailed'));
+    }
+  };
+
+  /**
+   * Join a session hosted on another phone
+   * @param {string} addressText - As shown on the host's phone
+   * @param {string} name - Shown to the others
+   */
+  const joinSession = async (addressText, name) => {
+    // Guard: One session at a time
+    if (sessionRef.current) {
+      return;
+    }
+
+    const address = parseSessionAddress(addressText);
+    if (!address) {
+      setSessionError(t('app.session.badAddress'));
+      return;
+    }
+
+    setSessionError(null);
+    setSession({ role: 'guest', status: 'starting', participants: [] });
+    const guest = createSessionGuest({
+      address,
+      name,
+      onFlip: (shared) => handleSharedFlipRef.current(shared),
+      onParticipants: (participants) => {
+        setSession((current) => (current ? { ...current, participants } : current));
+      },
+      onClose: () => {
+        sessionRef.current = null;
+        setSession(null);
+        setSessionError(t('app.session.ended'));
+      },
+    });
+    sessionRef.current = guest;
+
+    try {
+      const welcome = await guest.connect();
+      // A fair commitment is for our own flips, and guests don't flip
+      setIsFairMode(false);
+      setCommitment(null);
+      setSession({
+        role: 'guest',
+        status: 'live',
+        address: addressText.trim(),
+        name: welcome.name,
+        participants: welcome.participants,
+      });
+    } catch (error) {
+      console.error('joinSession error:', error);
+      sessionRef.current = null;
+      setSession(null);
+      setSessionError(t('app.session.joinFailed'));
+    }
+  };
+
+  /**
+   * End the session we host, or leave the one we joined
+   */
+  const leaveSession = () => {
+    closeSession();
+    setSession(null);
+    setSessionError(null);
+  };
+
+  /**
+   * Disconnect the session host or guest, if any
+   */
+  const closeSession = () => {
+    const current = sessionRef.current;
+    sessionRef.current = null;
+    if (current && current.stop) {
+      current.stop().catch((error) => console.error('closeSession error:', error));
+    } else if (current) {
+      current.leave();
+    }
+  };
+
+  // Latest flipCoin for the accelerometer listener, which is subscribed once
+  // and would otherwise keep calling the first render's closure (stale mode/labels)
+  const flipCoinRef = useRef(flipCoin);
+  flipCoinRef.current = flipCoin;
+
   /**
    * Reset the current result
    * Only clears the display, not history
@@ -142,14 +695,50 @@ const App = () => {
       return;
     }
 
+    // Guard: Nothing to reset (e.g. a second shake)
+    if (!side) {
+      return;
+    }
+
     try {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light).catch(() => {});
+      setResetUndo({
+        message: t('app.resultCleared'),
+        result: { side, resultOdds, revealedFair, optionIndex, matchPlay, groupResult },
+      });
       setSide(null);
+      setResultOdds(null);
+      setRevealedFair(null);
+      setMatchPlay(null);
+      setGroupResult(null);
     } catch (error) {
       console.error('resetResult error:', error);
     }
   };
 
+  // Latest resetResult for the shake listener (same reason as flipCoinRef)
+  const resetResultRef = useRef(resetResult);
+  resetResultRef.current = resetResult;
+
+  /**
+   * Bring back the result cleared by the last reset
+   */
+  const undoReset = (undo) => {
+    setResetUndo(null);
+
+    // Guard: A newer result replaces the cleared one
+    if (side || isFlipping || flipInProgressRef.current) {
+      return;
+    }
+
+    setSide(undo.result.side);
+    setResultOdds(undo.result.resultOdds);
+    setRevealedFair(undo.result.revealedFair);
+    setOptionIndex(undo.result.optionIndex);
+    setMatchPlay(undo.result.matchPlay);
+    setGroupResult(undo.result.groupResult);
+  };
+
   /**
    * Setup shake detection using Accelerometer
    * Guards against memory leaks with proper cleanup
@@ -166,40 +755,41 @@ const App = () => {
         }
 
         // Set update interval
-        Accelerometer.setUpdateInterval(100);
+        Accelerometer.setUpdateInterval(GESTURE_SAMPLE_INTERVAL);
+
+        const recognizer = createGestureRecognizer(() => gestureSettingsRef.current);
 
         // Subscribe to accelerometer updates
-        subscriptionRef.current = Accelerometer.addListener(({ x, y, z }) => {
-          // Guard: Ensure values are valid numbers
-          if (
-            typeof x !== 'number' ||
-            typeof y !== 'number' ||
-            typeof z !== 'number'
-          ) {
+        subscriptionRef.current = Accelerometer.addListener((reading) => {
+          const now = Date.now();
+          const settings = gestureSettingsRef.current;
+
+          // Guard: The settings screen runs its own calibration listener
+          if (settingsVisibleRef.current) {
+            recognizer.reset();
             return;
           }
 
-          const now = Date.now();
-
-          // Detect upward flick: sudden spike in Y acceleration
-          // When phone is held upright, flicking up causes y to spike positive
-          const yDelta = y - prevYRef.current;
-          prevYRef.current = y;
+          // Flick vs shake is decided over a short window, so each gesture fires at most one of them
+          const gesture = recognizer.push(reading, now);
 
-          if (yDelta > 0.8 && now - lastFlickTimeRef.current > 4000 && !flipInProgressRef.current) {
+          if (
+            gesture === 'flick' &&
+            now - lastFlickTimeRef.current > settings.flickCooldown &&
+            !flipInProgressRef.current
+          ) {
             lastFlickTimeRef.current = now;
             if (isMounted) {
-              flipCoin();
+              flipCoinRef.current(strengthFromFlick(recognizer.getLastFlickRise(), settings.flickThreshold));
             }
             return;
           }
 
-          // Calculate acceleration magnitude for shake detection
-          const acceleration = Math.sqrt(x * x + y * y + z * z);
-          const threshold = 1.5;
-
           // Guard: Prevent rapid shake triggers (debounce)
-          if (acceleration > threshold && now - lastShakeTimeRef.current > 1000) {
+          if (
+            gesture === 'shake' &&
+            now - lastShakeTimeRef.current > settings.shakeCooldown
+          ) {
             lastShakeTimeRef.current = now;
 
             // Clear existing timeout
@@ -210,7 +800,7 @@ const App = () => {
             // Set timeout to trigger reset (debounce)
             shakeTimeoutRef.current = setTimeout(() => {
               if (isMounted) {
-                resetResult();
+                resetResultRef.current();
               }
             }, 100);
           }
@@ -223,106 +813,720 @@ const App = () => {
 
     setupShakeDetection();
 
-    // Cleanup function to prevent memory leaks
-    return () => {
-      isMounted = false;
-      if (subscriptionRef.current) {
-        subscriptionRef.current.remove();
-        subscriptionRef.current = null;
-      }
-      if (shakeTimeoutRef.current) {
-        clearTimeout(shakeTimeoutRef.current);
-        shakeTimeoutRef.current = null;
+    // Cleanup function to prevent memory leaks
+    return () => {
+      isMounted = false;
+      if (subscriptionRef.current) {
+        subscriptionRef.current.remove();
+        subscriptionRef.current = null;
+      }
+      if (shakeTimeoutRef.current) {
+        clearTimeout(shakeTimeoutRef.current);
+        shakeTimeoutRef.current = null;
+      }
+    };
+  }, []);
+
+  // Finish deletions whose undo window ran out while the app was closed,
+  // and load the saved gesture settings
+  useEffect(() => {
+    purgeExpiredTrash();
+    getGestureSettings().then(setGestureSettingsState);
+  }, []);
+
+  /**
+   * Keep a commitment ready while provably fair mode is on
+   * A new one is created after every flip so each seed is used once
+   */
+  useEffect(() => {
+    if (!isFairMode || commitment) {
+      return;
+    }
+
+    let isMounted = true;
+    createCommitment()
+      .then((next) => {
+        if (isMounted) {
+          setCommitment(next);
+        }
+      })
+      .catch((error) => {
+        console.error('createCommitment error:', error);
+        // Guard: Without a seed fair mode can't flip at all, so say so and leave it
+        if (isMounted) {
+          setIsFairMode(false);
+          Alert.alert(t('app.fair.unavailableTitle'), t('app.fair.unavailableMessage'));
+        }
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [isFairMode, commitment]);
+
+  /**
+   * Get display label for current side
+   */
+  const getDisplayLabel = () => {
+    if (!side) {
+      return t('app.ready');
+    }
+    // Group results are names, which must not be read as coin sides A/B
+    if (isGroupMode) {
+      return side;
+    }
+    if (isQuestionMode) {
+      return translateLabel(answers.length === 2 ? resolveSideLabel(side, answers[0], answers[1]) : side, builtInLabels);
+    }
+    return translateLabel(resolveSideLabel(side, customSideA, customSideB), builtInLabels);
+  };
+
+  /**
+   * Switch between default, custom, multi-option, group and question mode
+   */
+  const selectMode = (nextMode) => {
+    // Guard: Don't switch during flip
+    if (isFlipping || flipInProgressRef.current || nextMode === mode) {
+      return;
+    }
+
+    Keyboard.dismiss();
+    setMode(nextMode);
+    // Series and brackets belong to different modes, so start from a single flip
+    setFormat('single');
+    // Reset result when switching modes
+    setSide(null);
+    setOptionIndex(null);
+    setResultOdds(null);
+    setRevealedFair(null);
+    setMatchPlay(null);
+    setGroupResult(null);
+  };
+
+  /**
+   * Pick single flip, a best-of-N series or a bracket
+   * @param {'single'|'series'|'bracket'} nextFormat
+   * @param {number} [bestOf] - Series length for 'series'
+   */
+  const selectFormat = (nextFormat, bestOf) => {
+    // Guard: Don't switch during flip; provably fair covers single flips only
+    if (isFlipping || flipInProgressRef.current || isFairMode) {
+      return;
+    }
+
+    setFormat(nextFormat);
+    if (bestOf) {
+      setSeriesLength(bestOf);
+    }
+    setSide(null);
+    setOptionIndex(null);
+    setResultOdds(null);
+    setMatchPlay(null);
+  };
+
+  /**
+   * Toggle provably fair mode
+   */
+  const toggleFairMode = (enabled) => {
+    // Guard: Don't toggle during flip
+    if (isFlipping || flipInProgressRef.current) {
+      return;
+    }
+    setIsFairMode(enabled);
+    if (enabled) {
+      // One commitment covers one draw, so fair mode flips singly
+      setFormat('single');
+      setMatchPlay(null);
+    } else {
+      setCommitment(null);
+    }
+  };
+
+  /**
+   * Sanitize custom side input
+   * Allow at least 10 words (150 characters should be enough)
+   */
+  const handleCustomSideAChange = (text) => {
+    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
+    const sanitized = text.substring(0, 150);
+    setCustomSideA(sanitized);
+    setActivePresetId(null);
+  };
+
+  const handleCustomSideBChange = (text) => {
+    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
+    const sanitized = text.substring(0, 150);
+    setCustomSideB(sanitized);
+    setActivePresetId(null);
+  };
+
+  const handleCustomWeightAChange = (text) => {
+    setCustomWeightA(parseWeightInput(text));
+    setActivePresetId(null);
+  };
+
+  const handleCustomWeightBChange = (text) => {
+    setCustomWeightB(parseWeightInput(text));
+    setActivePresetId(null);
+  };
+
+  /**
+   * Fill both custom sides (and weights) from a saved preset
+   */
+  const applyPreset = (preset) => {
+    // Guard: Don't change labels mid-flip or from a malformed preset
+    if (isFlipping || flipInProgressRef.current || !preset) {
+      return;
+    }
+
+    const weights = Array.isArray(preset.weights) ? preset.weights : [];
+    setCustomSideA(typeof preset.sideA === 'string' ? preset.sideA.substring(0, 150) : '');
+    setCustomSideB(typeof preset.sideB === 'string' ? preset.sideB.substring(0, 150) : '');
+    setCustomWeightA(weights.length === 2 ? sanitizeWeight(weights[0]) : DEFAULT_WEIGHT);
+    setCustomWeightB(weights.length === 2 ? sanitizeWeight(weights[1]) : DEFAULT_WEIGHT);
+    setCoinFaces(sanitizeCoinFaces(preset.faces));
+    setActivePresetId(preset.id);
+    setSide(null);
+    setResultOdds(null);
+    setRevealedFair(null);
+    setMatchPlay(null);
+  };
+
+  /**
+   * Change the custom coin's faces
+   * Saved straight into the active preset; otherwise kept until one is saved
+   */
+  const handleCoinFacesChange = async (faces) => {
+    const sanitized = sanitizeCoinFaces(faces);
+    setCoinFaces(sanitized);
+    if (activePresetId && (await setPresetFaces(activePresetId, sanitized))) {
+      setPresetsVersion((count) => count + 1);
+    }
+    await removeUnusedPhotos(sanitized);
+  };
+
+  /**
+   * Delete face photos that neither the current coin nor any preset shows
+   * @param {Object} faces - The coin on screen
+   */
+  const removeUnusedPhotos = async (faces) => {
+    const presets = await getPresets();
+    await prunePhotoFaces([faces, ...presets.map((preset) => preset.faces)]);
+  };
+
+  /**
+   * Edit the roster names; an edited roster no longer matches the saved one
+   */
+  const handleRosterTextChange = (text) => {
+    setRosterText(text);
+    setActiveRosterId(null);
+  };
+
+  /**
+   * Fill the names from a saved roster (null when the active one was deleted)
+   */
+  const applyRoster = (roster) => {
+    // Guard: Don't change names mid-draw
+    if (isFlipping || flipInProgressRef.current) {
+      return;
+    }
+    if (!roster) {
+      setActiveRosterId(null);
+      return;
+    }
+    setRosterText(roster.names.join('\n'));
+    setActiveRosterId(roster.id);
+    setTeamCount((count) => sanitizeTeamCount(count, roster.names.length));
+    setSide(null);
+    setGroupResult(null);
+  };
+
+  /**
+   * Switch between picking one person, an order and teams
+   */
+  const selectGroupMode = (nextGroupMode) => {
+    // Guard: Don't switch mid-draw
+    if (isFlipping || flipInProgressRef.current || nextGroupMode === groupMode) {
+      return;
+    }
+    setGroupMode(nextGroupMode);
+    setSide(null);
+    setGroupResult(null);
+  };
+
+  /**
+   * Edit the question
+   */
+  const handleQuestionChange = (text) => {
+    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
+    setQuestion(text.substring(0, MAX_QUESTION_LENGTH));
+  };
+
+  /**
+   * Switch between the built-in answer sets and custom answers
+   */
+  const selectAnswerSet = (nextAnswerSet) => {
+    // Guard: Don't switch mid-flip
+    if (isFlipping || flipInProgressRef.current || nextAnswerSet === answerSet) {
+      return;
+    }
+    setAnswerSet(nextAnswerSet);
+    setSide(null);
+    setOptionIndex(null);
+    setResultOdds(null);
+    setRevealedFair(null);
+  };
+
+  /**
+   * Restore the mode, labels and weights of a history entry and flip again
+   * The flip itself runs from an effect so it sees the restored state
+   */
+  const rerunDecision = (entry) => {
+    // Guard: Don't restore mid-flip or from a malformed entry
+    if (isFlipping || flipInProgressRef.current || !entry) {
+      return;
+    }
+
+    const labels = Array.isArray(entry.options) ? entry.options : [];
+    const weights = Array.isArray(entry.weights) && entry.weights.length === labels.length
+      ? entry.weights
+      : labels.map(() => DEFAULT_WEIGHT);
+
+    // Entries saved before modes were recorded are plain coin flips
+    const entryMode = ['default', 'custom', 'multi', 'group', 'question'].includes(entry.mode) ? entry.mode : 'default';
+
+    if (entryMode === 'custom' && labels.length === 2) {
+      setCustomSideA(labels[0].substring(0, 150));
+      setCustomSideB(labels[1].substring(0, 150));
+      setCustomWeightA(sanitizeWeight(weights[0]));
+      setCustomWeightB(sanitizeWeight(weights[1]));
+      setActivePresetId(typeof entry.presetId === 'string' ? entry.presetId : null);
+    } else if (entryMode === 'multi' && labels.length >= 2) {
+      setOptions(labels.map((label, index) => createOption(label, sanitizeWeight(weights[index]))));
+    } else if (entryMode === 'group' && entry.group && Array.isArray(entry.group.names)) {
+      // Same roster, same kind of draw (and team count)
+      const names = parseRosterText(entry.group.names.join('\n'));
+      setRosterText(names.join('\n'));
+      setActiveRosterId(typeof entry.group.rosterId === 'string' ? entry.group.rosterId : null);
+      setGroupMode(GROUP_MODES.includes(entry.group.mode) ? entry.group.mode : 'pick');
+      if (Array.isArray(entry.group.teams)) {
+        setTeamCount(sanitizeTeamCount(entry.group.teams.length, names.length));
+      }
+    } else if (entryMode === 'question' && labels.length >= 2) {
+      const builtIn = getEntryBuiltInLabels(entry);
+      restoreQuestion(entry.question, labels, labels.every((label) => builtIn.includes(label)) ? findAnswerSet(labels) : 'custom');
+    }
+
+    // Runs replay in the same format; fair mode can only replay single flips
+    if (entry.series && SERIES_LENGTHS.includes(entry.series.bestOf) && entryMode !== 'multi') {
+      setFormat('series');
+      setSeriesLength(entry.series.bestOf);
+      setIsFairMode(false);
+    } else if (entry.bracket && entryMode === 'multi') {
+      setFormat('bracket');
+      setIsFairMode(false);
+    } else {
+      setFormat('single');
+    }
+
+    flipRestored(entryMode);
+  };
+
+  /**
+   * Restore the last-used choice and flip it ("Flip now" quick action)
+   * Same choice the home screen widgets flip; see utils/lastChoice
+   */
+  const flipLastChoice = async () => {
+    // Guard: Don't restore mid-flip
+    if (isFlipping || flipInProgressRef.current) {
+      return;
+    }
+
+    const choice = await getLastChoice();
+    restoreChoice(choice);
+    flipRestored(choice.mode);
+  };
+
+  /**
+   * Open a decision link (decisioncoin://flip?a=Pizza&b=Tacos&auto=1)
+   * The setup is filled in; it is only flipped when the link asks for it.
+   * @param {string} url
+   */
+  const openDecisionLink = (url) => {
+    const link = parseDecisionLink(url);
+    // Guard: Not a decision link, or nothing to switch to mid-flip
+    if (!link || isFlipping || flipInProgressRef.current) {
+      return;
+    }
+
+    restoreChoice(link.choice);
+    if (link.auto) {
+      flipRestored(link.choice.mode);
+    } else {
+      showRestored(link.choice.mode);
+    }
+  };
+
+  /**
+   * Share the current setup as a decision link
+   */
+  const shareDecisionLink = async () => {
+    const input = isGroupMode
+      ? { mode: 'group', groupMode, names: rosterNames, teamCount: groupTeamCount }
+      : getDecisionInput();
+    try {
+      await Share.share({ message: buildDecisionLink(input) });
+    } catch (error) {
+      console.error('shareDecisionLink error:', error);
+    }
+  };
+
+  /**
+   * Fill the inputs from a last-used or linked choice (see utils/lastChoice)
+   * Single flip format; the caller switches mode.
+   * @param {Object} choice - Sanitized engine input
+   */
+  const restoreChoice = (choice) => {
+    if (choice.mode === 'custom') {
+      setCustomSideA(choice.customSideA);
+      setCustomSideB(choice.customSideB);
+      setCustomWeightA(choice.customWeightA);
+      setCustomWeightB(choice.customWeightB);
+      setActivePresetId(choice.presetId);
+    } else if (choice.mode === 'multi') {
+      setOptions(choice.options.map((option) => createOption(option.label, option.weight)));
+    } else if (choice.mode === 'group') {
+      setRosterText(choice.names.join('\n'));
+      setActiveRosterId(choice.rosterId);
+      setGroupMode(choice.groupMode);
+      setTeamCount(choice.teamCount);
+    } else if (choice.mode === 'question') {
+      restoreQuestion(choice.question, choice.answers, choice.answerSet);
+    }
+    setFormat('single');
+  };
+
+  /**
+   * Restore a question and its answers
+   * A built-in answer set only when the choice names one, otherwise custom answers
+   */
+  const restoreQuestion = (text, labels, setKey) => {
+    const isBuiltIn = isBuiltInAnswerSet(setKey);
+    setQuestion(sanitizeQuestion(text));
+    setAnswerSet(isBuiltIn ? setKey : 'custom');
+    if (!isBuiltIn) {
+      setCustomAnswersText(labels.join(', '));
+    }
+  };
+
+  /**
+   * Switch to a restored mode with a clean result
+   */
+  const showRestored = (nextMode) => {
+    Keyboard.dismiss();
+    setMode(nextMode);
+    setSide(null);
+    setOptionIndex(null);
+    setResultOdds(null);
+    setRevealedFair(null);
+    setMatchPlay(null);
+    setGroupResult(null);
+    setHistoryVisible(false);
+  };
+
+  /**
+   * Switch to a restored mode and flip once the state has rendered
+   */
+  const flipRestored = (nextMode) => {
+    showRestored(nextMode);
+    setRerunRequest((count) => count + 1);
+  };
+
+  /**
+   * Ask before spending a veto on the result on screen
+   */
+  const vetoResult = () => {
+    if (!canVeto || vetoesLeft <= 0 || flipInProgressRef.current) {
+      return;
+    }
+    const entry = shownEntry;
+    const remaining = vetoesLeft - 1;
+    Alert.alert(
+      t('app.veto.confirmTitle'),
+      t('app.veto.confirmMessage', {
+        label: translateLabel(entry.label, entry.builtInLabels),
+        left: t('app.veto.leftAfter', { count: remaining }),
+      }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('app.veto.confirm'), style: 'destructive', onPress: () => spendVeto(entry) },
+      ]
+    );
+  };
+
+  /**
+   * Overturn a flip: mark it vetoed and flip its choice again as the next step of its challenge
+   * @param {Object} entry - shownEntry when the veto was asked for
+   */
+  const spendVeto = async (entry) => {
+    // Guard: Something else started flipping while the alert was open
+    if (flipInProgressRef.current) {
+      return;
+    }
+    // Guard: An entry that couldn't be marked would be re-flipped with no trace of the veto
+    if (!(await vetoHistoryEntry(entry.id))) {
+      Alert.alert(t('app.veto.failedTitle'), t('app.veto.failedMessage'));
+      return;
+    }
+    setVetoesLeft((count) => Math.max(0, count - 1));
+    pendingChallengeRef.current = getNextChallenge({ id: entry.id, side: entry.label, challenge: entry.challenge });
+    restoreChoice(entry.choice);
+    flipRestored(entry.choice.mode);
+  };
+
+  // Latest quick action handler for the listener, which is subscribed once
+  const handleQuickActionRef = useRef(null);
+  handleQuickActionRef.current = (action) => {
+    if (action && action.id === 'flip') {
+      flipLastChoice();
+    } else if (action && action.id === 'history') {
+      setHistoryVisible(true);
+    }
+  };
+
+  // App-icon quick actions, including the one that launched the app
+  useEffect(() => {
+    if (QuickActions.initial) {
+      handleQuickActionRef.current(QuickActions.initial);
+    }
+    const subscription = QuickActions.addListener((action) => handleQuickActionRef.current(action));
+    return () => subscription.remove();
+  }, []);
+
+  // Quick action titles and the widget's summary are in the app's language
+  useEffect(() => {
+    QuickActions.setItems(getQuickActionItems()).catch((error) => {
+      console.error('QuickActions setItems error:', error);
+    });
+    refreshWidgets();
+  }, [language]);
+
+  // Latest link handler for the listener, which is subscribed once
+  const openDecisionLinkRef = useRef(null);
+  openDecisionLinkRef.current = openDecisionLink;
+
+  // Decision links, including the one that launched the app
+  useEffect(() => {
+    Linking.getInitialURL()
+      .then((url) => {
+        if (url) {
+          openDecisionLinkRef.current(url);
+        }
+      })
+      .catch((error) => {
+        console.error('Linking getInitialURL error:', error);
+      });
+    const subscription = Linking.addEventListener('url', ({ url }) => openDecisionLinkRef.current(url));
+    return () => subscription.remove();
+  }, []);
+
+  // Latest shared-flip handler for the session guest, which is created once per join
+  const handleSharedFlipRef = useRef(null);
+  handleSharedFlipRef.current = ({ choice, decision }) => {
+    // Guard: A flip that doesn't fit its choice, or one arriving mid-flip, is skipped
+    if (!decision || isFlipping || flipInProgressRef.current) {
+      return;
+    }
+    restoreChoice(choice);
+    showRestored(choice.mode);
+    setSharedFlip({ choice, decision });
+  };
+
+  // Play the host's flip once its restored choice has rendered
+  useEffect(() => {
+    if (sharedFlip) {
+      playSharedFlip(sharedFlip);
+    }
+  }, [sharedFlip]);
+
+  // Leave any session when the app closes
+  useEffect(() => () => closeSession(), []);
+
+  // Save flips made on the iOS home screen widget while the app was away,
+  // and bring the widgets up to date whenever the app comes to the foreground
+  useEffect(() => {
+    const syncWidgets = async () => {
+      await recordWidgetFlips(takeWidgetFlips(), engineRef.current);
+      await refreshWidgets();
+    };
+
+    syncWidgets();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        syncWidgets();
       }
-    };
+    });
+    return () => subscription.remove();
   }, []);
 
-  /**
-   * Get display label for current side
-   */
-  const getDisplayLabel = () => {
-    if (!side) {
-      return 'Ready';
-    }
-    if (side === 'A' && customSideA && customSideA.trim()) {
-      return customSideA.trim();
+  useEffect(() => {
+    if (rerunRequest > 0) {
+      flipCoinRef.current();
     }
-    if (side === 'B' && customSideB && customSideB.trim()) {
-      return customSideB.trim();
+  }, [rerunRequest]);
+
+  // Follow the system reduce-motion setting
+  useEffect(() => subscribeToReduceMotion(setReduceMotion), []);
+
+  // Flips only show on screen, so screen readers are told when one starts and how it landed
+  useEffect(() => {
+    if (isFlipping) {
+      announce(getFlipButtonText());
+    } else if (side) {
+      announce(getResultAnnouncement({
+        label: getDisplayLabel(),
+        question: isQuestionMode ? sanitizeQuestion(question) : '',
+        details: [getResultOddsText(), ...(isGroupMode ? describeGroupOutcome(groupResult) : [])],
+      }));
     }
-    return side;
-  };
+  }, [isFlipping]);
 
   /**
-   * Toggle between default and custom mode
+   * Odds summary for the result screen
+   * Uses the weights that were in force for the flip, not the current inputs
    */
-  const toggleMode = () => {
-    // Guard: Don't toggle during flip
-    if (isFlipping || flipInProgressRef.current) {
-      return;
+  const getResultOddsText = () => {
+    if (!resultOdds || !Array.isArray(resultOdds.weights)) {
+      return null;
     }
-
-    Keyboard.dismiss();
-    setIsCustomMode(!isCustomMode);
-    // Reset result when switching modes
-    setSide(null);
+    const shares = getShares(resultOdds.weights);
+    const winnerShare = formatPercent(shares[resultOdds.index]);
+    if (isUniform(resultOdds.weights)) {
+      return t('app.odds.equal', { share: winnerShare });
+    }
+    return t('app.odds.weighted', {
+      share: winnerShare,
+      odds: formatOdds(resultOdds.labels.map((label) => translateLabel(label, builtInLabels)), resultOdds.weights),
+    });
   };
 
   /**
-   * Sanitize custom side input
-   * Allow at least 10 words (150 characters should be enough)
+   * Label for the main action button
    */
-  const handleCustomSideAChange = (text) => {
-    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
-    const sanitized = text.substring(0, 150);
-    setCustomSideA(sanitized);
+  const getFlipButtonText = () => {
+    if (isSessionGuest && !isFlipping) {
+      return t('app.actions.waitingForHost');
+    }
+    if (isGroupMode) {
+      if (groupMode === 'order') {
+        return isFlipping ? t('app.actions.shuffling') : t('app.actions.shuffle');
+      }
+      if (groupMode === 'teams') {
+        return isFlipping ? t('app.actions.dealing') : t('app.actions.makeTeams', { count: groupTeamCount });
+      }
+      return isFlipping ? t('app.actions.picking') : t('app.actions.pick');
+    }
+    if (format === 'series') {
+      return isFlipping ? t('app.actions.playingSeries') : t('app.actions.playSeries', { count: seriesLength });
+    }
+    if (format === 'bracket') {
+      return isFlipping ? t('app.actions.playingBracket') : t('app.actions.runBracket');
+    }
+    if (isMultiMode) {
+      return isFlipping ? t('app.actions.spinning') : t('app.actions.spin');
+    }
+    if (isQuestionMode) {
+      return isFlipping ? t('app.actions.asking') : t('app.actions.ask');
+    }
+    return isFlipping ? t('app.actions.flipping') : t('app.actions.flip');
   };
 
-  const handleCustomSideBChange = (text) => {
-    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
-    const sanitized = text.substring(0, 150);
-    setCustomSideB(sanitized);
-  };
+  const customShares = getShares([customWeightA, customWeightB]);
+  const canFlip = !isSessionGuest && (isGroupMode
+    ? canDrawGroup(groupMode, rosterNames, groupTeamCount)
+    : !isQuestionMode || answers.length >= 2);
+  // Single flips only, and not while a fair commitment is being prepared for the re-flip
+  const canVeto = Boolean(shownEntry) && shownEntry.side === side && !isFlipping && !isSessionGuest &&
+    !(isFairMode && !commitment);
+  const vetoStory = canVeto ? describeChallenge({ side: shownEntry.label, challenge: shownEntry.challenge }) : [];
 
   return (
     <GestureHandlerRootView style={styles.root}>
-      <StatusBar barStyle="light-content" />
-      <SafeAreaView style={styles.container}>
+      <StatusBar barStyle={theme.statusBarStyle} />
+      {/* Magic tap (two-finger double-tap with VoiceOver) flips, standing in for the flick */}
+      <SafeAreaView style={styles.container} onMagicTap={() => flipCoin()}>
         <ScrollView
           contentContainerStyle={styles.scrollContent}
           keyboardShouldPersistTaps="handled"
         >
         <View style={styles.header}>
-          <Text style={styles.title}>Decision Coin</Text>
+          <Text style={styles.title} accessibilityRole="header">{t('app.title')}</Text>
+          <View style={styles.headerButtons}>
+            <TouchableOpacity
+              onPress={() => setSettingsVisible(true)}
+              style={styles.historyButton}
+              accessibilityRole="button"
+              accessibilityHint={t('app.settingsHint')}
+            >
+              <Text style={styles.historyButtonText}>{t('app.settings')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => setHistoryVisible(true)}
+              style={styles.historyButton}
+              accessibilityRole="button"
+              accessibilityHint={t('app.historyHint')}
+            >
+              <Text style={styles.historyButtonText}>{t('app.history')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Flip-together session status */}
+        {session && session.status === 'live' && (
           <TouchableOpacity
-            onPress={() => setHistoryVisible(true)}
-            style={styles.historyButton}
+            onPress={() => setSessionVisible(true)}
+            style={styles.sessionBanner}
+            accessibilityRole="button"
+            accessibilityHint={t('app.sessionHint')}
           >
-            <Text style={styles.historyButtonText}>History</Text>
+            <Text style={styles.sessionBannerText}>
+              {session.role === 'host'
+                ? t('app.hostingBanner', { address: session.address, count: session.participants.length })
+                : t('app.guestBanner', { host: session.participants[0] || t('app.theHost') })}
+            </Text>
           </TouchableOpacity>
-        </View>
+        )}
 
-        {/* Mode Toggle */}
-        <View style={styles.modeToggle}>
+        {/* Mode Toggle (scrolls sideways on narrow screens) */}
+        <ScrollView
+          horizontal={true}
+          showsHorizontalScrollIndicator={false}
+          style={styles.modeToggle}
+          contentContainerStyle={styles.modeToggleContent}
+        >
           <TouchableOpacity
-            onPress={toggleMode}
+            onPress={() => selectMode('default')}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === 'default', disabled: isFlipping }}
             style={[
               styles.modeButton,
-              !isCustomMode && styles.modeButtonActive,
+              mode === 'default' && styles.modeButtonActive,
             ]}
             disabled={isFlipping}
           >
             <Text
               style={[
                 styles.modeButtonText,
-                !isCustomMode && styles.modeButtonTextActive,
+                mode === 'default' && styles.modeButtonTextActive,
               ]}
             >
-              Heads/Tails
+              {t('app.modes.default')}
             </Text>
           </TouchableOpacity>
           <TouchableOpacity
-            onPress={toggleMode}
+            onPress={() => selectMode('custom')}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === 'custom', disabled: isFlipping }}
             style={[
               styles.modeButton,
               isCustomMode && styles.modeButtonActiveCustom,
@@ -335,22 +1539,152 @@ const App = () => {
                 isCustomMode && styles.modeButtonTextActive,
               ]}
             >
-              Custom (A/B)
+              {t('app.modes.custom')}
             </Text>
           </TouchableOpacity>
-        </View>
+          <TouchableOpacity
+            onPress={() => selectMode('multi')}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === 'multi', disabled: isFlipping }}
+            style={[
+              styles.modeButton,
+              isMultiMode && styles.modeButtonActiveCustom,
+            ]}
+            disabled={isFlipping}
+          >
+            <Text
+              style={[
+                styles.modeButtonText,
+                isMultiMode && styles.modeButtonTextActive,
+              ]}
+            >
+              {t('app.modes.multi')}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => selectMode('group')}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === 'group', disabled: isFlipping }}
+            style={[
+              styles.modeButton,
+              isGroupMode && styles.modeButtonActiveCustom,
+            ]}
+            disabled={isFlipping}
+          >
+            <Text
+              style={[
+                styles.modeButtonText,
+                isGroupMode && styles.modeButtonTextActive,
+              ]}
+            >
+              {t('app.modes.group')}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => selectMode('question')}
+            accessibilityRole="button"
+            accessibilityState={{ selected: mode === 'question', disabled: isFlipping }}
+            style={[
+              styles.modeButton,
+              isQuestionMode && styles.modeButtonActiveCustom,
+            ]}
+            disabled={isFlipping}
+          >
+            <Text
+              style={[
+                styles.modeButtonText,
+                isQuestionMode && styles.modeButtonTextActive,
+              ]}
+            >
+              {t('app.modes.question')}
+            </Text>
+          </TouchableOpacity>
+        </ScrollView>
+
+        {/* Question Inputs */}
+        {isQuestionMode && (
+          <QuestionEditor
+            question={question}
+            onQuestionChange={handleQuestionChange}
+            answerSet={answerSet}
+            onAnswerSetChange={selectAnswerSet}
+            customAnswersText={customAnswersText}
+            onCustomAnswersChange={setCustomAnswersText}
+            editable={!isFlipping}
+          />
+        )}
+
+        {/* Roster Inputs */}
+        {isGroupMode && (
+          <RosterEditor
+            rosterText={rosterText}
+            onRosterTextChange={handleRosterTextChange}
+            activeRosterId={activeRosterId}
+            onSelectRoster={applyRoster}
+            groupMode={groupMode}
+            onGroupModeChange={selectGroupMode}
+            teamCount={groupTeamCount}
+            onTeamCountChange={(count) => setTeamCount(sanitizeTeamCount(count, rosterNames.length))}
+            editable={!isFlipping}
+          />
+        )}
 
         {/* Custom Side Inputs */}
         {isCustomMode && (
           <View style={styles.customInputs}>
+            <PresetPicker
+              activePresetId={activePresetId}
+              currentSides={{
+                sideA: customSideA,
+                sideB: customSideB,
+                weights: [customWeightA, customWeightB],
+                faces: coinFaces,
+              }}
+              onSelect={applyPreset}
+              onDelete={() => removeUnusedPhotos(coinFaces)}
+              disabled={isFlipping}
+              refreshKey={presetsVersion}
+            />
+            <View style={styles.faceRow}>
+              <Text style={styles.faceSummary} numberOfLines={1}>
+                {t('app.coinSummary', { a: describeCoinFace(coinFaces.a), b: describeCoinFace(coinFaces.b) })}
+                {coinFaces.model !== DEFAULT_COIN_MODEL ? ` · ${getCoinModelName(coinFaces.model)}` : ''}
+              </Text>
+              <TouchableOpacity
+                onPress={() => setFaceEditorVisible(true)}
+                style={[styles.faceButton, isFlipping && styles.buttonDisabled]}
+                disabled={isFlipping}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: isFlipping }}
+              >
+                <Text style={styles.faceButtonText}>{t('app.designCoin')}</Text>
+              </TouchableOpacity>
+            </View>
             <View style={styles.inputGroup}>
-              <Text style={styles.inputLabel}>Side A:</Text>
+              <View style={styles.inputLabelRow}>
+                <Text style={styles.inputLabel}>{t('app.sideLabel', { side: 'A' })}</Text>
+                <View style={styles.weightRow}>
+                  <Text style={styles.weightLabel}>{t('app.weight')}</Text>
+                  <TextInput
+                    style={styles.weightInput}
+                    value={String(customWeightA)}
+                    accessibilityLabel={t('app.sideWeight', { side: 'A' })}
+                    onChangeText={handleCustomWeightAChange}
+                    keyboardType="number-pad"
+                    maxLength={3}
+                    selectTextOnFocus={true}
+                    editable={!isFlipping}
+                  />
+                  <Text style={styles.weightPercent}>{formatPercent(customShares[0])}</Text>
+                </View>
+              </View>
               <TextInput
                 style={styles.input}
                 value={customSideA}
+                accessibilityLabel={t('app.sideInput', { side: 'A' })}
                 onChangeText={handleCustomSideAChange}
-                placeholder="Enter label for A (up to 150 characters)"
-                placeholderTextColor="rgba(255, 255, 255, 0.35)"
+                placeholder={t('app.sidePlaceholder', { side: 'A' })}
+                placeholderTextColor={theme.placeholder}
                 maxLength={150}
                 multiline={true}
                 numberOfLines={3}
@@ -358,13 +1692,30 @@ const App = () => {
               />
             </View>
             <View style={styles.inputGroup}>
-              <Text style={styles.inputLabel}>Side B:</Text>
+              <View style={styles.inputLabelRow}>
+                <Text style={styles.inputLabel}>{t('app.sideLabel', { side: 'B' })}</Text>
+                <View style={styles.weightRow}>
+                  <Text style={styles.weightLabel}>{t('app.weight')}</Text>
+                  <TextInput
+                    style={styles.weightInput}
+                    value={String(customWeightB)}
+                    accessibilityLabel={t('app.sideWeight', { side: 'B' })}
+                    onChangeText={handleCustomWeightBChange}
+                    keyboardType="number-pad"
+                    maxLength={3}
+                    selectTextOnFocus={true}
+                    editable={!isFlipping}
+                  />
+                  <Text style={styles.weightPercent}>{formatPercent(customShares[1])}</Text>
+                </View>
+              </View>
               <TextInput
                 style={styles.input}
                 value={customSideB}
+                accessibilityLabel={t('app.sideInput', { side: 'B' })}
                 onChangeText={handleCustomSideBChange}
-                placeholder="Enter label for B (up to 150 characters)"
-                placeholderTextColor="rgba(255, 255, 255, 0.35)"
+                placeholder={t('app.sidePlaceholder', { side: 'B' })}
+                placeholderTextColor={theme.placeholder}
                 maxLength={150}
                 multiline={true}
                 numberOfLines={3}
@@ -374,32 +1725,171 @@ const App = () => {
           </View>
         )}
 
-        {/* Coin Component */}
-        <Coin
-          side={side || 'Heads'} // Pass default for display
-          isFlipping={isFlipping}
-          onFlipStart={flipCoin}
-          customSideA={customSideA}
-          customSideB={customSideB}
-        />
+        {/* Provably Fair Toggle + Commitment (coin and wheel draws only) */}
+        {!isGroupMode && (
+          <View style={styles.fairCard}>
+            <View style={styles.fairHeader}>
+              <Text style={styles.fairTitle}>{t('app.fair.title')}</Text>
+              <Switch
+                value={isFairMode}
+                onValueChange={toggleFairMode}
+                accessibilityLabel={t('app.fair.title')}
+                disabled={isFlipping}
+                trackColor={{ false: theme.raised, true: theme.accent }}
+              />
+            </View>
+            {isFairMode && (
+              <Text style={styles.fairText} selectable={true}>
+                {commitment
+                  ? t('app.fair.commitment', { hash: commitment.hash })
+                  : t('app.fair.preparing')}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Format: single flip, best-of-N series or bracket (a question gets one answer) */}
+        {!isGroupMode && !isQuestionMode && (
+          <View style={styles.formatRow}>
+            {(isMultiMode
+              ? [
+                  { key: 'single', label: t('app.formats.wheel'), format: 'single' },
+                  { key: 'bracket', label: t('app.formats.bracket'), format: 'bracket' },
+                ]
+              : [
+                  { key: 'single', label: t('app.formats.single'), format: 'single' },
+                  ...SERIES_LENGTHS.map((length) => ({
+                    key: `series-${length}`,
+                    label: t('app.formats.bestOf', { count: length }),
+                    format: 'series',
+                    bestOf: length,
+                  })),
+                ]
+            ).map((item) => {
+              const isActive = item.format === format && (!item.bestOf || item.bestOf === seriesLength);
+              return (
+                <TouchableOpacity
+                  key={item.key}
+                  onPress={() => selectFormat(item.format, item.bestOf)}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: isActive, disabled: isFlipping || isFairMode }}
+                  style={[
+                    styles.formatChip,
+                    isActive && styles.formatChipActive,
+                    (isFairMode && !isActive) && styles.buttonDisabled,
+                  ]}
+                  disabled={isFlipping || isFairMode}
+                >
+                  <Text style={[styles.formatChipText, isActive && styles.formatChipTextActive]}>{item.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+        {isFairMode && !isGroupMode && !isQuestionMode && (
+          <Text style={styles.formatHint}>{t('app.fair.oneAtATime')}</Text>
+        )}
+
+        {/* Option List Inputs */}
+        {isMultiMode && (
+          <OptionListEditor
+            options={options}
+            onChange={setOptions}
+            editable={!isFlipping}
+          />
+        )}
+
+        {/* Coin / Wheel / Group draw */}
+        {isGroupMode ? (
+          <GroupDraw
+            group={groupResult}
+            names={rosterNames}
+            isDrawing={isFlipping}
+            onDrawEnd={handleLanded}
+            reduceMotion={reduceMotion}
+          />
+        ) : isMultiMode && format !== 'bracket' ? (
+          <Wheel
+            options={getOptionLabels(options).map((label) => translateLabel(label, builtInLabels))}
+            weights={options.map((option) => option.weight)}
+            selectedIndex={optionIndex}
+            isSpinning={isFlipping}
+            onSpinStart={flipCoin}
+            onSpinEnd={handleLanded}
+            spinStrength={tossStrength}
+            swipeVelocity={getSwipeVelocity(gestureSettings)}
+            reduceMotion={reduceMotion}
+          />
+        ) : isAnswerWheel ? (
+          <Wheel
+            options={answers.map((answer) => translateLabel(answer, builtInLabels))}
+            weights={answers.map(() => DEFAULT_WEIGHT)}
+            selectedIndex={optionIndex}
+            isSpinning={isFlipping}
+            onSpinStart={flipCoin}
+            onSpinEnd={handleLanded}
+            spinStrength={tossStrength}
+            swipeVelocity={getSwipeVelocity(gestureSettings)}
+            reduceMotion={reduceMotion}
+          />
+        ) : (
+          <Coin3D
+            side={side || 'Heads'} // Pass default for display
+            isFlipping={isFlipping}
+            onFlipStart={flipCoin}
+            onFlipEnd={handleLanded}
+            customSideA={matchCoin ? matchCoin.sideA : isQuestionMode ? translateLabel(answers[0], builtInLabels) : customSideA}
+            customSideB={matchCoin ? matchCoin.sideB : isQuestionMode ? translateLabel(answers[1], builtInLabels) : customSideB}
+            faces={isCustomMode && !matchCoin ? coinFaces : DEFAULT_COIN_FACES}
+            tossStrength={tossStrength}
+            flipKey={flipKey}
+            swipeVelocity={getSwipeVelocity(gestureSettings)}
+            reduceMotion={reduceMotion}
+          />
+        )}
+
+        {/* Series scoreboard / bracket */}
+        <MatchBoard matchPlay={matchPlay} />
 
         {/* Result Display */}
-        {side && (
+        {side && !isFlipping && (
           <View style={styles.resultContainer}>
-            <Text style={styles.resultLabel}>Result:</Text>
-            <Text style={[styles.resultText, { fontSize: getDisplayLabel().length > 20 ? 18 : getDisplayLabel().length > 10 ? 24 : 36 }]}>{getDisplayLabel()}</Text>
+            {isQuestionMode && sanitizeQuestion(question) ? (
+              <Text style={styles.resultQuestion}>{sanitizeQuestion(question)}</Text>
+            ) : (
+              <Text style={styles.resultLabel}>{t('app.result')}</Text>
+            )}
+            <Text
+              style={[styles.resultText, { fontSize: getDisplayLabel().length > 20 ? 18 : getDisplayLabel().length > 10 ? 24 : 36 }]}
+              maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}
+            >
+              {getDisplayLabel()}
+            </Text>
+            {getResultOddsText() && (
+              <Text style={styles.resultOdds}>{getResultOddsText()}</Text>
+            )}
+            {vetoStory.map((line) => (
+              <Text key={line} style={styles.resultOdds}>{line}</Text>
+            ))}
+            {revealedFair && (
+              <Text style={styles.fairReveal} selectable={true}>
+                {t('app.fair.reveal', { seed: revealedFair.seed, hash: revealedFair.hash })}
+              </Text>
+            )}
           </View>
         )}
 
         {/* Action Buttons */}
         <View style={styles.buttonContainer}>
           <TouchableOpacity
-            onPress={flipCoin}
-            style={[styles.button, styles.flipButton, isFlipping && styles.buttonDisabled]}
-            disabled={isFlipping}
+            onPress={() => flipCoin()}
+            style={[styles.button, styles.flipButton, (isFlipping || !canFlip) && styles.buttonDisabled]}
+            disabled={isFlipping || !canFlip}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: isFlipping || !canFlip, busy: isFlipping }}
           >
-            <Text style={styles.buttonText}>
-              {isFlipping ? 'Flipping...' : 'Flip Coin'}
+            <Text style={[styles.buttonText, styles.flipButtonText]}>
+              {getFlipButtonText()}
             </Text>
           </TouchableOpacity>
 
@@ -408,26 +1898,56 @@ const App = () => {
               onPress={resetResult}
               style={[styles.button, styles.resetButton, isFlipping && styles.buttonDisabled]}
               disabled={isFlipping}
+              accessibilityRole="button"
+              accessibilityHint={t('app.resetHint')}
+              accessibilityState={{ disabled: isFlipping }}
+            >
+              <Text style={styles.buttonText}>{t('app.reset')}</Text>
+            </TouchableOpacity>
+          )}
+
+          {canVeto && (
+            <TouchableOpacity
+              onPress={vetoResult}
+              style={[styles.button, styles.vetoButton, vetoesLeft <= 0 && styles.buttonDisabled]}
+              disabled={vetoesLeft <= 0}
+              accessibilityRole="button"
+              accessibilityHint={t('app.veto.hint')}
+              accessibilityState={{ disabled: vetoesLeft <= 0 }}
             >
-              <Text style={styles.buttonText}>Reset</Text>
+              <Text style={styles.vetoButtonText}>
+                {vetoesLeft > 0 ? t('app.veto.button', { count: vetoesLeft }) : t('app.veto.none')}
+              </Text>
             </TouchableOpacity>
           )}
+
+          <View style={styles.linkRow}>
+            <TouchableOpacity
+              onPress={shareDecisionLink}
+              style={[styles.shareLinkButton, (isFlipping || !canFlip) && styles.buttonDisabled]}
+              disabled={isFlipping || !canFlip}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: isFlipping || !canFlip }}
+            >
+              <Text style={styles.shareLinkText}>{t('app.shareLink')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => setSessionVisible(true)}
+              style={styles.shareLinkButton}
+              accessibilityRole="button"
+            >
+              <Text style={styles.shareLinkText}>{t('app.flipTogether')}</Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Instructions */}
         <View style={styles.instructions}>
-          <Text style={styles.instructionText}>
-            • Tap "Flip Coin" or flick the coin upward to flip
-          </Text>
-          <Text style={styles.instructionText}>
-            • Flick your phone upward to toss the coin
-          </Text>
-          <Text style={styles.instructionText}>
-            • Shake device or tap "Reset" to clear result
-          </Text>
-          <Text style={styles.instructionText}>
-            • View history to see last 10 flips
-          </Text>
+          {INSTRUCTIONS.map((key) => (
+            <Text key={key} style={styles.instructionText}>
+              {`• ${t(`app.instructions.${key}`, { count: VETOES_PER_SESSION })}`}
+            </Text>
+          ))}
         </View>
       </ScrollView>
 
@@ -435,20 +1955,57 @@ const App = () => {
       <HistoryPanel
         visible={historyVisible}
         onClose={() => setHistoryVisible(false)}
+        onRerun={rerunDecision}
+      />
+
+      {/* Flip-together session */}
+      <SessionPanel
+        visible={sessionVisible}
+        onClose={() => setSessionVisible(false)}
+        session={session}
+        error={sessionError}
+        onHost={hostSession}
+        onJoin={joinSession}
+        onLeave={leaveSession}
+      />
+
+      {/* Settings Panel */}
+      <SettingsPanel
+        visible={settingsVisible}
+        onClose={() => setSettingsVisible(false)}
+        settings={gestureSettings}
+        onChange={setGestureSettingsState}
+      />
+
+      <CoinFaceEditor
+        visible={faceEditorVisible}
+        onClose={() => setFaceEditorVisible(false)}
+        faces={coinFaces}
+        labels={{
+          a: resolveSideLabel('A', customSideA, customSideB),
+          b: resolveSideLabel('B', customSideA, customSideB),
+        }}
+        onChange={handleCoinFacesChange}
+      />
+
+      <UndoSnackbar
+        undo={resetUndo}
+        onUndo={undoReset}
+        onExpire={() => setResetUndo(null)}
       />
       </SafeAreaView>
     </GestureHandlerRootView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   root: {
     flex: 1,
-    backgroundColor: '#2C3A47',
+    backgroundColor: theme.background,
   },
   container: {
     flex: 1,
-    backgroundColor: '#2C3A47',
+    backgroundColor: theme.background,
   },
   scrollContent: {
     flexGrow: 1,
@@ -463,72 +2020,150 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 28,
     fontWeight: 'bold',
-    color: '#3b4c5c',
+    color: theme.text,
     textTransform: 'uppercase',
     flexShrink: 1,
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   historyButton: {
     paddingVertical: 8,
     paddingHorizontal: 16,
-    backgroundColor: '#3ECFAC',
+    backgroundColor: theme.accent,
     borderRadius: 4,
   },
   historyButtonText: {
     fontSize: 16,
-    color: '#FFFFFF',
+    color: theme.onAccent,
+    fontWeight: '600',
+  },
+  sessionBanner: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: theme.accent,
+    marginBottom: 16,
+  },
+  sessionBannerText: {
+    fontSize: 14,
     fontWeight: '600',
+    color: theme.accent,
+    textAlign: 'center',
   },
   modeToggle: {
-    flexDirection: 'row',
-    backgroundColor: '#1E2A34',
+    flexGrow: 0,
+    backgroundColor: theme.surface,
     borderRadius: 12,
-    padding: 4,
     marginBottom: 20,
+  },
+  modeToggleContent: {
+    flexGrow: 1,
+    padding: 4,
     gap: 8,
   },
   modeButton: {
-    flex: 1,
+    flexGrow: 1,
     paddingVertical: 12,
+    paddingHorizontal: 14,
     alignItems: 'center',
     borderRadius: 8,
     borderWidth: 1.5,
-    borderColor: '#3ECFAC',
+    borderColor: theme.accent,
     backgroundColor: 'transparent',
   },
   modeButtonActive: {
-    backgroundColor: '#3ECFAC',
+    backgroundColor: theme.accent,
   },
   modeButtonActiveCustom: {
-    backgroundColor: '#3ECFAC',
+    backgroundColor: theme.accent,
   },
   modeButtonText: {
-    fontSize: 16,
-    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: 14,
+    color: theme.textFaint,
     fontWeight: '600',
   },
   modeButtonTextActive: {
-    color: '#FFFFFF',
+    color: theme.onAccent,
   },
   customInputs: {
     marginBottom: 20,
   },
+  faceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  faceSummary: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.textMuted,
+    marginRight: 12,
+  },
+  faceButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    borderWidth: 1.5,
+    borderColor: theme.accent,
+  },
+  faceButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+  },
   inputGroup: {
     marginBottom: 16,
   },
+  inputLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
   inputLabel: {
     fontSize: 16,
     fontWeight: '600',
-    color: '#FFFFFF',
-    marginBottom: 8,
+    color: theme.text,
+  },
+  weightRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  weightLabel: {
+    fontSize: 14,
+    color: theme.textMuted,
+    marginRight: 8,
+  },
+  weightInput: {
+    width: 52,
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    paddingVertical: 6,
+    fontSize: 16,
+    textAlign: 'center',
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  weightPercent: {
+    width: 52,
+    fontSize: 14,
+    color: theme.textMuted,
+    textAlign: 'right',
   },
   input: {
     borderWidth: 1,
-    borderColor: '#3D4F5F',
+    borderColor: theme.border,
     borderRadius: 12,
     padding: 16,
     fontSize: 16,
-    backgroundColor: '#1E2A34',
-    color: '#FFFFFF',
+    backgroundColor: theme.surface,
+    color: theme.text,
     minHeight: 80,
     textAlignVertical: 'top',
   },
@@ -537,21 +2172,96 @@ const styles = StyleSheet.create({
     marginVertical: 20,
     paddingVertical: 20,
     paddingHorizontal: 16,
-    backgroundColor: '#1E2A34',
+    backgroundColor: theme.surface,
     borderRadius: 16,
     width: '100%',
   },
   resultLabel: {
     fontSize: 16,
-    color: 'rgba(255, 255, 255, 0.6)',
+    color: theme.textMuted,
+    marginBottom: 8,
+  },
+  resultQuestion: {
+    fontSize: 16,
+    fontStyle: 'italic',
+    color: theme.textSecondary,
+    textAlign: 'center',
     marginBottom: 8,
   },
   resultText: {
     fontWeight: 'bold',
-    color: '#FFFFFF',
+    color: theme.text,
     textTransform: 'uppercase',
     textAlign: 'center',
   },
+  formatRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  formatChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.surface,
+  },
+  formatChipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  formatChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  formatChipTextActive: {
+    color: theme.onAccent,
+  },
+  formatHint: {
+    fontSize: 12,
+    color: theme.textFaint,
+    marginTop: -12,
+    marginBottom: 20,
+  },
+  fairCard: {
+    marginBottom: 20,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+  },
+  fairHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  fairTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  fairText: {
+    fontSize: 12,
+    color: theme.textMuted,
+    marginTop: 8,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  fairReveal: {
+    fontSize: 11,
+    color: theme.textFaint,
+    marginTop: 10,
+    textAlign: 'center',
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  resultOdds: {
+    fontSize: 14,
+    color: theme.textMuted,
+    marginTop: 10,
+    textAlign: 'center',
+  },
   buttonContainer: {
     marginTop: 20,
     gap: 12,
@@ -565,31 +2275,69 @@ const styles = StyleSheet.create({
     minHeight: 56,
   },
   flipButton: {
-    backgroundColor: '#3ECFAC',
+    backgroundColor: theme.accent,
   },
   resetButton: {
-    backgroundColor: '#3D4F5F',
+    backgroundColor: theme.raised,
+  },
+  vetoButton: {
+    borderWidth: 1.5,
+    borderColor: theme.danger,
+  },
+  vetoButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.danger,
   },
   buttonDisabled: {
     opacity: 0.5,
   },
+  linkRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+  },
+  shareLinkButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  shareLinkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+  },
   buttonText: {
     fontSize: 18,
     fontWeight: '600',
-    color: '#FFFFFF',
+    color: theme.text,
+  },
+  flipButtonText: {
+    color: theme.onAccent,
   },
   instructions: {
     marginTop: 40,
     padding: 20,
-    backgroundColor: '#1E2A34',
+    backgroundColor: theme.surface,
     borderRadius: 12,
   },
   instructionText: {
     fontSize: 14,
-    color: 'rgba(255, 255, 255, 0.6)',
+    color: theme.textMuted,
     marginBottom: 8,
     lineHeight: 20,
   },
 });
 
+/**
+ * App root: the main screen inside the theme and language
+ * (see components/ThemeProvider and components/LocaleProvider)
+ */
+const App = () => (
+  <LocaleProvider>
+    <ThemeProvider>
+      <DecisionCoin />
+    </ThemeProvider>
+  </LocaleProvider>
+);
+
 export default App;
@@ -0,0 +1,10 @@
+// Node-backed stand-in for the native expo-crypto module
+const crypto = require('crypto');
+
+module.exports = {
+  CryptoDigestAlgorithm: { SHA1: 'SHA-1', SHA256: 'SHA-256' },
+  CryptoEncoding: { HEX: 'hex', BASE64: 'base64' },
+  digestStringAsync: async (algorithm, text, options = {}) =>
+    crypto.createHash(algorithm.replace('-', '').toLowerCase()).update(text).digest(options.encoding || 'hex'),
+  getRandomValues: (array) => crypto.randomFillSync(array),
+};
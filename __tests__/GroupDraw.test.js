@@ -0,0 +1,47 @@
+import React from 'react';
+import { render, act } from '@testing-library/react-native';
+import GroupDraw from '../components/GroupDraw';
+import { drawGroupOutcome, MAX_ROSTER_SIZE } from '../utils/roster';
+import { LANDING_TIMEOUT } from '../utils/decisionEngine';
+
+const names = Array.from({ length: MAX_ROSTER_SIZE }, (_, index) => `Name ${index + 1}`);
+
+/**
+ * Render a draw and return how long it took to report its landing
+ */
+const timeDraw = (group) => {
+  const onDrawEnd = jest.fn();
+  render(<GroupDraw group={group} names={group.names} isDrawing={true} onDrawEnd={onDrawEnd} />);
+
+  let elapsed = 0;
+  while (onDrawEnd.mock.calls.length === 0 && elapsed < 2 * LANDING_TIMEOUT) {
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    elapsed += 100;
+  }
+  return onDrawEnd.mock.calls.length === 1 ? elapsed : Infinity;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('GroupDraw', () => {
+  it('picks from 50 names inside the landing timeout', () => {
+    const group = drawGroupOutcome('pick', names, undefined, () => MAX_ROSTER_SIZE - 1);
+    expect(timeDraw(group)).toBeLessThan(LANDING_TIMEOUT);
+  });
+
+  it('orders 50 names inside the landing timeout', () => {
+    expect(timeDraw(drawGroupOutcome('order', names))).toBeLessThan(LANDING_TIMEOUT);
+  });
+
+  it('deals 50 names into teams inside the landing timeout', () => {
+    expect(timeDraw(drawGroupOutcome('teams', names, 5))).toBeLessThan(LANDING_TIMEOUT);
+  });
+});
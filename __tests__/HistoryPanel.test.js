@@ -0,0 +1,93 @@
+import React from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react-native';
+import HistoryPanel from '../components/HistoryPanel';
+import { saveFlipToHistory, getHistory } from '../utils/storage';
+
+jest.mock('expo-file-system', () => ({ File: jest.fn(), Paths: {} }));
+jest.mock('expo-sharing', () => ({ isAvailableAsync: jest.fn(), shareAsync: jest.fn() }));
+jest.mock('expo-document-picker', () => ({ getDocumentAsync: jest.fn() }));
+
+const renderPanel = (props = {}) =>
+  render(<HistoryPanel visible={true} onClose={jest.fn()} onRerun={jest.fn()} {...props} />);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('HistoryPanel', () => {
+  it('shows the empty state', async () => {
+    renderPanel();
+
+    expect(await screen.findByText('No flip history yet')).toBeTruthy();
+  });
+
+  it('lists saved flips with their details', async () => {
+    await saveFlipToHistory('Heads', { mode: 'default' });
+    await saveFlipToHistory('Pizza', {
+      mode: 'custom',
+      options: ['Pizza', 'Tacos'],
+      weights: [3, 1],
+    });
+    await saveFlipToHistory('Tails', {
+      mode: 'default',
+      series: { bestOf: 3, scores: [1, 2], flips: [0, 1, 1] },
+    });
+
+    renderPanel();
+
+    expect(await screen.findByText('Pizza')).toBeTruthy();
+    expect(screen.getByText('Heads')).toBeTruthy();
+    expect(screen.getByText(/Odds: Pizza 75%/)).toBeTruthy();
+    expect(screen.getByText('Best of 3 · won 2–1')).toBeTruthy();
+  });
+
+  it('shows questions with their answer and group draws in full', async () => {
+    await saveFlipToHistory('No', {
+      mode: 'question',
+      options: ['Yes', 'No'],
+      weights: [1, 1],
+      question: 'Should we ship Friday?',
+    });
+    await saveFlipToHistory('2 teams', {
+      mode: 'group',
+      group: { mode: 'teams', names: ['Ana', 'Ben', 'Cy'], teams: [['Cy', 'Ana'], ['Ben']] },
+    });
+
+    renderPanel();
+
+    expect(await screen.findByText('Should we ship Friday? → No')).toBeTruthy();
+    expect(screen.getByText('Team 1: Cy, Ana')).toBeTruthy();
+    expect(screen.getByText('Team 2: Ben')).toBeTruthy();
+  });
+
+  it('clears history with an undo snackbar', async () => {
+    await saveFlipToHistory('Heads');
+    renderPanel();
+
+    fireEvent.press(await screen.findByText('Clear History'));
+
+    expect(await screen.findByText('History cleared')).toBeTruthy();
+    expect(screen.getByText('No flip history yet')).toBeTruthy();
+
+    fireEvent.press(screen.getByText('UNDO'));
+
+    expect(await screen.findByText('Heads')).toBeTruthy();
+    expect(await getHistory()).toHaveLength(1);
+  });
+
+  it('does not render when hidden', () => {
+    renderPanel({ visible: false });
+
+    expect(screen.queryByText('Flip History')).toBeNull();
+  });
+
+  it('switches to the stats tab', async () => {
+    await saveFlipToHistory('Heads', { mode: 'default' });
+    renderPanel();
+
+    fireEvent.press(await screen.findByText('Stats'));
+
+    await waitFor(() => expect(screen.getByText('Streaks')).toBeTruthy());
+  });
+});
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Text, TouchableOpacity } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { render, screen, fireEvent } from '@testing-library/react-native';
+import LocaleProvider, { useTranslation, useLanguageSetting } from '../components/LocaleProvider';
+import { getLanguage, setLanguage } from '../utils/i18n';
+import { setLanguageSetting } from '../utils/storage';
+
+jest.mock('expo-localization', () => ({ useLocales: () => [{ languageCode: 'en' }] }));
+
+const Ready = () => {
+  const { t, language } = useTranslation();
+  const { updateLanguageSetting } = useLanguageSetting();
+  return (
+    <TouchableOpacity onPress={() => updateLanguageSetting('en')}>
+      <Text>{`${language}: ${t('app.ready')}`}</Text>
+    </TouchableOpacity>
+  );
+};
+
+const renderProvider = () => render(<LocaleProvider><Ready /></LocaleProvider>);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  setLanguage('en');
+});
+
+describe('LocaleProvider', () => {
+  it('shows the saved language once it loads', async () => {
+    await setLanguageSetting('es');
+    renderProvider();
+
+    expect(await screen.findByText('es: Lista')).toBeTruthy();
+    expect(getLanguage()).toBe('es');
+  });
+
+  it('switches everything using it when the setting changes', async () => {
+    await setLanguageSetting('es');
+    renderProvider();
+
+    fireEvent.press(await screen.findByText('es: Lista'));
+
+    expect(await screen.findByText('en: Ready')).toBeTruthy();
+    expect(getLanguage()).toBe('en');
+  });
+
+  it('leaves the language alone while rendering', () => {
+    const Probe = () => <Text>{getLanguage()}</Text>;
+    setLanguage('es');
+    // Renders with the language t() reads now; the switch to the resolved one comes after
+    render(<LocaleProvider><Probe /></LocaleProvider>);
+
+    expect(screen.getByText('es')).toBeTruthy();
+    expect(getLanguage()).toBe('en');
+  });
+});
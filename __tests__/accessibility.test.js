@@ -0,0 +1,48 @@
+import { AccessibilityInfo } from 'react-native';
+import { announce, getResultAnnouncement, subscribeToReduceMotion } from '../utils/accessibility';
+
+describe('result announcements', () => {
+  it('reads the result with what is shown alongside it', () => {
+    expect(getResultAnnouncement({ label: 'Tails' })).toBe('Result: Tails');
+    expect(getResultAnnouncement({ label: 'Pizza', details: ['60% chance', null, ''] }))
+      .toBe('Result: Pizza. 60% chance');
+  });
+
+  it('reads the question before its answer', () => {
+    expect(getResultAnnouncement({ label: 'No', question: 'Should we ship Friday?' }))
+      .toBe('Should we ship Friday? No');
+    expect(getResultAnnouncement({ label: 'Yes', question: 'Ship Friday' })).toBe('Ship Friday: Yes');
+  });
+
+  it('skips empty messages', () => {
+    const spy = jest.spyOn(AccessibilityInfo, 'announceForAccessibility').mockImplementation(() => {});
+
+    announce('  ');
+    announce('Flipping...');
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledWith('Flipping...');
+    spy.mockRestore();
+  });
+});
+
+describe('reduce motion', () => {
+  it('reports the current setting and its changes until unsubscribed', async () => {
+    let listener;
+    const remove = jest.fn();
+    jest.spyOn(AccessibilityInfo, 'isReduceMotionEnabled').mockResolvedValue(true);
+    jest.spyOn(AccessibilityInfo, 'addEventListener').mockImplementation((event, callback) => {
+      listener = callback;
+      return { remove };
+    });
+    const onChange = jest.fn();
+
+    const unsubscribe = subscribeToReduceMotion(onChange);
+    await Promise.resolve();
+    listener(false);
+    unsubscribe();
+
+    expect(onChange.mock.calls).toEqual([[true], [false]]);
+    expect(remove).toHaveBeenCalled();
+  });
+});
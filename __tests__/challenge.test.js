@@ -0,0 +1,32 @@
+import { sanitizeChallenge, getNextChallenge, getVetoedChallenge, describeChallenge } from '../utils/challenge';
+
+describe('challenge', () => {
+  it('chains vetoes back to the first flip', () => {
+    const first = { id: 'a1', side: 'Pizza' };
+    const second = { id: 'b2', side: 'Tacos', challenge: getNextChallenge(first) };
+    const third = getNextChallenge(second);
+
+    expect(getVetoedChallenge(first)).toEqual({ id: 'a1', step: 0, overturned: [] });
+    expect(second.challenge).toEqual({ id: 'a1', step: 1, overturned: ['Pizza'] });
+    expect(third).toEqual({ id: 'a1', step: 2, overturned: ['Pizza', 'Tacos'] });
+    expect(getVetoedChallenge(second)).toEqual(second.challenge);
+  });
+
+  it('tells the story in history', () => {
+    expect(describeChallenge({ side: 'Tacos', challenge: { id: 'a1', step: 1, overturned: ['Pizza'] } }))
+      .toEqual(['After a veto: Pizza ✕ → Tacos']);
+    expect(describeChallenge({
+      side: 'Sushi',
+      vetoed: true,
+      challenge: { id: 'a1', step: 2, overturned: ['Pizza', 'Tacos'] },
+    })).toEqual(['After 2 vetoes: Pizza ✕ → Tacos ✕ → Sushi', 'Vetoed · flipped again']);
+    expect(describeChallenge({ side: 'Heads' })).toEqual([]);
+  });
+
+  it('cleans stored challenges', () => {
+    expect(sanitizeChallenge({ id: 'a1', step: -1, overturned: ['Pizza', 3] }))
+      .toEqual({ id: 'a1', step: 0, overturned: ['Pizza'] });
+    expect(sanitizeChallenge({ step: 1 })).toBeNull();
+    expect(sanitizeChallenge('a1')).toBeNull();
+  });
+});
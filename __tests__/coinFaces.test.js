@@ -0,0 +1,61 @@
+import {
+  sanitizeCoinFace,
+  sanitizeCoinFaces,
+  isDefaultCoin,
+  describeCoinFace,
+  canRender3D,
+  DEFAULT_COIN_FACES,
+} from '../utils/coinFaces';
+
+describe('sanitizeCoinFace', () => {
+  it('keeps valid faces', () => {
+    expect(sanitizeCoinFace({ type: 'skin', skin: 'chip' })).toEqual({ type: 'skin', skin: 'chip' });
+    expect(sanitizeCoinFace({ type: 'label', extra: 1 })).toEqual({ type: 'label' });
+    expect(sanitizeCoinFace({ type: 'photo', file: 'face.jpg' })).toEqual({ type: 'photo', file: 'face.jpg' });
+  });
+
+  it('keeps only the file name of older photo faces', () => {
+    expect(sanitizeCoinFace({ type: 'photo', uri: 'file:///var/mobile/Containers/Data/1234/Documents/coin-faces/face.jpg' }))
+      .toEqual({ type: 'photo', file: 'face.jpg' });
+  });
+
+  it('falls back to the quarter for unknown or incomplete faces', () => {
+    expect(sanitizeCoinFace(null)).toEqual({ type: 'quarter' });
+    expect(sanitizeCoinFace({ type: 'hologram' })).toEqual({ type: 'quarter' });
+    expect(sanitizeCoinFace({ type: 'skin', skin: 'doubloon' })).toEqual({ type: 'quarter' });
+    expect(sanitizeCoinFace({ type: 'photo' })).toEqual({ type: 'quarter' });
+    expect(sanitizeCoinFace({ type: 'photo', file: '../secrets.json' })).toEqual({ type: 'quarter' });
+  });
+});
+
+describe('coins', () => {
+  it('fills in both sides', () => {
+    expect(sanitizeCoinFaces(undefined)).toEqual(DEFAULT_COIN_FACES);
+    expect(sanitizeCoinFaces({ b: { type: 'label' } })).toEqual({
+      a: { type: 'quarter' },
+      b: { type: 'label' },
+      model: 'classic',
+    });
+    expect(sanitizeCoinFaces({ model: 'doubloon' }).model).toBe('classic');
+    expect(sanitizeCoinFaces({ model: 'chip' }).model).toBe('chip');
+  });
+
+  it('knows the default coin', () => {
+    expect(isDefaultCoin(DEFAULT_COIN_FACES)).toBe(true);
+    expect(isDefaultCoin({ a: { type: 'skin', skin: 'gold' } })).toBe(false);
+    expect(isDefaultCoin({ model: 'token' })).toBe(false);
+  });
+
+  it('draws only textured faces in 3D', () => {
+    expect(canRender3D(DEFAULT_COIN_FACES)).toBe(true);
+    expect(canRender3D({ a: { type: 'photo', file: 'x.png' }, model: 'chip' })).toBe(true);
+    expect(canRender3D({ b: { type: 'label' } })).toBe(false);
+    expect(canRender3D({ a: { type: 'skin', skin: 'gold' } })).toBe(false);
+  });
+
+  it('describes faces for display', () => {
+    expect(describeCoinFace({ type: 'skin', skin: 'euro' })).toBe('Euro');
+    expect(describeCoinFace({ type: 'photo', file: 'x.png' })).toBe('Photo');
+    expect(describeCoinFace({})).toBe('Quarter');
+  });
+});
@@ -0,0 +1,393 @@
+import {
+  createDecisionEngine,
+  resolveSideLabel,
+  isSecondFace,
+  getCustomLabels,
+  getOptionLabels,
+  getChoices,
+  getHistoryDetails,
+  getDecisionAt,
+  LANDING_TIMEOUT,
+  MATCH_PAUSE,
+  systemClock,
+} from '../utils/decisionEngine';
+import { FAIR_ALGORITHM } from '../utils/provablyFair';
+import { setLanguage } from '../utils/i18n';
+
+/**
+ * drawInt that returns scripted values in order (mod the range)
+ */
+const scriptedDraws = (values) => {
+  let position = 0;
+  return (maxExclusive) => values[position++ % values.length] % maxExclusive;
+};
+
+/**
+ * Clock that resolves sleeps immediately and records them
+ */
+const fakeClock = () => {
+  const sleeps = [];
+  return { sleeps, sleep: async (ms) => { sleeps.push(ms); } };
+};
+
+/**
+ * Clock whose sleeps never finish, so only a landing can end a wait
+ */
+const stoppedClock = () => ({ sleep: () => new Promise(() => {}) });
+
+/**
+ * Landing promise plus the function that lands it
+ */
+const deferredLanding = () => {
+  let land;
+  const promise = new Promise((resolve) => {
+    land = resolve;
+  });
+  return { promise, land };
+};
+
+const coinInput = { mode: 'default' };
+const customInput = {
+  mode: 'custom',
+  customSideA: '  Pizza ',
+  customSideB: '',
+  customWeightA: 3,
+  customWeightB: 1,
+  presetId: 'preset-1',
+};
+const multiInput = {
+  mode: 'multi',
+  options: [
+    { label: 'Red', weight: 1 },
+    { label: ' ', weight: 1 },
+    { label: 'Blue', weight: 2 },
+  ],
+};
+
+describe('labels', () => {
+  it('resolves A/B to trimmed custom labels with fallbacks', () => {
+    expect(resolveSideLabel('A', '  Pizza ', 'Tacos')).toBe('Pizza');
+    expect(resolveSideLabel('B', 'Pizza', '   ')).toBe('B');
+    expect(resolveSideLabel('Heads', 'Pizza', 'Tacos')).toBe('Heads');
+  });
+
+  it('knows which sides show the second coin face', () => {
+    expect(isSecondFace('Tails')).toBe(true);
+    expect(isSecondFace('B')).toBe(true);
+    expect(isSecondFace('Heads')).toBe(false);
+    expect(isSecondFace('Option 1')).toBe(false);
+  });
+
+  it('fills empty labels', () => {
+    expect(getCustomLabels('', 'No')).toEqual(['A', 'No']);
+    expect(getOptionLabels(multiInput.options)).toEqual(['Red', 'Option 2', 'Blue']);
+  });
+
+  it('stores empty options in English and marks them built-in', () => {
+    setLanguage('es');
+    try {
+      expect(getOptionLabels(multiInput.options)).toEqual(['Red', 'Option 2', 'Blue']);
+      expect(getChoices(multiInput).builtInLabels).toEqual(['Option 2']);
+    } finally {
+      setLanguage('en');
+    }
+  });
+
+  it('snapshots labels, weights and faces per mode', () => {
+    expect(getChoices(coinInput)).toEqual({
+      labels: ['Heads', 'Tails'],
+      weights: [1, 1],
+      faces: ['Heads', 'Tails'],
+      builtInLabels: ['Heads', 'Tails'],
+    });
+    expect(getChoices(customInput)).toEqual({
+      labels: ['Pizza', 'B'],
+      weights: [3, 1],
+      faces: ['A', 'B'],
+      builtInLabels: [],
+    });
+    expect(getChoices(multiInput).faces).toEqual(['Red', 'Option 2', 'Blue']);
+    expect(getChoices({ mode: 'question', answers: ['Yes', 'No'] })).toEqual({
+      labels: ['Yes', 'No'],
+      weights: [1, 1],
+      faces: ['A', 'B'],
+      builtInLabels: [],
+    });
+    expect(getChoices({ mode: 'question', answers: ['Yes', 'No', 'Maybe'] }).faces).toEqual(['Yes', 'No', 'Maybe']);
+  });
+
+  it('marks only answers from a built-in answer set as built-in', () => {
+    expect(getChoices({ mode: 'question', answerSet: 'yesno', answers: ['Yes', 'No'] }).builtInLabels).toEqual(['Yes', 'No']);
+    expect(getChoices({ mode: 'question', answerSet: 'custom', answers: ['Yes', 'No'] }).builtInLabels).toEqual([]);
+    expect(getChoices(customInput).builtInLabels).toEqual([]);
+  });
+});
+
+describe('decide', () => {
+  it('maps weighted tickets to results', async () => {
+    // Custom weights 3:1 give tickets 0-2 to A and 3 to B
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([2, 3]) });
+    const first = await engine.decide(customInput);
+    const second = await engine.decide(customInput);
+
+    expect(first).toMatchObject({ index: 0, side: 'A', label: 'Pizza', presetId: 'preset-1' });
+    expect(first.odds).toEqual({ labels: ['Pizza', 'B'], weights: [3, 1], index: 0 });
+    expect(second).toMatchObject({ index: 1, side: 'B', label: 'B' });
+  });
+
+  it('has no odds for plain coin flips', async () => {
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([1]) });
+    const decision = await engine.decide(coinInput);
+
+    expect(decision).toMatchObject({ side: 'Tails', label: 'Tails', odds: null, presetId: null });
+  });
+
+  it('derives fair results from the commitment seed', async () => {
+    const drawInt = jest.fn(() => 0);
+    const engine = createDecisionEngine({ drawInt });
+    const commitment = { seed: 'abc123', hash: 'hash' };
+
+    const first = await engine.decide(multiInput, commitment);
+    const again = await engine.decide(multiInput, commitment);
+
+    expect(drawInt).not.toHaveBeenCalled();
+    expect(again.index).toBe(first.index);
+    expect(first.fair).toEqual({ ...commitment, index: first.index, algorithm: FAIR_ALGORITHM });
+  });
+});
+
+describe('flip', () => {
+  it('calls onStart with the decision, then waits for the landing', async () => {
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([3]), clock: stoppedClock() });
+    const landing = deferredLanding();
+    const onStart = jest.fn(() => landing.promise);
+    let finished = false;
+
+    const flipping = engine.flip(multiInput, { onStart }).then((decision) => {
+      finished = true;
+      return decision;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(onStart).toHaveBeenCalled();
+    expect(finished).toBe(false);
+
+    landing.land();
+    const decision = await flipping;
+
+    expect(onStart).toHaveBeenCalledWith(decision);
+    expect(decision.label).toBe('Blue');
+  });
+
+  it('stops waiting for a landing that never comes', async () => {
+    const clock = fakeClock();
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0]), clock });
+
+    await engine.flip(coinInput, { onStart: () => new Promise(() => {}) });
+
+    expect(clock.sleeps).toEqual([LANDING_TIMEOUT]);
+  });
+
+  it('clears the landing timeout once the animation lands', async () => {
+    jest.useFakeTimers();
+    try {
+      const engine = createDecisionEngine({ drawInt: scriptedDraws([0]), clock: systemClock });
+
+      await engine.flip(coinInput, { onStart: () => Promise.resolve() });
+
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('does not wait without an animation', async () => {
+    const clock = fakeClock();
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0]), clock });
+
+    await engine.flip(coinInput);
+
+    expect(clock.sleeps).toEqual([]);
+  });
+});
+
+describe('play', () => {
+  it('animates a decision drawn elsewhere without drawing again', async () => {
+    const drawInt = jest.fn(() => 0);
+    const engine = createDecisionEngine({ drawInt, clock: fakeClock() });
+    const decision = getDecisionAt(customInput, 1);
+    const onStart = jest.fn(async () => {});
+
+    await expect(engine.play(decision, { onStart })).resolves.toBe(decision);
+
+    expect(onStart).toHaveBeenCalledWith(decision);
+    expect(drawInt).not.toHaveBeenCalled();
+  });
+});
+
+describe('playRun', () => {
+  it('plays a series until one side has a majority', async () => {
+    const clock = fakeClock();
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0, 1, 1, 1]), clock });
+    const onFlip = jest.fn(() => Promise.resolve());
+    const onScore = jest.fn();
+
+    const decision = await engine.playRun(coinInput, { format: 'series', bestOf: 3, onFlip, onScore });
+
+    expect(decision.series).toEqual({ bestOf: 3, scores: [1, 2], flips: [0, 1, 1] });
+    expect(decision).toMatchObject({ side: 'Tails', label: 'Tails', odds: null });
+    expect(onFlip.mock.calls.map(([flip]) => flip.side)).toEqual(['Heads', 'Tails', 'Tails']);
+    expect(onScore).toHaveBeenCalledTimes(3);
+    // Each flip raced its landing against the timeout, then paused
+    expect(clock.sleeps).toEqual([
+      LANDING_TIMEOUT, MATCH_PAUSE,
+      LANDING_TIMEOUT, MATCH_PAUSE,
+      LANDING_TIMEOUT, MATCH_PAUSE,
+    ]);
+  });
+
+  it('runs a bracket down to one champion', async () => {
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0]), clock: fakeClock() });
+    const onFlip = jest.fn();
+
+    const decision = await engine.playRun(multiInput, { format: 'bracket', onFlip });
+    const rounds = decision.bracket.rounds;
+
+    // Three options: one match plus a bye, then the final
+    expect(rounds).toHaveLength(2);
+    expect(onFlip).toHaveBeenCalledTimes(2);
+    onFlip.mock.calls.forEach(([flip]) => expect(['A', 'B']).toContain(flip.side));
+    expect(rounds[1][0].winner).toBe(decision.index);
+    expect(decision.label).toBe(getOptionLabels(multiInput.options)[decision.index]);
+  });
+});
+
+describe('drawGroup', () => {
+  const roster = { mode: 'group', names: ['Ana', ' Ben ', '', 'Cy', 'Dee'], rosterId: 'roster-1' };
+
+  it('picks one person and waits for the landing', async () => {
+    const clock = fakeClock();
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([2]), clock });
+    const onStart = jest.fn(() => Promise.resolve());
+
+    const decision = await engine.drawGroup({ ...roster, groupMode: 'pick' }, { onStart });
+
+    expect(onStart).toHaveBeenCalledWith(decision);
+    expect(decision).toMatchObject({ mode: 'group', label: 'Cy', side: 'Cy', odds: null });
+    expect(decision.group).toEqual({ mode: 'pick', names: ['Ana', 'Ben', 'Cy', 'Dee'], picked: 2, rosterId: 'roster-1' });
+    expect(clock.sleeps).toEqual([LANDING_TIMEOUT]);
+  });
+
+  it('headlines orders and team splits', async () => {
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0]) });
+
+    const order = await engine.drawGroup({ ...roster, groupMode: 'order' });
+    const teams = await engine.drawGroup({ ...roster, groupMode: 'teams', teamCount: 2 });
+
+    expect(order.label).toBe(`${order.group.order[0]} goes first`);
+    expect(teams.label).toBe('2 teams');
+    expect(teams.group.teams.flat().sort()).toEqual(['Ana', 'Ben', 'Cy', 'Dee']);
+  });
+
+  it('rejects rosters that are too small', async () => {
+    const engine = createDecisionEngine();
+
+    await expect(engine.drawGroup({ groupMode: 'pick', names: ['Ana'] })).rejects.toThrow();
+  });
+
+  it('records the whole outcome without odds', async () => {
+    const save = jest.fn(async () => true);
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([1]), save });
+
+    const decision = await engine.drawGroup({ groupMode: 'pick', names: ['Ana', 'Ben'] });
+    await engine.record(decision);
+
+    expect(save).toHaveBeenCalledWith('Ben', {
+      mode: 'group',
+      group: { mode: 'pick', names: ['Ana', 'Ben'], picked: 1 },
+    });
+  });
+});
+
+describe('getDecisionAt', () => {
+  it('builds the decision for an index drawn elsewhere', () => {
+    expect(getDecisionAt(customInput, 0)).toMatchObject({
+      index: 0,
+      side: 'A',
+      label: 'Pizza',
+      mode: 'custom',
+      presetId: 'preset-1',
+      fair: null,
+    });
+    expect(getDecisionAt(multiInput, 2)).toMatchObject({ side: 'Blue', label: 'Blue' });
+  });
+
+  it('rebuilds group picks but no other group draws', () => {
+    const roster = { mode: 'group', names: ['Ana', 'Ben'], rosterId: 'roster-1' };
+
+    expect(getDecisionAt({ ...roster, groupMode: 'pick' }, 1)).toMatchObject({
+      label: 'Ben',
+      group: { mode: 'pick', names: ['Ana', 'Ben'], picked: 1, rosterId: 'roster-1' },
+    });
+    expect(getDecisionAt({ ...roster, groupMode: 'order' }, 0)).toBeNull();
+  });
+
+  it('rejects indices outside the choices', () => {
+    expect(getDecisionAt(coinInput, 2)).toBeNull();
+    expect(getDecisionAt(coinInput, -1)).toBeNull();
+    expect(getDecisionAt(coinInput, '1')).toBeNull();
+  });
+});
+
+describe('record', () => {
+  it('saves the label with mode-specific details', async () => {
+    const save = jest.fn(async () => true);
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([0]), save });
+
+    await engine.record(await engine.decide(coinInput));
+    await engine.record(await engine.decide(customInput));
+
+    expect(save).toHaveBeenNthCalledWith(1, 'Heads', { mode: 'default' });
+    expect(save).toHaveBeenNthCalledWith(2, 'Pizza', {
+      mode: 'custom',
+      options: ['Pizza', 'B'],
+      weights: [3, 1],
+      presetId: 'preset-1',
+    });
+  });
+
+  it('saves the question next to the answer', async () => {
+    const save = jest.fn(async () => true);
+    const engine = createDecisionEngine({ drawInt: scriptedDraws([1]), save });
+    const input = { mode: 'question', question: '  Should we ship\nFriday? ', answers: ['Yes', 'No'] };
+
+    const decision = await engine.decide(input);
+    await engine.record(decision);
+
+    expect(decision).toMatchObject({ side: 'B', label: 'No', question: 'Should we ship Friday?' });
+    expect(save).toHaveBeenCalledWith('No', {
+      mode: 'question',
+      options: ['Yes', 'No'],
+      weights: [1, 1],
+      question: 'Should we ship Friday?',
+    });
+  });
+
+  it('swallows save failures', async () => {
+    const save = jest.fn(async () => {
+      throw new Error('disk full');
+    });
+    const engine = createDecisionEngine({ save });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(engine.record(await engine.decide(coinInput))).resolves.toBe(false);
+    console.error.mockRestore();
+  });
+
+  it('includes series data in grouped entries', () => {
+    const details = getHistoryDetails({
+      mode: 'default',
+      series: { bestOf: 3, scores: [2, 0], flips: [0, 0] },
+    });
+    expect(details).toEqual({ mode: 'default', series: { bestOf: 3, scores: [2, 0], flips: [0, 0] } });
+  });
+});
@@ -0,0 +1,115 @@
+import { parseDecisionLink, buildDecisionLink } from '../utils/deepLinks';
+
+describe('parseDecisionLink', () => {
+  it('opens custom sides from the app scheme', () => {
+    expect(parseDecisionLink('decisioncoin://flip?a=Pizza&b=Tacos&auto=1')).toEqual({
+      choice: {
+        mode: 'custom',
+        customSideA: 'Pizza',
+        customSideB: 'Tacos',
+        customWeightA: 1,
+        customWeightB: 1,
+        presetId: null,
+      },
+      auto: true,
+    });
+  });
+
+  it('reads universal links, encoded text and weights', () => {
+    const link = parseDecisionLink(
+      'https://decisioncoin.appwarehouse.io/open/flip?a=Fish+%26+chips&b=Pad%20Thai&wa=3&wb=1#top'
+    );
+
+    expect(link.auto).toBe(false);
+    expect(link.choice).toMatchObject({
+      customSideA: 'Fish & chips',
+      customSideB: 'Pad Thai',
+      customWeightA: 3,
+      customWeightB: 1,
+    });
+  });
+
+  it('caps labels at the same 150 characters as the inputs', () => {
+    const link = parseDecisionLink(`decisioncoin://flip?a=${'x'.repeat(300)}&b=B`);
+
+    expect(link.choice.customSideA).toHaveLength(150);
+  });
+
+  it('opens every mode', () => {
+    expect(parseDecisionLink('decisioncoin://flip').choice).toEqual({ mode: 'default' });
+    expect(parseDecisionLink('decisioncoin://spin?o=Red&o=Blue&o=Green&w=2&w=&w=1').choice).toEqual({
+      mode: 'multi',
+      options: [
+        { label: 'Red', weight: 2 },
+        { label: 'Blue', weight: 1 },
+        { label: 'Green', weight: 1 },
+      ],
+    });
+    expect(parseDecisionLink('decisioncoin://ask?q=Ship+it%3F').choice).toEqual({
+      mode: 'question',
+      question: 'Ship it?',
+      answers: ['Yes', 'No'],
+      answerSet: 'yesno',
+    });
+    expect(parseDecisionLink('decisioncoin://ask?o=Yes&o=No').choice.answerSet).toBe('custom');
+    expect(parseDecisionLink('decisioncoin://draw?n=Ana&n=Ben&n=Cy&n=Dee&m=teams&t=2').choice).toEqual({
+      mode: 'group',
+      groupMode: 'teams',
+      names: ['Ana', 'Ben', 'Cy', 'Dee'],
+      teamCount: 2,
+      rosterId: null,
+    });
+  });
+
+  it('ignores anything that is not a usable decision link', () => {
+    expect(parseDecisionLink('https://decisioncoin.appwarehouse.io/privacy.html')).toBeNull();
+    expect(parseDecisionLink('exp+decision-coin://expo-development-client/?url=x')).toBeNull();
+    expect(parseDecisionLink('decisioncoin://settings')).toBeNull();
+    expect(parseDecisionLink('decisioncoin://spin?o=Only')).toBeNull();
+    expect(parseDecisionLink('decisioncoin://draw?n=Ana&m=pick')).toBeNull();
+    expect(parseDecisionLink(`decisioncoin://flip?a=${'x'.repeat(9000)}`)).toBeNull();
+    expect(parseDecisionLink(null)).toBeNull();
+  });
+
+  it('skips malformed parameters instead of failing', () => {
+    expect(parseDecisionLink('decisioncoin://flip?a=%E0%A4%A&b=Tacos').choice).toMatchObject({
+      customSideA: '',
+      customSideB: 'Tacos',
+    });
+  });
+});
+
+describe('buildDecisionLink', () => {
+  it('builds tappable links that open the same setup', () => {
+    const choice = {
+      mode: 'custom',
+      customSideA: 'Fish & chips',
+      customSideB: 'Tacos?',
+      customWeightA: 2,
+      customWeightB: 1,
+      presetId: 'preset-1',
+    };
+
+    const url = buildDecisionLink(choice);
+
+    expect(url).toBe('https://decisioncoin.appwarehouse.io/open/flip?a=Fish%20%26%20chips&b=Tacos%3F&wa=2&wb=1');
+    // Presets are local to each phone, so links don't carry them
+    expect(parseDecisionLink(url).choice).toEqual({ ...choice, presetId: null });
+  });
+
+  it('round-trips every mode through the app scheme', () => {
+    const choices = [
+      { mode: 'default' },
+      { mode: 'multi', options: [{ label: 'Red', weight: 1 }, { label: 'Blue', weight: 1 }] },
+      { mode: 'question', question: 'Lunch out?', answers: ['Yes', 'No', 'Maybe'], answerSet: 'yesnomaybe' },
+      { mode: 'question', question: 'Lunch out?', answers: ['Yes', 'No', 'Maybe'], answerSet: 'custom' },
+      { mode: 'group', groupMode: 'order', names: ['Ana', 'Ben'], teamCount: 2, rosterId: null },
+    ];
+
+    choices.forEach((choice) => {
+      const url = buildDecisionLink(choice, { auto: true, web: false });
+      expect(url.startsWith('decisioncoin://')).toBe(true);
+      expect(parseDecisionLink(url)).toEqual({ choice, auto: true });
+    });
+  });
+});
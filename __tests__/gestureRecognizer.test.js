@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  classifyWindow,
+  countShakeSwings,
+  createGestureRecognizer,
+  createTraceRecorder,
+  findFlickRises,
+  FLICK_SETTLE_MS,
+  GESTURE_WINDOW_MS,
+} from '../utils/gestureRecognizer';
+import { DEFAULT_GESTURE_SETTINGS } from '../utils/gestures';
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'gestures');
+
+/**
+ * Load a sample trace: { description, source, intervalMs, expected, samples: [[x, y, z, t?], ...] }
+ * source is 'device' for readings shared from the calibration view, 'synthetic'
+ * for hand-written ones. Device readings carry their own time t; synthetic
+ * ones are intervalMs apart.
+ */
+const loadFixture = (name) => {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+};
+
+/**
+ * Stream a trace through a fresh recognizer and collect what it reports
+ */
+const replay = (fixture, settings = DEFAULT_GESTURE_SETTINGS) => {
+  const recognizer = createGestureRecognizer(() => settings);
+  const gestures = [];
+  fixture.samples.forEach(([x, y, z, t], index) => {
+    const gesture = recognizer.push({ x, y, z }, t === undefined ? index * fixture.intervalMs : t);
+    if (gesture) {
+      gestures.push(gesture);
+    }
+  });
+  return gestures;
+};
+
+/**
+ * Timed samples from [x, y, z] triples at 50ms spacing
+ */
+const toSamples = (triples) => triples.map(([x, y, z], index) => ({ x, y, z, t: index * 50 }));
+
+const fixtureNames = fs.readdirSync(FIXTURE_DIR).filter((name) => name.endsWith('.json'));
+
+describe('sample traces', () => {
+  it('has fixtures to replay, each saying where it came from', () => {
+    expect(fixtureNames.length).toBeGreaterThan(0);
+    fixtureNames.forEach((name) => {
+      expect(['device', 'synthetic']).toContain(loadFixture(name).source);
+    });
+  });
+
+  it.each(fixtureNames)('%s', (name) => {
+    const fixture = loadFixture(name);
+    expect(replay(fixture)).toEqual(fixture.expected);
+  });
+
+  it('reports nothing for a gesture that is turned off', () => {
+    const settings = { ...DEFAULT_GESTURE_SETTINGS, flickEnabled: false, shakeEnabled: false };
+
+    expect(replay(loadFixture('flick.json'), settings)).toEqual([]);
+    expect(replay(loadFixture('shake.json'), settings)).toEqual([]);
+  });
+
+  it('never turns a vertical shake into a flick, even with shaking off', () => {
+    const settings = { ...DEFAULT_GESTURE_SETTINGS, shakeEnabled: false };
+
+    expect(replay(loadFixture('vertical-shake.json'), settings)).toEqual([]);
+  });
+});
+
+describe('createTraceRecorder', () => {
+  it('shares readings as a fixture that replays the same way', () => {
+    const flick = loadFixture('flick.json');
+    const recorder = createTraceRecorder();
+    // Uneven spacing, as a real sensor delivers it
+    flick.samples.forEach(([x, y, z], index) => recorder.push({ x, y, z }, 5000 + index * 50 + (index % 3)));
+
+    const fixture = JSON.parse(recorder.toJson());
+    expect(fixture).toMatchObject({ source: 'device', expected: [] });
+    expect(fixture.samples[0]).toEqual([...flick.samples[0], 0]);
+    expect(fixture.samples[2][3]).toBe(102);
+    expect(replay(fixture)).toEqual(['flick']);
+  });
+
+  it('keeps only the last few seconds', () => {
+    const recorder = createTraceRecorder();
+    expect(recorder.toJson()).toBeNull();
+
+    for (let t = 0; t <= 20000; t += 50) {
+      recorder.push({ x: 0, y: -1, z: 0 }, t);
+    }
+    const { samples } = JSON.parse(recorder.toJson());
+    expect(samples).toHaveLength(201);
+    expect(samples[samples.length - 1][3]).toBe(10000);
+  });
+});
+
+describe('findFlickRises', () => {
+  it('ignores the rebound back up to rest', () => {
+    const samples = toSamples([
+      [0, -0.7, -0.7], [0, -0.7, -0.7], [0, 0.6, -0.7], [0, -1.8, -0.7], [0, -0.7, -0.7], [0, -0.7, -0.7],
+    ]);
+
+    const { rises, maxRise } = findFlickRises(samples, 0.8);
+    expect(rises).toEqual([100]);
+    expect(maxRise).toBeCloseTo(1.3);
+  });
+});
+
+describe('countShakeSwings', () => {
+  it('counts alternating swings on the busiest axis', () => {
+    const samples = toSamples([
+      [1, 0, 0], [-1, 0, 0], [1, 0, 0], [-1, 0, 0], [0.1, 0, 0],
+    ]);
+
+    const { swings, force } = countShakeSwings(samples, 0.5);
+    expect(swings).toBe(4);
+    expect(force).toBeCloseTo(2.02);
+  });
+});
+
+describe('classifyWindow', () => {
+  const flick = toSamples([[0, -0.7, -0.7], [0, 0.6, -0.7], [0, -0.7, -0.7]]);
+
+  it('waits for a lone rise to settle before calling it a flick', () => {
+    expect(classifyWindow(flick, DEFAULT_GESTURE_SETTINGS, 50)).toBe('pending');
+    expect(classifyWindow(flick, DEFAULT_GESTURE_SETTINGS, 50 + FLICK_SETTLE_MS)).toBe('flick');
+  });
+
+  it('treats too few samples as noise', () => {
+    expect(classifyWindow([], DEFAULT_GESTURE_SETTINGS)).toBe('noise');
+  });
+});
+
+describe('createGestureRecognizer', () => {
+  it('stays quiet for a window after reporting a gesture', () => {
+    const recognizer = createGestureRecognizer(() => DEFAULT_GESTURE_SETTINGS);
+    const swing = (x, t) => recognizer.push({ x, y: 0, z: -1 }, t);
+
+    const reported = [1, -1, 1, -1].map((x, index) => swing(x, index * 50));
+    expect(reported).toEqual([null, null, null, 'shake']);
+
+    // The tail of the same shake is ignored
+    expect([1, -1, 1, -1].map((x, index) => swing(x, 200 + index * 50))).toEqual([null, null, null, null]);
+    expect(swing(1, 150 + GESTURE_WINDOW_MS)).toBeNull();
+  });
+
+  it('skips malformed readings', () => {
+    const recognizer = createGestureRecognizer(() => DEFAULT_GESTURE_SETTINGS);
+
+    expect(recognizer.push({ x: NaN, y: 0, z: 0 }, 0)).toBeNull();
+    expect(recognizer.getLevels()).toEqual({ rise: 0, force: 1, swings: 0 });
+  });
+});
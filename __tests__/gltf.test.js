@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { parseGlb, readModelParts } from '../utils/gltf';
+
+const readModel = (name) => {
+  const file = fs.readFileSync(path.join(__dirname, '..', 'assets', 'models', `${name}.glb`));
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+};
+
+/**
+ * Assemble a .glb from a JSON document and binary chunk bytes
+ */
+const buildGlb = (json, binBytes) => {
+  const text = JSON.stringify(json);
+  // Chunks are 4-byte aligned; JSON is padded with spaces
+  const jsonBytes = Buffer.from(text.padEnd(Math.ceil(text.length / 4) * 4, ' '));
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  const chunk = (type, bytes) => {
+    const chunkHeader = Buffer.alloc(8);
+    chunkHeader.writeUInt32LE(bytes.length, 0);
+    chunkHeader.writeUInt32LE(type, 4);
+    return Buffer.concat([chunkHeader, bytes]);
+  };
+  const file = Buffer.concat([header, chunk(0x4e4f534a, jsonBytes), chunk(0x004e4942, Buffer.from(binBytes))]);
+  file.writeUInt32LE(file.length, 8);
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+};
+
+// One triangle: three VEC3 float positions, 36 bytes
+const triangle = (bufferView, accessor = {}) => ({
+  asset: { version: '2.0' },
+  meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+  accessors: [{ bufferView: 0, componentType: 5126, type: 'VEC3', count: 3, ...accessor }],
+  bufferViews: [{ buffer: 0, byteLength: 36, ...bufferView }],
+});
+
+describe('parseGlb', () => {
+  it('rejects files that are not glTF binaries', () => {
+    expect(() => parseGlb(new ArrayBuffer(32))).toThrow('Not a glTF binary file');
+  });
+
+  it('splits out the JSON and binary chunks', () => {
+    const { json, bin, binOffset } = parseGlb(readModel('coin'));
+
+    expect(json.asset.version).toBe('2.0');
+    expect(bin).not.toBeNull();
+    expect(binOffset).toBeGreaterThan(20);
+  });
+});
+
+describe('malformed models', () => {
+  it('reports a truncated file instead of reading past its end', () => {
+    const model = readModel('coin');
+
+    expect(() => readModelParts(model.slice(0, model.byteLength - 100))).toThrow(/truncated/);
+  });
+
+  it('reads a well-formed triangle', () => {
+    const [part] = readModelParts(buildGlb(triangle({}), new Uint8Array(36)));
+    expect(part.positions).toHaveLength(9);
+  });
+
+  it('rejects buffer views and accessors outside the binary chunk', () => {
+    const bin = new Uint8Array(36);
+
+    expect(() => readModelParts(buildGlb(triangle({ byteOffset: 4 }), bin))).toThrow('Buffer view 0 ends past the binary chunk (36 bytes)');
+    expect(() => readModelParts(buildGlb(triangle({}, { count: 4 }), bin))).toThrow('Accessor 0 reads past the end of buffer view 0');
+    expect(() => readModelParts(buildGlb(triangle({ byteStride: 16 }), bin))).toThrow(/reads past the end/);
+    expect(() => readModelParts(buildGlb(triangle({}, { bufferView: 3 }), bin))).toThrow('Accessor 0 has no buffer view');
+    expect(() => readModelParts(buildGlb(triangle({}, { count: -1 }), bin))).toThrow(/invalid/);
+  });
+});
+
+describe('bundled coin models', () => {
+  it.each([
+    ['coin', ['face_a', 'face_b', 'edge']],
+    ['token', ['face_a', 'face_b', 'edge']],
+    ['chip', ['face_a', 'face_b', 'edge', 'edge_accent']],
+  ])('%s has every part with complete geometry', (name, expectedParts) => {
+    const parts = readModelParts(readModel(name));
+
+    expect(parts.map((part) => part.part)).toEqual(expectedParts);
+    parts.forEach(({ positions, normals, uvs, indices }) => {
+      const vertices = positions.length / 3;
+      expect(normals).toHaveLength(positions.length);
+      expect(uvs).toHaveLength(vertices * 2);
+      expect(indices.length % 3).toBe(0);
+      expect(Math.max(...indices)).toBeLessThan(vertices);
+    });
+  });
+
+  it('puts face A toward +z and keeps the coin a unit disc', () => {
+    const parts = readModelParts(readModel('coin'));
+    const faceA = parts.find((part) => part.part === 'face_a');
+    const faceB = parts.find((part) => part.part === 'face_b');
+    const zs = (part) => part.positions.filter((_, index) => index % 3 === 2);
+
+    expect(Math.min(...zs(faceA))).toBeGreaterThan(0);
+    expect(Math.max(...zs(faceB))).toBeLessThan(0);
+    expect(Math.max(...faceA.positions.map(Math.abs))).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,169 @@
+import { historyToCsv, historyToJson, parseCsv, parseHistoryExport } from '../utils/historyTransfer';
+
+const HASH = 'ab'.repeat(32);
+
+const entries = [
+  {
+    id: 'b2',
+    side: 'Tacos, "al pastor"',
+    timestamp: Date.UTC(2026, 0, 2, 12),
+    mode: 'custom',
+    options: ['Pizza', 'Tacos, "al pastor"'],
+    weights: [1, 2],
+    note: 'Line one\nline two',
+    question: 'Lunch?',
+  },
+  {
+    id: 'a1',
+    side: 'Heads',
+    timestamp: Date.UTC(2026, 0, 1, 12),
+    mode: 'default',
+    fair: { seed: 'f00d', hash: HASH, index: 0, algorithm: 'sha256-commit-v1' },
+  },
+];
+
+describe('CSV parser', () => {
+  it('handles quotes, escaped quotes and line breaks inside fields', () => {
+    expect(parseCsv('a,"b,c","say ""hi"""\r\n"multi\nline",x,\n')).toEqual([
+      ['a', 'b,c', 'say "hi"'],
+      ['multi\nline', 'x', ''],
+    ]);
+  });
+
+  it('skips blank rows and keeps a last row without a newline', () => {
+    expect(parseCsv('a,b\n\n,\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('round trip', () => {
+  it('reads back its own JSON export', () => {
+    const parsed = parseHistoryExport(historyToJson(entries));
+
+    expect(parsed).toMatchObject({ invalid: 0, error: null });
+    expect(parsed.entries).toEqual(entries);
+  });
+
+  it('reads back its own CSV export', () => {
+    const parsed = parseHistoryExport(historyToCsv(entries));
+
+    expect(parsed.error).toBeNull();
+    expect(parsed.entries[0]).toEqual({
+      side: entries[0].side,
+      timestamp: entries[0].timestamp,
+      mode: 'custom',
+      options: entries[0].options,
+      weights: [1, 2],
+      note: entries[0].note,
+      question: 'Lunch?',
+    });
+    expect(parsed.entries[1]).toEqual({ side: 'Heads', timestamp: entries[1].timestamp, mode: 'default' });
+  });
+
+  it('keeps labels and notes that start like formulas from running in a spreadsheet', () => {
+    const risky = [{
+      side: '=HYPERLINK("http://x","win")',
+      timestamp: Date.UTC(2026, 0, 3, 12),
+      mode: 'multi',
+      options: ['=HYPERLINK("http://x","win")', '@SUM(A1)', "'quoted"],
+      weights: [1, 1, 1],
+      note: '+1 then -1',
+    }];
+    const csv = historyToCsv(risky);
+    const [, row] = parseCsv(csv);
+
+    expect(row[1]).toBe('\'=HYPERLINK("http://x","win")');
+    expect(row[3].startsWith("'=")).toBe(true);
+    expect(row[6]).toBe("'+1 then -1");
+    expect(parseHistoryExport(csv).entries[0]).toEqual({
+      side: risky[0].side,
+      timestamp: risky[0].timestamp,
+      mode: 'multi',
+      options: risky[0].options,
+      weights: [1, 1, 1],
+      note: '+1 then -1',
+    });
+  });
+
+  it('accepts a bare array with epoch timestamps', () => {
+    const parsed = parseHistoryExport(JSON.stringify([{ side: 'Tails', timestamp: 1767268800000 }]));
+    expect(parsed.entries).toEqual([{ side: 'Tails', timestamp: 1767268800000 }]);
+  });
+});
+
+describe('parseHistoryExport', () => {
+  it('counts records it cannot use', () => {
+    const parsed = parseHistoryExport(JSON.stringify([
+      { side: 'Heads', timestamp: '2026-01-01T00:00:00Z' },
+      { side: '', timestamp: '2026-01-01T00:00:00Z' },
+      { side: 'Tails', timestamp: 'yesterday' },
+      'Heads',
+    ]));
+    expect(parsed.entries).toHaveLength(1);
+    expect(parsed.invalid).toBe(3);
+  });
+
+  it('reports unreadable files', () => {
+    expect(parseHistoryExport('').error).toBeTruthy();
+    expect(parseHistoryExport('{ nope').error).toBeTruthy();
+    expect(parseHistoryExport('{"entries": 3}').error).toBeTruthy();
+    expect(parseHistoryExport('when,what\n1,2').error).toBeTruthy();
+  });
+
+  it('cleans nested records and drops malformed ones', () => {
+    const [entry] = parseHistoryExport(JSON.stringify([{
+      side: 'Ana',
+      timestamp: 1767268800000,
+      fair: { seed: 'f00d', hash: 'not-a-hash', index: 0 },
+      series: { bestOf: 3, scores: [2, 1], flips: [0, 1, 0, 7, 0], extra: true },
+      bracket: { rounds: [[{ a: 0, b: 1, winner: 5 }]] },
+      group: { mode: 'teams', names: ['Ana', ' Ben ', 4], teams: [['Ana'], ['Ben'], 'Cy'], extra: true },
+    }])).entries;
+
+    expect(entry.fair).toBeUndefined();
+    expect(entry.series).toEqual({ bestOf: 3, scores: [2, 1], flips: [0, 1, 0] });
+    expect(entry.bracket).toBeUndefined();
+    expect(entry.group).toEqual({ mode: 'teams', names: ['Ana', 'Ben'], teams: [['Ana'], ['Ben']] });
+  });
+
+  it('holds imported records to the limits of the app\'s own inputs', () => {
+    const [entry] = parseHistoryExport(JSON.stringify([{
+      side: 'Heads',
+      timestamp: 1767268800000,
+      mode: '<script>',
+      options: ['x'.repeat(400), 'B'],
+      weights: [-5, 1e9],
+      note: `  ${'n'.repeat(2000)}  `,
+    }])).entries;
+
+    expect(entry.mode).toBeUndefined();
+    expect(entry.options).toEqual(['x'.repeat(150), 'B']);
+    expect(entry.weights).toBeUndefined();
+    expect(entry.note).toBe('n'.repeat(500));
+  });
+
+  it('drops option lists the app could not have written', () => {
+    const parse = (fields) => parseHistoryExport(JSON.stringify([{ side: 'A', timestamp: 1767268800000, ...fields }])).entries[0];
+
+    expect(parse({ options: Array.from({ length: 13 }, (_, index) => `O${index}`) }).options).toBeUndefined();
+    expect(parse({ options: ['Only'] }).options).toBeUndefined();
+    expect(parse({ options: ['A', 'B'], weights: [1, 2, 3] })).toEqual({
+      side: 'A',
+      timestamp: 1767268800000,
+      options: ['A', 'B'],
+    });
+    expect(parse({ options: ['A', 'B'], weights: [2.7, 1500] }).weights).toEqual([2, 999]);
+  });
+
+  it('keeps well-formed brackets and picks', () => {
+    const bracket = { rounds: [[{ a: 2, b: 0, winner: 0 }, { a: 1, b: null, winner: 1 }], [{ a: 0, b: 1, winner: 1 }]] };
+    const [entry] = parseHistoryExport(JSON.stringify([{
+      side: 'Ben',
+      timestamp: 1767268800000,
+      bracket,
+      group: { mode: 'pick', names: ['Ana', 'Ben'], picked: 1 },
+    }])).entries;
+
+    expect(entry.bracket).toEqual(bracket);
+    expect(entry.group).toEqual({ mode: 'pick', names: ['Ana', 'Ben'], picked: 1 });
+  });
+});
@@ -0,0 +1,116 @@
+import {
+  t,
+  setLanguage,
+  getLanguage,
+  resolveLanguage,
+  translateLabel,
+  translateEntryLabel,
+  formatRelativeTime,
+} from '../utils/i18n';
+import { describeRun } from '../utils/series';
+
+const NOW = Date.UTC(2024, 5, 15, 12, 0, 0);
+const MINUTE = 60000;
+
+describe('translations', () => {
+  afterEach(() => {
+    setLanguage('en');
+  });
+
+  it('fills in placeholders and picks the plural form from count', () => {
+    expect(t('group.goesFirst', { name: 'Ana' })).toBe('Ana goes first');
+    expect(t('history.imported', { count: 1 })).toBe('Added 1 flip.');
+    expect(t('history.imported', { count: 3 })).toBe('Added 3 flips.');
+
+    setLanguage('es');
+    expect(t('history.imported', { count: 1 })).toBe('Se añadió 1 tirada.');
+    expect(t('history.imported', { count: 0 })).toBe('Se añadieron 0 tiradas.');
+  });
+
+  it('falls back to English, then to the key', () => {
+    setLanguage('fr');
+    expect(getLanguage()).toBe('en');
+
+    setLanguage('es');
+    expect(t('no.such.message')).toBe('no.such.message');
+    expect(t('app.title')).toBe('Decision Coin');
+  });
+
+  it('follows the first device language it has, unless one was picked', () => {
+    const device = [{ languageCode: 'fr' }, { languageCode: 'es' }];
+
+    expect(resolveLanguage('system', device)).toBe('es');
+    expect(resolveLanguage('system', [{ languageCode: 'de' }])).toBe('en');
+    expect(resolveLanguage('system', null)).toBe('en');
+    expect(resolveLanguage('en', device)).toBe('en');
+    expect(resolveLanguage('klingon', device)).toBe('es');
+  });
+
+  it('shows built-in labels in the current language and leaves the user\'s own alone', () => {
+    setLanguage('es');
+
+    expect(translateLabel('Heads', ['Heads', 'Tails'])).toBe('Cara');
+    expect(translateLabel('Maybe', ['Yes', 'No', 'Maybe'])).toBe('Quizás');
+    expect(translateLabel('Pizza', ['Pizza'])).toBe('Pizza');
+  });
+
+  it('leaves a label the user typed alone even when it matches a built-in one', () => {
+    setLanguage('es');
+
+    expect(translateLabel('Yes')).toBe('Yes');
+    expect(translateEntryLabel({ mode: 'question', side: 'Yes' })).toBe('Yes');
+    expect(translateEntryLabel({ mode: 'question', side: 'Yes', builtInLabels: ['Yes', 'No'] })).toBe('Sí');
+    expect(translateEntryLabel({ mode: 'custom', side: 'Heads' })).toBe('Heads');
+  });
+
+  it('shows an empty option\'s fallback label in the current language', () => {
+    setLanguage('es');
+
+    expect(translateEntryLabel({ mode: 'multi', side: 'Option 2', builtInLabels: ['Option 2'] })).toBe('Opción 2');
+    expect(translateEntryLabel({ mode: 'multi', side: 'Option 2' })).toBe('Option 2');
+  });
+
+  it('keeps translating coin sides of entries saved before labels were marked', () => {
+    setLanguage('es');
+
+    expect(translateEntryLabel({ side: 'Heads' })).toBe('Cara');
+    expect(translateEntryLabel({ mode: 'default', side: 'Tails' })).toBe('Cruz');
+  });
+
+  it('describes stored history in the language shown now', () => {
+    const entry = { series: { bestOf: 3, scores: [1, 2] } };
+
+    expect(describeRun(entry)).toBe('Best of 3 · won 2–1');
+    setLanguage('es');
+    expect(describeRun(entry)).toBe('Al mejor de 3 · ganó 2–1');
+  });
+});
+
+describe('relative times', () => {
+  afterEach(() => {
+    setLanguage('en');
+  });
+
+  it('counts minutes, hours and days with the right plural', () => {
+    expect(formatRelativeTime(NOW - 10000, NOW)).toBe('Just now');
+    expect(formatRelativeTime(NOW - MINUTE, NOW)).toBe('1 minute ago');
+    expect(formatRelativeTime(NOW - 5 * MINUTE, NOW)).toBe('5 minutes ago');
+    expect(formatRelativeTime(NOW - 60 * MINUTE, NOW)).toBe('1 hour ago');
+    expect(formatRelativeTime(NOW - 3 * 24 * 60 * MINUTE, NOW)).toBe('3 days ago');
+  });
+
+  it('speaks Spanish after a switch', () => {
+    setLanguage('es');
+
+    expect(formatRelativeTime(NOW - 10000, NOW)).toBe('Ahora mismo');
+    expect(formatRelativeTime(NOW - MINUTE, NOW)).toBe('Hace 1 minuto');
+    expect(formatRelativeTime(NOW - 2 * 60 * MINUTE, NOW)).toBe('Hace 2 horas');
+  });
+
+  it('shows the date after a week, and copes with missing timestamps', () => {
+    const old = NOW - 30 * 24 * 60 * MINUTE;
+
+    expect(formatRelativeTime(old, NOW)).toBe(new Date(old).toLocaleDateString('en'));
+    expect(formatRelativeTime(undefined, NOW)).toBe('Unknown time');
+  });
+});
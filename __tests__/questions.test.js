@@ -0,0 +1,35 @@
+import {
+  sanitizeQuestion,
+  parseCustomAnswers,
+  getAnswers,
+  formatQuestionResult,
+  MAX_QUESTION_LENGTH,
+  MAX_ANSWERS,
+} from '../utils/questions';
+
+describe('questions', () => {
+  it('keeps questions to one trimmed line', () => {
+    expect(sanitizeQuestion('  Should we\n ship   Friday? ')).toBe('Should we ship Friday?');
+    expect(sanitizeQuestion('?'.repeat(500))).toHaveLength(MAX_QUESTION_LENGTH);
+    expect(sanitizeQuestion(undefined)).toBe('');
+  });
+
+  it('formats the question and answer for history', () => {
+    expect(formatQuestionResult('Should we ship Friday?', 'No')).toBe('Should we ship Friday? → No');
+    expect(formatQuestionResult('  ', 'Yes')).toBe('Yes');
+  });
+});
+
+describe('answer sets', () => {
+  it('offers the built-in sets', () => {
+    expect(getAnswers('yesno')).toEqual(['Yes', 'No']);
+    expect(getAnswers('yesnomaybe')).toEqual(['Yes', 'No', 'Maybe']);
+    expect(getAnswers('unknown')).toEqual(['Yes', 'No']);
+  });
+
+  it('parses custom answers', () => {
+    expect(getAnswers('custom', 'Now, Later\nNever,, ')).toEqual(['Now', 'Later', 'Never']);
+    expect(parseCustomAnswers(Array.from({ length: 20 }, (_, i) => `A${i}`).join(','))).toHaveLength(MAX_ANSWERS);
+    expect(getAnswers('custom', '')).toEqual([]);
+  });
+});
@@ -0,0 +1,178 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sanitizeLastChoice, DEFAULT_LAST_CHOICE } from '../utils/lastChoice';
+import {
+  describeLastChoice,
+  describeWidgetResult,
+  getWidgetChoice,
+  getWidgetState,
+  quickFlip,
+  recordWidgetFlips,
+} from '../utils/quickFlip';
+import { createDecisionEngine } from '../utils/decisionEngine';
+import { getLastChoice, setLastChoice, saveFlipToHistory, getHistory } from '../utils/storage';
+
+/**
+ * drawInt that returns scripted values in order (mod the range)
+ */
+const scriptedDraws = (values) => {
+  let position = 0;
+  return (maxExclusive) => values[position++ % values.length] % maxExclusive;
+};
+
+const customChoice = {
+  mode: 'custom',
+  customSideA: 'Pizza',
+  customSideB: 'Tacos',
+  customWeightA: 3,
+  customWeightB: 1,
+  presetId: 'preset-1',
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('last-used choice', () => {
+  it('keeps only what the engine reads', () => {
+    expect(sanitizeLastChoice({ ...customChoice, customSideA: 'x'.repeat(200), extra: true })).toEqual({
+      ...customChoice,
+      customSideA: 'x'.repeat(150),
+    });
+    expect(sanitizeLastChoice({ mode: 'multi', options: [{ id: 'o1', label: 'Red', weight: 2 }, { label: 'Blue' }] }))
+      .toEqual({ mode: 'multi', options: [{ label: 'Red', weight: 2 }, { label: 'Blue', weight: 1 }] });
+    expect(sanitizeLastChoice({ mode: 'question', question: ' Ship  it? ', answers: ['Yes', ' No ', ''] }))
+      .toEqual({ mode: 'question', question: 'Ship it?', answers: ['Yes', 'No'], answerSet: 'custom' });
+    expect(sanitizeLastChoice({ mode: 'question', question: '', answers: ['Yes', 'No'], answerSet: 'yesno' }).answerSet)
+      .toBe('yesno');
+    expect(sanitizeLastChoice({ mode: 'question', question: '', answers: ['Sure', 'No'], answerSet: 'yesno' }).answerSet)
+      .toBe('custom');
+    expect(sanitizeLastChoice({ mode: 'group', groupMode: 'teams', names: ['Ana', 'Ben', 'Cy', 'Dee'], teamCount: 9 }))
+      .toEqual({ mode: 'group', groupMode: 'teams', names: ['Ana', 'Ben', 'Cy', 'Dee'], teamCount: 4, rosterId: null });
+  });
+
+  it('falls back to a plain coin flip for choices it cannot use', () => {
+    expect(sanitizeLastChoice(null)).toBe(DEFAULT_LAST_CHOICE);
+    expect(sanitizeLastChoice({ mode: 'multi', options: [{ label: 'Only' }] })).toBe(DEFAULT_LAST_CHOICE);
+    expect(sanitizeLastChoice({ mode: 'question', answers: ['Yes'] })).toBe(DEFAULT_LAST_CHOICE);
+    expect(sanitizeLastChoice({ mode: 'group', groupMode: 'pick', names: ['Ana'] })).toBe(DEFAULT_LAST_CHOICE);
+  });
+
+  it('is saved and read back sanitized', async () => {
+    expect(await getLastChoice()).toEqual(DEFAULT_LAST_CHOICE);
+
+    await setLastChoice({ ...customChoice, options: [] });
+
+    expect(await getLastChoice()).toEqual(customChoice);
+  });
+});
+
+describe('widget text', () => {
+  it('summarizes each kind of choice', () => {
+    expect(describeLastChoice(DEFAULT_LAST_CHOICE)).toBe('Heads or Tails');
+    expect(describeLastChoice({ ...customChoice, customSideB: '' })).toBe('Pizza or B');
+    expect(describeLastChoice({ mode: 'question', question: '', answers: ['Yes', 'No'] })).toBe('Yes / No');
+    expect(describeLastChoice({ mode: 'group', groupMode: 'teams', names: ['a', 'b', 'c', 'd'], teamCount: 2 }))
+      .toBe('2 teams from 4 people');
+  });
+
+  it('shows questions with their answer', () => {
+    expect(describeWidgetResult({ side: 'No', question: 'Ship Friday?' })).toBe('Ship Friday? → No');
+    expect(describeWidgetResult({ side: 'Heads' })).toBe('Heads');
+    expect(describeWidgetResult(null)).toBeNull();
+  });
+
+  it('gives native widgets labels and tickets to draw from', () => {
+    expect(getWidgetChoice(customChoice)).toEqual({
+      choice: customChoice,
+      title: 'Pizza or Tacos',
+      labels: ['Pizza', 'Tacos'],
+      tickets: [3, 1],
+    });
+    // Orders and teams can't be drawn natively
+    expect(getWidgetChoice({ mode: 'group', groupMode: 'order', names: ['Ana', 'Ben'] }).labels).toEqual([]);
+  });
+});
+
+describe('quickFlip', () => {
+  it('flips the last-used choice and saves it like any flip', async () => {
+    const save = jest.fn(async () => true);
+    await setLastChoice(customChoice);
+
+    const decision = await quickFlip(createDecisionEngine({ drawInt: scriptedDraws([3]), save }));
+
+    expect(decision.label).toBe('Tacos');
+    expect(save).toHaveBeenCalledWith('Tacos', {
+      mode: 'custom',
+      options: ['Pizza', 'Tacos'],
+      weights: [3, 1],
+      presetId: 'preset-1',
+    });
+  });
+
+  it('draws from a roster for group choices', async () => {
+    const save = jest.fn(async () => true);
+    await setLastChoice({ mode: 'group', groupMode: 'pick', names: ['Ana', 'Ben'] });
+
+    const decision = await quickFlip(createDecisionEngine({ drawInt: scriptedDraws([1]), save }));
+
+    expect(decision.label).toBe('Ben');
+    expect(save).toHaveBeenCalledWith('Ben', expect.objectContaining({ mode: 'group' }));
+  });
+
+  it('feeds the widget state from history', async () => {
+    await setLastChoice({ mode: 'question', question: 'Ship Friday?', answers: ['Yes', 'No'] });
+    await quickFlip(createDecisionEngine({ drawInt: scriptedDraws([1]) }));
+
+    expect(await getWidgetState()).toMatchObject({ title: 'Ship Friday?', result: 'Ship Friday? → No' });
+  });
+});
+
+describe('recordWidgetFlips', () => {
+  it('saves the flips queued by a native widget, oldest first', async () => {
+    await saveFlipToHistory('Heads', { mode: 'default' });
+
+    const saved = await recordWidgetFlips([
+      { choice: customChoice, index: 0 },
+      { choice: { mode: 'default' }, index: 1 },
+    ]);
+
+    expect(saved).toBe(2);
+    const history = await getHistory();
+    expect(history.map((entry) => entry.side)).toEqual(['Tails', 'Pizza', 'Heads']);
+    expect(history[1]).toMatchObject({ mode: 'custom', weights: [3, 1], presetId: 'preset-1' });
+  });
+
+  it('keeps the time each flip was drawn', async () => {
+    const drawnAt = Date.now() - 3600000;
+
+    await recordWidgetFlips([
+      { choice: { mode: 'default' }, index: 0, timestamp: drawnAt },
+      { choice: { mode: 'default' }, index: 1, timestamp: Date.now() + 3600000 },
+      { choice: { mode: 'default' }, index: 1, timestamp: 'soon' },
+    ]);
+
+    const [garbled, future, past] = await getHistory();
+    expect(past.timestamp).toBe(drawnAt);
+    expect(future.timestamp).toBeLessThanOrEqual(Date.now());
+    expect(garbled.timestamp).toBeGreaterThan(drawnAt);
+  });
+
+  it('skips flips that do not fit their choice', async () => {
+    const save = jest.fn(async () => true);
+
+    const saved = await recordWidgetFlips(
+      [
+        { choice: customChoice, index: 5 },
+        { index: 0 },
+        { choice: { mode: 'multi', options: [] }, index: 0 },
+        { choice: { mode: 'group', groupMode: 'teams', names: ['Ana', 'Ben', 'Cy', 'Dee'] }, index: 0 },
+        null,
+      ],
+      createDecisionEngine({ save })
+    );
+
+    expect(saved).toBe(0);
+    expect(save).not.toHaveBeenCalled();
+    expect(await recordWidgetFlips('not a list')).toBe(0);
+  });
+});
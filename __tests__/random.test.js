@@ -0,0 +1,75 @@
+import {
+  randomInt,
+  randomHex,
+  setRandomSource,
+  getRandomSource,
+  secureSource,
+  RandomSourceError,
+} from '../utils/random';
+import { createCommitment } from '../utils/provablyFair';
+import { createDecisionEngine } from '../utils/decisionEngine';
+
+/**
+ * Source that hands out scripted words in order
+ */
+const scriptedSource = (words) => {
+  let position = 0;
+  return {
+    name: 'scripted',
+    fillUint32: (array) => {
+      for (let i = 0; i < array.length; i++) {
+        array[i] = words[position++ % words.length];
+      }
+      return array;
+    },
+  };
+};
+
+const brokenSource = {
+  name: 'broken',
+  fillUint32: () => {
+    throw new Error('native module unavailable');
+  },
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setRandomSource(secureSource);
+  jest.restoreAllMocks();
+});
+
+describe('random source', () => {
+  it('draws from the injected source and rejects the biased top block', () => {
+    // 2^32 - 1 is in the partial block for a range of 3, so it is drawn again
+    setRandomSource(scriptedSource([0xffffffff, 7]));
+
+    expect(randomInt(3)).toBe(1);
+  });
+
+  it('keeps the current source when given something that is not one', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(setRandomSource({ name: 'nothing' })).toBe(false);
+    expect(getRandomSource()).toBe(secureSource);
+  });
+
+  it('fails a draw when the source throws instead of falling back', () => {
+    setRandomSource(brokenSource);
+
+    expect(() => randomInt(2)).toThrow(RandomSourceError);
+    expect(() => randomHex(32)).toThrow('Random source "broken" failed');
+    // Later draws fail too: nothing switched to a weaker source
+    expect(getRandomSource()).toBe(brokenSource);
+    expect(() => randomInt(2)).toThrow(RandomSourceError);
+  });
+
+  it('refuses a provably fair seed and a flip without the source', async () => {
+    setRandomSource(brokenSource);
+
+    await expect(createCommitment()).rejects.toBeInstanceOf(RandomSourceError);
+    await expect(createDecisionEngine().decide({ mode: 'default' })).rejects.toBeInstanceOf(RandomSourceError);
+  });
+});
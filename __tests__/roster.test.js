@@ -0,0 +1,95 @@
+import {
+  getRosterNames,
+  parseRosterText,
+  sanitizeTeamCount,
+  canDrawGroup,
+  drawGroupOutcome,
+  getGroupLabel,
+  describeGroupOutcome,
+  MAX_NAME_LENGTH,
+} from '../utils/roster';
+
+/**
+ * drawInt that returns scripted values in order (mod the range)
+ */
+const scriptedDraws = (values) => {
+  let position = 0;
+  return (maxExclusive) => values[position++ % values.length] % maxExclusive;
+};
+
+const names = ['Ana', 'Ben', 'Cy', 'Dee', 'Eli'];
+
+describe('roster names', () => {
+  it('trims, drops blanks and caps length', () => {
+    expect(getRosterNames([' Ana ', '', 7, 'Ben'])).toEqual(['Ana', 'Ben']);
+    expect(getRosterNames(['x'.repeat(100)])[0]).toHaveLength(MAX_NAME_LENGTH);
+    expect(getRosterNames(null)).toEqual([]);
+  });
+
+  it('parses one name per line or comma separated', () => {
+    expect(parseRosterText('Ana\nBen, Cy\n\n')).toEqual(['Ana', 'Ben', 'Cy']);
+  });
+});
+
+describe('team counts', () => {
+  it('clamps between two teams and one person per team', () => {
+    expect(sanitizeTeamCount(undefined, 5)).toBe(2);
+    expect(sanitizeTeamCount(9, 5)).toBe(5);
+    expect(sanitizeTeamCount(3, 5)).toBe(3);
+  });
+
+  it('needs at least two people for any draw', () => {
+    expect(canDrawGroup('pick', ['Ana'])).toBe(false);
+    expect(canDrawGroup('pick', ['Ana', 'Ben'])).toBe(true);
+    expect(canDrawGroup('raffle', names)).toBe(false);
+  });
+});
+
+describe('drawGroupOutcome', () => {
+  it('picks one person', () => {
+    const group = drawGroupOutcome('pick', names, undefined, scriptedDraws([3]));
+
+    expect(group).toEqual({ mode: 'pick', names, picked: 3 });
+    expect(getGroupLabel(group)).toBe('Dee');
+  });
+
+  it('shuffles everyone into an order', () => {
+    const group = drawGroupOutcome('order', names, undefined, scriptedDraws([0]));
+
+    expect([...group.order].sort()).toEqual([...names].sort());
+    expect(getGroupLabel(group)).toBe(`${group.order[0]} goes first`);
+  });
+
+  it('splits into balanced teams', () => {
+    const group = drawGroupOutcome('teams', names, 3, scriptedDraws([4, 1, 2, 0]));
+    const sizes = group.teams.map((team) => team.length);
+
+    expect(group.teams).toHaveLength(3);
+    expect(Math.max(...sizes) - Math.min(...sizes)).toBeLessThanOrEqual(1);
+    expect(group.teams.flat().sort()).toEqual([...names].sort());
+  });
+
+  it('throws when the roster is too small', () => {
+    expect(() => drawGroupOutcome('teams', ['Ana'], 2)).toThrow();
+  });
+});
+
+describe('describeGroupOutcome', () => {
+  it('lists the full outcome', () => {
+    expect(describeGroupOutcome({ mode: 'pick', names: ['Ana', 'Ben'], picked: 0 })).toEqual([
+      'Picked 1 of 2: Ana, Ben',
+    ]);
+    expect(describeGroupOutcome({ mode: 'order', names, order: ['Ben', 'Ana'] })).toEqual([
+      'Order: 1. Ben  2. Ana',
+    ]);
+    expect(describeGroupOutcome({ mode: 'teams', names, teams: [['Ana'], ['Ben']] })).toEqual([
+      'Team 1: Ana',
+      'Team 2: Ben',
+    ]);
+  });
+
+  it('ignores malformed outcomes', () => {
+    expect(describeGroupOutcome(null)).toEqual([]);
+    expect(describeGroupOutcome({ mode: 'teams', names })).toEqual([]);
+  });
+});
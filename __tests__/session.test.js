@@ -0,0 +1,197 @@
+import net from 'net';
+import WebSocket from 'ws';
+import { Buffer } from 'buffer';
+import { encodeFrame, decodeFrame, getHandshakeKey, getAcceptKey } from '../utils/webSocketServer';
+import {
+  createSessionHost,
+  createSessionGuest,
+  parseSessionMessage,
+  parseSessionAddress,
+  sanitizeParticipantName,
+} from '../utils/session';
+
+/**
+ * Resolve once a condition holds (messages arrive asynchronously over the socket)
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('WebSocket framing', () => {
+  it('accepts the handshake from the RFC 6455 example', async () => {
+    const request = [
+      'GET /chat HTTP/1.1',
+      'Host: server.example.com',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+    ].join('\r\n');
+
+    const key = getHandshakeKey(request);
+
+    expect(key).toBe('dGhlIHNhbXBsZSBub25jZQ==');
+    expect(await getAcceptKey(key)).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    expect(getHandshakeKey('GET / HTTP/1.1\r\nHost: x')).toBeNull();
+  });
+
+  it('unmasks client frames and waits for partial ones', () => {
+    // "Hello", masked, from RFC 6455 section 5.7
+    const frame = Buffer.from([0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+
+    expect(decodeFrame(frame.slice(0, 6))).toBeNull();
+    const decoded = decodeFrame(frame);
+    expect(decoded).toMatchObject({ fin: true, opcode: 1, masked: true, size: 11 });
+    expect(decoded.payload.toString('utf8')).toBe('Hello');
+  });
+
+  it('round-trips long messages', () => {
+    const text = 'é'.repeat(30000);
+    const decoded = decodeFrame(encodeFrame(1, Buffer.from(text, 'utf8')));
+
+    expect(decoded.payload.toString('utf8')).toBe(text);
+  });
+
+  it('rejects oversized frames', () => {
+    expect(() => decodeFrame(Buffer.from([0x81, 127, 0, 0, 0, 1, 0, 0, 0, 0]))).toThrow('Frame too large');
+  });
+});
+
+describe('session messages', () => {
+  it('validates flips against their choice', () => {
+    const choice = { mode: 'custom', customSideA: 'Pizza', customSideB: 'Tacos', customWeightA: 1, customWeightB: 1 };
+
+    expect(parseSessionMessage(JSON.stringify({ type: 'flip', flipId: 1, choice, index: 1 }))).toMatchObject({
+      type: 'flip',
+      choice: { customSideA: 'Pizza' },
+      index: 1,
+    });
+    expect(parseSessionMessage(JSON.stringify({ type: 'flip', flipId: 1, choice, index: 2 }))).toBeNull();
+    expect(parseSessionMessage(JSON.stringify({ type: 'flip', flipId: 1, choice: { mode: 'multi' }, index: 0 })))
+      .toBeNull();
+    expect(parseSessionMessage('not json')).toBeNull();
+    expect(parseSessionMessage(JSON.stringify({ type: 'kick' }))).toBeNull();
+  });
+
+  it("drops the host's preset id from shared flips", () => {
+    const choice = { mode: 'custom', customSideA: 'Pizza', customSideB: 'Tacos', presetId: 'host-preset' };
+
+    const message = parseSessionMessage(JSON.stringify({ type: 'flip', flipId: 1, choice, index: 0 }));
+    expect(message.choice.presetId).toBeNull();
+  });
+
+  it('cleans names and addresses', () => {
+    expect(sanitizeParticipantName('  Ana\n Lopez ')).toBe('Ana Lopez');
+    expect(parseSessionAddress(' 192.168.1.20 ')).toEqual({ host: '192.168.1.20', port: 8787 });
+    expect(parseSessionAddress('192.168.1.20:9000')).toEqual({ host: '192.168.1.20', port: 9000 });
+    expect(parseSessionAddress('ws://192.168.1.20')).toBeNull();
+    expect(parseSessionAddress('192.168.1.20:70000')).toBeNull();
+  });
+});
+
+describe('session over the local network', () => {
+  let host;
+  let guests;
+
+  const startHost = async (options = {}) => {
+    const participants = [];
+    host = createSessionHost({
+      net,
+      name: 'Host',
+      port: 0,
+      onParticipants: (names) => participants.push(names),
+      ...options,
+    });
+    const port = await host.start();
+    return { port, participants };
+  };
+
+  const joinGuest = async (port, name) => {
+    const guest = { flips: [], participants: [], closed: false };
+    guest.session = createSessionGuest({
+      address: { host: '127.0.0.1', port },
+      name,
+      WebSocketImpl: WebSocket,
+      onFlip: (flip) => guest.flips.push(flip),
+      onParticipants: (names) => guest.participants.push(names),
+      onClose: () => {
+        guest.closed = true;
+      },
+    });
+    guest.welcome = await guest.session.connect();
+    guests.push(guest);
+    return guest;
+  };
+
+  beforeEach(() => {
+    guests = [];
+  });
+
+  afterEach(async () => {
+    guests.forEach((guest) => guest.session.leave());
+    if (host) {
+      await host.stop();
+      host = null;
+    }
+  });
+
+  it('welcomes guests and keeps everyone up to date on who is there', async () => {
+    const { port, participants } = await startHost();
+
+    const ana = await joinGuest(port, 'Ana');
+    const second = await joinGuest(port, 'Ana');
+
+    expect(ana.welcome).toEqual({ name: 'Ana', participants: ['Host', 'Ana'] });
+    expect(second.welcome.name).toBe('Ana (2)');
+    await waitFor(() => ana.participants.length === 2);
+    expect(ana.participants[1]).toEqual(['Host', 'Ana', 'Ana (2)']);
+
+    second.session.leave();
+    await waitFor(() => participants.length === 3);
+    expect(participants[2]).toEqual(['Host', 'Ana']);
+  });
+
+  it('sends every guest the host flip to animate and save', async () => {
+    const { port } = await startHost();
+    const ana = await joinGuest(port, 'Ana');
+    const ben = await joinGuest(port, '');
+    const input = {
+      mode: 'multi',
+      options: [{ id: 'o1', label: 'Red', weight: 1 }, { id: 'o2', label: 'Blue', weight: 3 }],
+    };
+
+    expect(host.broadcastFlip(input, 1)).toBe(2);
+    await waitFor(() => ana.flips.length === 1 && ben.flips.length === 1);
+
+    expect(ben.welcome.name).toBe('Guest 2');
+    expect(ana.flips[0].choice).toEqual({
+      mode: 'multi',
+      options: [{ label: 'Red', weight: 1 }, { label: 'Blue', weight: 3 }],
+    });
+    expect(ana.flips[0].decision).toMatchObject({ index: 1, label: 'Blue', weights: [1, 3], mode: 'multi' });
+  });
+
+  it('tells guests when the host ends the session', async () => {
+    const { port } = await startHost();
+    const ana = await joinGuest(port, 'Ana');
+
+    await host.stop();
+    host = null;
+
+    await waitFor(() => ana.closed);
+  });
+
+  it('fails to join when nobody is hosting', async () => {
+    const { port } = await startHost();
+    await host.stop();
+    host = null;
+
+    await expect(joinGuest(port, 'Ana')).rejects.toThrow('Could not reach the host');
+  });
+});
@@ -0,0 +1,135 @@
+import {
+  computeStreaks,
+  flipsPerDay,
+  computeStats,
+  chiSquareTest,
+  coinFairness,
+  MIN_FAIRNESS_SAMPLE,
+  FAIRNESS_SIGNIFICANCE,
+} from '../utils/stats';
+
+const entry = (side, timestamp) => ({ side, timestamp });
+
+const coinFlips = (heads, tails) => [
+  ...Array.from({ length: heads }, () => ({ side: 'Heads', mode: 'default' })),
+  ...Array.from({ length: tails }, () => ({ side: 'Tails', mode: 'default' })),
+];
+
+describe('streaks', () => {
+  it('finds the current and longest runs', () => {
+    const entries = ['Heads', 'Heads', 'Tails', 'Tails', 'Tails', 'Heads'].map((side) => entry(side, 0));
+
+    expect(computeStreaks(entries)).toEqual({
+      longest: { label: 'Tails', length: 3 },
+      current: { label: 'Heads', length: 2 },
+    });
+  });
+
+  it('handles empty history', () => {
+    expect(computeStreaks([])).toEqual({
+      longest: { label: null, length: 0 },
+      current: { label: null, length: 0 },
+    });
+  });
+});
+
+describe('flips per day', () => {
+  it('buckets by local calendar date, oldest first', () => {
+    const now = new Date(2026, 0, 10, 9, 0).getTime();
+    const entries = [
+      entry('Heads', new Date(2026, 0, 10, 0, 5).getTime()),
+      entry('Tails', new Date(2026, 0, 9, 23, 55).getTime()),
+      entry('Heads', new Date(2026, 0, 9, 8, 0).getTime()),
+      entry('Heads', new Date(2026, 0, 1).getTime()),
+    ];
+
+    expect(flipsPerDay(entries, 3, now)).toEqual([
+      { date: '2026-01-08', count: 0 },
+      { date: '2026-01-09', count: 2 },
+      { date: '2026-01-10', count: 1 },
+    ]);
+  });
+
+  it('keeps one bucket per date across a DST change', () => {
+    // Tests run in New York time (jest.globalSetup.js), where 8 Mar 2026 lasts only 23 hours
+    const now = new Date(2026, 2, 9, 0, 30).getTime();
+
+    expect(flipsPerDay([], 4, now).map((day) => day.date))
+      .toEqual(['2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09']);
+  });
+
+  it('ignores entries without a timestamp', () => {
+    const now = new Date(2026, 0, 10, 9, 0).getTime();
+    expect(flipsPerDay([{ side: 'Heads' }], 1, now)).toEqual([{ date: '2026-01-10', count: 0 }]);
+  });
+});
+
+describe('summary', () => {
+  it('averages over active days', () => {
+    const now = new Date(2026, 0, 10, 9, 0).getTime();
+    const stats = computeStats([
+      entry('Heads', new Date(2026, 0, 10, 8, 0).getTime()),
+      entry('Heads', new Date(2026, 0, 10, 7, 0).getTime()),
+      entry('Tails', new Date(2026, 0, 8, 7, 0).getTime()),
+      null,
+    ], now);
+
+    expect(stats.total).toBe(3);
+    expect(stats.averagePerActiveDay).toBe(1.5);
+    expect(stats.labels[0]).toEqual({ label: 'Heads', count: 2, share: 2 / 3 });
+  });
+});
+
+describe('chi-square test', () => {
+  it('matches known p-values', () => {
+    const lopsided = chiSquareTest([60, 40], [0.5, 0.5]);
+    expect(lopsided.statistic).toBeCloseTo(4, 10);
+    expect(lopsided.degreesOfFreedom).toBe(1);
+    expect(lopsided.pValue).toBeCloseTo(0.0455, 4);
+
+    expect(chiSquareTest([50, 50], [0.5, 0.5])).toEqual({ statistic: 0, degreesOfFreedom: 1, pValue: 1 });
+
+    const threeWay = chiSquareTest([5, 5, 20], [1 / 3, 1 / 3, 1 / 3]);
+    expect(threeWay.statistic).toBeCloseTo(15, 10);
+    expect(threeWay.degreesOfFreedom).toBe(2);
+    expect(threeWay.pValue).toBeCloseTo(0.00055, 5);
+  });
+
+  it('handles large statistics without leaving [0, 1]', () => {
+    const { pValue } = chiSquareTest([1000, 0], [0.5, 0.5]);
+    expect(pValue).toBeGreaterThanOrEqual(0);
+    expect(pValue).toBeLessThan(1e-100);
+  });
+});
+
+describe('coin fairness', () => {
+  it('waits for enough flips before judging', () => {
+    expect(coinFairness(coinFlips(MIN_FAIRNESS_SAMPLE - 1, 0)).enoughData).toBe(false);
+    expect(coinFairness(coinFlips(MIN_FAIRNESS_SAMPLE, 0)).enoughData).toBe(true);
+  });
+
+  it('flags a split only once it is unlikely at the significance level', () => {
+    // 59/41 happens by chance about 7% of the time, 60/40 about 4.6%
+    const borderline = coinFairness(coinFlips(59, 41));
+    const lopsided = coinFairness(coinFlips(60, 40));
+
+    expect(borderline.pValue).toBeGreaterThan(FAIRNESS_SIGNIFICANCE);
+    expect(borderline.looksFair).toBe(true);
+    expect(lopsided.pValue).toBeLessThan(FAIRNESS_SIGNIFICANCE);
+    expect(lopsided.looksFair).toBe(false);
+  });
+
+  it('counts only single Heads/Tails coin flips', () => {
+    const fairness = coinFairness([
+      ...coinFlips(3, 2),
+      { side: 'Heads' }, // Saved before modes were recorded
+      { side: 'Heads', mode: 'default', series: { bestOf: 3, scores: [2, 0] } },
+      { side: 'Heads', mode: 'custom' },
+      { side: 'Yes', mode: 'question' },
+      { side: 'A', mode: 'custom' },
+    ]);
+
+    expect(fairness).toMatchObject({ sampleSize: 6, heads: 4, tails: 2 });
+    expect(coinFairness([{ side: 'Pizza', mode: 'multi' }])).toBeNull();
+  });
+});
@@ -0,0 +1,315 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  saveFlipToHistory,
+  getHistory,
+  getHistoryPage,
+  clearHistory,
+  deleteHistoryEntry,
+  setHistoryEntryNote,
+  vetoHistoryEntry,
+  undoDeletion,
+  commitDeletion,
+  purgeExpiredTrash,
+  importHistoryEntries,
+  setRetentionPolicy,
+  getRetentionPolicy,
+  DEFAULT_RETENTION_POLICY,
+  UNDO_WINDOW_MS,
+  getPresets,
+  createPreset,
+  renamePreset,
+  movePreset,
+  deletePreset,
+  setPresetFaces,
+  getRosters,
+  createRoster,
+  setRosterNames,
+  deleteRoster,
+  getGestureSettings,
+  setGestureSettings,
+  getThemeSettings,
+  setThemeSettings,
+  getLanguageSetting,
+  setLanguageSetting,
+} from '../utils/storage';
+import { DEFAULT_GESTURE_SETTINGS } from '../utils/gestures';
+import { DEFAULT_THEME_SETTINGS } from '../utils/theme';
+import { getNextChallenge } from '../utils/challenge';
+
+/**
+ * Save `count` flips named Flip 0..count-1 (oldest first)
+ */
+const saveFlips = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await saveFlipToHistory(`Flip ${i}`);
+  }
+};
+
+const DAY_MS = 86400000;
+
+// Fake clock: every save gets a distinct, increasing timestamp
+let now;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.restoreAllMocks();
+  now = new Date('2026-01-01T12:00:00Z').getTime();
+  jest.spyOn(Date, 'now').mockImplementation(() => {
+    now += 1000;
+    return now;
+  });
+});
+
+describe('history', () => {
+  it('saves entries newest first with ids and timestamps', async () => {
+    await saveFlipToHistory('Heads', { mode: 'default' });
+    await saveFlipToHistory('  Tails ');
+
+    const history = await getHistory();
+    expect(history.map((entry) => entry.side)).toEqual(['Tails', 'Heads']);
+    expect(history[1]).toMatchObject({ mode: 'default' });
+    expect(typeof history[0].id).toBe('string');
+    expect(typeof history[0].timestamp).toBe('number');
+  });
+
+  it('rejects invalid sides', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(saveFlipToHistory('')).resolves.toBe(false);
+    await expect(saveFlipToHistory(null)).resolves.toBe(false);
+    expect(await getHistory()).toEqual([]);
+  });
+
+  it('pages across chunk boundaries', async () => {
+    await saveFlips(60);
+
+    const first = await getHistoryPage({ offset: 0, limit: 20 });
+    const last = await getHistoryPage({ offset: 40, limit: 20 });
+
+    expect(first.entries[0].side).toBe('Flip 59');
+    expect(first.hasMore).toBe(true);
+    expect(last.entries.map((entry) => entry.side)).toContain('Flip 0');
+    expect(last.hasMore).toBe(false);
+  });
+
+  it('migrates the legacy single-array history', async () => {
+    await AsyncStorage.setItem(
+      '@decision_coin_history',
+      JSON.stringify([{ side: 'Tails', timestamp: 2 }, { side: 'Heads', timestamp: 1 }])
+    );
+
+    const history = await getHistory();
+    expect(history.map((entry) => entry.side)).toEqual(['Tails', 'Heads']);
+    expect(await AsyncStorage.getItem('@decision_coin_history')).toBeNull();
+  });
+
+  it('stores and removes notes', async () => {
+    await saveFlipToHistory('Heads');
+    const [entry] = await getHistory();
+
+    expect(await setHistoryEntryNote(entry.id, '  went with it  ')).toBe(true);
+    expect((await getHistory())[0].note).toBe('went with it');
+
+    await setHistoryEntryNote(entry.id, '');
+    expect((await getHistory())[0].note).toBeUndefined();
+  });
+
+  it('marks a vetoed entry and links the re-flip to it', async () => {
+    const id = await saveFlipToHistory('Pizza', { mode: 'custom' });
+    expect(typeof id).toBe('string');
+
+    expect(await vetoHistoryEntry(id)).toBe(true);
+    const [vetoed] = await getHistory();
+    expect(vetoed).toMatchObject({ side: 'Pizza', vetoed: true, challenge: { id, step: 0, overturned: [] } });
+
+    await saveFlipToHistory('Tacos', { mode: 'custom', challenge: getNextChallenge(vetoed) });
+    const [reflip] = await getHistory();
+    expect(reflip.challenge).toEqual({ id, step: 1, overturned: ['Pizza'] });
+    expect(reflip.vetoed).toBeUndefined();
+
+    expect(await vetoHistoryEntry('missing')).toBe(false);
+  });
+
+  it('imports entries and skips duplicates by timestamp', async () => {
+    // Recent enough to survive the default one-year retention
+    const entries = [
+      { side: 'Heads', timestamp: now - 2000 },
+      { side: 'Tails', timestamp: now - 1000 },
+    ];
+
+    expect(await importHistoryEntries(entries)).toEqual({ added: 2, duplicates: 0 });
+    expect(await importHistoryEntries(entries)).toEqual({ added: 0, duplicates: 2 });
+  });
+});
+
+describe('soft delete', () => {
+  it('restores a deleted entry in time order', async () => {
+    await saveFlips(3);
+    const history = await getHistory();
+
+    const token = await deleteHistoryEntry(history[1].id);
+    expect(typeof token).toBe('string');
+    expect((await getHistory()).map((entry) => entry.side)).toEqual(['Flip 2', 'Flip 0']);
+
+    expect(await undoDeletion(token)).toBe(true);
+    expect((await getHistory()).map((entry) => entry.side)).toEqual(['Flip 2', 'Flip 1', 'Flip 0']);
+  });
+
+  it('restores cleared history behind newer flips', async () => {
+    await saveFlips(2);
+    const token = await clearHistory();
+    await saveFlipToHistory('After clear');
+
+    expect(await undoDeletion(token)).toBe(true);
+    expect((await getHistory()).map((entry) => entry.side)).toEqual(['After clear', 'Flip 1', 'Flip 0']);
+  });
+
+  it('cannot undo once committed', async () => {
+    await saveFlips(2);
+    const token = await clearHistory();
+
+    await commitDeletion(token);
+
+    expect(await undoDeletion(token)).toBe(false);
+    expect(await getHistory()).toEqual([]);
+  });
+
+  it('purges deletions after the undo window', async () => {
+    await saveFlips(1);
+    const token = await clearHistory();
+
+    now += UNDO_WINDOW_MS;
+    await purgeExpiredTrash();
+
+    expect(await undoDeletion(token)).toBe(false);
+  });
+});
+
+describe('retention', () => {
+  it('defaults to keeping everything', async () => {
+    expect(await getRetentionPolicy()).toEqual(DEFAULT_RETENTION_POLICY);
+    expect(DEFAULT_RETENTION_POLICY).toEqual({ type: 'all' });
+  });
+
+  it('keeps old entries under the default policy', async () => {
+    await saveFlips(1);
+    now += 2 * 365 * DAY_MS;
+    await saveFlips(1);
+
+    expect(await getHistory()).toHaveLength(2);
+  });
+
+  it('prunes to the newest N entries', async () => {
+    await saveFlips(5);
+
+    expect(await setRetentionPolicy({ type: 'count', value: 2 })).toBe(true);
+    expect((await getHistory()).map((entry) => entry.side)).toEqual(['Flip 4', 'Flip 3']);
+  });
+
+  it('rejects malformed policies', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await setRetentionPolicy({ type: 'count', value: -1 })).toBe(false);
+  });
+});
+
+describe('presets', () => {
+  it('creates, renames, reorders and deletes presets', async () => {
+    const lunch = await createPreset({ name: 'Lunch', sideA: 'Pizza', sideB: 'Tacos' });
+    const movie = await createPreset({ name: 'Movie', sideA: 'Comedy', sideB: 'Horror' });
+
+    await renamePreset(lunch.id, 'Dinner');
+    await movePreset(movie.id, -1);
+    expect((await getPresets()).map((preset) => preset.name)).toEqual(['Movie', 'Dinner']);
+
+    await deletePreset(movie.id);
+    expect((await getPresets()).map((preset) => preset.id)).toEqual([lunch.id]);
+  });
+
+  it('saves coin faces with a preset', async () => {
+    const plain = await createPreset({ name: 'Plain', sideA: 'Yes', sideB: 'No' });
+    const chip = await createPreset({
+      name: 'Chip',
+      sideA: 'Call',
+      sideB: 'Fold',
+      faces: { a: { type: 'skin', skin: 'chip' }, b: { type: 'label' } },
+    });
+
+    expect(plain.faces).toEqual({ a: { type: 'quarter' }, b: { type: 'quarter' }, model: 'classic' });
+    expect(chip.faces.a).toEqual({ type: 'skin', skin: 'chip' });
+
+    expect(await setPresetFaces(plain.id, { a: { type: 'photo', file: 'me.jpg' } })).toBe(true);
+    const [saved] = await getPresets();
+    expect(saved.faces).toEqual({
+      a: { type: 'photo', file: 'me.jpg' },
+      b: { type: 'quarter' },
+      model: 'classic',
+    });
+  });
+});
+
+describe('rosters', () => {
+  it('saves cleaned names and names the roster after them by default', async () => {
+    const roster = await createRoster({ names: ['  Ana ', '', 'Ben', 'Cy', 'Dee'] });
+
+    expect(roster.names).toEqual(['Ana', 'Ben', 'Cy', 'Dee']);
+    expect(roster.name).toBe('Ana, Ben, Cy');
+    expect(await getRosters()).toEqual([roster]);
+  });
+
+  it('refuses rosters too small to draw from', async () => {
+    expect(await createRoster({ name: 'Solo', names: ['Ana', ' '] })).toBeNull();
+
+    const roster = await createRoster({ name: 'Standup', names: ['Ana', 'Ben'] });
+    expect(await setRosterNames(roster.id, ['Ana'])).toBe(false);
+    expect(await setRosterNames(roster.id, ['Ana', 'Ben', 'Cy'])).toBe(true);
+    expect((await getRosters())[0].names).toEqual(['Ana', 'Ben', 'Cy']);
+  });
+
+  it('deletes rosters', async () => {
+    const roster = await createRoster({ name: 'Standup', names: ['Ana', 'Ben'] });
+
+    expect(await deleteRoster(roster.id)).toBe(true);
+    expect(await deleteRoster(roster.id)).toBe(false);
+    expect(await getRosters()).toEqual([]);
+  });
+});
+
+describe('gesture settings', () => {
+  it('returns defaults until saved', async () => {
+    expect(await getGestureSettings()).toEqual(DEFAULT_GESTURE_SETTINGS);
+  });
+
+  it('clamps saved values into range', async () => {
+    const saved = await setGestureSettings({ flickEnabled: false, shakeThreshold: 99 });
+
+    expect(saved.flickEnabled).toBe(false);
+    expect(saved.shakeThreshold).toBe(4);
+    expect(await getGestureSettings()).toEqual(saved);
+  });
+});
+
+describe('theme settings', () => {
+  it('follows the system in mint until saved', async () => {
+    expect(await getThemeSettings()).toEqual(DEFAULT_THEME_SETTINGS);
+  });
+
+  it('saves the mode and accent, dropping unknown values', async () => {
+    const saved = await setThemeSettings({ mode: 'light', accent: 'neon' });
+
+    expect(saved).toEqual({ mode: 'light', accent: 'mint' });
+    expect(await getThemeSettings()).toEqual(saved);
+  });
+});
+
+describe('language setting', () => {
+  it('follows the device until a language is picked', async () => {
+    expect(await getLanguageSetting()).toBe('system');
+  });
+
+  it('saves a known language and falls back to the device otherwise', async () => {
+    expect(await setLanguageSetting('es')).toBe('es');
+    expect(await getLanguageSetting()).toBe('es');
+
+    expect(await setLanguageSetting('klingon')).toBe('system');
+    expect(await getLanguageSetting()).toBe('system');
+  });
+});
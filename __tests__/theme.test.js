@@ -0,0 +1,36 @@
+import { ACCENTS, getTheme, sanitizeThemeSettings } from '../utils/theme';
+
+describe('themes', () => {
+  it('follows the system setting, falling back to dark when it is unknown', () => {
+    expect(getTheme({ mode: 'system', accent: 'mint' }, 'light').name).toBe('light');
+    expect(getTheme({ mode: 'system', accent: 'mint' }, 'dark').name).toBe('dark');
+    expect(getTheme({ mode: 'system', accent: 'mint' }, null).name).toBe('dark');
+    expect(getTheme({ mode: 'light', accent: 'mint' }, 'dark').name).toBe('light');
+  });
+
+  it('keeps the original look as the dark theme in mint', () => {
+    const theme = getTheme({ mode: 'dark', accent: 'mint' }, 'light');
+
+    expect(theme).toMatchObject({
+      isDark: true,
+      background: '#2C3A47',
+      surface: '#1E2A34',
+      accent: '#3ECFAC',
+      onAccent: '#FFFFFF',
+      statusBarStyle: 'light-content',
+    });
+  });
+
+  it('uses the accent shade made for each theme', () => {
+    const ocean = ACCENTS.find((accent) => accent.key === 'ocean');
+
+    expect(getTheme({ mode: 'dark', accent: 'ocean' }).accent).toBe(ocean.dark);
+    expect(getTheme({ mode: 'light', accent: 'ocean' }).accent).toBe(ocean.light);
+    expect(getTheme({ mode: 'light', accent: 'ocean' }).statusBarStyle).toBe('dark-content');
+  });
+
+  it('cleans stored settings', () => {
+    expect(sanitizeThemeSettings(null)).toEqual({ mode: 'system', accent: 'mint' });
+    expect(sanitizeThemeSettings({ mode: 'sepia', accent: 'gold' })).toEqual({ mode: 'system', accent: 'gold' });
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  createToss,
+  getTossPose,
+  strengthFromSwipe,
+  strengthFromFlick,
+  DEFAULT_TOSS_STRENGTH,
+} from '../utils/tossPhysics';
+
+describe('createToss', () => {
+  it('throws harder tosses higher, longer and with more turns', () => {
+    const gentle = createToss(0);
+    const hard = createToss(1);
+
+    expect(hard.height).toBeGreaterThan(gentle.height);
+    expect(hard.airtime).toBeGreaterThan(gentle.airtime);
+    expect(hard.turns).toBeGreaterThan(gentle.turns);
+    expect(hard.duration).toBeGreaterThan(gentle.duration);
+  });
+
+  it('keeps height and airtime consistent with one gravity', () => {
+    // h = g t² / 8 for a full up-and-down flight, so h / t² is the same for every toss
+    const ratio = (toss) => toss.height / (toss.airtime / 1000) ** 2;
+
+    expect(ratio(createToss(0))).toBeCloseTo(ratio(createToss(1)), 0);
+  });
+
+  it('lands flat on the requested face after bouncing', () => {
+    const heads = createToss(0.5, false);
+    const tails = createToss(0.5, true);
+    const last = (list) => list[list.length - 1];
+
+    expect(last(heads.frames.rotations) % 360).toBe(0);
+    expect(last(tails.frames.rotations) % 360).toBe(180);
+    expect(last(heads.frames.heights)).toBe(0);
+
+    // At least one bounce leaves the table after the first landing
+    const landing = heads.frames.times.findIndex((time) => time * heads.duration >= heads.airtime);
+    expect(Math.max(...heads.frames.heights.slice(landing))).toBeGreaterThan(0);
+  });
+
+  it('produces keyframes Animated.interpolate accepts', () => {
+    const { times, heights, rotations } = createToss(0.3).frames;
+
+    expect(times[0]).toBe(0);
+    expect(times[times.length - 1]).toBe(1);
+    times.slice(1).forEach((time, index) => expect(time).toBeGreaterThan(times[index]));
+    expect(heights).toHaveLength(times.length);
+    expect(rotations).toHaveLength(times.length);
+  });
+
+  it('falls back to the default strength for bad input', () => {
+    expect(createToss(undefined).strength).toBe(DEFAULT_TOSS_STRENGTH);
+    expect(createToss(NaN).strength).toBe(DEFAULT_TOSS_STRENGTH);
+    expect(createToss(7).strength).toBe(1);
+  });
+});
+
+describe('getTossPose', () => {
+  it('follows the keyframes from launch to landing', () => {
+    const toss = createToss(0.5, true);
+    const start = getTossPose(toss, 0);
+    const peak = getTossPose(toss, toss.airtime / 2);
+    const end = getTossPose(toss, toss.duration);
+
+    expect(start).toEqual({ height: 0, rotation: 0, done: false });
+    expect(peak.height).toBeCloseTo(toss.height, 0);
+    expect(peak.rotation).toBeGreaterThan(0);
+    expect(end.done).toBe(true);
+    expect(end.height).toBe(0);
+    expect(end.rotation % 360).toBe(180);
+  });
+
+  it('holds the landing pose after the toss is over', () => {
+    const toss = createToss(0.2);
+
+    expect(getTossPose(toss, toss.duration * 3)).toEqual(getTossPose(toss, toss.duration));
+    expect(getTossPose(toss, -100).height).toBe(0);
+  });
+});
+
+describe('strength', () => {
+  it('grows with swipe speed above the minimum', () => {
+    expect(strengthFromSwipe(500, 500)).toBe(0);
+    expect(strengthFromSwipe(1500, 500)).toBeGreaterThan(strengthFromSwipe(1000, 500));
+    expect(strengthFromSwipe(100000, 500)).toBe(1);
+  });
+
+  it('grows with flick sharpness above the threshold', () => {
+    expect(strengthFromFlick(0.5, 0.8)).toBe(0);
+    expect(strengthFromFlick(1.8, 0.8)).toBeCloseTo(0.5);
+    expect(strengthFromFlick(10, 0.8)).toBe(1);
+  });
+});
@@ -0,0 +1,6 @@
+package com.decisioncoin.app.widget;
+
+import com.reactnativeandroidwidget.RNWidgetProvider;
+
+public class Flip extends RNWidgetProvider {
+}
@@ -1,45 +1,74 @@
-import React, { useRef, useEffect } from 'react';
-import { View, Text, Image, Animated, StyleSheet, Easing } from 'react-native';
+import React, { useRef, useEffect, useMemo } from 'react';
+import { View, Text, Animated, StyleSheet, Easing } from 'react-native';
 import { GestureDetector, Gesture } from 'react-native-gesture-handler';
+import { resolveSideLabel, isSecondFace } from '../utils/decisionEngine';
+import { createToss, strengthFromSwipe, DEFAULT_TOSS_STRENGTH } from '../utils/tossPhysics';
+import { DEFAULT_COIN_FACES } from '../utils/coinFaces';
+import { REDUCED_MOTION_DURATION, MAX_DISPLAY_FONT_SCALE } from '../utils/accessibility';
+import { translateBuiltInLabel } from '../utils/i18n';
+import CoinFace from './CoinFace';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
 
 const COIN_SIZE = 200;
-const FLIP_DURATION = 3200;
-const TOTAL_ROTATIONS = 9;
-const TOTAL_DEGREES = TOTAL_ROTATIONS * 360;
-
-const headsImage = require('../assets/quarter_heads.png');
-const tailsImage = require('../assets/quarter_tails.png');
+const DEFAULT_SWIPE_VELOCITY = 500;
+const HEIGHT_SCALE_GAIN = 0.0008; // Extra scale per point of height, so a high toss looks closer
 
 /**
- * 3D Quarter Coin Component
- * Uses real US quarter images with perspective-based 3D flip animation.
- * Each side gets its own rotation so backfaceVisibility works correctly.
+ * 2D Coin Component (the fallback for Coin3D)
+ * Shows the US quarter by default; `faces` ({ a, b }, see utils/coinFaces) swaps
+ * either side for a skin, a photo or its label. Perspective-based 3D flip;
+ * each side gets its own rotation so backfaceVisibility works correctly.
+ * The flight comes from utils/tossPhysics: `tossStrength` (0..1) sets height, spin
+ * and airtime, and `onFlipEnd` is called once the coin has bounced and settled.
+ * Bump `flipKey` to replay the flip while `isFlipping` stays true (series and brackets).
+ * `swipeVelocity` is the slowest upward fling that starts a flip; null turns swiping off.
+ * Faster flings toss harder: `onFlipStart` receives the strength.
+ * With `reduceMotion` the coin doesn't wobble or toss: it fades in on the result.
+ * Screen readers see the coin as a button that flips it, in place of the swipe.
  */
-const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
+const Coin = ({
+  side,
+  isFlipping,
+  onFlipStart,
+  onFlipEnd,
+  customSideA,
+  customSideB,
+  faces = DEFAULT_COIN_FACES,
+  tossStrength = DEFAULT_TOSS_STRENGTH,
+  flipKey = 0,
+  swipeVelocity = DEFAULT_SWIPE_VELOCITY,
+  reduceMotion = false,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
   const flipAnim = useRef(new Animated.Value(0)).current;
   const idleAnim = useRef(new Animated.Value(0)).current;
 
   const displaySide = side || 'Heads';
 
-  const getSideLabel = (sideValue) => {
-    if (sideValue === 'A') {
-      return customSideA && customSideA.trim() ? customSideA.trim() : 'A';
-    }
-    if (sideValue === 'B') {
-      return customSideB && customSideB.trim() ? customSideB.trim() : 'B';
-    }
-    return sideValue;
-  };
-
   const panGesture = Gesture.Pan()
     .onEnd((event) => {
-      if (event.velocityY < -500 && !isFlipping && onFlipStart) {
-        onFlipStart();
+      if (swipeVelocity !== null && event.velocityY < -swipeVelocity && !isFlipping && onFlipStart) {
+        onFlipStart(strengthFromSwipe(-event.velocityY, swipeVelocity));
       }
     });
 
-  // Idle gentle wobble
+  // Add 180deg when result is tails so the flip lands on the tails image
+  const isResultTails = isSecondFace(displaySide);
+  const toss = useMemo(() => createToss(tossStrength, isResultTails), [tossStrength, isResultTails]);
+
+  // Latest callback for the animation's completion, which outlives this render
+  const onFlipEndRef = useRef(onFlipEnd);
+  onFlipEndRef.current = onFlipEnd;
+
+  // Idle gentle wobble (held still, face on, with reduced motion)
   useEffect(() => {
+    if (reduceMotion) {
+      idleAnim.setValue(0.5);
+      return undefined;
+    }
     const wobble = Animated.loop(
       Animated.sequence([
         Animated.timing(idleAnim, {
@@ -58,30 +87,34 @@ const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
     );
     wobble.start();
     return () => wobble.stop();
-  }, []);
+  }, [reduceMotion]);
 
-  // Flip animation
+  // Flip animation: the keyframes already follow the physics, so time runs linearly.
+  // With reduced motion the same value drives the fade instead.
   useEffect(() => {
     if (isFlipping) {
       flipAnim.setValue(0);
       Animated.timing(flipAnim, {
         toValue: 1,
-        duration: FLIP_DURATION,
-        easing: Easing.out(Easing.cubic),
+        duration: reduceMotion ? REDUCED_MOTION_DURATION : toss.duration,
+        easing: Easing.linear,
         useNativeDriver: true,
-      }).start();
+      }).start(() => {
+        if (onFlipEndRef.current) {
+          onFlipEndRef.current();
+        }
+      });
     }
-  }, [isFlipping, side]);
+  }, [isFlipping, side, flipKey]);
 
-  // Add 180deg when result is tails so the flip lands on the tails image
-  const isResultTails = displaySide === 'Tails' || displaySide === 'B';
-  const extraHalf = isResultTails ? 180 : 0;
+  const { times, heights, rotations } = toss.frames;
+  const isTossing = isFlipping && !reduceMotion;
 
   // Front side (heads): rotateX for forward coin-toss flip
-  const frontRotateX = isFlipping
+  const frontRotateX = isTossing
     ? flipAnim.interpolate({
-        inputRange: [0, 1],
-        outputRange: ['0deg', `${TOTAL_DEGREES + extraHalf}deg`],
+        inputRange: times,
+        outputRange: rotations.map((rotation) => `${rotation}deg`),
       })
     : idleAnim.interpolate({
         inputRange: [0, 1],
@@ -89,52 +122,69 @@ const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
       });
 
   // Back side (tails): offset 180deg from front on X axis
-  const backRotateX = isFlipping
+  const backRotateX = isTossing
     ? flipAnim.interpolate({
-        inputRange: [0, 1],
-        outputRange: ['180deg', `${180 + TOTAL_DEGREES + extraHalf}deg`],
+        inputRange: times,
+        outputRange: rotations.map((rotation) => `${180 + rotation}deg`),
       })
     : idleAnim.interpolate({
         inputRange: [0, 1],
         outputRange: [isResultTails ? '-5deg' : '172deg', isResultTails ? '5deg' : '188deg'],
       });
 
-  // Arc trajectory during flip
+  // Flight arc, bounces included
   const translateY = flipAnim.interpolate({
-    inputRange: [0, 0.25, 0.5, 0.8, 1],
-    outputRange: [0, -120, -80, -15, 0],
+    inputRange: times,
+    outputRange: heights.map((height) => -height),
   });
 
-  // Scale pulse during flip
-  const scale = isFlipping
+  // Higher is closer to the viewer
+  const scale = isTossing
     ? flipAnim.interpolate({
-        inputRange: [0, 0.2, 0.5, 0.8, 1],
-        outputRange: [1, 1.15, 1.2, 1.05, 1],
+        inputRange: times,
+        outputRange: heights.map((height) => 1 + height * HEIGHT_SCALE_GAIN),
       })
     : 1;
 
-  // Shadow effects
+  // Shadow shrinks and fades as the coin rises
   const shadowOpacity = flipAnim.interpolate({
-    inputRange: [0, 0.25, 0.5, 0.8, 1],
-    outputRange: [0.4, 0.1, 0.15, 0.3, 0.4],
+    inputRange: times,
+    outputRange: heights.map((height) => 0.4 - 0.3 * (height / toss.height)),
   });
 
   const shadowScale = flipAnim.interpolate({
-    inputRange: [0, 0.25, 0.5, 0.8, 1],
-    outputRange: [1, 0.6, 0.7, 0.9, 1],
+    inputRange: times,
+    outputRange: heights.map((height) => 1 - 0.4 * (height / toss.height)),
   });
 
+  // Heads/Tails are the app's own; A/B labels come in ready to show
+  const isCoinSide = displaySide === 'Heads' || displaySide === 'Tails';
+  const resultLabel = isCoinSide ? translateBuiltInLabel(displaySide) : resolveSideLabel(displaySide, customSideA, customSideB);
+
   return (
     <GestureDetector gesture={panGesture}>
-      <View style={styles.container}>
+      <View
+        style={styles.container}
+        accessible={true}
+        accessibilityRole="button"
+        accessibilityLabel={isFlipping || !side ? t('coin.label') : t('coin.showing', { side: resultLabel })}
+        accessibilityHint={t('coin.hint')}
+        accessibilityState={{ busy: isFlipping, disabled: isFlipping || !onFlipStart }}
+        accessibilityActions={[{ name: 'activate' }]}
+        onAccessibilityAction={(event) => {
+          if (event.nativeEvent.actionName === 'activate' && !isFlipping && onFlipStart) {
+            onFlipStart(DEFAULT_TOSS_STRENGTH);
+          }
+        }}
+      >
         {/* Ground shadow */}
         <Animated.View
           style={[
             styles.shadow,
             {
-              opacity: isFlipping ? shadowOpacity : 0.35,
+              opacity: isTossing ? shadowOpacity : 0.35,
               transform: [
-                { scaleX: isFlipping ? shadowScale : 1 },
+                { scaleX: isTossing ? shadowScale : 1 },
                 { scaleY: 0.15 },
               ],
             },
@@ -146,9 +196,10 @@ const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
           style={[
             styles.coinPositioner,
             {
+              opacity: isFlipping && reduceMotion ? flipAnim : 1,
               transform: [
                 { scale },
-                ...(isFlipping ? [{ translateY }] : []),
+                ...(isTossing ? [{ translateY }] : []),
               ],
             },
           ]}
@@ -166,7 +217,7 @@ const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
               },
             ]}
           >
-            <Image source={headsImage} style={styles.coinImage} />
+            <CoinFace face={faces.a} label={resolveSideLabel('A', customSideA, customSideB)} size={COIN_SIZE} />
           </Animated.View>
 
           {/* Tails side - offset 180deg rotation + backfaceVisibility */}
@@ -182,20 +233,25 @@ const Coin = ({ side, isFlipping, onFlipStart, customSideA, customSideB }) => {
               },
             ]}
           >
-            <Image source={tailsImage} style={styles.coinImage} />
+            <CoinFace
+              face={faces.b}
+              isBack={true}
+              label={resolveSideLabel('B', customSideA, customSideB)}
+              size={COIN_SIZE}
+            />
           </Animated.View>
         </Animated.View>
 
         {/* Result label */}
         {!isFlipping && side && (
-          <Text style={styles.resultLabel}>{getSideLabel(displaySide)}</Text>
+          <Text style={styles.resultLabel} maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}>{resultLabel}</Text>
         )}
       </View>
     </GestureDetector>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -208,7 +264,7 @@ const styles = StyleSheet.create({
     width: COIN_SIZE * 0.8,
     height: COIN_SIZE * 0.8,
     borderRadius: COIN_SIZE / 2,
-    backgroundColor: '#000',
+    backgroundColor: theme.shadow,
   },
   coinPositioner: {
     width: COIN_SIZE,
@@ -222,23 +278,18 @@ const styles = StyleSheet.create({
     height: COIN_SIZE,
     borderRadius: COIN_SIZE / 2,
     overflow: 'hidden',
-    shadowColor: '#000',
+    shadowColor: theme.shadow,
     shadowOffset: { width: 0, height: 6 },
     shadowOpacity: 0.5,
     shadowRadius: 12,
     elevation: 12,
   },
-  coinImage: {
-    width: COIN_SIZE,
-    height: COIN_SIZE,
-    borderRadius: COIN_SIZE / 2,
-  },
   resultLabel: {
     position: 'absolute',
     bottom: 0,
     fontSize: 20,
     fontWeight: 'bold',
-    color: '#FFFFFF',
+    color: theme.text,
     textAlign: 'center',
     opacity: 0.8,
   },
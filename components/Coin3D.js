@@ -0,0 +1,534 @@
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import { View, Text, Image, Animated, Easing, StyleSheet } from 'react-native';
+import { GestureDetector, Gesture } from 'react-native-gesture-handler';
+import { GLView } from 'expo-gl';
+import { Asset } from 'expo-asset';
+import { File } from 'expo-file-system';
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { resolveSideLabel, isSecondFace } from '../utils/decisionEngine';
+import { createToss, getTossPose, strengthFromSwipe, DEFAULT_TOSS_STRENGTH } from '../utils/tossPhysics';
+import { DEFAULT_COIN_FACES, canRender3D, sanitizeCoinFaces } from '../utils/coinFaces';
+import { getPhotoFaceUri } from '../utils/facePhotos';
+import { readModelParts } from '../utils/gltf';
+import { REDUCED_MOTION_DURATION, MAX_DISPLAY_FONT_SCALE } from '../utils/accessibility';
+import { translateBuiltInLabel } from '../utils/i18n';
+import Coin from './Coin';
+import CoinFace from './CoinFace';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+const COIN_SIZE = 200;
+const DEFAULT_SWIPE_VELOCITY = 500;
+const HEIGHT_SCALE_GAIN = 0.0008; // Extra scale per point of height, so a high toss looks closer
+const CONTAINER_HEIGHT = COIN_SIZE + 80;
+const FLIGHT_ROOM = 200; // Points the GL view reaches above the container, for the highest toss
+const GL_WIDTH = COIN_SIZE * 1.3;
+const GL_HEIGHT = CONTAINER_HEIGHT + FLIGHT_ROOM;
+const REST_Y = -FLIGHT_ROOM / 2; // Coin centre at rest, from the centre of the GL view
+const SHADOW_Y = (CONTAINER_HEIGHT - FLIGHT_ROOM) / 2 - (CONTAINER_HEIGHT - 15 - COIN_SIZE * 0.4);
+const IDLE_WOBBLE = 5; // Degrees
+const IDLE_PERIOD = 6000; // ms
+
+const MODEL_SOURCES = {
+  classic: require('../assets/models/coin.glb'),
+  token: require('../assets/models/token.glb'),
+  chip: require('../assets/models/chip.glb'),
+};
+
+const QUARTER_IMAGES = {
+  a: require('../assets/quarter_heads.png'),
+  b: require('../assets/quarter_tails.png'),
+};
+
+// Parsed models, shared by every coin (GL objects are not: they belong to one context)
+const modelPartsCache = {};
+
+/**
+ * Read a bundled model's parts, once per app run
+ * @param {string} model - COIN_MODELS id
+ * @returns {Promise<Array>}
+ */
+const loadModelParts = (model) => {
+  if (!modelPartsCache[model]) {
+    modelPartsCache[model] = (async () => {
+      const asset = Asset.fromModule(MODEL_SOURCES[model]);
+      await asset.downloadAsync();
+      return readModelParts(await new File(asset.localUri).arrayBuffer());
+    })();
+    // Let a failed load be retried next time
+    modelPartsCache[model].catch(() => {
+      delete modelPartsCache[model];
+    });
+  }
+  return modelPartsCache[model];
+};
+
+/**
+ * Pixel size of a local image
+ * @param {string} uri
+ * @returns {Promise<{width: number, height: number}>}
+ */
+const getImageSize = (uri) =>
+  new Promise((resolve, reject) => {
+    Image.getSize(uri, (width, height) => resolve({ width, height }), reject);
+  });
+
+/**
+ * Texture for a quarter or photo face
+ * expo-gl uploads straight from a local file, so three is handed the asset
+ * as the texture's raw data rather than a decoded image.
+ * @param {Object} face - Sanitized face
+ * @param {string} sideKey - 'a' or 'b' (picks heads or tails for the quarter)
+ * @returns {Promise<THREE.Texture>}
+ */
+const loadFaceTexture = async (face, sideKey) => {
+  const asset = face.type === 'photo' ? Asset.fromURI(getPhotoFaceUri(face)) : Asset.fromModule(QUARTER_IMAGES[sideKey]);
+  await asset.downloadAsync();
+  const { width, height } = asset.width ? asset : await getImageSize(asset.localUri);
+
+  const texture = new THREE.Texture();
+  texture.image = { data: asset, width, height };
+  texture.isDataTexture = true;
+  texture.flipY = false; // Model UVs follow glTF: v runs down the image
+  texture.needsUpdate = true;
+  return texture;
+};
+
+/**
+ * Coin group from model parts, scaled to COIN_SIZE
+ * @param {Array} parts - From readModelParts
+ * @param {boolean} hasEnvironment - Without reflections, full metal renders almost black
+ * @returns {THREE.Group}
+ */
+const buildCoin = (parts, hasEnvironment) => {
+  const group = new THREE.Group();
+  parts.forEach(({ part, positions, normals, uvs, indices, material }) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (uvs) {
+      geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    }
+    if (indices) {
+      geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    }
+    if (normals) {
+      geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    } else {
+      geometry.computeVertexNormals();
+    }
+
+    const [r, g, b] = material.color;
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshStandardMaterial({
+        color: new THREE.Color(r, g, b),
+        metalness: hasEnvironment ? material.metalness : Math.min(material.metalness, 0.4),
+        roughness: material.roughness,
+      })
+    );
+    mesh.name = part;
+    group.add(mesh);
+  });
+  group.scale.setScalar(COIN_SIZE / 2);
+  return group;
+};
+
+/**
+ * Free a coin's geometry, materials and textures
+ * @param {THREE.Object3D} object
+ */
+const disposeObject = (object) => {
+  object.traverse((child) => {
+    if (child.isMesh) {
+      child.geometry.dispose();
+      if (child.material.map) {
+        child.material.map.dispose();
+      }
+      child.material.dispose();
+    }
+  });
+};
+
+/**
+ * Fake canvas for three's renderer: expo-gl hands over a bare context
+ * @param {number} width - Drawing buffer width
+ * @param {number} height
+ * @returns {Object}
+ */
+const createCanvas = (width, height) => ({
+  width,
+  height,
+  clientHeight: height,
+  style: {},
+  addEventListener: () => {},
+  removeEventListener: () => {},
+});
+
+/**
+ * CoinScene Component
+ * The GL half of Coin3D: same props as Coin plus `onGLError`, called when
+ * the context or the model can't be set up so Coin3D can drop to 2D.
+ */
+const CoinScene = ({
+  side,
+  isFlipping,
+  onFlipStart,
+  onFlipEnd,
+  customSideA,
+  customSideB,
+  faces,
+  tossStrength = DEFAULT_TOSS_STRENGTH,
+  flipKey = 0,
+  swipeVelocity = DEFAULT_SWIPE_VELOCITY,
+  reduceMotion = false,
+  onGLError,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [sceneReady, setSceneReady] = useState(false);
+  const [coinReady, setCoinReady] = useState(false);
+  const sceneRef = useRef(null); // { gl, renderer, scene, camera, shadow, coin, hasEnvironment }
+  const frameRef = useRef(null); // Queued animation frame, null while the scene is still
+  const flightRef = useRef(null); // { toss, startedAt, landed } while a flip is on screen
+  const fadeAnim = useRef(new Animated.Value(1)).current; // Stands in for the flight with reduced motion
+
+  const displaySide = side || 'Heads';
+  const safeFaces = sanitizeCoinFaces(faces);
+
+  const panGesture = Gesture.Pan()
+    .onEnd((event) => {
+      if (swipeVelocity !== null && event.velocityY < -swipeVelocity && !isFlipping && onFlipStart) {
+        onFlipStart(strengthFromSwipe(-event.velocityY, swipeVelocity));
+      }
+    });
+
+  const isResultTails = isSecondFace(displaySide);
+  const toss = useMemo(() => createToss(tossStrength, isResultTails), [tossStrength, isResultTails]);
+
+  // The render loop outlives renders: it reads the latest values from refs
+  const onFlipEndRef = useRef(onFlipEnd);
+  onFlipEndRef.current = onFlipEnd;
+  const restAngleRef = useRef(0);
+  restAngleRef.current = isResultTails ? 180 : 0;
+  const reduceMotionRef = useRef(reduceMotion);
+  reduceMotionRef.current = reduceMotion;
+
+  // Start (or replay) the flight; the loop reports the landing.
+  // With reduced motion the coin rests on the result and fades in instead; the fade reports it.
+  useEffect(() => {
+    if (isFlipping && reduceMotion) {
+      flightRef.current = null;
+      fadeAnim.setValue(0);
+      Animated.timing(fadeAnim, {
+        toValue: 1,
+        duration: REDUCED_MOTION_DURATION,
+        easing: Easing.linear,
+        useNativeDriver: true,
+      }).start(() => {
+        if (onFlipEndRef.current) {
+          onFlipEndRef.current();
+        }
+      });
+      return;
+    }
+    flightRef.current = isFlipping ? { toss, startedAt: Date.now(), landed: false } : null;
+    requestFrame();
+  }, [isFlipping, side, flipKey]);
+
+  // A still coin is drawn once, so redraw it when its resting face or the motion setting changes
+  useEffect(() => {
+    requestFrame();
+  }, [isResultTails, reduceMotion]);
+
+  /**
+   * Draw one frame, and queue the next while anything moves
+   * The loop runs during a flight and for the idle wobble; with reduced motion
+   * a resting coin is drawn once and the loop stops until requestFrame.
+   */
+  const renderFrame = () => {
+    frameRef.current = null;
+    const current = sceneRef.current;
+    if (!current) {
+      return;
+    }
+    const { gl, renderer, scene, camera, shadow, coin } = current;
+    const flight = flightRef.current;
+
+    let height = 0;
+    const wobble = reduceMotionRef.current ? 0 : IDLE_WOBBLE * Math.sin((2 * Math.PI * Date.now()) / IDLE_PERIOD);
+    let rotation = restAngleRef.current + wobble;
+    if (flight) {
+      const pose = getTossPose(flight.toss, Date.now() - flight.startedAt);
+      height = pose.height;
+      rotation = pose.rotation;
+      if (pose.done && !flight.landed) {
+        flight.landed = true;
+        if (onFlipEndRef.current) {
+          onFlipEndRef.current();
+        }
+      }
+    }
+
+    if (coin) {
+      coin.position.y = REST_Y + height;
+      coin.rotation.x = THREE.MathUtils.degToRad(-rotation);
+      coin.scale.setScalar((COIN_SIZE / 2) * (1 + height * HEIGHT_SCALE_GAIN));
+    }
+
+    // Shadow shrinks and fades as the coin rises
+    const lift = flight ? height / flight.toss.height : 0;
+    shadow.material.opacity = 0.4 - 0.3 * lift;
+    shadow.scale.x = 1 - 0.4 * lift;
+
+    renderer.render(scene, camera);
+    gl.endFrameEXP();
+    if ((flight && !flight.landed) || !reduceMotionRef.current) {
+      requestFrame();
+    }
+  };
+
+  /**
+   * Queue a frame unless one is already queued
+   */
+  const requestFrame = () => {
+    if (frameRef.current === null && sceneRef.current) {
+      frameRef.current = requestAnimationFrame(renderFrame);
+    }
+  };
+
+  const handleContextCreate = (gl) => {
+    try {
+      const { drawingBufferWidth: width, drawingBufferHeight: height } = gl;
+      const renderer = new THREE.WebGLRenderer({ canvas: createCanvas(width, height), context: gl, antialias: true });
+      renderer.setSize(width, height, false);
+      renderer.setClearColor(0x000000, 0);
+
+      // Orthographic, in points, so heights match the 2D coin's
+      const camera = new THREE.OrthographicCamera(-GL_WIDTH / 2, GL_WIDTH / 2, GL_HEIGHT / 2, -GL_HEIGHT / 2, 1, 2000);
+      camera.position.z = 1000;
+
+      const scene = new THREE.Scene();
+      scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+      const keyLight = new THREE.DirectionalLight(0xffffff, 2.4);
+      keyLight.position.set(-1, 2, 3);
+      scene.add(keyLight);
+
+      // Reflections: optional, some GL drivers can't render the environment map
+      let hasEnvironment = false;
+      try {
+        const pmrem = new THREE.PMREMGenerator(renderer);
+        scene.environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+        pmrem.dispose();
+        hasEnvironment = true;
+      } catch (error) {
+        console.error('Coin3D environment error:', error);
+      }
+
+      // Ground shadow: always drawn first, underneath the coin
+      const shadow = new THREE.Mesh(
+        new THREE.CircleGeometry(COIN_SIZE * 0.4, 48),
+        new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.4, depthTest: false })
+      );
+      shadow.position.y = SHADOW_Y;
+      shadow.scale.y = 0.15;
+      shadow.renderOrder = -1;
+      scene.add(shadow);
+
+      sceneRef.current = { gl, renderer, scene, camera, shadow, coin: null, hasEnvironment };
+      setSceneReady(true);
+      requestFrame();
+    } catch (error) {
+      console.error('Coin3D context error:', error);
+      onGLError();
+    }
+  };
+
+  // Load (or swap) the model
+  useEffect(() => {
+    if (!sceneReady) {
+      return;
+    }
+    let cancelled = false;
+    setCoinReady(false);
+
+    loadModelParts(safeFaces.model)
+      .then((parts) => {
+        const current = sceneRef.current;
+        if (cancelled || !current) {
+          return;
+        }
+        if (current.coin) {
+          current.scene.remove(current.coin);
+          disposeObject(current.coin);
+        }
+        current.coin = buildCoin(parts, current.hasEnvironment);
+        current.scene.add(current.coin);
+        setCoinReady(true);
+        requestFrame();
+      })
+      .catch((error) => {
+        console.error('Coin3D model error:', error);
+        if (!cancelled) {
+          onGLError();
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sceneReady, safeFaces.model]);
+
+  // Texture both faces whenever they or the model change
+  const faceKey = JSON.stringify([safeFaces.a, safeFaces.b]);
+  useEffect(() => {
+    if (!coinReady) {
+      return;
+    }
+    let cancelled = false;
+
+    ['a', 'b'].forEach((sideKey) => {
+      const face = safeFaces[sideKey];
+      loadFaceTexture(face, sideKey)
+        .then((texture) => {
+          const coin = sceneRef.current && sceneRef.current.coin;
+          const mesh = coin && coin.getObjectByName(`face_${sideKey}`);
+          if (cancelled || !mesh) {
+            texture.dispose();
+            return;
+          }
+          if (mesh.material.map) {
+            mesh.material.map.dispose();
+          }
+          mesh.material.map = texture;
+          mesh.material.color.set(0xffffff);
+          // Photos are printed, not struck in metal
+          if (face.type === 'photo') {
+            mesh.material.metalness = 0.1;
+            mesh.material.roughness = 0.6;
+          }
+          mesh.material.needsUpdate = true;
+          requestFrame();
+        })
+        .catch((error) => {
+          // The face keeps the model's own finish
+          console.error('Coin3D texture error:', error);
+        });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [coinReady, faceKey]);
+
+  // Stop drawing and free the GL objects on unmount
+  useEffect(() => {
+    return () => {
+      cancelAnimationFrame(frameRef.current);
+      const current = sceneRef.current;
+      sceneRef.current = null;
+      if (current) {
+        if (current.coin) {
+          disposeObject(current.coin);
+        }
+        disposeObject(current.shadow);
+        if (current.scene.environment) {
+          current.scene.environment.dispose();
+        }
+        current.renderer.dispose();
+      }
+    };
+  }, []);
+
+  // Heads/Tails are the app's own; A/B labels come in ready to show
+  const isCoinSide = displaySide === 'Heads' || displaySide === 'Tails';
+  const resultLabel = isCoinSide ? translateBuiltInLabel(displaySide) : resolveSideLabel(displaySide, customSideA, customSideB);
+
+  return (
+    <GestureDetector gesture={panGesture}>
+      <View
+        style={styles.container}
+        accessible={true}
+        accessibilityRole="button"
+        accessibilityLabel={isFlipping || !side ? t('coin.label') : t('coin.showing', { side: resultLabel })}
+        accessibilityHint={t('coin.hint')}
+        accessibilityState={{ busy: isFlipping, disabled: isFlipping || !onFlipStart }}
+        accessibilityActions={[{ name: 'activate' }]}
+        onAccessibilityAction={(event) => {
+          if (event.nativeEvent.actionName === 'activate' && !isFlipping && onFlipStart) {
+            onFlipStart(DEFAULT_TOSS_STRENGTH);
+          }
+        }}
+      >
+        <Animated.View style={[styles.glView, { opacity: fadeAnim }]} pointerEvents="none">
+          <GLView style={styles.glFill} onContextCreate={handleContextCreate} />
+        </Animated.View>
+
+        {/* Flat stand-in while the model loads */}
+        {!coinReady && (
+          <CoinFace
+            face={isResultTails ? safeFaces.b : safeFaces.a}
+            isBack={isResultTails}
+            label={resolveSideLabel(isResultTails ? 'B' : 'A', customSideA, customSideB)}
+            size={COIN_SIZE}
+          />
+        )}
+
+        {/* Result label */}
+        {!isFlipping && side && (
+          <Text style={styles.resultLabel} maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}>{resultLabel}</Text>
+        )}
+      </View>
+    </GestureDetector>
+  );
+};
+
+/**
+ * 3D Coin Component
+ * Renders the coin with expo-gl and three from a bundled glTF model (see
+ * COIN_MODELS in utils/coinFaces, picked by `faces.model`): real edge
+ * thickness, lighting and reflections, flying along the same toss physics
+ * as the 2D coin. Takes exactly Coin's props.
+ * Falls back to the 2D Coin when GL or the model fails, and for coins whose
+ * faces can't be drawn as textures (skins and labels).
+ */
+const Coin3D = (props) => {
+  const [glFailed, setGlFailed] = useState(false);
+  const faces = props.faces || DEFAULT_COIN_FACES;
+
+  if (glFailed || !canRender3D(faces)) {
+    return <Coin {...props} faces={sanitizeCoinFaces(faces)} />;
+  }
+  return <CoinScene {...props} faces={faces} onGLError={() => setGlFailed(true)} />;
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 20,
+    height: CONTAINER_HEIGHT,
+  },
+  glView: {
+    position: 'absolute',
+    top: -FLIGHT_ROOM,
+    alignSelf: 'center',
+    width: GL_WIDTH,
+    height: GL_HEIGHT,
+  },
+  glFill: {
+    flex: 1,
+  },
+  resultLabel: {
+    position: 'absolute',
+    bottom: 0,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.text,
+    textAlign: 'center',
+    opacity: 0.8,
+  },
+});
+
+export default Coin3D;
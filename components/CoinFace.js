@@ -0,0 +1,155 @@
+import React from 'react';
+import { View, Text, Image, StyleSheet } from 'react-native';
+import { COIN_SKINS, sanitizeCoinFace } from '../utils/coinFaces';
+import { getPhotoFaceUri } from '../utils/facePhotos';
+import { MAX_DISPLAY_FONT_SCALE } from '../utils/accessibility';
+import { useThemedStyles } from './ThemeProvider';
+
+const headsImage = require('../assets/quarter_heads.png');
+const tailsImage = require('../assets/quarter_tails.png');
+
+const CHIP_STRIPES = 8;
+
+/**
+ * Font size that keeps a label inside the coin
+ * @param {string} label
+ * @param {number} size - Coin diameter
+ * @returns {number}
+ */
+const getLabelFontSize = (label, size) => {
+  const length = label.length;
+  if (length <= 4) {
+    return size * 0.28;
+  }
+  if (length <= 12) {
+    return size * 0.16;
+  }
+  return size * 0.1;
+};
+
+/**
+ * CoinFace Component
+ * Draws one face of a coin (see utils/coinFaces for the face shapes).
+ * `isBack` picks the tails quarter; `label` is the side's custom label,
+ * written on label faces and under the mark on skins. Text is sized to the
+ * coin, so it only follows the system font size up to MAX_DISPLAY_FONT_SCALE.
+ */
+const CoinFace = ({ face, isBack = false, label = '', size }) => {
+  const styles = useThemedStyles(createStyles);
+
+  const safe = sanitizeCoinFace(face);
+  const circle = { width: size, height: size, borderRadius: size / 2 };
+
+  if (safe.type === 'quarter') {
+    return <Image source={isBack ? tailsImage : headsImage} style={circle} />;
+  }
+
+  if (safe.type === 'photo') {
+    return <Image source={{ uri: getPhotoFaceUri(safe) }} style={[circle, styles.photo, { borderWidth: size * 0.04 }]} />;
+  }
+
+  if (safe.type === 'label') {
+    return (
+      <View style={[circle, styles.labelFace, { borderWidth: size * 0.05 }]}>
+        <Text
+          style={[styles.labelText, { fontSize: getLabelFontSize(label, size) }]}
+          numberOfLines={4}
+          adjustsFontSizeToFit={true}
+          maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}
+        >
+          {label}
+        </Text>
+      </View>
+    );
+  }
+
+  const skin = COIN_SKINS[safe.skin];
+  const rimWidth = size * 0.07;
+  return (
+    <View
+      style={[
+        circle,
+        styles.skinFace,
+        { backgroundColor: skin.body, borderColor: skin.rim, borderWidth: rimWidth },
+      ]}
+    >
+      {/* Poker chips get edge spots around the rim */}
+      {skin.striped &&
+        Array.from({ length: CHIP_STRIPES }, (_, index) => (
+          <View
+            key={index}
+            style={[
+              styles.stripeSpoke,
+              {
+                // Spokes span the whole coin, rim included, so each spot sits on the rim
+                top: -rimWidth,
+                left: -rimWidth,
+                width: size,
+                height: size,
+                transform: [{ rotate: `${(360 / CHIP_STRIPES) * index}deg` }],
+              },
+            ]}
+          >
+            <View style={[styles.stripe, { width: size * 0.1, height: rimWidth }]} />
+          </View>
+        ))}
+      <Text
+        style={[styles.skinMark, { color: skin.ink, fontSize: size * 0.34 }]}
+        maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}
+      >
+        {skin.mark}
+      </Text>
+      {label ? (
+        <Text
+          style={[styles.skinLabel, { color: skin.ink, fontSize: size * 0.08 }]}
+          numberOfLines={1}
+          maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}
+        >
+          {label}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  photo: {
+    borderColor: '#C9A227',
+  },
+  labelFace: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.surface,
+    borderColor: theme.accent,
+    padding: '12%',
+  },
+  labelText: {
+    color: theme.text,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  skinFace: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stripeSpoke: {
+    position: 'absolute',
+    alignItems: 'center',
+  },
+  stripe: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 2,
+  },
+  skinMark: {
+    fontWeight: 'bold',
+  },
+  skinLabel: {
+    position: 'absolute',
+    bottom: '18%',
+    maxWidth: '70%',
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+});
+
+export default CoinFace;
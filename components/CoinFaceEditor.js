@@ -0,0 +1,331 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import CoinFace from './CoinFace';
+import {
+  COIN_SKINS,
+  COIN_MODELS,
+  sanitizeCoinFaces,
+  canRender3D,
+  describeCoinFace,
+  getCoinModelName,
+} from '../utils/coinFaces';
+import { pickPhotoFace } from '../utils/facePhotos';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+const PREVIEW_SIZE = 150;
+const SWATCH_SIZE = 64;
+
+/**
+ * Face choices offered for each side, in display order
+ */
+const getFaceChoices = () => [
+  { key: 'quarter', face: { type: 'quarter' } },
+  ...Object.keys(COIN_SKINS).map((skin) => ({ key: skin, face: { type: 'skin', skin } })),
+  { key: 'label', face: { type: 'label' } },
+].map((choice) => ({ ...choice, name: describeCoinFace(choice.face) }));
+
+/**
+ * Whether two faces are the same choice (photos match on type only)
+ */
+const isSameChoice = (face, choice) => {
+  if (face.type !== choice.type) {
+    return false;
+  }
+  return face.type !== 'skin' || face.skin === choice.skin;
+};
+
+/**
+ * CoinFaceEditor Component
+ * Modal for designing each side of the custom coin: the quarter, a bundled
+ * skin, the side's label written on the coin, or a photo from the library,
+ * plus the 3D shape the coin is drawn with.
+ * Every change is reported through onChange({ a, b, model }) right away.
+ */
+const CoinFaceEditor = ({ visible, onClose, faces, labels, onChange }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [sideKey, setSideKey] = useState('a');
+  const [isPicking, setIsPicking] = useState(false);
+
+  const current = sanitizeCoinFaces(faces);
+  const face = current[sideKey];
+  const isBack = sideKey === 'b';
+  const label = (labels && labels[sideKey]) || sideKey.toUpperCase();
+
+  const selectFace = (nextFace) => {
+    onChange({ ...current, [sideKey]: nextFace });
+  };
+
+  const handlePickPhoto = async () => {
+    setIsPicking(true);
+    // Null when cancelled (or if the photo couldn't be stored): keep the current face
+    const photo = await pickPhotoFace();
+    setIsPicking(false);
+    if (photo) {
+      selectFace(photo);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.panel}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle} accessibilityRole="header">{t('coinFaces.title')}</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              style={styles.closeButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('common.close')}
+            >
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            {/* Side tabs */}
+            <View style={styles.tabRow} accessibilityRole="tablist">
+              {['a', 'b'].map((key) => (
+                <TouchableOpacity
+                  key={key}
+                  onPress={() => setSideKey(key)}
+                  accessibilityRole="tab"
+                  accessibilityState={{ selected: sideKey === key }}
+                  style={[styles.tab, sideKey === key && styles.tabActive]}
+                >
+                  <Text style={[styles.tabText, sideKey === key && styles.tabTextActive]}>
+                    {t('coinFaces.side', { side: key.toUpperCase() })}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.preview} accessible={true} accessibilityLabel={t('coinFaces.preview', { side: sideKey.toUpperCase() })}>
+              <CoinFace face={face} isBack={isBack} label={label} size={PREVIEW_SIZE} />
+            </View>
+
+            <View style={styles.choiceGrid}>
+              {getFaceChoices().map((choice) => (
+                <TouchableOpacity
+                  key={choice.key}
+                  onPress={() => selectFace(choice.face)}
+                  accessibilityRole="button"
+                  accessibilityLabel={choice.name}
+                  accessibilityState={{ selected: isSameChoice(face, choice.face) }}
+                  style={[styles.choice, isSameChoice(face, choice.face) && styles.choiceActive]}
+                >
+                  <CoinFace face={choice.face} isBack={isBack} label={label} size={SWATCH_SIZE} />
+                  <Text style={styles.choiceText}>{choice.name}</Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                onPress={handlePickPhoto}
+                style={[styles.choice, face.type === 'photo' && styles.choiceActive]}
+                disabled={isPicking}
+                accessibilityRole="button"
+                accessibilityLabel={face.type === 'photo' ? t('coinFaces.changePhoto') : t('coinFaces.types.photo')}
+                accessibilityState={{ selected: face.type === 'photo', busy: isPicking }}
+              >
+                {face.type === 'photo' ? (
+                  <CoinFace face={face} size={SWATCH_SIZE} />
+                ) : (
+                  <View style={styles.photoSwatch}>
+                    {isPicking ? (
+                      <ActivityIndicator color={theme.accent} />
+                    ) : (
+                      <Text style={styles.photoSwatchText}>+</Text>
+                    )}
+                  </View>
+                )}
+                <Text style={styles.choiceText}>{face.type === 'photo' ? t('coinFaces.changePhoto') : t('coinFaces.types.photo')}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* 3D shape */}
+            <Text style={styles.sectionTitle}>{t('coinFaces.shape')}</Text>
+            <View style={styles.modelRow}>
+              {Object.keys(COIN_MODELS).map((model) => (
+                <TouchableOpacity
+                  key={model}
+                  onPress={() => onChange({ ...current, model })}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: current.model === model }}
+                  style={[styles.modelOption, current.model === model && styles.choiceActive]}
+                >
+                  <Text style={styles.modelText}>{getCoinModelName(model)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {!canRender3D(current) && (
+              <Text style={styles.hintText}>{t('coinFaces.flatHint')}</Text>
+            )}
+
+            <Text style={styles.hintText}>
+              {t('coinFaces.presetHint')}
+            </Text>
+          </ScrollView>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: theme.overlay,
+    justifyContent: 'flex-end',
+  },
+  panel: {
+    backgroundColor: theme.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    height: '80%',
+    paddingBottom: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.border,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: theme.text,
+    textTransform: 'uppercase',
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  closeButtonText: {
+    fontSize: 24,
+    color: theme.textMuted,
+  },
+  content: {
+    padding: 20,
+  },
+  tabRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 20,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    backgroundColor: theme.surface,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  tabActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  tabText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.textMuted,
+  },
+  tabTextActive: {
+    color: theme.onAccent,
+  },
+  preview: {
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  choiceGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 12,
+  },
+  choice: {
+    width: SWATCH_SIZE + 28,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: 'transparent',
+    backgroundColor: theme.surface,
+  },
+  choiceActive: {
+    borderColor: theme.accent,
+  },
+  choiceText: {
+    fontSize: 12,
+    color: theme.textSecondary,
+    marginTop: 6,
+    textAlign: 'center',
+  },
+  photoSwatch: {
+    width: SWATCH_SIZE,
+    height: SWATCH_SIZE,
+    borderRadius: SWATCH_SIZE / 2,
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: theme.accent,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoSwatchText: {
+    fontSize: 28,
+    color: theme.accent,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.textMuted,
+    textTransform: 'uppercase',
+    marginTop: 24,
+    marginBottom: 10,
+  },
+  modelRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  modelOption: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1.5,
+    borderColor: 'transparent',
+    backgroundColor: theme.surface,
+  },
+  modelText: {
+    fontSize: 14,
+    color: theme.textSecondary,
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.textFaint,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
+
+export default CoinFaceEditor;
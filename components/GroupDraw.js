@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { View, Text, Animated, StyleSheet, Easing } from 'react-native';
+import { REDUCED_MOTION_DURATION } from '../utils/accessibility';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+// Every draw lands well inside the decision engine's LANDING_TIMEOUT, whatever the roster size
+const PICK_LAPS = 2; // Full passes over the roster before the highlight slows onto the pick
+const MAX_PICK_STEPS = 24; // Longer rosters start the highlight part way round instead
+const PICK_TICK_MS = 60; // First (fastest) step of the highlight
+const PICK_SLOWDOWN = 5; // Last step is this many times slower than the first
+const DEAL_STAGGER_MS = 180; // Gap between names appearing in an order or a team
+const MAX_DEAL_SPREAD_MS = 3000; // Longer rosters are dealt with a shorter gap
+const DEAL_MS = 260;
+const LANDING_HOLD_MS = 400; // Beat on the finished outcome before reporting the landing
+
+/**
+ * Position of each name in the order it is revealed
+ * Orders reveal first to last; teams are dealt round robin, one name per team in turn
+ * @param {Object} group
+ * @returns {Array<Array<number>>|Array<number>} - Per name (order) or per team member (teams)
+ */
+const getDealSlots = (group) => {
+  if (group.mode === 'order') {
+    return group.order.map((_, index) => index);
+  }
+  if (group.mode === 'teams') {
+    return group.teams.map((team, teamIndex) =>
+      team.map((_, memberIndex) => memberIndex * group.teams.length + teamIndex)
+    );
+  }
+  return [];
+};
+
+/**
+ * GroupDraw Component
+ * Animates a group draw from a roster (see utils/roster for the outcome shape):
+ * - pick: a highlight runs around the names, slowing down onto the chosen person
+ * - order: the names drop in one at a time, first to last
+ * - teams: the names are dealt into the team columns in turn
+ * While `isDrawing` the outcome is revealed step by step and `onDrawEnd` is
+ * called once it has landed; otherwise the finished outcome is shown as is.
+ * `names` is the current roster, shown before the first draw.
+ * With `reduceMotion` the outcome fades in all at once instead.
+ */
+const GroupDraw = ({ group, names, isDrawing, onDrawEnd, reduceMotion = false }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [highlight, setHighlight] = useState(null); // Pick mode: index under the highlight
+
+  // One reveal value per dealt name, recreated for every outcome
+  const dealCount = group && group.mode !== 'pick' ? group.names.length : 0;
+  const dealAnims = useMemo(
+    () => Array.from({ length: dealCount }, () => new Animated.Value(isDrawing ? 0 : 1)),
+    [group]
+  );
+
+  // Latest callback for the animation's completion, which outlives this render
+  const onDrawEndRef = useRef(onDrawEnd);
+  onDrawEndRef.current = onDrawEnd;
+
+  useEffect(() => {
+    if (!isDrawing || !group) {
+      setHighlight(group && group.mode === 'pick' ? group.picked : null);
+      return undefined;
+    }
+
+    let timer = null;
+    let cancelled = false;
+    const land = () => {
+      timer = setTimeout(() => {
+        if (!cancelled && onDrawEndRef.current) {
+          onDrawEndRef.current();
+        }
+      }, LANDING_HOLD_MS);
+    };
+
+    if (reduceMotion) {
+      setHighlight(group.mode === 'pick' ? group.picked : null);
+      dealAnims.forEach((anim) => anim.setValue(0));
+      Animated.parallel(
+        dealAnims.map((anim) =>
+          Animated.timing(anim, {
+            toValue: 1,
+            duration: REDUCED_MOTION_DURATION,
+            easing: Easing.linear,
+            useNativeDriver: true,
+          })
+        )
+      ).start(({ finished }) => {
+        if (finished) {
+          land();
+        }
+      });
+    } else if (group.mode === 'pick') {
+      // Step the highlight around the roster, each step a little slower, ending on the pick
+      const count = group.names.length;
+      const steps = Math.min(count * PICK_LAPS + group.picked, MAX_PICK_STEPS);
+      const start = (((group.picked - steps) % count) + count) % count;
+      const step = (index) => {
+        setHighlight((start + index) % count);
+        if (index >= steps) {
+          land();
+          return;
+        }
+        const progress = index / steps;
+        timer = setTimeout(() => step(index + 1), PICK_TICK_MS * (1 + (PICK_SLOWDOWN - 1) * progress * progress));
+      };
+      step(0);
+    } else {
+      dealAnims.forEach((anim) => anim.setValue(0));
+      const order = getDealSlots(group).flat();
+      const reveals = dealAnims.map((_, slot) =>
+        Animated.timing(dealAnims[order.indexOf(slot)], {
+          toValue: 1,
+          duration: DEAL_MS,
+          easing: Easing.out(Easing.back(1.5)),
+          useNativeDriver: true,
+        })
+      );
+      const stagger = Math.min(DEAL_STAGGER_MS, MAX_DEAL_SPREAD_MS / Math.max(reveals.length - 1, 1));
+      Animated.stagger(stagger, reveals).start(({ finished }) => {
+        if (finished) {
+          land();
+        }
+      });
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [group, isDrawing]);
+
+  /**
+   * Entrance style for the name revealed at `animIndex`
+   */
+  const getDealStyle = (animIndex) => {
+    const anim = dealAnims[animIndex];
+    if (reduceMotion) {
+      return { opacity: anim };
+    }
+    return {
+      opacity: anim,
+      transform: [
+        { translateY: anim.interpolate({ inputRange: [0, 1], outputRange: [-16, 0] }) },
+        { scale: anim.interpolate({ inputRange: [0, 1], outputRange: [0.8, 1] }) },
+      ],
+    };
+  };
+
+  // Before the first draw: just the roster
+  if (!group) {
+    return (
+      <View style={styles.container}>
+        {names.length > 0 ? (
+          <View style={styles.chipWrap}>
+            {names.map((name, index) => (
+              <View key={index} style={styles.nameChip}>
+                <Text style={styles.nameChipText} numberOfLines={1}>{name}</Text>
+              </View>
+            ))}
+          </View>
+        ) : (
+          <Text style={styles.hint}>{t('group.needNames')}</Text>
+        )}
+      </View>
+    );
+  }
+
+  if (group.mode === 'pick') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.chipWrap}>
+          {group.names.map((name, index) => (
+            <View key={index} style={[styles.nameChip, highlight === index && styles.nameChipActive]}>
+              <Text style={[styles.nameChipText, highlight === index && styles.nameChipTextActive]} numberOfLines={1}>
+                {name}
+              </Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  }
+
+  if (group.mode === 'order') {
+    return (
+      <View style={styles.container}>
+        {group.order.map((name, index) => (
+          <Animated.View key={index} style={[styles.orderRow, getDealStyle(index)]}>
+            <Text style={styles.orderNumber}>{index + 1}</Text>
+            <Text style={styles.orderName} numberOfLines={1}>{name}</Text>
+          </Animated.View>
+        ))}
+      </View>
+    );
+  }
+
+  // Teams: the reveal values are indexed by position in the flattened team list
+  let animIndex = 0;
+  return (
+    <View style={[styles.container, styles.teamRow]}>
+      {group.teams.map((team, teamIndex) => (
+        <View key={teamIndex} style={styles.team}>
+          <Text style={styles.teamTitle}>{t('group.teamTitle', { number: teamIndex + 1 })}</Text>
+          {team.map((name, memberIndex) => (
+            <Animated.View key={memberIndex} style={[styles.nameChip, getDealStyle(animIndex++)]}>
+              <Text style={styles.nameChipText} numberOfLines={1}>{name}</Text>
+            </Animated.View>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    minHeight: 200,
+    marginVertical: 20,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: theme.surface,
+    justifyContent: 'center',
+  },
+  chipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  nameChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.background,
+    maxWidth: '100%',
+  },
+  nameChipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  nameChipText: {
+    fontSize: 15,
+    color: theme.textSecondary,
+    textAlign: 'center',
+  },
+  nameChipTextActive: {
+    color: theme.onAccent,
+    fontWeight: 'bold',
+  },
+  orderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  orderNumber: {
+    width: 32,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: theme.accent,
+  },
+  orderName: {
+    flex: 1,
+    fontSize: 17,
+    color: theme.text,
+  },
+  teamRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'flex-start',
+    gap: 12,
+  },
+  team: {
+    flexGrow: 1,
+    flexBasis: 120,
+    gap: 6,
+  },
+  teamTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 14,
+    color: theme.textFaint,
+    textAlign: 'center',
+  },
+});
+
+export default GroupDraw;
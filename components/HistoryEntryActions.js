@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { translateEntryLabel } from '../utils/i18n';
+import { MAX_NOTE_LENGTH } from '../utils/storage';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * HistoryEntryActions Component
+ * Action sheet for a single history row: annotate, re-run or delete
+ */
+const HistoryEntryActions = ({ entry, onClose, onSaveNote, onRerun, onDelete }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [note, setNote] = useState('');
+  const [isEditingNote, setIsEditingNote] = useState(false);
+
+  // Start from the entry's existing note whenever a new row is opened
+  useEffect(() => {
+    setNote(entry && typeof entry.note === 'string' ? entry.note : '');
+    setIsEditingNote(false);
+  }, [entry]);
+
+  const handleSaveNote = () => {
+    onSaveNote(entry, note);
+    setIsEditingNote(false);
+  };
+
+  return (
+    <Modal
+      visible={!!entry}
+      animationType="fade"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity
+          style={styles.backdropTouch}
+          onPress={onClose}
+          activeOpacity={1}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.close')}
+        />
+        {entry && (
+          <View style={styles.sheet}>
+            <Text style={styles.title} numberOfLines={2} accessibilityRole="header">{translateEntryLabel(entry)}</Text>
+
+            {isEditingNote ? (
+              <View>
+                <TextInput
+                  style={styles.noteInput}
+                  value={note}
+                  accessibilityLabel={t('entryActions.note')}
+                  onChangeText={(text) => setNote(text.substring(0, MAX_NOTE_LENGTH))}
+                  placeholder={t('entryActions.notePlaceholder')}
+                  placeholderTextColor={theme.placeholder}
+                  maxLength={MAX_NOTE_LENGTH}
+                  multiline={true}
+                  autoFocus={true}
+                />
+                <TouchableOpacity
+                  onPress={handleSaveNote}
+                  style={[styles.action, styles.actionPrimary]}
+                  accessibilityRole="button"
+                >
+                  <Text style={[styles.actionText, styles.actionPrimaryText]}>{t('entryActions.saveNote')}</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <TouchableOpacity onPress={() => setIsEditingNote(true)} style={styles.action} accessibilityRole="button">
+                <Text style={styles.actionText}>{entry.note ? t('entryActions.editNote') : t('entryActions.addNote')}</Text>
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity onPress={() => onRerun(entry)} style={styles.action} accessibilityRole="button">
+              <Text style={styles.actionText}>{t('entryActions.rerun')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onDelete(entry)}
+              style={[styles.action, styles.actionDanger]}
+              accessibilityRole="button"
+            >
+              <Text style={[styles.actionText, styles.actionDangerText]}>{t('entryActions.delete')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.action, styles.actionCancel]} accessibilityRole="button">
+              <Text style={styles.actionCancelText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: theme.overlay,
+    justifyContent: 'flex-end',
+  },
+  backdropTouch: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: theme.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 36,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.text,
+    marginBottom: 16,
+    textAlign: 'center',
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 12,
+    padding: 16,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+    minHeight: 80,
+    textAlignVertical: 'top',
+    marginBottom: 10,
+  },
+  action: {
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderRadius: 12,
+    backgroundColor: theme.surface,
+    marginBottom: 10,
+  },
+  actionPrimary: {
+    backgroundColor: theme.accent,
+  },
+  actionDanger: {
+    backgroundColor: theme.danger,
+  },
+  actionCancel: {
+    backgroundColor: 'transparent',
+    marginBottom: 0,
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  actionPrimaryText: {
+    color: theme.onAccent,
+  },
+  actionDangerText: {
+    color: theme.onDanger,
+  },
+  actionCancelText: {
+    fontSize: 16,
+    color: theme.textMuted,
+  },
+});
+
+export default HistoryEntryActions;
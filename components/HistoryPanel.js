@@ -7,44 +7,197 @@ import {
   FlatList,
   StyleSheet,
   SafeAreaView,
+  ScrollView,
+  Alert,
 } from 'react-native';
-import { getHistory, clearHistory } from '../utils/storage';
+import {
+  getHistoryPage,
+  clearHistory,
+  getPresets,
+  getRetentionPolicy,
+  setRetentionPolicy,
+  deleteHistoryEntry,
+  setHistoryEntryNote,
+  undoDeletion,
+  commitDeletion,
+  purgeExpiredTrash,
+} from '../utils/storage';
+import { formatOdds, isUniform } from '../utils/weights';
+import { verifyFairEntry } from '../utils/provablyFair';
+import { describeRun } from '../utils/series';
+import { describeGroupOutcome } from '../utils/roster';
+import { formatQuestionResult } from '../utils/questions';
+import { describeChallenge } from '../utils/challenge';
+import { exportHistory, importHistoryFromFile } from '../utils/historyTransfer';
+import { formatRelativeTime, translateEntryLabel } from '../utils/i18n';
+import StatsPanel from './StatsPanel';
+import HistoryEntryActions from './HistoryEntryActions';
+import UndoSnackbar from './UndoSnackbar';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+const PAGE_SIZE = 20;
+
+// Labels are history.retention.<key> in utils/locales
+const RETENTION_OPTIONS = [
+  { key: 'forever', policy: { type: 'all' } },
+  { key: 'last100', policy: { type: 'count', value: 100 } },
+  { key: 'last1000', policy: { type: 'count', value: 1000 } },
+  { key: 'days30', policy: { type: 'age', value: 30 } },
+  { key: 'year1', policy: { type: 'age', value: 365 } },
+];
+
+const isSamePolicy = (a, b) => !!a && !!b && a.type === b.type && a.value === b.value;
 
 /**
  * HistoryPanel Component
  * Modal/slide-out panel showing flip history
+ * Loads pages lazily as the list scrolls
+ * Long-press a row to annotate, re-run or delete it
+ * Clearing and deleting can be undone from a snackbar until it times out
  * Handles storage errors gracefully
  */
-const HistoryPanel = ({ visible, onClose }) => {
+const HistoryPanel = ({ visible, onClose, onRerun }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
   const [history, setHistory] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [retentionPolicy, setRetentionPolicyState] = useState(null);
+  const [activeTab, setActiveTab] = useState('list'); // 'list' | 'stats'
+  const [isTransferring, setIsTransferring] = useState(false);
+  const [selectedEntry, setSelectedEntry] = useState(null); // Row whose action sheet is open
+  const [verifications, setVerifications] = useState({}); // entry key -> 'checking' | 'valid' | 'invalid'
+  const [presetNames, setPresetNames] = useState({}); // preset id -> name
+  const [presetFilter, setPresetFilter] = useState(null); // null = all entries
+  const [pendingUndo, setPendingUndo] = useState(null); // { token, message } of the last deletion
 
-  // Load history when modal opens
+  // Load presets and retention policy when modal opens
   useEffect(() => {
     if (visible) {
-      loadHistory();
+      loadSettings();
     }
   }, [visible]);
 
+  // Closing the panel makes a pending deletion final
+  useEffect(() => {
+    if (!visible && pendingUndo) {
+      commitDeletion(pendingUndo.token);
+      setPendingUndo(null);
+    }
+  }, [visible]);
+
+  // Load the first page when the modal opens or the filter changes
+  useEffect(() => {
+    if (visible) {
+      loadHistory();
+    }
+  }, [visible, presetFilter]);
+
+  const loadSettings = async () => {
+    try {
+      // Deletions left pending when the app was closed are past undo by now
+      await purgeExpiredTrash();
+      const [presets, policy] = await Promise.all([getPresets(), getRetentionPolicy()]);
+      setPresetNames(
+        presets.reduce((names, preset) => ({ ...names, [preset.id]: preset.name }), {})
+      );
+      setRetentionPolicyState(policy);
+    } catch (error) {
+      console.error('HistoryPanel loadSettings error:', error);
+    }
+  };
+
+  const getPageFilter = () => {
+    return presetFilter ? (item) => item.presetId === presetFilter : undefined;
+  };
+
   const loadHistory = async () => {
     setIsLoading(true);
     try {
-      const historyData = await getHistory();
+      const page = await getHistoryPage({ offset: 0, limit: PAGE_SIZE, filter: getPageFilter() });
       // Guard: Ensure history is an array
-      setHistory(Array.isArray(historyData) ? historyData : []);
+      setHistory(Array.isArray(page.entries) ? page.entries : []);
+      setHasMore(!!page.hasMore);
     } catch (error) {
       console.error('HistoryPanel loadHistory error:', error);
       setHistory([]); // Fallback to empty array on error
+      setHasMore(false);
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Append the next page when the list nears its end
+   */
+  const loadMore = async () => {
+    // Guard: Avoid duplicate page loads while one is in flight
+    if (!hasMore || isLoadingMore || isLoading) {
+      return;
+    }
+
+    setIsLoadingMore(true);
+    try {
+      const page = await getHistoryPage({
+        offset: history.length,
+        limit: PAGE_SIZE,
+        filter: getPageFilter(),
+      });
+      if (Array.isArray(page.entries)) {
+        setHistory((current) => [...current, ...page.entries]);
+      }
+      setHasMore(!!page.hasMore);
+    } catch (error) {
+      console.error('HistoryPanel loadMore error:', error);
+      setHasMore(false);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleRetentionChange = async (policy) => {
+    const success = await setRetentionPolicy(policy);
+    if (success) {
+      setRetentionPolicyState(policy);
+      // Retention may have pruned entries that are currently on screen
+      loadHistory();
+    }
+  };
+
+  /**
+   * Offer undo for a deletion; an older pending one becomes final
+   */
+  const showUndo = (token, message) => {
+    if (pendingUndo) {
+      commitDeletion(pendingUndo.token);
+    }
+    setPendingUndo({ token, message });
+  };
+
+  const handleUndo = async (undo) => {
+    setPendingUndo(null);
+    const restored = await undoDeletion(undo.token);
+    if (restored) {
+      loadHistory();
+    }
+  };
+
+  const handleUndoExpire = (undo) => {
+    setPendingUndo(null);
+    commitDeletion(undo.token);
+  };
+
   const handleClearHistory = async () => {
     try {
-      const success = await clearHistory();
-      if (success) {
+      const token = await clearHistory();
+      if (token) {
         setHistory([]);
+        setHasMore(false);
+        setPresetFilter(null);
+        showUndo(token, t('history.cleared'));
       }
       // If it fails, the error is already logged in storage.js
     } catch (error) {
@@ -52,51 +205,232 @@ const HistoryPanel = ({ visible, onClose }) => {
     }
   };
 
-  const formatTimestamp = (timestamp) => {
-    // Guard: Ensure timestamp is valid
-    if (!timestamp || typeof timestamp !== 'number') {
-      return 'Unknown time';
+  const handleExport = async (format) => {
+    // Guard: One export/import at a time
+    if (isTransferring) {
+      return;
     }
 
+    setIsTransferring(true);
     try {
-      const date = new Date(timestamp);
-      const now = new Date();
-      const diffMs = now - date;
-      const diffMins = Math.floor(diffMs / 60000);
-      const diffHours = Math.floor(diffMs / 3600000);
-      const diffDays = Math.floor(diffMs / 86400000);
-
-      if (diffMins < 1) {
-        return 'Just now';
-      } else if (diffMins < 60) {
-        return `${diffMins}m ago`;
-      } else if (diffHours < 24) {
-        return `${diffHours}h ago`;
-      } else if (diffDays < 7) {
-        return `${diffDays}d ago`;
-      } else {
-        return date.toLocaleDateString();
+      const result = await exportHistory(format);
+      if (!result.success && result.error) {
+        Alert.alert(t('history.export'), result.error);
       }
-    } catch (error) {
-      console.error('formatTimestamp error:', error);
-      return 'Unknown time';
+    } finally {
+      setIsTransferring(false);
     }
   };
 
+  const handleImport = async () => {
+    // Guard: One export/import at a time
+    if (isTransferring) {
+      return;
+    }
+
+    setIsTransferring(true);
+    try {
+      const result = await importHistoryFromFile();
+      if (result.cancelled) {
+        return;
+      }
+      if (result.error) {
+        Alert.alert(t('history.import'), result.error);
+        return;
+      }
+
+      const skipped = [
+        result.duplicates > 0 ? t('history.duplicates', { count: result.duplicates }) : null,
+        result.invalid > 0 ? t('history.invalidRows', { count: result.invalid }) : null,
+      ].filter(Boolean);
+      Alert.alert(
+        t('history.import'),
+        t('history.imported', { count: result.added }) +
+          (skipped.length ? ` ${t('history.skipped', { items: skipped.join(` ${t('common.and')} `) })}` : '')
+      );
+      loadHistory();
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const handleDeleteEntry = async (entry) => {
+    setSelectedEntry(null);
+    const token = await deleteHistoryEntry(entry.id);
+    if (token) {
+      setHistory((current) => current.filter((item) => item.id !== entry.id));
+      showUndo(token, t('history.deleted'));
+    }
+  };
+
+  const handleSaveNote = async (entry, note) => {
+    const success = await setHistoryEntryNote(entry.id, note);
+    if (success) {
+      const trimmed = note.trim();
+      const update = (item) => {
+        if (item.id !== entry.id) {
+          return item;
+        }
+        const { note: previousNote, ...rest } = item;
+        return trimmed ? { ...rest, note: trimmed } : rest;
+      };
+      setHistory((current) => current.map(update));
+      setSelectedEntry((current) => (current ? update(current) : current));
+    }
+  };
+
+  const handleRerun = (entry) => {
+    setSelectedEntry(null);
+    if (onRerun) {
+      onRerun(entry);
+    }
+  };
+
+  /**
+   * Re-derive a provably fair result from its revealed seed
+   */
+  const handleVerify = async (item, key) => {
+    setVerifications((current) => ({ ...current, [key]: 'checking' }));
+    const { valid } = await verifyFairEntry(item);
+    setVerifications((current) => ({ ...current, [key]: valid ? 'valid' : 'invalid' }));
+  };
+
+  const getVerifyLabel = (status) => {
+    if (status === 'checking') {
+      return t('history.verify.checking');
+    }
+    if (status === 'valid') {
+      return t('history.verify.valid');
+    }
+    if (status === 'invalid') {
+      return t('history.verify.invalid');
+    }
+    return t('history.verify.button');
+  };
+
+  const getPresetName = (presetId) => presetNames[presetId] || t('history.deletedPreset');
+
+  const presetIds = Object.keys(presetNames);
+
+  const getItemKey = (item, index) => {
+    // Guard: Create unique key
+    if (item && item.id) {
+      return item.id;
+    }
+    return item && item.timestamp
+      ? `${item.timestamp}-${index}`
+      : `item-${index}`;
+  };
+
   const renderHistoryItem = ({ item, index }) => {
     // Guard: Ensure item is valid
     if (!item || typeof item !== 'object') {
       return null;
     }
 
-    const side = item.side || 'Unknown';
+    const side = item.side ? translateEntryLabel(item) : t('history.unknownSide');
+    // Questions are shown with their answer: "Should we ship Friday? → No"
+    const title = typeof item.question === 'string' ? formatQuestionResult(item.question, side) : side;
     const timestamp = item.timestamp || Date.now();
 
+    // Multi-option entries record the list the result was picked from
+    const labels = Array.isArray(item.options) ? item.options.map((option) => translateEntryLabel(item, option)) : null;
+    const options = item.mode === 'multi' ? labels : null;
+    // Weighted entries record the odds that were in force
+    const odds =
+      Array.isArray(item.options) &&
+      Array.isArray(item.weights) &&
+      item.weights.length === item.options.length &&
+      !isUniform(item.weights)
+        ? formatOdds(labels, item.weights)
+        : null;
+    const fair = item.fair && typeof item.fair.hash === 'string' ? item.fair : null;
+    // Series and brackets are stored as one grouped entry
+    const run = describeRun(item);
+    // Group draws record the whole outcome: the pick, the order or every team
+    const groupLines = describeGroupOutcome(item.group);
+    // Vetoed flips and their re-flips tell the challenge: "Pizza ✕ → Tacos"
+    const challengeLines = describeChallenge(item);
+    const key = getItemKey(item, index);
+
+    // Legacy rows without an id can't be edited in place
+    const canEdit = typeof item.id === 'string';
+
     return (
-      <View style={styles.historyItem}>
-        <Text style={styles.historySide}>{side}</Text>
-        <Text style={styles.historyTime}>{formatTimestamp(timestamp)}</Text>
-      </View>
+      <TouchableOpacity
+        style={styles.historyItem}
+        onLongPress={() => setSelectedEntry(item)}
+        disabled={!canEdit}
+        activeOpacity={0.7}
+        accessibilityHint={canEdit ? t('history.itemHint') : undefined}
+      >
+        <View style={styles.historyDetails}>
+          <Text style={[styles.historySide, item.vetoed === true && styles.historySideVetoed]}>{title}</Text>
+          {challengeLines.map((line) => (
+            <Text key={line} style={styles.historyOptions} numberOfLines={2}>
+              {line}
+            </Text>
+          ))}
+          {typeof item.presetId === 'string' && (
+            <Text style={styles.historyOptions} numberOfLines={1}>
+              {t('history.preset', { name: getPresetName(item.presetId) })}
+            </Text>
+          )}
+          {run && (
+            <Text style={styles.historyOptions} numberOfLines={1}>
+              {run}
+            </Text>
+          )}
+          {groupLines.map((line) => (
+            <Text key={line} style={styles.historyOptions} numberOfLines={2}>
+              {line}
+            </Text>
+          ))}
+          {options && (
+            <Text style={styles.historyOptions} numberOfLines={2}>
+              {t('history.fromOptions', { count: options.length, options: options.join(', ') })}
+            </Text>
+          )}
+          {odds && (
+            <Text style={styles.historyOptions} numberOfLines={2}>
+              {t('history.odds', { odds })}
+            </Text>
+          )}
+          {fair && (
+            <View style={styles.fairRow}>
+              <Text style={styles.historyOptions} numberOfLines={1}>
+                {t('history.fair', { hash: fair.hash.slice(0, 12) })}
+              </Text>
+              <TouchableOpacity
+                onPress={() => handleVerify(item, key)}
+                style={styles.verifyButton}
+                disabled={verifications[key] === 'checking'}
+                accessibilityRole="button"
+                accessibilityState={{ busy: verifications[key] === 'checking' }}
+              >
+                <Text style={styles.verifyButtonText}>{getVerifyLabel(verifications[key])}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          {typeof item.note === 'string' && item.note && (
+            <Text style={styles.historyNote}>“{item.note}”</Text>
+          )}
+        </View>
+        <View style={styles.historyMeta}>
+          <Text style={styles.historyTime}>{formatRelativeTime(timestamp)}</Text>
+          {canEdit && (
+            <TouchableOpacity
+              onPress={() => setSelectedEntry(item)}
+              style={styles.moreButton}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+              accessibilityRole="button"
+              accessibilityLabel={t('history.actionsFor', { title })}
+            >
+              <Text style={styles.moreButtonText}>•••</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </TouchableOpacity>
     );
   };
 
@@ -110,56 +444,202 @@ const HistoryPanel = ({ visible, onClose }) => {
       <SafeAreaView style={styles.modalContainer}>
         <View style={styles.panel}>
           <View style={styles.header}>
-            <Text style={styles.headerTitle}>Flip History</Text>
-            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Text style={styles.headerTitle} accessibilityRole="header">{t('history.title')}</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              style={styles.closeButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('common.close')}
+            >
               <Text style={styles.closeButtonText}>✕</Text>
             </TouchableOpacity>
           </View>
 
-          {isLoading ? (
-            <View style={styles.loadingContainer}>
-              <Text style={styles.loadingText}>Loading...</Text>
-            </View>
-          ) : history.length === 0 ? (
-            <View style={styles.emptyContainer}>
-              <Text style={styles.emptyText}>No flip history yet</Text>
-            </View>
+          {/* List / Stats tabs */}
+          <View style={styles.tabRow} accessibilityRole="tablist">
+            <TouchableOpacity
+              onPress={() => setActiveTab('list')}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: activeTab === 'list' }}
+              style={[styles.tab, activeTab === 'list' && styles.tabActive]}
+            >
+              <Text style={[styles.tabText, activeTab === 'list' && styles.tabTextActive]}>{t('history.tabs.list')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => setActiveTab('stats')}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: activeTab === 'stats' }}
+              style={[styles.tab, activeTab === 'stats' && styles.tabActive]}
+            >
+              <Text style={[styles.tabText, activeTab === 'stats' && styles.tabTextActive]}>{t('history.tabs.stats')}</Text>
+            </TouchableOpacity>
+          </View>
+
+          {activeTab === 'stats' ? (
+            <StatsPanel />
           ) : (
-            <View style={styles.listWrapper}>
-              <FlatList
-                data={history}
-                renderItem={renderHistoryItem}
-                keyExtractor={(item, index) => {
-                  // Guard: Create unique key
-                  return item.timestamp
-                    ? `${item.timestamp}-${index}`
-                    : `item-${index}`;
-                }}
-                style={styles.historyList}
-                contentContainerStyle={styles.historyListContent}
-              />
-              <TouchableOpacity
-                onPress={handleClearHistory}
-                style={styles.clearButton}
-              >
-                <Text style={styles.clearButtonText}>Clear History</Text>
-              </TouchableOpacity>
-            </View>
+            <>
+              {presetIds.length > 0 && (
+                <ScrollView
+                  horizontal={true}
+                  showsHorizontalScrollIndicator={false}
+                  style={styles.filterBar}
+                  contentContainerStyle={styles.filterRow}
+                >
+                  <TouchableOpacity
+                    onPress={() => setPresetFilter(null)}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('history.allPresets')}
+                    accessibilityState={{ selected: !presetFilter }}
+                    style={[styles.filterChip, !presetFilter && styles.filterChipActive]}
+                  >
+                    <Text style={[styles.filterChipText, !presetFilter && styles.filterChipTextActive]}>{t('history.all')}</Text>
+                  </TouchableOpacity>
+                  {presetIds.map((presetId) => (
+                    <TouchableOpacity
+                      key={presetId}
+                      onPress={() => setPresetFilter(presetId)}
+                      accessibilityRole="button"
+                      accessibilityState={{ selected: presetFilter === presetId }}
+                      style={[
+                        styles.filterChip,
+                        presetFilter === presetId && styles.filterChipActive,
+                      ]}
+                    >
+                      <Text
+                        style={[styles.filterChipText, presetFilter === presetId && styles.filterChipTextActive]}
+                        numberOfLines={1}
+                      >
+                        {getPresetName(presetId)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              )}
+
+              {isLoading ? (
+                <View style={styles.loadingContainer}>
+                  <Text style={styles.loadingText}>{t('common.loading')}</Text>
+                </View>
+              ) : history.length === 0 ? (
+                <View style={styles.emptyContainer}>
+                  <Text style={styles.emptyText}>
+                    {presetFilter ? t('history.emptyPreset') : t('history.empty')}
+                  </Text>
+                </View>
+              ) : (
+                <View style={styles.listWrapper}>
+                  <FlatList
+                    data={history}
+                    renderItem={renderHistoryItem}
+                    keyExtractor={getItemKey}
+                    onEndReached={loadMore}
+                    onEndReachedThreshold={0.5}
+                    ListFooterComponent={
+                      isLoadingMore ? <Text style={styles.loadingMoreText}>{t('history.loadingMore')}</Text> : null
+                    }
+                    style={styles.historyList}
+                    contentContainerStyle={styles.historyListContent}
+                  />
+                  <TouchableOpacity
+                    onPress={handleClearHistory}
+                    style={styles.clearButton}
+                    accessibilityRole="button"
+                  >
+                    <Text style={styles.clearButtonText}>{t('history.clear')}</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+
+              {/* Export / Import */}
+              <View style={styles.transferRow}>
+                <TouchableOpacity
+                  onPress={() => handleExport('csv')}
+                  style={[styles.transferButton, (isTransferring || history.length === 0) && styles.buttonDisabled]}
+                  disabled={isTransferring || history.length === 0}
+                  accessibilityRole="button"
+                  accessibilityState={{ disabled: isTransferring || history.length === 0 }}
+                >
+                  <Text style={styles.transferButtonText}>{t('history.exportCsv')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => handleExport('json')}
+                  style={[styles.transferButton, (isTransferring || history.length === 0) && styles.buttonDisabled]}
+                  disabled={isTransferring || history.length === 0}
+                  accessibilityRole="button"
+                  accessibilityState={{ disabled: isTransferring || history.length === 0 }}
+                >
+                  <Text style={styles.transferButtonText}>{t('history.exportJson')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={handleImport}
+                  style={[styles.transferButton, isTransferring && styles.buttonDisabled]}
+                  disabled={isTransferring}
+                  accessibilityRole="button"
+                  accessibilityState={{ disabled: isTransferring }}
+                >
+                  <Text style={styles.transferButtonText}>{t('history.import')}</Text>
+                </TouchableOpacity>
+              </View>
+
+              {/* Retention policy */}
+              <View style={styles.retentionContainer}>
+                <Text style={styles.retentionLabel}>{t('history.keep')}</Text>
+                <ScrollView
+                  horizontal={true}
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.retentionRow}
+                >
+                  {RETENTION_OPTIONS.map((option) => (
+                    <TouchableOpacity
+                      key={option.key}
+                      onPress={() => handleRetentionChange(option.policy)}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('history.keepOption', { option: t(`history.retention.${option.key}`) })}
+                      accessibilityState={{ selected: isSamePolicy(option.policy, retentionPolicy) }}
+                      style={[
+                        styles.filterChip,
+                        isSamePolicy(option.policy, retentionPolicy) && styles.filterChipActive,
+                      ]}
+                    >
+                      <Text
+                        style={[
+                          styles.filterChipText,
+                          isSamePolicy(option.policy, retentionPolicy) && styles.filterChipTextActive,
+                        ]}
+                      >
+                        {t(`history.retention.${option.key}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              </View>
+            </>
           )}
         </View>
+
+        <UndoSnackbar undo={pendingUndo} onUndo={handleUndo} onExpire={handleUndoExpire} />
       </SafeAreaView>
+
+      <HistoryEntryActions
+        entry={selectedEntry}
+        onClose={() => setSelectedEntry(null)}
+        onSaveNote={handleSaveNote}
+        onRerun={handleRerun}
+        onDelete={handleDeleteEntry}
+      />
     </Modal>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   modalContainer: {
     flex: 1,
-    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    backgroundColor: theme.overlay,
     justifyContent: 'flex-end',
   },
   panel: {
-    backgroundColor: '#2C3A47',
+    backgroundColor: theme.background,
     borderTopLeftRadius: 20,
     borderTopRightRadius: 20,
     height: '75%',
@@ -171,14 +651,40 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
     borderBottomWidth: 1,
-    borderBottomColor: '#3D4F5F',
+    borderBottomColor: theme.border,
   },
   headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: '#FFFFFF',
+    color: theme.text,
     textTransform: 'uppercase',
   },
+  tabRow: {
+    flexDirection: 'row',
+    marginHorizontal: 20,
+    marginTop: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 10,
+    padding: 4,
+    gap: 4,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderRadius: 8,
+  },
+  tabActive: {
+    backgroundColor: theme.accent,
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.textFaint,
+  },
+  tabTextActive: {
+    color: theme.onAccent,
+  },
   closeButton: {
     width: 32,
     height: 32,
@@ -187,7 +693,7 @@ const styles = StyleSheet.create({
   },
   closeButtonText: {
     fontSize: 24,
-    color: 'rgba(255, 255, 255, 0.6)',
+    color: theme.textMuted,
   },
   loadingContainer: {
     padding: 40,
@@ -195,19 +701,87 @@ const styles = StyleSheet.create({
   },
   loadingText: {
     fontSize: 16,
-    color: 'rgba(255, 255, 255, 0.6)',
+    color: theme.textMuted,
   },
   emptyContainer: {
+    flex: 1,
     padding: 40,
     alignItems: 'center',
   },
   emptyText: {
     fontSize: 16,
-    color: 'rgba(255, 255, 255, 0.5)',
+    color: theme.textFaint,
   },
   listWrapper: {
     flex: 1,
   },
+  filterBar: {
+    flexGrow: 0,
+  },
+  filterRow: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    gap: 8,
+  },
+  filterChip: {
+    maxWidth: 160,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  filterChipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: theme.text,
+  },
+  filterChipTextActive: {
+    color: theme.onAccent,
+  },
+  loadingMoreText: {
+    fontSize: 14,
+    color: theme.textFaint,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  transferRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    gap: 8,
+  },
+  transferButton: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderColor: theme.accent,
+  },
+  transferButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  retentionContainer: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+  },
+  retentionLabel: {
+    fontSize: 14,
+    color: theme.textMuted,
+    marginBottom: 8,
+  },
+  retentionRow: {
+    gap: 8,
+  },
   historyList: {
     flex: 1,
   },
@@ -220,33 +794,80 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: 16,
     paddingHorizontal: 20,
-    backgroundColor: '#1E2A34',
+    backgroundColor: theme.surface,
     borderRadius: 12,
     marginBottom: 12,
   },
+  historyDetails: {
+    flex: 1,
+  },
   historySide: {
     fontSize: 18,
     fontWeight: '600',
-    color: '#FFFFFF',
-    flex: 1,
+    color: theme.text,
+  },
+  historySideVetoed: {
+    color: theme.textFaint,
+    textDecorationLine: 'line-through',
+  },
+  historyOptions: {
+    fontSize: 13,
+    color: theme.textFaint,
+    marginTop: 4,
+  },
+  fairRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  verifyButton: {
+    marginLeft: 8,
+    marginTop: 4,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: theme.accent,
+  },
+  verifyButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.accent,
+  },
+  historyNote: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: theme.textSecondary,
+    marginTop: 6,
+  },
+  historyMeta: {
+    alignItems: 'flex-end',
+  },
+  moreButton: {
+    marginTop: 8,
+    marginLeft: 12,
+  },
+  moreButtonText: {
+    fontSize: 14,
+    color: theme.textFaint,
   },
   historyTime: {
     fontSize: 14,
-    color: 'rgba(255, 255, 255, 0.5)',
+    color: theme.textFaint,
     marginLeft: 12,
   },
   clearButton: {
     marginHorizontal: 20,
     marginTop: 10,
     paddingVertical: 16,
-    backgroundColor: '#FF4444',
+    backgroundColor: theme.danger,
     borderRadius: 12,
     alignItems: 'center',
   },
   clearButtonText: {
     fontSize: 16,
     fontWeight: '600',
-    color: '#FFFFFF',
+    color: theme.onDanger,
   },
 });
 
@@ -0,0 +1,77 @@
+import React, { createContext, useContext, useEffect, useLayoutEffect, useMemo, useState } from 'react';
+import { useLocales } from 'expo-localization';
+import { DEFAULT_LANGUAGE, DEFAULT_LANGUAGE_SETTING, getLanguage, resolveLanguage, setLanguage, t } from '../utils/i18n';
+import { getLanguageSetting, setLanguageSetting } from '../utils/storage';
+
+const LocaleContext = createContext(null);
+
+/**
+ * LocaleProvider Component
+ * Loads the saved language setting, follows the device language when asked
+ * to, and re-renders everything inside it when the language changes.
+ */
+const LocaleProvider = ({ children }) => {
+  const deviceLocales = useLocales();
+  const [languageSetting, setSetting] = useState(DEFAULT_LANGUAGE_SETTING);
+  const [activeLanguage, setActiveLanguage] = useState(getLanguage); // The language t() reads
+
+  useEffect(() => {
+    let isMounted = true;
+    getLanguageSetting().then((setting) => {
+      if (isMounted) {
+        setSetting(setting);
+      }
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const language = resolveLanguage(languageSetting, deviceLocales);
+
+  // t() outside React reads the module's language: switch it after rendering, then
+  // re-render everything using the context with it (before the screen is painted)
+  useLayoutEffect(() => {
+    setLanguage(language);
+    setActiveLanguage(getLanguage());
+  }, [language]);
+
+  const value = useMemo(() => {
+    return {
+      t,
+      language: activeLanguage,
+      languageSetting,
+      updateLanguageSetting: async (setting) => {
+        const saved = await setLanguageSetting(setting);
+        if (saved) {
+          setSetting(saved);
+        }
+        return saved;
+      },
+    };
+  }, [activeLanguage, languageSetting]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+/**
+ * Translate function and current language; components using it re-render on a switch
+ * @returns {{t: Function, language: string}}
+ */
+export const useTranslation = () => {
+  const context = useContext(LocaleContext);
+  return context ? { t: context.t, language: context.language } : { t, language: DEFAULT_LANGUAGE };
+};
+
+/**
+ * Saved language setting and a way to change it
+ * @returns {{languageSetting: string, updateLanguageSetting: Function}}
+ */
+export const useLanguageSetting = () => {
+  const context = useContext(LocaleContext);
+  return context
+    ? { languageSetting: context.languageSetting, updateLanguageSetting: context.updateLanguageSetting }
+    : { languageSetting: DEFAULT_LANGUAGE_SETTING, updateLanguageSetting: async () => null };
+};
+
+export default LocaleProvider;
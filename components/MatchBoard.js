@@ -0,0 +1,179 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { getWinsNeeded, getRoundName, getRoundCount } from '../utils/series';
+import { translateLabel } from '../utils/i18n';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * Highlight the winner of a played match and strike through the loser
+ */
+const getEntrantStyle = (styles, match, entrant) => {
+  if (match.winner === null) {
+    return null;
+  }
+  return match.winner === entrant ? styles.winnerText : styles.loserText;
+};
+
+/**
+ * MatchBoard Component
+ * Live scoreboard for a best-of-N series, or the round-by-round
+ * results of a bracket. `matchPlay` is { format, labels, builtInLabels, series | bracket }.
+ */
+const MatchBoard = ({ matchPlay }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  if (!matchPlay) {
+    return null;
+  }
+
+  // Built-in labels (Heads/Tails) are shown in the current language
+  const labels = matchPlay.labels.map((label) => translateLabel(label, matchPlay.builtInLabels));
+
+  if (matchPlay.format === 'series' && matchPlay.series) {
+    const { series } = matchPlay;
+    const winsNeeded = getWinsNeeded(series.bestOf);
+
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>
+          {t('match.seriesTitle', { count: series.bestOf, wins: winsNeeded })}
+        </Text>
+        {labels.map((label, index) => (
+          <View key={index} style={styles.scoreRow}>
+            <Text
+              style={[styles.scoreLabel, series.winnerIndex === index && styles.winnerText]}
+              numberOfLines={1}
+            >
+              {label}
+            </Text>
+            <View style={styles.pips}>
+              {Array.from({ length: winsNeeded }, (_, pip) => (
+                <View
+                  key={pip}
+                  style={[styles.pip, pip < series.scores[index] && styles.pipFilled]}
+                />
+              ))}
+            </View>
+            <Text style={styles.score}>{series.scores[index]}</Text>
+          </View>
+        ))}
+        {series.flips.length > 0 && (
+          <Text style={styles.hint} numberOfLines={2}>
+            {t('match.flips', { flips: series.flips.map((index) => labels[index]).join(' · ') })}
+          </Text>
+        )}
+      </View>
+    );
+  }
+
+  if (matchPlay.format === 'bracket' && matchPlay.bracket) {
+    const { bracket } = matchPlay;
+    const roundCount = getRoundCount(labels.length);
+
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>{t('match.bracketTitle', { count: labels.length })}</Text>
+        {bracket.rounds.map((round, roundIndex) => (
+          <View key={roundIndex} style={styles.round}>
+            <Text style={styles.roundName}>{getRoundName(roundIndex, roundCount)}</Text>
+            {round.map((match, matchIndex) => (
+              <Text key={matchIndex} style={styles.match} numberOfLines={1}>
+                {match.b === null ? (
+                  <Text style={styles.winnerText}>{t('match.bye', { label: labels[match.a] })}</Text>
+                ) : (
+                  <>
+                    <Text style={getEntrantStyle(styles, match, match.a)}>{labels[match.a]}</Text>
+                    {` ${t('match.versus')} `}
+                    <Text style={getEntrantStyle(styles, match, match.b)}>{labels[match.b]}</Text>
+                  </>
+                )}
+              </Text>
+            ))}
+          </View>
+        ))}
+      </View>
+    );
+  }
+
+  return null;
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    padding: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+    marginBottom: 12,
+  },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  scoreLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: theme.textSecondary,
+  },
+  pips: {
+    flexDirection: 'row',
+    gap: 6,
+    marginHorizontal: 12,
+  },
+  pip: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  pipFilled: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  score: {
+    width: 24,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: theme.text,
+    textAlign: 'right',
+  },
+  hint: {
+    fontSize: 12,
+    color: theme.textFaint,
+    marginTop: 4,
+  },
+  round: {
+    marginBottom: 10,
+  },
+  roundName: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.textFaint,
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  match: {
+    fontSize: 15,
+    color: theme.textSecondary,
+    marginBottom: 2,
+  },
+  winnerText: {
+    color: theme.accent,
+    fontWeight: '600',
+  },
+  loserText: {
+    color: theme.placeholder,
+    textDecorationLine: 'line-through',
+  },
+});
+
+export default MatchBoard;
@@ -0,0 +1,201 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { DEFAULT_WEIGHT, parseWeightInput, getShares, formatPercent } from '../utils/weights';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 12;
+export const MAX_OPTION_LENGTH = 150;
+
+let optionCounter = 0;
+
+/**
+ * Create a new option entry with a stable id for list keys
+ * @param {string} label - Initial label text
+ * @param {number} weight - Initial weight (tickets)
+ * @returns {{id: string, label: string, weight: number}}
+ */
+export const createOption = (label = '', weight = DEFAULT_WEIGHT) => {
+  optionCounter += 1;
+  return { id: `option-${Date.now()}-${optionCounter}`, label, weight };
+};
+
+/**
+ * OptionListEditor Component
+ * Editable list of 2-12 options for the multi-option (spinner) mode,
+ * each with a weight (tickets) that drives its odds
+ */
+const OptionListEditor = ({ options, onChange, editable = true }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  // Guard: Ensure options is an array
+  const list = Array.isArray(options) ? options : [];
+
+  const handleLabelChange = (id, text) => {
+    // Guard: Limit length but don't trim - trimming removes spaces between words while typing
+    const sanitized = text.substring(0, MAX_OPTION_LENGTH);
+    onChange(list.map((option) => (option.id === id ? { ...option, label: sanitized } : option)));
+  };
+
+  const handleWeightChange = (id, text) => {
+    const weight = parseWeightInput(text);
+    onChange(list.map((option) => (option.id === id ? { ...option, weight } : option)));
+  };
+
+  const handleAdd = () => {
+    if (list.length >= MAX_OPTIONS) {
+      return;
+    }
+    onChange([...list, createOption()]);
+  };
+
+  const handleRemove = (id) => {
+    // Guard: Never drop below the minimum number of options
+    if (list.length <= MIN_OPTIONS) {
+      return;
+    }
+    onChange(list.filter((option) => option.id !== id));
+  };
+
+  const canRemove = editable && list.length > MIN_OPTIONS;
+  const canAdd = editable && list.length < MAX_OPTIONS;
+  const shares = getShares(list.map((option) => option.weight));
+
+  return (
+    <View style={styles.container}>
+      {list.map((option, index) => (
+        <View key={option.id} style={styles.optionRow}>
+          <Text style={styles.optionIndex}>{index + 1}.</Text>
+          <TextInput
+            style={styles.input}
+            value={option.label}
+            onChangeText={(text) => handleLabelChange(option.id, text)}
+            placeholder={t('options.fallback', { number: index + 1 })}
+            accessibilityLabel={t('options.fallback', { number: index + 1 })}
+            placeholderTextColor={theme.placeholder}
+            maxLength={MAX_OPTION_LENGTH}
+            editable={editable}
+          />
+          <View style={styles.weightGroup}>
+            <TextInput
+              style={styles.weightInput}
+              value={String(option.weight)}
+              accessibilityLabel={t('options.weight', { number: index + 1 })}
+              onChangeText={(text) => handleWeightChange(option.id, text)}
+              keyboardType="number-pad"
+              maxLength={3}
+              selectTextOnFocus={true}
+              editable={editable}
+            />
+            <Text style={styles.weightPercent}>{formatPercent(shares[index])}</Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => handleRemove(option.id)}
+            style={[styles.removeButton, !canRemove && styles.buttonDisabled]}
+            disabled={!canRemove}
+            accessibilityRole="button"
+            accessibilityLabel={t('options.remove', { number: index + 1 })}
+            accessibilityState={{ disabled: !canRemove }}
+          >
+            <Text style={styles.removeButtonText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        onPress={handleAdd}
+        style={[styles.addButton, !canAdd && styles.buttonDisabled]}
+        disabled={!canAdd}
+        accessibilityRole="button"
+        accessibilityState={{ disabled: !canAdd }}
+      >
+        <Text style={styles.addButtonText}>
+          {list.length >= MAX_OPTIONS ? t('options.maximum', { count: MAX_OPTIONS }) : t('options.add')}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  optionIndex: {
+    width: 28,
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.textMuted,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  weightGroup: {
+    marginLeft: 8,
+    alignItems: 'center',
+  },
+  weightInput: {
+    width: 52,
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    paddingVertical: 8,
+    fontSize: 16,
+    textAlign: 'center',
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  weightPercent: {
+    fontSize: 11,
+    color: theme.textFaint,
+    marginTop: 2,
+  },
+  removeButton: {
+    width: 40,
+    height: 40,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    backgroundColor: theme.raised,
+  },
+  removeButtonText: {
+    fontSize: 16,
+    color: theme.text,
+  },
+  addButton: {
+    marginTop: 4,
+    paddingVertical: 12,
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: theme.accent,
+    borderStyle: 'dashed',
+  },
+  addButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.accent,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+});
+
+export default OptionListEditor;
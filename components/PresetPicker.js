@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+} from 'react-native';
+import {
+  getPresets,
+  createPreset,
+  renamePreset,
+  deletePreset,
+  movePreset,
+  togglePresetFavorite,
+} from '../utils/storage';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * PresetPicker Component
+ * Row of saved A/B presets shown above the custom inputs.
+ * Tap a preset to fill both sides, save the current sides as a new preset,
+ * or open the manager to rename, delete, reorder and favorite.
+ * Bump `refreshKey` after changing presets elsewhere (e.g. their coin faces).
+ * `onDelete` is called after a preset is deleted.
+ */
+const PresetPicker = ({ activePresetId, currentSides, onSelect, onDelete, disabled, refreshKey = 0 }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [presets, setPresets] = useState([]);
+  const [isNaming, setIsNaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [managerVisible, setManagerVisible] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+
+  useEffect(() => {
+    loadPresets();
+  }, [refreshKey]);
+
+  const loadPresets = async () => {
+    try {
+      const data = await getPresets();
+      setPresets(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('PresetPicker loadPresets error:', error);
+      setPresets([]);
+    }
+  };
+
+  const handleSave = async () => {
+    const sides = currentSides || {};
+    const preset = await createPreset({
+      name: newName,
+      sideA: sides.sideA,
+      sideB: sides.sideB,
+      weights: sides.weights,
+      faces: sides.faces,
+    });
+    setIsNaming(false);
+    setNewName('');
+    if (preset) {
+      await loadPresets();
+      onSelect(preset);
+    }
+  };
+
+  const handleRename = async (id) => {
+    await renamePreset(id, renameText);
+    setRenamingId(null);
+    setRenameText('');
+    await loadPresets();
+  };
+
+  const handleDelete = async (id) => {
+    const deleted = await deletePreset(id);
+    await loadPresets();
+    if (deleted && onDelete) {
+      onDelete(id);
+    }
+  };
+
+  const handleMove = async (id, direction) => {
+    await movePreset(id, direction);
+    await loadPresets();
+  };
+
+  const handleToggleFavorite = async (id) => {
+    await togglePresetFavorite(id);
+    await loadPresets();
+  };
+
+  // Favorites first, otherwise keep the user's order
+  const sortedPresets = [
+    ...presets.filter((preset) => preset.favorite),
+    ...presets.filter((preset) => !preset.favorite),
+  ];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>{t('presets.title')}</Text>
+        {presets.length > 0 && (
+          <TouchableOpacity
+            onPress={() => setManagerVisible(true)}
+            disabled={disabled}
+            accessibilityRole="button"
+            accessibilityLabel={t('presets.manageLabel')}
+          >
+            <Text style={styles.linkText}>{t('presets.manage')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView
+        horizontal={true}
+        showsHorizontalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.chipRow}
+      >
+        {sortedPresets.map((preset) => (
+          <TouchableOpacity
+            key={preset.id}
+            onPress={() => onSelect(preset)}
+            style={[styles.chip, preset.id === activePresetId && styles.chipActive]}
+            disabled={disabled}
+            accessibilityRole="button"
+            accessibilityLabel={preset.favorite ? t('presets.favoriteLabel', { name: preset.name }) : preset.name}
+            accessibilityState={{ selected: preset.id === activePresetId, disabled }}
+          >
+            <Text
+              style={[styles.chipText, preset.id === activePresetId && styles.chipTextActive]}
+              numberOfLines={1}
+            >
+              {preset.favorite ? '★ ' : ''}
+              {preset.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        {!isNaming && (
+          <TouchableOpacity
+            onPress={() => setIsNaming(true)}
+            style={[styles.chip, styles.chipAdd]}
+            disabled={disabled}
+            accessibilityRole="button"
+            accessibilityLabel={t('presets.saveCurrentLabel')}
+          >
+            <Text style={styles.linkText}>{t('presets.saveCurrent')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {isNaming && (
+        <View style={styles.nameRow}>
+          <TextInput
+            style={styles.nameInput}
+            value={newName}
+            onChangeText={setNewName}
+            placeholder={t('presets.namePlaceholder')}
+            accessibilityLabel={t('presets.name')}
+            placeholderTextColor={theme.placeholder}
+            maxLength={60}
+            autoFocus={true}
+            onSubmitEditing={handleSave}
+          />
+          <TouchableOpacity onPress={handleSave} style={styles.smallButton} accessibilityRole="button">
+            <Text style={styles.smallButtonText}>{t('common.save')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setIsNaming(false);
+              setNewName('');
+            }}
+            style={[styles.smallButton, styles.smallButtonSecondary]}
+            accessibilityRole="button"
+          >
+            <Text style={[styles.smallButtonText, styles.smallButtonSecondaryText]}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Preset Manager */}
+      <Modal
+        visible={managerVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setManagerVisible(false)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.panel}>
+            <View style={styles.panelHeader}>
+              <Text style={styles.panelTitle} accessibilityRole="header">{t('presets.title')}</Text>
+              <TouchableOpacity
+                onPress={() => setManagerVisible(false)}
+                style={styles.closeButton}
+                accessibilityRole="button"
+                accessibilityLabel={t('common.close')}
+              >
+                <Text style={styles.closeButtonText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView
+              contentContainerStyle={styles.managerList}
+              keyboardShouldPersistTaps="handled"
+            >
+              {presets.map((preset, index) => (
+                <View key={preset.id} style={styles.managerItem}>
+                  {renamingId === preset.id ? (
+                    <View style={styles.nameRow}>
+                      <TextInput
+                        style={styles.nameInput}
+                        value={renameText}
+                        onChangeText={setRenameText}
+                        accessibilityLabel={t('presets.name')}
+                        maxLength={60}
+                        autoFocus={true}
+                        onSubmitEditing={() => handleRename(preset.id)}
+                      />
+                      <TouchableOpacity
+                        onPress={() => handleRename(preset.id)}
+                        style={styles.smallButton}
+                        accessibilityRole="button"
+                      >
+                        <Text style={styles.smallButtonText}>{t('common.done')}</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ) : (
+                    <TouchableOpacity
+                      onPress={() => {
+                        setRenamingId(preset.id);
+                        setRenameText(preset.name);
+                      }}
+                      accessibilityRole="button"
+                      accessibilityHint={t('presets.renameHint')}
+                    >
+                      <Text style={styles.managerName} numberOfLines={1}>
+                        {preset.name}
+                      </Text>
+                      <Text style={styles.managerSides} numberOfLines={1}>
+                        {t('presets.sides', {
+                          a: preset.sideA || 'A',
+                          b: preset.sideB || 'B',
+                        })}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+
+                  <View style={styles.managerActions}>
+                    <TouchableOpacity
+                      onPress={() => handleToggleFavorite(preset.id)}
+                      style={styles.iconButton}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('presets.favorite', { name: preset.name })}
+                      accessibilityState={{ selected: Boolean(preset.favorite) }}
+                    >
+                      <Text style={styles.iconText}>{preset.favorite ? '★' : '☆'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleMove(preset.id, -1)}
+                      style={[styles.iconButton, index === 0 && styles.buttonDisabled]}
+                      disabled={index === 0}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('presets.moveUp', { name: preset.name })}
+                      accessibilityState={{ disabled: index === 0 }}
+                    >
+                      <Text style={styles.iconText}>↑</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleMove(preset.id, 1)}
+                      style={[
+                        styles.iconButton,
+                        index === presets.length - 1 && styles.buttonDisabled,
+                      ]}
+                      disabled={index === presets.length - 1}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('presets.moveDown', { name: preset.name })}
+                      accessibilityState={{ disabled: index === presets.length - 1 }}
+                    >
+                      <Text style={styles.iconText}>↓</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleDelete(preset.id)}
+                      style={[styles.iconButton, styles.deleteButton]}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('presets.delete', { name: preset.name })}
+                    >
+                      <Text style={[styles.iconText, styles.deleteButtonText]}>{t('common.delete')}</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+              {presets.length === 0 && (
+                <Text style={styles.emptyText}>{t('presets.empty')}</Text>
+              )}
+            </ScrollView>
+          </View>
+        </SafeAreaView>
+      </Modal>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    maxWidth: 180,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.surface,
+  },
+  chipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  chipAdd: {
+    borderColor: theme.accent,
+    borderStyle: 'dashed',
+    backgroundColor: 'transparent',
+  },
+  chipText: {
+    fontSize: 14,
+    color: theme.textSecondary,
+  },
+  chipTextActive: {
+    color: theme.onAccent,
+    fontWeight: '600',
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    gap: 8,
+  },
+  nameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  smallButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: theme.accent,
+  },
+  smallButtonSecondary: {
+    backgroundColor: theme.raised,
+  },
+  smallButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.onAccent,
+  },
+  smallButtonSecondaryText: {
+    color: theme.text,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: theme.overlay,
+    justifyContent: 'flex-end',
+  },
+  panel: {
+    backgroundColor: theme.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    height: '75%',
+    paddingBottom: 20,
+  },
+  panelHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.border,
+  },
+  panelTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: theme.text,
+    textTransform: 'uppercase',
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  closeButtonText: {
+    fontSize: 24,
+    color: theme.textMuted,
+  },
+  managerList: {
+    padding: 20,
+  },
+  managerItem: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  managerName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  managerSides: {
+    fontSize: 13,
+    color: theme.textFaint,
+    marginTop: 4,
+  },
+  managerActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 8,
+  },
+  iconButton: {
+    minWidth: 40,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    backgroundColor: theme.raised,
+  },
+  deleteButton: {
+    marginLeft: 'auto',
+    backgroundColor: theme.danger,
+  },
+  iconText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  deleteButtonText: {
+    color: theme.onDanger,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.textFaint,
+    textAlign: 'center',
+    padding: 20,
+  },
+});
+
+export default PresetPicker;
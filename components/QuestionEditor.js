@@ -0,0 +1,134 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { ANSWER_SETS, MAX_QUESTION_LENGTH, parseCustomAnswers, getAnswerSetName } from '../utils/questions';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * QuestionEditor Component
+ * Inputs for question mode: the question itself and the answer set
+ * (Yes/No, Yes/No/Maybe, or the user's own answers, comma separated).
+ */
+const QuestionEditor = ({
+  question,
+  onQuestionChange,
+  answerSet,
+  onAnswerSetChange,
+  customAnswersText,
+  onCustomAnswersChange,
+  editable,
+}) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const customCount = parseCustomAnswers(customAnswersText).length;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.inputLabel}>{t('questions.label')}</Text>
+      <TextInput
+        style={styles.input}
+        value={question}
+        onChangeText={onQuestionChange}
+        accessibilityLabel={t('questions.a11yLabel')}
+        placeholder={t('questions.placeholder')}
+        placeholderTextColor={theme.placeholder}
+        maxLength={MAX_QUESTION_LENGTH}
+        multiline={true}
+        numberOfLines={2}
+        editable={editable}
+      />
+
+      <Text style={[styles.inputLabel, styles.answersLabel]}>{t('questions.answers')}</Text>
+      <View style={styles.setRow}>
+        {Object.keys(ANSWER_SETS).map((key) => (
+          <TouchableOpacity
+            key={key}
+            onPress={() => onAnswerSetChange(key)}
+            style={[styles.setChip, answerSet === key && styles.setChipActive]}
+            disabled={!editable}
+            accessibilityRole="button"
+            accessibilityState={{ selected: answerSet === key, disabled: !editable }}
+          >
+            <Text style={styles.setChipText}>{getAnswerSetName(key)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {answerSet === 'custom' && (
+        <>
+          <TextInput
+            style={[styles.input, styles.customInput]}
+            value={customAnswersText}
+            onChangeText={onCustomAnswersChange}
+            accessibilityLabel={t('questions.customPlaceholder')}
+            placeholder={t('questions.customPlaceholder')}
+            placeholderTextColor={theme.placeholder}
+            editable={editable}
+          />
+          {customCount < 2 && <Text style={styles.hint}>{t('questions.needAnswers')}</Text>}
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+    marginBottom: 8,
+  },
+  answersLabel: {
+    marginTop: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  customInput: {
+    minHeight: 0,
+    marginTop: 12,
+  },
+  setRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  setChip: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.surface,
+  },
+  setChipActive: {
+    borderColor: theme.accent,
+  },
+  setChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.text,
+    textAlign: 'center',
+  },
+  hint: {
+    fontSize: 13,
+    color: theme.textFaint,
+    marginTop: 6,
+  },
+});
+
+export default QuestionEditor;
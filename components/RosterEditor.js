@@ -0,0 +1,393 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { getRosters, createRoster, deleteRoster } from '../utils/storage';
+import { parseRosterText, getMaxTeams, MIN_TEAMS, MIN_ROSTER_SIZE } from '../utils/roster';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+// Labels are roster.modes.<key> in utils/locales
+const GROUP_MODE_CHOICES = ['pick', 'order', 'teams'];
+
+/**
+ * RosterEditor Component
+ * Inputs for group mode: saved rosters, the names (one per line), how to
+ * draw from them (pick one, order, teams) and the number of teams.
+ * `rosterText` is the raw names text; tapping a saved roster fills it via
+ * onSelectRoster(roster), and editing the names clears the active roster.
+ */
+const RosterEditor = ({
+  rosterText,
+  onRosterTextChange,
+  activeRosterId,
+  onSelectRoster,
+  groupMode,
+  onGroupModeChange,
+  teamCount,
+  onTeamCountChange,
+  editable,
+}) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [rosters, setRosters] = useState([]);
+  const [isNaming, setIsNaming] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const names = parseRosterText(rosterText);
+  const maxTeams = getMaxTeams(names.length);
+
+  useEffect(() => {
+    loadRosters();
+  }, []);
+
+  const loadRosters = async () => {
+    try {
+      const data = await getRosters();
+      setRosters(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('RosterEditor loadRosters error:', error);
+      setRosters([]);
+    }
+  };
+
+  const handleSave = async () => {
+    const roster = await createRoster({ name: newName, names });
+    setIsNaming(false);
+    setNewName('');
+    if (roster) {
+      await loadRosters();
+      onSelectRoster(roster);
+    }
+  };
+
+  const handleDelete = async () => {
+    await deleteRoster(activeRosterId);
+    onSelectRoster(null);
+    await loadRosters();
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>{t('roster.title')}</Text>
+        {activeRosterId && (
+          <TouchableOpacity
+            onPress={handleDelete}
+            disabled={!editable}
+            accessibilityRole="button"
+            accessibilityLabel={t('roster.deleteLabel')}
+          >
+            <Text style={styles.deleteText}>{t('common.delete')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView
+        horizontal={true}
+        showsHorizontalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.chipRow}
+      >
+        {rosters.map((roster) => (
+          <TouchableOpacity
+            key={roster.id}
+            onPress={() => onSelectRoster(roster)}
+            style={[styles.chip, roster.id === activeRosterId && styles.chipActive]}
+            disabled={!editable}
+            accessibilityRole="button"
+            accessibilityLabel={t('roster.chipLabel', { name: roster.name, count: roster.names.length })}
+            accessibilityState={{ selected: roster.id === activeRosterId, disabled: !editable }}
+          >
+            <Text
+              style={[styles.chipText, roster.id === activeRosterId && styles.chipTextActive]}
+              numberOfLines={1}
+            >
+              {roster.name} ({roster.names.length})
+            </Text>
+          </TouchableOpacity>
+        ))}
+        {!isNaming && (
+          <TouchableOpacity
+            onPress={() => setIsNaming(true)}
+            style={[styles.chip, styles.chipAdd, names.length < MIN_ROSTER_SIZE && styles.buttonDisabled]}
+            disabled={!editable || names.length < MIN_ROSTER_SIZE}
+            accessibilityRole="button"
+            accessibilityLabel={t('roster.saveLabel')}
+            accessibilityState={{ disabled: !editable || names.length < MIN_ROSTER_SIZE }}
+          >
+            <Text style={styles.linkText}>{t('roster.save')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {isNaming && (
+        <View style={styles.nameRow}>
+          <TextInput
+            style={styles.nameInput}
+            value={newName}
+            onChangeText={setNewName}
+            accessibilityLabel={t('roster.name')}
+            placeholder={t('roster.namePlaceholder')}
+            placeholderTextColor={theme.placeholder}
+            maxLength={60}
+            autoFocus={true}
+            onSubmitEditing={handleSave}
+          />
+          <TouchableOpacity onPress={handleSave} style={styles.smallButton} accessibilityRole="button">
+            <Text style={styles.smallButtonText}>{t('common.save')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setIsNaming(false);
+              setNewName('');
+            }}
+            style={[styles.smallButton, styles.smallButtonSecondary]}
+            accessibilityRole="button"
+          >
+            <Text style={[styles.smallButtonText, styles.smallButtonSecondaryText]}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.labelRow}>
+        <Text style={styles.inputLabel}>{t('roster.names')}</Text>
+        <Text style={styles.countText}>
+          {t('roster.people', { count: names.length })}
+        </Text>
+      </View>
+      <TextInput
+        style={styles.input}
+        value={rosterText}
+        onChangeText={onRosterTextChange}
+        accessibilityLabel={t('roster.namesLabel')}
+        placeholder={t('roster.namesPlaceholder')}
+        placeholderTextColor={theme.placeholder}
+        multiline={true}
+        numberOfLines={5}
+        editable={editable}
+      />
+
+      {/* How to draw */}
+      <View style={styles.modeRow}>
+        {GROUP_MODE_CHOICES.map((mode) => (
+          <TouchableOpacity
+            key={mode}
+            onPress={() => onGroupModeChange(mode)}
+            style={[styles.modeChip, groupMode === mode && styles.modeChipActive]}
+            disabled={!editable}
+            accessibilityRole="button"
+            accessibilityState={{ selected: groupMode === mode, disabled: !editable }}
+          >
+            <Text style={styles.modeChipText}>{t(`roster.modes.${mode}`)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {groupMode === 'teams' && (
+        <View
+          style={styles.stepperRow}
+          accessible={true}
+          accessibilityRole="adjustable"
+          accessibilityLabel={t('roster.teamsLabel')}
+          accessibilityValue={{ min: MIN_TEAMS, max: maxTeams, now: teamCount }}
+          accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+          onAccessibilityAction={(event) => {
+            const next = teamCount + (event.nativeEvent.actionName === 'increment' ? 1 : -1);
+            // Guard: Same limits as the buttons
+            if (editable && next >= MIN_TEAMS && next <= maxTeams) {
+              onTeamCountChange(next);
+            }
+          }}
+        >
+          <Text style={styles.inputLabel}>{t('roster.teams')}</Text>
+          <TouchableOpacity
+            onPress={() => onTeamCountChange(teamCount - 1)}
+            style={[styles.stepperButton, teamCount <= MIN_TEAMS && styles.buttonDisabled]}
+            disabled={!editable || teamCount <= MIN_TEAMS}
+          >
+            <Text style={styles.stepperText}>−</Text>
+          </TouchableOpacity>
+          <Text style={styles.stepperValue}>{teamCount}</Text>
+          <TouchableOpacity
+            onPress={() => onTeamCountChange(teamCount + 1)}
+            style={[styles.stepperButton, teamCount >= maxTeams && styles.buttonDisabled]}
+            disabled={!editable || teamCount >= maxTeams}
+          >
+            <Text style={styles.stepperText}>+</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.accent,
+  },
+  deleteText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.danger,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    maxWidth: 180,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.surface,
+  },
+  chipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  chipAdd: {
+    borderColor: theme.accent,
+    borderStyle: 'dashed',
+    backgroundColor: 'transparent',
+  },
+  chipText: {
+    fontSize: 14,
+    color: theme.textSecondary,
+  },
+  chipTextActive: {
+    color: theme.onAccent,
+    fontWeight: '600',
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    gap: 8,
+  },
+  nameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  smallButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: theme.accent,
+  },
+  smallButtonSecondary: {
+    backgroundColor: theme.raised,
+  },
+  smallButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.onAccent,
+  },
+  smallButtonSecondaryText: {
+    color: theme.text,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  countText: {
+    fontSize: 14,
+    color: theme.textFaint,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+    minHeight: 110,
+    textAlignVertical: 'top',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 16,
+  },
+  modeChip: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+    backgroundColor: theme.surface,
+  },
+  modeChipActive: {
+    borderColor: theme.accent,
+  },
+  modeChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 12,
+  },
+  stepperButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.raised,
+  },
+  stepperText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.text,
+  },
+  stepperValue: {
+    minWidth: 24,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: theme.text,
+    textAlign: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+});
+
+export default RosterEditor;
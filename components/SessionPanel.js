@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import { MAX_NAME_LENGTH } from '../utils/session';
+import { useTheme, useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * SessionPanel Component
+ * Modal for flipping together: host a session on this phone or join one by
+ * the address shown on the host's phone, and see who is in it.
+ *
+ * session: null, or { role: 'host' | 'guest', status: 'starting' | 'live', address, name, participants }
+ */
+const SessionPanel = ({ visible, onClose, session, error, onHost, onJoin, onLeave }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [name, setName] = useState('');
+  const [address, setAddress] = useState('');
+
+  const isStarting = Boolean(session) && session.status === 'starting';
+  const isLive = Boolean(session) && session.status === 'live';
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.panel}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle} accessibilityRole="header">{t('session.title')}</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              style={styles.closeButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('common.close')}
+            >
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {error && <Text style={styles.errorText}>{error}</Text>}
+
+            {isLive ? (
+              <View>
+                <View style={styles.card}>
+                  {session.role === 'host' ? (
+                    <>
+                      <Text style={styles.cardTitle}>{t('session.hosting')}</Text>
+                      <Text style={styles.hintText}>{t('session.joinWith')}</Text>
+                      <Text style={styles.addressText} selectable={true}>{session.address}</Text>
+                      <Text style={styles.hintText}>{t('session.hostHint')}</Text>
+                    </>
+                  ) : (
+                    <>
+                      <Text style={styles.cardTitle}>{t('session.joined', { address: session.address, name: session.name })}</Text>
+                      <Text style={styles.hintText}>{t('session.guestHint')}</Text>
+                    </>
+                  )}
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>{t('session.participants', { count: session.participants.length })}</Text>
+                  {session.participants.map((participant, index) => (
+                    <Text key={`${participant}-${index}`} style={styles.participantText}>
+                      {index === 0 ? t('session.hostName', { name: participant }) : participant}
+                    </Text>
+                  ))}
+                </View>
+
+                <TouchableOpacity onPress={onLeave} style={styles.leaveButton} accessibilityRole="button">
+                  <Text style={styles.leaveButtonText}>
+                    {session.role === 'host' ? t('session.end') : t('session.leave')}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <View>
+                <Text style={styles.inputLabel}>{t('session.yourName')}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={name}
+                  onChangeText={setName}
+                  accessibilityLabel={t('session.yourNameLabel')}
+                  placeholder={t('session.namePlaceholder')}
+                  placeholderTextColor={theme.placeholder}
+                  maxLength={MAX_NAME_LENGTH}
+                  editable={!isStarting}
+                />
+
+                <TouchableOpacity
+                  onPress={() => onHost(name)}
+                  style={[styles.actionButton, isStarting && styles.buttonDisabled]}
+                  disabled={isStarting}
+                  accessibilityRole="button"
+                  accessibilityState={{ disabled: isStarting }}
+                >
+                  <Text style={styles.actionButtonText}>{t('session.host')}</Text>
+                </TouchableOpacity>
+
+                <Text style={[styles.inputLabel, styles.joinLabel]}>{t('session.orJoin')}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={address}
+                  onChangeText={setAddress}
+                  accessibilityLabel={t('session.addressLabel')}
+                  placeholder={t('session.addressPlaceholder')}
+                  placeholderTextColor={theme.placeholder}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="numbers-and-punctuation"
+                  editable={!isStarting}
+                />
+                <TouchableOpacity
+                  onPress={() => onJoin(address, name)}
+                  style={[styles.actionButton, styles.joinButton, (isStarting || !address.trim()) && styles.buttonDisabled]}
+                  disabled={isStarting || !address.trim()}
+                  accessibilityRole="button"
+                  accessibilityState={{ disabled: isStarting || !address.trim() }}
+                >
+                  <Text style={[styles.actionButtonText, styles.joinButtonText]}>{t('session.join')}</Text>
+                </TouchableOpacity>
+
+                {isStarting && (
+                  <ActivityIndicator style={styles.spinner} color={theme.accent} accessibilityLabel={t('session.connecting')} />
+                )}
+              </View>
+            )}
+          </ScrollView>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  modalContainer: {
+    flex: 1,
+    backgroundColor: theme.overlay,
+    justifyContent: 'flex-end',
+  },
+  panel: {
+    backgroundColor: theme.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    height: '85%',
+    paddingBottom: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.border,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: theme.text,
+    textTransform: 'uppercase',
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  closeButtonText: {
+    fontSize: 24,
+    color: theme.textMuted,
+  },
+  content: {
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 14,
+    color: theme.danger,
+    marginBottom: 12,
+  },
+  card: {
+    padding: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+    marginBottom: 4,
+  },
+  addressText: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: theme.accent,
+    marginVertical: 8,
+    fontVariant: ['tabular-nums'],
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.textFaint,
+    marginTop: 4,
+  },
+  participantText: {
+    fontSize: 15,
+    color: theme.textSecondary,
+    marginTop: 6,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.textMuted,
+    marginBottom: 8,
+  },
+  joinLabel: {
+    marginTop: 28,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.surface,
+    color: theme.text,
+  },
+  actionButton: {
+    marginTop: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderRadius: 12,
+    backgroundColor: theme.accent,
+  },
+  joinButton: {
+    backgroundColor: theme.raised,
+  },
+  actionButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.onAccent,
+  },
+  joinButtonText: {
+    color: theme.text,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  spinner: {
+    marginTop: 20,
+  },
+  leaveButton: {
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: theme.danger,
+  },
+  leaveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.danger,
+  },
+});
+
+export default SessionPanel;
@@ -0,0 +1,707 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  StyleSheet,
+  SafeAreaView,
+  Share,
+} from 'react-native';
+import { Accelerometer } from 'expo-sensors';
+import { GestureHandlerRootView, GestureDetector, Gesture } from 'react-native-gesture-handler';
+import { setGestureSettings } from '../utils/storage';
+import {
+  DEFAULT_GESTURE_SETTINGS,
+  GESTURE_LIMITS,
+  clampGestureValue,
+  getSwipeVelocity,
+} from '../utils/gestures';
+import { createGestureRecognizer, createTraceRecorder, GESTURE_SAMPLE_INTERVAL } from '../utils/gestureRecognizer';
+import { THEME_MODES, ACCENTS } from '../utils/theme';
+import { LANGUAGES, DEFAULT_LANGUAGE_SETTING } from '../utils/i18n';
+import { useTheme, useThemedStyles, useThemeSettings } from './ThemeProvider';
+import { useTranslation, useLanguageSetting } from './LocaleProvider';
+
+const TRIGGER_FLASH_MS = 800;
+
+/**
+ * Stepper row for one numeric setting
+ * Screen readers get one adjustable control: swipe up or down to step.
+ */
+const SettingStepper = ({ label, value, unit, settingKey, disabled, onStep }) => {
+  const styles = useThemedStyles(createStyles);
+
+  const { min, max } = GESTURE_LIMITS[settingKey];
+  return (
+    <View
+      style={[styles.stepperRow, disabled && styles.rowDisabled]}
+      accessible={true}
+      accessibilityRole="adjustable"
+      accessibilityLabel={label}
+      accessibilityValue={{ text: `${value}${unit}` }}
+      accessibilityState={{ disabled }}
+      accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+      onAccessibilityAction={(event) => {
+        const direction = event.nativeEvent.actionName === 'increment' ? 1 : -1;
+        // Guard: Same limits as the buttons
+        if (!disabled && (direction > 0 ? value < max : value > min)) {
+          onStep(settingKey, direction);
+        }
+      }}
+    >
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <TouchableOpacity
+        onPress={() => onStep(settingKey, -1)}
+        style={[styles.stepButton, value <= min && styles.buttonDisabled]}
+        disabled={disabled || value <= min}
+      >
+        <Text style={styles.stepButtonText}>−</Text>
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>
+        {value}
+        {unit}
+      </Text>
+      <TouchableOpacity
+        onPress={() => onStep(settingKey, 1)}
+        style={[styles.stepButton, value >= max && styles.buttonDisabled]}
+        disabled={disabled || value >= max}
+      >
+        <Text style={styles.stepButtonText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+/**
+ * Live bar comparing a reading to its trigger threshold
+ */
+const CalibrationBar = ({ label, value, threshold, scale, fired, enabled }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const clamp = (number) => Math.min(1, Math.max(0, number / scale));
+  return (
+    <View style={styles.calibrationRow}>
+      <View style={styles.calibrationHeader}>
+        <Text style={styles.calibrationLabel}>{label}</Text>
+        <Text style={[styles.calibrationValue, fired && styles.firedText]}>
+          {enabled ? (fired ? t('settings.fired') : value.toFixed(2)) : t('settings.off')}
+        </Text>
+      </View>
+      <View style={styles.barTrack}>
+        <View
+          style={[
+            styles.barFill,
+            { width: `${clamp(value) * 100}%` },
+            fired && styles.barFillFired,
+          ]}
+        />
+        {enabled && <View style={[styles.thresholdMark, { left: `${clamp(threshold) * 100}%` }]} />}
+      </View>
+    </View>
+  );
+};
+
+/**
+ * SettingsPanel Component
+ * Modal for the app's look (theme and accent color), its language and for
+ * tuning or disabling each gesture, saved as soon as they change.
+ * While open, a live calibration view shows accelerometer readings against
+ * the current thresholds and flags when each trigger would fire.
+ */
+const SettingsPanel = ({ visible, onClose, settings, onChange }) => {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { themeSettings, updateThemeSettings } = useThemeSettings();
+  const { languageSetting, updateLanguageSetting } = useLanguageSetting();
+
+  const [reading, setReading] = useState({ x: 0, y: 0, z: 0, rise: 0, force: 1 });
+  const [isSensorAvailable, setIsSensorAvailable] = useState(true);
+  const [firedAt, setFiredAt] = useState({ flick: 0, shake: 0, swipe: 0 });
+  const [lastSwipe, setLastSwipe] = useState(null); // { velocity, fired }
+
+  const lastTriggerRef = useRef({ flick: 0, shake: 0 });
+  const traceRef = useRef(createTraceRecorder()); // Raw readings to share as a test fixture
+
+  // The listener is subscribed once per opening; read settings through a ref
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  /**
+   * Live calibration: run the same recognizer as the App, cooldowns included
+   */
+  useEffect(() => {
+    if (!visible) {
+      return undefined;
+    }
+
+    let isMounted = true;
+    let subscription = null;
+
+    const subscribe = async () => {
+      try {
+        const isAvailable = await Accelerometer.isAvailableAsync();
+        if (!isMounted) {
+          return;
+        }
+        setIsSensorAvailable(isAvailable);
+        if (!isAvailable) {
+          return;
+        }
+
+        Accelerometer.setUpdateInterval(GESTURE_SAMPLE_INTERVAL);
+        const recognizer = createGestureRecognizer(() => settingsRef.current);
+        traceRef.current.reset();
+        subscription = Accelerometer.addListener(({ x, y, z }) => {
+          // Guard: Ensure values are valid numbers
+          if (typeof x !== 'number' || typeof y !== 'number' || typeof z !== 'number') {
+            return;
+          }
+
+          const now = Date.now();
+          const current = settingsRef.current;
+          traceRef.current.push({ x, y, z }, now);
+          const gesture = recognizer.push({ x, y, z }, now);
+
+          if (gesture === 'flick' && now - lastTriggerRef.current.flick > current.flickCooldown) {
+            lastTriggerRef.current.flick = now;
+            setFiredAt((previous) => ({ ...previous, flick: now }));
+          } else if (gesture === 'shake' && now - lastTriggerRef.current.shake > current.shakeCooldown) {
+            lastTriggerRef.current.shake = now;
+            setFiredAt((previous) => ({ ...previous, shake: now }));
+          }
+
+          const { rise, force } = recognizer.getLevels();
+          setReading({ x, y, z, rise, force });
+        });
+      } catch (error) {
+        console.error('SettingsPanel calibration error:', error);
+        setIsSensorAvailable(false);
+      }
+    };
+
+    subscribe();
+
+    return () => {
+      isMounted = false;
+      if (subscription) {
+        subscription.remove();
+      }
+    };
+  }, [visible]);
+
+  /**
+   * Share the last few seconds of readings in the format of the gesture test fixtures
+   */
+  const shareTrace = async () => {
+    const trace = traceRef.current.toJson();
+    if (!trace) {
+      return;
+    }
+    try {
+      await Share.share({ message: trace });
+    } catch (error) {
+      console.error('SettingsPanel shareTrace error:', error);
+    }
+  };
+
+  const update = async (changes) => {
+    const saved = await setGestureSettings({ ...settings, ...changes });
+    if (saved) {
+      onChange(saved);
+    }
+  };
+
+  const handleStep = (key, direction) => {
+    update({ [key]: clampGestureValue(key, settings[key] + direction * GESTURE_LIMITS[key].step) });
+  };
+
+  const swipeVelocity = getSwipeVelocity(settings);
+  const swipeGesture = Gesture.Pan()
+    .onEnd((event) => {
+      const velocity = -event.velocityY;
+      const fired = swipeVelocity !== null && velocity > swipeVelocity;
+      setLastSwipe({ velocity, fired });
+      if (fired) {
+        setFiredAt((previous) => ({ ...previous, swipe: Date.now() }));
+      }
+    });
+
+  const now = Date.now();
+  const isFlashing = (key) => now - firedAt[key] < TRIGGER_FLASH_MS;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <GestureHandlerRootView style={styles.flex}>
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.panel}>
+            <View style={styles.header}>
+              <Text style={styles.headerTitle} accessibilityRole="header">{t('settings.title')}</Text>
+              <TouchableOpacity
+                onPress={onClose}
+                style={styles.closeButton}
+                accessibilityRole="button"
+                accessibilityLabel={t('common.close')}
+              >
+                <Text style={styles.closeButtonText}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.content}>
+              {/* Appearance */}
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>{t('settings.appearance')}</Text>
+                <View style={styles.chipRow}>
+                  {THEME_MODES.map((mode) => {
+                    const isActive = themeSettings.mode === mode.key;
+                    return (
+                      <TouchableOpacity
+                        key={mode.key}
+                        onPress={() => updateThemeSettings({ ...themeSettings, mode: mode.key })}
+                        style={[styles.chip, isActive && styles.chipActive]}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('settings.themeLabel', { mode: t(`settings.themeModes.${mode.key}`) })}
+                        accessibilityState={{ selected: isActive }}
+                      >
+                        <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+                          {t(`settings.themeModes.${mode.key}`)}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <Text style={styles.hintText}>{t('settings.themeHint')}</Text>
+                <View style={styles.chipRow}>
+                  {ACCENTS.map((accent) => {
+                    const isActive = themeSettings.accent === accent.key;
+                    return (
+                      <TouchableOpacity
+                        key={accent.key}
+                        onPress={() => updateThemeSettings({ ...themeSettings, accent: accent.key })}
+                        style={[styles.chip, styles.accentChip, isActive && styles.accentChipActive]}
+                        accessibilityRole="button"
+                        accessibilityLabel={t('settings.accentLabel', { accent: t(`settings.accents.${accent.key}`) })}
+                        accessibilityState={{ selected: isActive }}
+                      >
+                        <View style={[styles.accentDot, { backgroundColor: accent[theme.name] }]} />
+                        <Text style={styles.chipText}>{t(`settings.accents.${accent.key}`)}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+
+              {/* Language */}
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>{t('settings.language')}</Text>
+                <View style={styles.chipRow}>
+                  {[DEFAULT_LANGUAGE_SETTING, ...LANGUAGES.map((language) => language.key)].map((key) => {
+                    const isActive = languageSetting === key;
+                    // Languages are named in their own language, so they can be found from any of them
+                    const label =
+                      key === DEFAULT_LANGUAGE_SETTING
+                        ? t('settings.systemLanguage')
+                        : LANGUAGES.find((language) => language.key === key).label;
+                    return (
+                      <TouchableOpacity
+                        key={key}
+                        onPress={() => updateLanguageSetting(key)}
+                        style={[styles.chip, isActive && styles.chipActive]}
+                        accessibilityRole="button"
+                        accessibilityLabel={label}
+                        accessibilityLanguage={key === DEFAULT_LANGUAGE_SETTING ? undefined : key}
+                        accessibilityState={{ selected: isActive }}
+                      >
+                        <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <Text style={styles.hintText}>{t('settings.languageHint')}</Text>
+              </View>
+
+              {/* Flick to flip */}
+              <View style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <Text style={styles.cardTitle}>{t('settings.flick')}</Text>
+                  <Switch
+                    value={settings.flickEnabled}
+                    accessibilityLabel={t('settings.flick')}
+                    onValueChange={(enabled) => update({ flickEnabled: enabled })}
+                    trackColor={{ false: theme.raised, true: theme.accent }}
+                  />
+                </View>
+                <SettingStepper
+                  label={t('settings.sensitivity')}
+                  value={settings.flickThreshold}
+                  unit=" g"
+                  settingKey="flickThreshold"
+                  disabled={!settings.flickEnabled}
+                  onStep={handleStep}
+                />
+                <SettingStepper
+                  label={t('settings.cooldown')}
+                  value={settings.flickCooldown}
+                  unit=" ms"
+                  settingKey="flickCooldown"
+                  disabled={!settings.flickEnabled}
+                  onStep={handleStep}
+                />
+              </View>
+
+              {/* Shake to reset */}
+              <View style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <Text style={styles.cardTitle}>{t('settings.shake')}</Text>
+                  <Switch
+                    value={settings.shakeEnabled}
+                    accessibilityLabel={t('settings.shake')}
+                    onValueChange={(enabled) => update({ shakeEnabled: enabled })}
+                    trackColor={{ false: theme.raised, true: theme.accent }}
+                  />
+                </View>
+                <SettingStepper
+                  label={t('settings.sensitivity')}
+                  value={settings.shakeThreshold}
+                  unit=" g"
+                  settingKey="shakeThreshold"
+                  disabled={!settings.shakeEnabled}
+                  onStep={handleStep}
+                />
+                <SettingStepper
+                  label={t('settings.cooldown')}
+                  value={settings.shakeCooldown}
+                  unit=" ms"
+                  settingKey="shakeCooldown"
+                  disabled={!settings.shakeEnabled}
+                  onStep={handleStep}
+                />
+              </View>
+
+              {/* Swipe the coin */}
+              <View style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <Text style={styles.cardTitle}>{t('settings.swipe')}</Text>
+                  <Switch
+                    value={settings.swipeEnabled}
+                    accessibilityLabel={t('settings.swipeLabel')}
+                    onValueChange={(enabled) => update({ swipeEnabled: enabled })}
+                    trackColor={{ false: theme.raised, true: theme.accent }}
+                  />
+                </View>
+                <SettingStepper
+                  label={t('settings.minimumSpeed')}
+                  value={settings.swipeVelocity}
+                  unit=" pt/s"
+                  settingKey="swipeVelocity"
+                  disabled={!settings.swipeEnabled}
+                  onStep={handleStep}
+                />
+              </View>
+
+              {/* Live calibration */}
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>{t('settings.calibration')}</Text>
+                {isSensorAvailable ? (
+                  <View>
+                    <Text style={styles.readingText}>
+                      x {reading.x.toFixed(2)}   y {reading.y.toFixed(2)}   z {reading.z.toFixed(2)}
+                    </Text>
+                    <CalibrationBar
+                      label={t('settings.flickReading')}
+                      value={reading.rise}
+                      threshold={settings.flickThreshold}
+                      scale={GESTURE_LIMITS.flickThreshold.max}
+                      fired={isFlashing('flick')}
+                      enabled={settings.flickEnabled}
+                    />
+                    <CalibrationBar
+                      label={t('settings.shakeReading')}
+                      value={reading.force}
+                      threshold={settings.shakeThreshold}
+                      scale={GESTURE_LIMITS.shakeThreshold.max}
+                      fired={isFlashing('shake')}
+                      enabled={settings.shakeEnabled}
+                    />
+                    <TouchableOpacity
+                      onPress={shareTrace}
+                      style={styles.traceButton}
+                      accessibilityRole="button"
+                      accessibilityHint={t('settings.shareTraceHint')}
+                    >
+                      <Text style={styles.traceButtonText}>{t('settings.shareTrace')}</Text>
+                    </TouchableOpacity>
+                  </View>
+                ) : (
+                  <Text style={styles.hintText}>{t('settings.noSensor')}</Text>
+                )}
+
+                <GestureDetector gesture={swipeGesture}>
+                  <View style={[styles.swipePad, isFlashing('swipe') && styles.swipePadFired]}>
+                    <Text style={styles.swipePadText}>
+                      {lastSwipe
+                        ? t(lastSwipe.fired ? 'settings.swipeFired' : 'settings.swipeSlow', { velocity: Math.round(lastSwipe.velocity) })
+                        : t('settings.swipeTest')}
+                    </Text>
+                  </View>
+                </GestureDetector>
+                <Text style={styles.hintText}>{t('settings.calibrationHint')}</Text>
+              </View>
+
+              <TouchableOpacity
+                onPress={() => update(DEFAULT_GESTURE_SETTINGS)}
+                style={styles.resetButton}
+                accessibilityRole="button"
+              >
+                <Text style={styles.resetButtonText}>{t('settings.restoreDefaults')}</Text>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </SafeAreaView>
+      </GestureHandlerRootView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: theme.overlay,
+    justifyContent: 'flex-end',
+  },
+  panel: {
+    backgroundColor: theme.background,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    height: '85%',
+    paddingBottom: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.border,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: theme.text,
+    textTransform: 'uppercase',
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  closeButtonText: {
+    fontSize: 24,
+    color: theme.textMuted,
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    padding: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    flexShrink: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+    marginBottom: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  chipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  chipTextActive: {
+    color: theme.onAccent,
+  },
+  accentChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  accentChipActive: {
+    borderColor: theme.text,
+  },
+  accentDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginRight: 6,
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  rowDisabled: {
+    opacity: 0.4,
+  },
+  stepperLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.textMuted,
+  },
+  stepButton: {
+    width: 36,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    backgroundColor: theme.raised,
+  },
+  stepButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  stepperValue: {
+    minWidth: 84,
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+    textAlign: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  readingText: {
+    fontSize: 13,
+    color: theme.textMuted,
+    marginVertical: 8,
+    fontVariant: ['tabular-nums'],
+  },
+  calibrationRow: {
+    marginBottom: 12,
+  },
+  calibrationHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  calibrationLabel: {
+    fontSize: 14,
+    color: theme.textMuted,
+  },
+  calibrationValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+    fontVariant: ['tabular-nums'],
+  },
+  firedText: {
+    color: theme.accent,
+  },
+  barTrack: {
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: theme.raised,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    backgroundColor: theme.textFaint,
+  },
+  barFillFired: {
+    backgroundColor: theme.accent,
+  },
+  thresholdMark: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    backgroundColor: theme.danger,
+  },
+  swipePad: {
+    height: 80,
+    marginTop: 8,
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: theme.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swipePadFired: {
+    borderColor: theme.accent,
+  },
+  swipePadText: {
+    fontSize: 14,
+    color: theme.textMuted,
+  },
+  hintText: {
+    fontSize: 12,
+    color: theme.textFaint,
+    marginTop: 8,
+  },
+  traceButton: {
+    marginTop: 4,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.border,
+  },
+  traceButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  resetButton: {
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  resetButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+  },
+});
+
+export default SettingsPanel;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { getHistory } from '../utils/storage';
+import { computeStats, isCoinFlip, MIN_FAIRNESS_SAMPLE } from '../utils/stats';
+import { formatPercent } from '../utils/weights';
+import { translateLabel, getEntryBuiltInLabels } from '../utils/i18n';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+const MAX_LABEL_BARS = 8;
+const DAY_CHART_HEIGHT = 80;
+
+/**
+ * StatsPanel Component
+ * Statistics over the stored flip history: counts, streaks,
+ * flips per day and a chi-square fairness check for the coin
+ */
+const StatsPanel = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [scope, setScope] = useState('coin'); // 'coin' | 'all'
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const loadEntries = async () => {
+    setIsLoading(true);
+    try {
+      const historyData = await getHistory();
+      // Guard: Ensure history is an array
+      setEntries(Array.isArray(historyData) ? historyData : []);
+    } catch (error) {
+      console.error('StatsPanel loadEntries error:', error);
+      setEntries([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.messageContainer}>
+        <Text style={styles.messageText}>{t('common.loading')}</Text>
+      </View>
+    );
+  }
+
+  const scopedEntries = scope === 'coin' ? entries.filter(isCoinFlip) : entries;
+  const stats = computeStats(scopedEntries);
+  // Counts group entries by label; a label shows translated when any entry marks it built-in
+  const builtInLabels = scopedEntries.flatMap(getEntryBuiltInLabels);
+  const maxDayCount = Math.max(1, ...stats.days.map((day) => day.count));
+  const fairness = stats.fairness;
+
+  const renderFairness = () => {
+    if (!fairness) {
+      return <Text style={styles.cardText}>{t('stats.noCoinFlips')}</Text>;
+    }
+    if (!fairness.enoughData) {
+      return (
+        <Text style={styles.cardText}>
+          {t('stats.needMore', { count: MIN_FAIRNESS_SAMPLE, sampleSize: fairness.sampleSize })}
+        </Text>
+      );
+    }
+    return (
+      <View>
+        <Text style={[styles.verdict, fairness.looksFair ? styles.verdictFair : styles.verdictUnfair]}>
+          {fairness.looksFair ? t('stats.fair') : t('stats.unfair')}
+        </Text>
+        <Text style={styles.cardText}>
+          χ² = {fairness.statistic.toFixed(2)} (1 df), p = {fairness.pValue.toFixed(3)}
+        </Text>
+        <Text style={styles.cardHint}>
+          {fairness.looksFair
+            ? t('stats.fairHint', { heads: fairness.heads, tails: fairness.tails, share: formatPercent(fairness.pValue) })
+            : t('stats.unfairHint')}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      {/* Scope selector */}
+      <View style={styles.scopeRow}>
+        <TouchableOpacity
+          onPress={() => setScope('coin')}
+          accessibilityRole="button"
+          accessibilityState={{ selected: scope === 'coin' }}
+          style={[styles.scopeChip, scope === 'coin' && styles.scopeChipActive]}
+        >
+          <Text style={[styles.scopeChipText, scope === 'coin' && styles.scopeChipTextActive]}>{t('stats.coinScope')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => setScope('all')}
+          accessibilityRole="button"
+          accessibilityState={{ selected: scope === 'all' }}
+          style={[styles.scopeChip, scope === 'all' && styles.scopeChipActive]}
+        >
+          <Text style={[styles.scopeChipText, scope === 'all' && styles.scopeChipTextActive]}>{t('stats.allScope')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {stats.total === 0 ? (
+        <View style={styles.messageContainer}>
+          <Text style={styles.messageText}>{t('stats.empty')}</Text>
+        </View>
+      ) : (
+        <View>
+          {/* Counts per label */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('stats.results', { count: stats.total })}</Text>
+            {stats.labels.slice(0, MAX_LABEL_BARS).map((item) => (
+              <View key={item.label} style={styles.barRow}>
+                <Text style={styles.barLabel} numberOfLines={1}>{translateLabel(item.label, builtInLabels)}</Text>
+                <View style={styles.barTrack}>
+                  <View style={[styles.barFill, { width: `${item.share * 100}%` }]} />
+                </View>
+                <Text style={styles.barValue}>
+                  {item.count} · {formatPercent(item.share)}
+                </Text>
+              </View>
+            ))}
+            {stats.labels.length > MAX_LABEL_BARS && (
+              <Text style={styles.cardHint}>
+                {t('stats.moreResults', { count: stats.labels.length - MAX_LABEL_BARS })}
+              </Text>
+            )}
+          </View>
+
+          {/* Streaks */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('stats.streaks')}</Text>
+            <View style={styles.statRow}>
+              <Text style={styles.statLabel}>{t('stats.current')}</Text>
+              <Text style={styles.statValue} numberOfLines={1}>
+                {stats.streaks.current.length}× {translateLabel(stats.streaks.current.label, builtInLabels)}
+              </Text>
+            </View>
+            <View style={styles.statRow}>
+              <Text style={styles.statLabel}>{t('stats.longest')}</Text>
+              <Text style={styles.statValue} numberOfLines={1}>
+                {stats.streaks.longest.length}× {translateLabel(stats.streaks.longest.label, builtInLabels)}
+              </Text>
+            </View>
+          </View>
+
+          {/* Flips per day */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{t('stats.perDay')}</Text>
+            <View style={styles.dayChart}>
+              {stats.days.map((day) => (
+                <View key={day.date} style={styles.dayColumn}>
+                  <View
+                    style={[
+                      styles.dayBar,
+                      { height: (day.count / maxDayCount) * DAY_CHART_HEIGHT },
+                    ]}
+                  />
+                  <Text style={styles.dayLabel}>{day.date.slice(8)}</Text>
+                </View>
+              ))}
+            </View>
+            <Text style={styles.cardHint}>
+              {t('stats.average', { average: stats.averagePerActiveDay.toFixed(1) })}
+            </Text>
+          </View>
+
+          {/* Fairness */}
+          {scope === 'coin' && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>{t('stats.fairness')}</Text>
+              {renderFairness()}
+            </View>
+          )}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    padding: 20,
+  },
+  scopeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  scopeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: theme.border,
+  },
+  scopeChipActive: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accent,
+  },
+  scopeChipText: {
+    fontSize: 14,
+    color: theme.text,
+  },
+  scopeChipTextActive: {
+    color: theme.onAccent,
+  },
+  messageContainer: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  messageText: {
+    fontSize: 16,
+    color: theme.textFaint,
+  },
+  card: {
+    padding: 16,
+    backgroundColor: theme.surface,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.text,
+    marginBottom: 12,
+  },
+  cardText: {
+    fontSize: 14,
+    color: theme.textSecondary,
+  },
+  cardHint: {
+    fontSize: 12,
+    color: theme.textFaint,
+    marginTop: 8,
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  barLabel: {
+    width: 80,
+    fontSize: 14,
+    color: theme.text,
+  },
+  barTrack: {
+    flex: 1,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: theme.raised,
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 6,
+    backgroundColor: theme.accent,
+  },
+  barValue: {
+    width: 80,
+    fontSize: 12,
+    color: theme.textMuted,
+    textAlign: 'right',
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  statLabel: {
+    fontSize: 14,
+    color: theme.textMuted,
+  },
+  statValue: {
+    flexShrink: 1,
+    marginLeft: 12,
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.text,
+  },
+  dayChart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: DAY_CHART_HEIGHT + 20,
+  },
+  dayColumn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+  },
+  dayBar: {
+    width: '60%',
+    minHeight: 2,
+    borderRadius: 3,
+    backgroundColor: theme.accent,
+  },
+  dayLabel: {
+    fontSize: 9,
+    color: theme.textFaint,
+    marginTop: 4,
+  },
+  verdict: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  verdictFair: {
+    color: theme.accent,
+  },
+  verdictUnfair: {
+    color: theme.warning,
+  },
+});
+
+export default StatsPanel;
@@ -0,0 +1,87 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import * as SystemUI from 'expo-system-ui';
+import { DEFAULT_THEME_SETTINGS, getTheme } from '../utils/theme';
+import { getThemeSettings, setThemeSettings } from '../utils/storage';
+
+const ThemeContext = createContext(null);
+
+// Used outside a ThemeProvider (e.g. a component rendered on its own in tests)
+const FALLBACK_THEME = getTheme(DEFAULT_THEME_SETTINGS, 'dark');
+
+/**
+ * ThemeProvider Component
+ * Loads the saved theme settings, follows the system light/dark setting when
+ * asked to, and hands the resolved theme to everything inside it.
+ */
+const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [themeSettings, setSettings] = useState(DEFAULT_THEME_SETTINGS);
+
+  useEffect(() => {
+    let isMounted = true;
+    getThemeSettings().then((settings) => {
+      if (isMounted) {
+        setSettings(settings);
+      }
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const theme = useMemo(() => getTheme(themeSettings, systemScheme), [themeSettings, systemScheme]);
+
+  // The root view shows behind modals as they slide and around the keyboard
+  useEffect(() => {
+    SystemUI.setBackgroundColorAsync(theme.background).catch((error) => {
+      console.error('setBackgroundColorAsync error:', error);
+    });
+  }, [theme.background]);
+
+  const value = useMemo(() => ({
+    theme,
+    themeSettings,
+    updateThemeSettings: async (settings) => {
+      const saved = await setThemeSettings(settings);
+      if (saved) {
+        setSettings(saved);
+      }
+      return saved;
+    },
+  }), [theme, themeSettings]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+/**
+ * Current theme (see utils/theme.getTheme)
+ * @returns {Object}
+ */
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  return context ? context.theme : FALLBACK_THEME;
+};
+
+/**
+ * Saved theme settings and a way to change them
+ * @returns {{themeSettings: Object, updateThemeSettings: Function}}
+ */
+export const useThemeSettings = () => {
+  const context = useContext(ThemeContext);
+  return context
+    ? { themeSettings: context.themeSettings, updateThemeSettings: context.updateThemeSettings }
+    : { themeSettings: DEFAULT_THEME_SETTINGS, updateThemeSettings: async () => null };
+};
+
+/**
+ * Styles built from the current theme, rebuilt only when the theme changes
+ * @param {Function} createStyles - (theme) => StyleSheet, defined at module level
+ * @returns {Object}
+ */
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme), [createStyles, theme]);
+};
+
+export default ThemeProvider;
@@ -0,0 +1,115 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, Animated, StyleSheet } from 'react-native';
+import { UNDO_WINDOW_MS } from '../utils/storage';
+import { announce } from '../utils/accessibility';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * UndoSnackbar Component
+ * Bottom bar offering to undo the last destructive action.
+ * Pass a new `undo` object ({ message, ... }) to restart the countdown;
+ * it is handed back to onUndo / onExpire so callers can tell them apart.
+ */
+const UndoSnackbar = ({ undo, onUndo, onExpire, duration = UNDO_WINDOW_MS }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const progress = useRef(new Animated.Value(1)).current;
+
+  // Latest callback for the timer, which outlives the render that started it
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    if (!undo) {
+      return undefined;
+    }
+
+    // Screen readers wouldn't notice the bar appear
+    announce(undo.message);
+    progress.setValue(1);
+    const countdown = Animated.timing(progress, {
+      toValue: 0,
+      duration,
+      useNativeDriver: false,
+    });
+    countdown.start();
+    const timer = setTimeout(() => onExpireRef.current(undo), duration);
+
+    return () => {
+      countdown.stop();
+      clearTimeout(timer);
+    };
+  }, [undo, duration]);
+
+  if (!undo) {
+    return null;
+  }
+
+  const barWidth = progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: ['0%', '100%'],
+  });
+
+  return (
+    <View style={styles.container} pointerEvents="box-none">
+      <View style={styles.snackbar}>
+        <Text style={styles.message} numberOfLines={2}>{undo.message}</Text>
+        <TouchableOpacity
+          onPress={() => onUndo(undo)}
+          style={styles.undoButton}
+          accessibilityRole="button"
+          accessibilityLabel={t('undo.label')}
+        >
+          <Text style={styles.undoText}>{t('undo.button')}</Text>
+        </TouchableOpacity>
+        <Animated.View style={[styles.countdown, { width: barWidth }]} />
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+  },
+  snackbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    backgroundColor: theme.surface,
+    borderWidth: 1,
+    borderColor: theme.border,
+    overflow: 'hidden',
+  },
+  message: {
+    flex: 1,
+    fontSize: 15,
+    color: theme.text,
+  },
+  undoButton: {
+    marginLeft: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  undoText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: theme.accent,
+  },
+  countdown: {
+    position: 'absolute',
+    left: 0,
+    bottom: 0,
+    height: 3,
+    backgroundColor: theme.accent,
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,248 @@
+import React, { useRef, useEffect, useMemo } from 'react';
+import { View, Text, Animated, StyleSheet, Easing } from 'react-native';
+import { GestureDetector, Gesture } from 'react-native-gesture-handler';
+import { getShares } from '../utils/weights';
+import { strengthFromSwipe, DEFAULT_TOSS_STRENGTH } from '../utils/tossPhysics';
+import { REDUCED_MOTION_DURATION, MAX_DISPLAY_FONT_SCALE } from '../utils/accessibility';
+import { useThemedStyles } from './ThemeProvider';
+import { useTranslation } from './LocaleProvider';
+
+const WHEEL_SIZE = 240;
+const MIN_TURNS = 4; // Turns for the gentlest spin; the hardest adds MAX_EXTRA_TURNS
+const MAX_EXTRA_TURNS = 4;
+const MIN_SPIN_DURATION = 2400;
+const MAX_EXTRA_DURATION = 1600;
+const DEFAULT_SWIPE_VELOCITY = 500;
+
+const SEGMENT_COLORS = ['#3ECFAC', '#F7B731', '#FC5C65', '#4B7BEC', '#A55EEA', '#FD9644'];
+
+/**
+ * Spinner Wheel Component
+ * Multi-option counterpart to the Coin. Each option gets a slice sized by its
+ * weight; the wheel spins so the selected slice ends under the pointer at the top.
+ * `swipeVelocity`, `spinStrength` and `onSpinEnd` work like the Coin's swipe,
+ * toss strength and landing callback: harder spins turn more and run longer.
+ * With `reduceMotion` the wheel doesn't spin: it fades in already on the result.
+ */
+const Wheel = ({
+  options,
+  weights,
+  selectedIndex,
+  isSpinning,
+  onSpinStart,
+  onSpinEnd,
+  spinStrength = DEFAULT_TOSS_STRENGTH,
+  swipeVelocity = DEFAULT_SWIPE_VELOCITY,
+  reduceMotion = false,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+
+  const spinAnim = useRef(new Animated.Value(0)).current;
+  const restAngleRef = useRef(0);
+
+  // Guard: Always render at least one segment so the math below never divides by zero
+  const labels = Array.isArray(options) && options.length > 0 ? options : ['?'];
+  const shares = getShares(
+    Array.isArray(weights) && weights.length === labels.length ? weights : labels.map(() => 1)
+  );
+
+  // Slice geometry in degrees, clockwise from the pointer
+  const segments = [];
+  let startAngle = 0;
+  shares.forEach((share) => {
+    const size = share * 360;
+    segments.push({ start: startAngle, size, center: startAngle + size / 2 });
+    startAngle += size;
+  });
+  const visibleCount = segments.filter((segment) => segment.size > 0).length;
+  const geometryKey = segments.map((segment) => segment.size.toFixed(3)).join('|');
+
+  const panGesture = Gesture.Pan()
+    .onEnd((event) => {
+      if (swipeVelocity !== null && event.velocityY < -swipeVelocity && !isSpinning && onSpinStart) {
+        onSpinStart(strengthFromSwipe(-event.velocityY, swipeVelocity));
+      }
+    });
+
+  // Spin range is resolved during render so the interpolation below uses it right away
+  const spinRange = useMemo(() => {
+    if (!isSpinning || typeof selectedIndex !== 'number') {
+      return null;
+    }
+    // Guard: Unknown index spins to the first slice
+    const segment = segments[selectedIndex] || segments[0];
+    // Angle that puts the centre of the selected slice under the pointer
+    const target = (360 - segment.center) % 360;
+    const from = restAngleRef.current;
+    const delta = (((target - from) % 360) + 360) % 360;
+    if (reduceMotion) {
+      return { from: from + delta, to: from + delta, duration: REDUCED_MOTION_DURATION, isFade: true };
+    }
+    const turns = MIN_TURNS + Math.round(MAX_EXTRA_TURNS * spinStrength);
+    return {
+      from,
+      to: from + turns * 360 + delta,
+      duration: MIN_SPIN_DURATION + MAX_EXTRA_DURATION * spinStrength,
+    };
+  }, [isSpinning, selectedIndex, geometryKey, reduceMotion]);
+
+  // Latest callback for the animation's completion, which outlives this render
+  const onSpinEndRef = useRef(onSpinEnd);
+  onSpinEndRef.current = onSpinEnd;
+
+  // Spin animation
+  useEffect(() => {
+    if (spinRange) {
+      spinAnim.setValue(0);
+      Animated.timing(spinAnim, {
+        toValue: 1,
+        duration: spinRange.duration,
+        easing: spinRange.isFade ? Easing.linear : Easing.out(Easing.cubic),
+        useNativeDriver: true,
+      }).start(() => {
+        if (onSpinEndRef.current) {
+          onSpinEndRef.current();
+        }
+      });
+      restAngleRef.current = spinRange.to % 360;
+    }
+  }, [spinRange]);
+
+  const rotate = spinRange
+    ? spinAnim.interpolate({
+        inputRange: [0, 1],
+        outputRange: [`${spinRange.from}deg`, `${spinRange.to}deg`],
+      })
+    : `${restAngleRef.current}deg`;
+
+  const hasResult = !isSpinning && typeof selectedIndex === 'number' && selectedIndex < labels.length;
+
+  return (
+    <GestureDetector gesture={panGesture}>
+      <View
+        style={styles.container}
+        accessible={true}
+        accessibilityRole="button"
+        accessibilityLabel={hasResult ? t('wheel.landedOn', { label: labels[selectedIndex] }) : t('wheel.label')}
+        accessibilityHint={t('wheel.hint')}
+        accessibilityState={{ busy: isSpinning, disabled: isSpinning || !onSpinStart }}
+        accessibilityActions={[{ name: 'activate' }]}
+        onAccessibilityAction={(event) => {
+          if (event.nativeEvent.actionName === 'activate' && !isSpinning && onSpinStart) {
+            onSpinStart(DEFAULT_TOSS_STRENGTH);
+          }
+        }}
+      >
+        {/* Pointer */}
+        <View style={styles.pointer} />
+
+        <Animated.View
+          style={[
+            styles.wheel,
+            { opacity: spinRange && spinRange.isFade ? spinAnim : 1, transform: [{ rotate }] },
+          ]}
+        >
+          {visibleCount > 1 && segments.map((segment, index) => (
+            segment.size > 0 && (
+              <View
+                key={`divider-${index}`}
+                style={[styles.spoke, { transform: [{ rotate: `${segment.start}deg` }] }]}
+              >
+                <View style={styles.divider} />
+              </View>
+            )
+          ))}
+          {/* Zero-weight options can't win, so they get no slice */}
+          {segments.map((segment, index) => (
+            segment.size > 0 && (
+              <View
+                key={`label-${index}`}
+                style={[styles.spoke, { transform: [{ rotate: `${segment.center}deg` }] }]}
+              >
+                <View
+                  style={[
+                    styles.labelPill,
+                    { backgroundColor: SEGMENT_COLORS[index % SEGMENT_COLORS.length] },
+                  ]}
+                >
+                  <Text style={styles.labelText} numberOfLines={1} maxFontSizeMultiplier={MAX_DISPLAY_FONT_SCALE}>
+                    {labels[index]}
+                  </Text>
+                </View>
+              </View>
+            )
+          ))}
+          <View style={styles.hub} />
+        </Animated.View>
+      </View>
+    </GestureDetector>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 20,
+    height: WHEEL_SIZE + 40,
+  },
+  pointer: {
+    position: 'absolute',
+    top: 0,
+    zIndex: 2,
+    width: 0,
+    height: 0,
+    borderLeftWidth: 12,
+    borderRightWidth: 12,
+    borderTopWidth: 22,
+    borderLeftColor: 'transparent',
+    borderRightColor: 'transparent',
+    borderTopColor: theme.text,
+  },
+  wheel: {
+    width: WHEEL_SIZE,
+    height: WHEEL_SIZE,
+    borderRadius: WHEEL_SIZE / 2,
+    borderWidth: 6,
+    borderColor: theme.accent,
+    backgroundColor: theme.surface,
+    shadowColor: theme.shadow,
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.5,
+    shadowRadius: 12,
+    elevation: 12,
+  },
+  spoke: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+  },
+  divider: {
+    width: 1,
+    height: WHEEL_SIZE / 2 - 6,
+    backgroundColor: theme.raised,
+  },
+  labelPill: {
+    marginTop: 14,
+    maxWidth: WHEEL_SIZE * 0.32,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+  },
+  labelText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  hub: {
+    position: 'absolute',
+    top: WHEEL_SIZE / 2 - 6 - 14,
+    left: WHEEL_SIZE / 2 - 6 - 14,
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: theme.accent,
+  },
+});
+
+export default Wheel;
@@ -0,0 +1,8 @@
+import { registerRootComponent } from 'expo';
+import { registerWidgetTaskHandler } from 'react-native-android-widget';
+import App from './App';
+import { widgetTaskHandler } from './widgets/widgetTaskHandler';
+
+// The app itself, plus the headless task that draws and flips the Android home screen widget
+registerRootComponent(App);
+registerWidgetTaskHandler(widgetTaskHandler);
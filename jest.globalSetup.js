@@ -0,0 +1,4 @@
+// Run every test in a timezone with daylight saving so calendar-day bugs show up
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,190 @@
+import AppIntents
+import SwiftUI
+import WidgetKit
+
+/// Decision Coin home screen widget
+/// Shows the last-used choice and the latest result with a "Flip" button.
+/// The app shares the choice through the app group (widgets/widgetBridge.js); the
+/// widget draws on its own and queues each flip for the app to save to history.
+/// The app shares the title and labels already translated; the widget's own text is
+/// in Localizable.xcstrings, in the languages of utils/locales.
+
+private let appGroup = "group.com.decisioncoin.app" // APP_GROUP in widgets/widgetBridge.js
+
+/// Keys in the shared defaults, as written by widgets/widgetBridge.js
+private enum SharedKey {
+  static let choice = "choice"
+  static let result = "result"
+  static let pendingFlips = "pendingFlips"
+}
+
+/// The last-used choice as the app shared it (getWidgetChoice in utils/quickFlip.js)
+/// `labels` is empty for draws only the app can make (group orders and teams).
+struct SharedChoice: Decodable {
+  let title: String
+  let labels: [String]
+  let tickets: [Int]
+}
+
+enum SharedStore {
+  static let defaults = UserDefaults(suiteName: appGroup)
+
+  private static var choiceData: Data? {
+    defaults?.string(forKey: SharedKey.choice)?.data(using: .utf8)
+  }
+
+  static var choice: SharedChoice? {
+    guard let data = choiceData else { return nil }
+    return try? JSONDecoder().decode(SharedChoice.self, from: data)
+  }
+
+  static var result: String? {
+    guard let value = defaults?.string(forKey: SharedKey.result), !value.isEmpty else { return nil }
+    return value
+  }
+
+  /// Queue a flip for the app to save (recordWidgetFlips in utils/quickFlip.js) and show it
+  /// The queued flip carries the app's own copy of the choice, so the app can rebuild the decision.
+  static func queueFlip(index: Int, label: String) {
+    guard let data = choiceData,
+          let shared = try? JSONSerialization.jsonObject(with: data) as? [String: Any],
+          let choice = shared["choice"] else { return }
+
+    var pending: [Any] = []
+    if let queuedData = defaults?.string(forKey: SharedKey.pendingFlips)?.data(using: .utf8),
+       let queued = try? JSONSerialization.jsonObject(with: queuedData) as? [Any] {
+      pending = queued
+    }
+    // Milliseconds since 1970, like history timestamps, so the flip keeps the time it was drawn
+    let timestamp = Int64(Date().timeIntervalSince1970 * 1000)
+    pending.append(["choice": choice, "index": index, "timestamp": timestamp])
+
+    if let pendingData = try? JSONSerialization.data(withJSONObject: pending),
+       let pendingText = String(data: pendingData, encoding: .utf8) {
+      defaults?.set(pendingText, forKey: SharedKey.pendingFlips)
+    }
+    defaults?.set(label, forKey: SharedKey.result)
+  }
+}
+
+/// Pick an index with probability proportional to its tickets (pickWeightedIndex in utils/weights.js)
+/// Int.random uses the system's cryptographically secure generator.
+func drawIndex(tickets: [Int]) -> Int? {
+  let total = tickets.reduce(0, +)
+  guard total > 0 else { return nil }
+
+  var remaining = Int.random(in: 0..<total)
+  for (index, ticket) in tickets.enumerated() {
+    if remaining < ticket {
+      return index
+    }
+    remaining -= ticket
+  }
+  return tickets.count - 1
+}
+
+/// The widget's "Flip" button
+struct FlipIntent: AppIntent {
+  static var title: LocalizedStringResource = "Flip"
+  static var description = IntentDescription("Flip the last-used decision.")
+
+  func perform() async throws -> some IntentResult {
+    // Guard: Nothing to draw from until the app has shared a choice
+    guard let choice = SharedStore.choice,
+          choice.labels.count == choice.tickets.count,
+          let index = drawIndex(tickets: choice.tickets) else {
+      return .result()
+    }
+    SharedStore.queueFlip(index: index, label: choice.labels[index])
+    return .result()
+  }
+}
+
+struct FlipEntry: TimelineEntry {
+  let date: Date
+  let title: String
+  let result: String?
+  let canFlip: Bool
+}
+
+struct FlipProvider: TimelineProvider {
+  func placeholder(in context: Context) -> FlipEntry {
+    FlipEntry(date: Date(), title: String(localized: "Heads or Tails"), result: nil, canFlip: true)
+  }
+
+  func getSnapshot(in context: Context, completion: @escaping (FlipEntry) -> Void) {
+    completion(currentEntry())
+  }
+
+  func getTimeline(in context: Context, completion: @escaping (Timeline<FlipEntry>) -> Void) {
+    // Only changes when flipped or when the app reloads it
+    completion(Timeline(entries: [currentEntry()], policy: .never))
+  }
+
+  private func currentEntry() -> FlipEntry {
+    let choice = SharedStore.choice
+    return FlipEntry(
+      date: Date(),
+      title: choice?.title ?? String(localized: "Heads or Tails"),
+      result: SharedStore.result,
+      canFlip: choice.map { !$0.labels.isEmpty } ?? false
+    )
+  }
+}
+
+struct FlipWidgetView: View {
+  let entry: FlipEntry
+
+  var body: some View {
+    VStack(alignment: .leading, spacing: 6) {
+      Text(entry.title)
+        .font(.caption)
+        .foregroundStyle(.white.opacity(0.6))
+        .lineLimit(1)
+      Spacer(minLength: 0)
+      Text(entry.result ?? String(localized: "Ready"))
+        .font(.headline)
+        .fontWeight(.bold)
+        .foregroundStyle(.white)
+        .lineLimit(2)
+      Spacer(minLength: 0)
+      if entry.canFlip {
+        Button(intent: FlipIntent()) {
+          Text("Flip")
+            .font(.subheadline)
+            .fontWeight(.bold)
+            .frame(maxWidth: .infinity)
+        }
+        .tint(Color(red: 0x3E / 255, green: 0xCF / 255, blue: 0xAC / 255))
+      } else {
+        // Tapping the widget opens the app, which can make this draw
+        Text("Open to draw")
+          .font(.caption)
+          .foregroundStyle(.white.opacity(0.6))
+      }
+    }
+    .containerBackground(for: .widget) {
+      Color(red: 0x2C / 255, green: 0x3A / 255, blue: 0x47 / 255)
+    }
+  }
+}
+
+struct FlipWidget: Widget {
+  let kind = "FlipWidget" // IOS_WIDGET_KIND in widgets/widgetBridge.js
+
+  var body: some WidgetConfiguration {
+    StaticConfiguration(kind: kind, provider: FlipProvider()) { entry in
+      FlipWidgetView(entry: entry)
+    }
+    .configurationDisplayName("Decision Coin")
+    .description("Flip your last-used decision from the home screen.")
+    .supportedFamilies([.systemSmall, .systemMedium])
+  }
+}
+
+@main
+struct DecisionCoinWidgets: WidgetBundle {
+  var body: some Widget {
+    FlipWidget()
+  }
+}
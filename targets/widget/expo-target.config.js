@@ -0,0 +1,18 @@
+/**
+ * iOS home screen widget (WidgetKit), linked into the Xcode project by @bacons/apple-targets.
+ * Shares the app group with the app so it can read the last-used choice and queue flips.
+ * @type {import('@bacons/apple-targets/app.plugin').ConfigFunction}
+ */
+module.exports = (config) => ({
+  type: 'widget',
+  name: 'FlipWidget',
+  displayName: 'Decision Coin',
+  // Interactive widget buttons (App Intents) need iOS 17
+  deploymentTarget: '17.0',
+  colors: {
+    $accent: '#3ECFAC',
+  },
+  entitlements: {
+    'com.apple.security.application-groups': config.ios.entitlements['com.apple.security.application-groups'],
+  },
+});
@@ -0,0 +1,69 @@
+import { AccessibilityInfo } from 'react-native';
+import { t } from './i18n';
+
+/**
+ * Accessibility
+ * - Announcements: flips happen on screen only, so screen readers are told when
+ *   one starts and what it landed on
+ * - Reduce motion: while the system setting is on, the coin, the wheel and group
+ *   draws fade in on their result instead of tossing, spinning or dealing
+ * - Font scaling: text follows the system font size; display text drawn inside a
+ *   fixed shape (the coin, the big result) stops growing at MAX_DISPLAY_FONT_SCALE
+ */
+
+export const REDUCED_MOTION_DURATION = 600; // Fade that stands in for a flip, spin or deal
+export const MAX_DISPLAY_FONT_SCALE = 1.5;
+
+/**
+ * Follow the system reduce-motion setting
+ * @param {Function} onChange - (enabled) with the current setting, then on every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToReduceMotion = (onChange) => {
+  let isSubscribed = true;
+  AccessibilityInfo.isReduceMotionEnabled()
+    .then((enabled) => {
+      if (isSubscribed) {
+        onChange(enabled === true);
+      }
+    })
+    .catch((error) => {
+      console.error('isReduceMotionEnabled error:', error);
+    });
+
+  const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', (enabled) => {
+    onChange(enabled === true);
+  });
+  return () => {
+    isSubscribed = false;
+    subscription.remove();
+  };
+};
+
+/**
+ * Have the screen reader say a message (no-op when none is running)
+ * @param {string} message
+ */
+export const announce = (message) => {
+  // Guard: Nothing to say
+  if (typeof message !== 'string' || !message.trim()) {
+    return;
+  }
+  AccessibilityInfo.announceForAccessibility(message);
+};
+
+/**
+ * What the screen reader says when a result lands
+ * @param {Object} result
+ * @param {string} result.label - The result as shown
+ * @param {string} [result.question] - The question asked, read before its answer
+ * @param {Array<string>} [result.details] - Lines shown with the result (odds, teams...)
+ * @returns {string}
+ */
+export const getResultAnnouncement = ({ label, question, details = [] }) => {
+  let headline = t('a11y.result', { label });
+  if (question) {
+    headline = /[?!.:]$/.test(question) ? `${question} ${label}` : `${question}: ${label}`;
+  }
+  return [headline, ...details.filter((line) => typeof line === 'string' && line)].join('. ');
+};
@@ -0,0 +1,79 @@
+import { t, translateEntryLabel } from './i18n';
+
+/**
+ * Vetoes (challenging a result)
+ * Whoever loses a flip can spend a veto to overturn it and flip again. Nothing
+ * is lost: the overturned entry stays in history marked as vetoed, and every
+ * entry of the story shares a challenge id (the id of the first flip), so
+ * history reads "Pizza ✕ → Tacos".
+ *
+ * History entries of a challenge carry:
+ * - challenge: { id, step, overturned } - step 0 is the first flip; overturned
+ *   lists the results vetoed before this one, oldest first
+ * - vetoed: true - on every entry that was overturned
+ */
+
+export const VETOES_PER_SESSION = 2; // Per app session; back to full when the app restarts
+const MAX_STEPS = 50; // Far beyond any session's vetoes; caps what imports can carry
+
+/**
+ * Clean a stored challenge
+ * @param {*} challenge
+ * @returns {Object|null} - { id, step, overturned }, or null if it isn't one
+ */
+export const sanitizeChallenge = (challenge) => {
+  if (!challenge || typeof challenge !== 'object' || typeof challenge.id !== 'string' || !challenge.id) {
+    return null;
+  }
+  const step = Number.isInteger(challenge.step) && challenge.step >= 0 ? Math.min(challenge.step, MAX_STEPS) : 0;
+  const overturned = Array.isArray(challenge.overturned)
+    ? challenge.overturned.filter((side) => typeof side === 'string').slice(0, MAX_STEPS)
+    : [];
+  return { id: challenge.id, step, overturned };
+};
+
+/**
+ * Challenge for the re-flip that follows a veto
+ * @param {Object} vetoed - The overturned entry: { id, side, challenge }
+ * @returns {Object} - { id, step, overturned }
+ */
+export const getNextChallenge = (vetoed) => {
+  const current = sanitizeChallenge(vetoed.challenge);
+  return {
+    id: current ? current.id : vetoed.id,
+    step: (current ? current.step : 0) + 1,
+    overturned: [...(current ? current.overturned : []), vetoed.side],
+  };
+};
+
+/**
+ * Challenge an entry keeps once it has been vetoed
+ * A first flip joins the challenge it starts as step 0.
+ * @param {Object} entry
+ * @returns {Object} - { id, step, overturned }
+ */
+export const getVetoedChallenge = (entry) =>
+  sanitizeChallenge(entry.challenge) || { id: entry.id, step: 0, overturned: [] };
+
+/**
+ * Lines describing an entry's part in a challenge, for history
+ * @param {Object} entry
+ * @returns {Array<string>} - Empty if the entry was never challenged
+ */
+export const describeChallenge = (entry) => {
+  if (!entry || typeof entry !== 'object') {
+    return [];
+  }
+  const challenge = sanitizeChallenge(entry.challenge);
+  const lines = [];
+  if (challenge && challenge.overturned.length > 0) {
+    // Every step flipped the same choice, so its labels are marked alike
+    const story = [...challenge.overturned.map((side) => `${translateEntryLabel(entry, side)} ✕`), translateEntryLabel(entry)]
+      .join(' → ');
+    lines.push(t('challenge.story', { count: challenge.overturned.length, story }));
+  }
+  if (entry.vetoed === true) {
+    lines.push(t('challenge.vetoed'));
+  }
+  return lines;
+};
@@ -0,0 +1,140 @@
+import { t } from './i18n';
+
+/**
+ * Coin faces
+ * What each side of the custom coin shows. A face is one of:
+ *   { type: 'quarter' }             - the bundled quarter image (heads for A, tails for B)
+ *   { type: 'skin', skin: 'gold' }  - a bundled skin drawn in code (see COIN_SKINS)
+ *   { type: 'label' }               - the side's custom label written on the coin
+ *   { type: 'photo', file }         - a photo from the library (see utils/facePhotos)
+ * A coin is { a: face, b: face, model }; presets save one alongside their labels.
+ * `model` is the 3D shape it's drawn with (see COIN_MODELS).
+ */
+
+export const FACE_TYPES = ['quarter', 'skin', 'label', 'photo'];
+
+// Bundled skins: rim and body colours plus the mark stamped in the middle
+// (names are in utils/locales, see getCoinSkinName)
+export const COIN_SKINS = {
+  euro: { rim: '#C9A227', body: '#B8BCC2', ink: '#3B3F45', mark: '€' },
+  peso: { rim: '#B8BCC2', body: '#C9A227', ink: '#5A4510', mark: '$' },
+  gold: { rim: '#A67C00', body: '#E6C200', ink: '#6B4F00', mark: '★' },
+  chip: { rim: '#C0392B', body: '#F5F5F5', ink: '#C0392B', mark: '♠', striped: true },
+};
+
+// Bundled 3D shapes (assets/models); components/Coin3D maps each id to its .glb
+export const COIN_MODELS = {
+  classic: {}, // Thin, reeded silver coin
+  token: {}, // Thick brass token
+  chip: {}, // Clay chip with a striped edge
+};
+
+export const DEFAULT_COIN_MODEL = 'classic';
+
+// Faces the 3D coin can draw as textures; the rest are drawn by the 2D coin
+const TEXTURED_FACE_TYPES = ['quarter', 'photo'];
+
+export const DEFAULT_COIN_FACES = {
+  a: { type: 'quarter' },
+  b: { type: 'quarter' },
+  model: DEFAULT_COIN_MODEL,
+};
+
+/**
+ * File name of a photo face inside the app's photo folder
+ * Older builds stored the full file URI, but the document folder's path
+ * changes when iOS updates or restores the app, so only the name is kept.
+ * @param {Object} face
+ * @returns {string|null} - Null if there is no safe file name
+ */
+const getPhotoFileName = (face) => {
+  let name = '';
+  if (typeof face.file === 'string') {
+    name = face.file;
+  } else if (typeof face.uri === 'string') {
+    name = face.uri.split('/').pop();
+  }
+  // Guard: A bare name only, so a stored face can't point outside the folder
+  return /^[\w-][\w.-]*$/.test(name) ? name : null;
+};
+
+/**
+ * Validate one face, falling back to the quarter
+ * @param {*} face - Possibly stale or hand-edited stored face
+ * @returns {Object}
+ */
+export const sanitizeCoinFace = (face) => {
+  if (!face || typeof face !== 'object' || !FACE_TYPES.includes(face.type)) {
+    return { type: 'quarter' };
+  }
+  if (face.type === 'skin') {
+    return COIN_SKINS[face.skin] ? { type: 'skin', skin: face.skin } : { type: 'quarter' };
+  }
+  if (face.type === 'photo') {
+    const file = getPhotoFileName(face);
+    return file ? { type: 'photo', file } : { type: 'quarter' };
+  }
+  return { type: face.type };
+};
+
+/**
+ * Validate both faces of a coin and its 3D shape
+ * @param {*} faces
+ * @returns {{a: Object, b: Object, model: string}}
+ */
+export const sanitizeCoinFaces = (faces) => {
+  const source = faces && typeof faces === 'object' ? faces : {};
+  return {
+    a: sanitizeCoinFace(source.a),
+    b: sanitizeCoinFace(source.b),
+    model: COIN_MODELS[source.model] ? source.model : DEFAULT_COIN_MODEL,
+  };
+};
+
+/**
+ * Whether a coin is just the default quarter on both sides
+ * @param {Object} faces
+ * @returns {boolean}
+ */
+export const isDefaultCoin = (faces) => {
+  const { a, b, model } = sanitizeCoinFaces(faces);
+  return a.type === 'quarter' && b.type === 'quarter' && model === DEFAULT_COIN_MODEL;
+};
+
+/**
+ * Whether the 3D coin can draw both faces
+ * Skins and labels are drawn with views and text, so those coins stay 2D.
+ * @param {Object} faces
+ * @returns {boolean}
+ */
+export const canRender3D = (faces) => {
+  const { a, b } = sanitizeCoinFaces(faces);
+  return TEXTURED_FACE_TYPES.includes(a.type) && TEXTURED_FACE_TYPES.includes(b.type);
+};
+
+/**
+ * Short description of a face for buttons and lists
+ * @param {Object} face
+ * @returns {string}
+ */
+export const describeCoinFace = (face) => {
+  const safe = sanitizeCoinFace(face);
+  if (safe.type === 'skin') {
+    return getCoinSkinName(safe.skin);
+  }
+  return t(`coinFaces.types.${safe.type}`);
+};
+
+/**
+ * Name of a bundled skin in the current language
+ * @param {string} skin - Key of COIN_SKINS
+ * @returns {string}
+ */
+export const getCoinSkinName = (skin) => t(`coinFaces.skins.${skin}`);
+
+/**
+ * Name of a 3D shape in the current language
+ * @param {string} model - Key of COIN_MODELS
+ * @returns {string}
+ */
+export const getCoinModelName = (model) => t(`coinFaces.models.${model}`);
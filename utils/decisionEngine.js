@@ -0,0 +1,401 @@
+import { randomInt } from './random';
+import { DEFAULT_WEIGHT, pickWeightedIndex } from './weights';
+import { deriveFairIndex, FAIR_ALGORITHM } from './provablyFair';
+import {
+  createSeries,
+  recordSeriesFlip,
+  createBracket,
+  getNextMatch,
+  recordMatchWinner,
+} from './series';
+import { saveFlipToHistory } from './storage';
+import { getRosterNames, drawGroupOutcome, getGroupLabel } from './roster';
+import { sanitizeQuestion, isBuiltInAnswerSet } from './questions';
+
+/**
+ * Decision engine
+ * Everything between "flip" and "saved to history" that isn't UI:
+ * resolving labels, drawing the result, waiting for the animation to land and
+ * building the history entry. Randomness, timing and saving are injected so
+ * the engine runs instantly and deterministically in tests.
+ *
+ * An input describes the current choice:
+ * { mode, customSideA, customSideB, customWeightA, customWeightB, options, presetId }
+ * Questions add { question, answers, answerSet } (mode 'question', see utils/questions).
+ * Group draws take { mode: 'group', groupMode, names, teamCount, rosterId } instead.
+ */
+
+export const DECISION_MODES = ['default', 'custom', 'multi', 'question', 'group'];
+
+// Animations report their own landing; this only stops a lost callback from hanging a flip
+export const LANDING_TIMEOUT = 6000;
+export const MATCH_PAUSE = 500; // Beat between the flips of a series or bracket
+
+const COIN_FACES = ['Heads', 'Tails'];
+const CUSTOM_FACES = ['A', 'B'];
+
+export const systemClock = {
+  // An aborted signal clears the timer and ends the sleep early
+  sleep: (ms, signal) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    }
+  }),
+};
+
+/**
+ * Display label for a coin side
+ * 'A'/'B' resolve to the custom labels when set; anything else is shown as is
+ * @param {string} side
+ * @param {string} [customSideA]
+ * @param {string} [customSideB]
+ * @returns {string}
+ */
+export const resolveSideLabel = (side, customSideA, customSideB) => {
+  if (side === 'A') {
+    return customSideA && customSideA.trim() ? customSideA.trim() : 'A';
+  }
+  if (side === 'B') {
+    return customSideB && customSideB.trim() ? customSideB.trim() : 'B';
+  }
+  return side;
+};
+
+/**
+ * Whether a side shows the coin's second (tails) face
+ * @param {string} side
+ * @returns {boolean}
+ */
+export const isSecondFace = (side) => side === 'Tails' || side === 'B';
+
+/**
+ * Resolve the A/B labels for custom mode, falling back to "A"/"B"
+ * @param {string} customSideA
+ * @param {string} customSideB
+ * @returns {Array<string>}
+ */
+export const getCustomLabels = (customSideA, customSideB) => [
+  resolveSideLabel('A', customSideA, customSideB),
+  resolveSideLabel('B', customSideA, customSideB),
+];
+
+// What the user typed for an option, trimmed; empty if nothing
+const getTypedLabel = (option) => (option && typeof option.label === 'string' ? option.label.trim() : '');
+
+/**
+ * Resolve the option list for multi mode
+ * Empty options fall back to "Option N" so every spoke has a label. The fallback
+ * is stored in English and shown translated (see translateBuiltInLabel in utils/i18n).
+ * @param {Array<{label: string}>} options
+ * @returns {Array<string>}
+ */
+export const getOptionLabels = (options) => {
+  return (Array.isArray(options) ? options : []).map((option, index) =>
+    getTypedLabel(option) || `Option ${index + 1}`
+  );
+};
+
+/**
+ * Snapshot the labels, odds and coin faces for a flip
+ * Taken once up front so edits during the animation can't change them
+ * @param {Object} input
+ * @returns {{labels: Array<string>, weights: Array<number>, faces: Array<string>, builtInLabels: Array<string>}}
+ *   builtInLabels are the labels the app supplied rather than the user
+ */
+export const getChoices = (input) => {
+  if (input.mode === 'multi') {
+    const labels = getOptionLabels(input.options);
+    return {
+      labels,
+      weights: input.options.map((option) => option.weight),
+      faces: labels,
+      builtInLabels: labels.filter((label, index) => !getTypedLabel(input.options[index])),
+    };
+  }
+  if (input.mode === 'question') {
+    // Two answers are flipped on the coin as A/B, more are spun on the wheel
+    const labels = Array.isArray(input.answers) ? input.answers : [];
+    return {
+      labels,
+      weights: labels.map(() => DEFAULT_WEIGHT),
+      faces: labels.length === 2 ? CUSTOM_FACES : labels,
+      builtInLabels: isBuiltInAnswerSet(input.answerSet) ? labels : [],
+    };
+  }
+  if (input.mode === 'custom') {
+    return {
+      labels: getCustomLabels(input.customSideA, input.customSideB),
+      weights: [input.customWeightA, input.customWeightB],
+      faces: CUSTOM_FACES,
+      builtInLabels: [],
+    };
+  }
+  return { labels: COIN_FACES, weights: [DEFAULT_WEIGHT, DEFAULT_WEIGHT], faces: COIN_FACES, builtInLabels: COIN_FACES };
+};
+
+/**
+ * Build the decision for a drawn index
+ * @param {Object} input
+ * @param {Object} choices - From getChoices
+ * @param {number} index - Drawn index
+ * @param {Object|null} fair - Provably fair record, if any
+ * @returns {Object} - { index, side, label, labels, weights, odds, mode, fair, presetId, question, builtInLabels }
+ */
+const buildDecision = (input, choices, index, fair) => ({
+  index,
+  side: choices.faces[index],
+  label: choices.labels[index],
+  labels: choices.labels,
+  weights: choices.weights,
+  // Plain coin flips are always 50/50, so there are no odds to show
+  odds: input.mode === 'default' ? null : { labels: choices.labels, weights: choices.weights, index },
+  mode: input.mode,
+  fair,
+  presetId: input.mode === 'custom' && input.presetId ? input.presetId : null,
+  question: input.mode === 'question' ? sanitizeQuestion(input.question) : '',
+  builtInLabels: choices.builtInLabels,
+});
+
+/**
+ * Build the decision for a group outcome
+ * @param {Object} input - { groupMode, names, teamCount, rosterId }
+ * @param {Object} outcome - From drawGroupOutcome
+ * @returns {Object} - Decision with the outcome under `group`
+ */
+const buildGroupDecision = (input, outcome) => {
+  const group = input.rosterId ? { ...outcome, rosterId: input.rosterId } : outcome;
+  const label = getGroupLabel(group);
+  return {
+    index: group.mode === 'pick' ? group.picked : 0,
+    side: label,
+    label,
+    labels: group.names,
+    weights: null,
+    odds: null,
+    mode: 'group',
+    fair: null,
+    presetId: null,
+    builtInLabels: [],
+    group,
+  };
+};
+
+/**
+ * Decision for an index that was drawn elsewhere (e.g. by the iOS home screen widget)
+ * Group draws can only be replayed this way for picks; the index is the picked name.
+ * @param {Object} input
+ * @param {number} index - Drawn label index, from getChoices(input).labels
+ * @returns {Object|null} - Decision, or null if the index doesn't fit the input
+ */
+export const getDecisionAt = (input, index) => {
+  if (input.mode === 'group') {
+    const names = getRosterNames(input.names);
+    if (input.groupMode !== 'pick' || !Number.isInteger(index) || index < 0 || index >= names.length) {
+      return null;
+    }
+    return buildGroupDecision(input, { mode: 'pick', names, picked: index });
+  }
+  const choices = getChoices(input);
+  if (!Number.isInteger(index) || index < 0 || index >= choices.labels.length) {
+    return null;
+  }
+  return buildDecision(input, choices, index, null);
+};
+
+/**
+ * History details for a decision or a finished run
+ * @param {Object} decision
+ * @returns {Object} - Fields stored next to side/timestamp
+ */
+export const getHistoryDetails = (decision) => {
+  const details = { mode: decision.mode };
+  if (decision.group) {
+    // The names are in the outcome; group draws have no odds
+    details.group = decision.group;
+  } else if (decision.mode !== 'default') {
+    details.options = decision.labels;
+    details.weights = decision.weights;
+  }
+  if (decision.fair) {
+    details.fair = decision.fair;
+  }
+  if (decision.series) {
+    details.series = decision.series;
+  }
+  if (decision.bracket) {
+    details.bracket = decision.bracket;
+  }
+  if (decision.presetId) {
+    details.presetId = decision.presetId;
+  }
+  if (decision.question) {
+    details.question = decision.question;
+  }
+  // Marks which labels to show translated (see translateLabel in utils/i18n);
+  // coin sides are always built-in, so default flips need no marker
+  if (decision.mode !== 'default' && decision.builtInLabels && decision.builtInLabels.length > 0) {
+    details.builtInLabels = decision.builtInLabels;
+  }
+  if (decision.challenge) {
+    details.challenge = decision.challenge;
+  }
+  return details;
+};
+
+/**
+ * Create a decision engine
+ * @param {Object} [deps]
+ * @param {Function} [deps.drawInt] - (maxExclusive) => integer; defaults to randomInt
+ * @param {Object} [deps.clock] - { sleep(ms, signal) }; defaults to real timers
+ * @param {Function} [deps.save] - (label, details, flippedAt) => Promise<string|false>; defaults to saveFlipToHistory
+ */
+export const createDecisionEngine = ({
+  drawInt = randomInt,
+  clock = systemClock,
+  save = saveFlipToHistory,
+} = {}) => {
+  /**
+   * Draw a result for the input
+   * With a commitment the result is derived from its seed instead of drawn
+   * @param {Object} input
+   * @param {Object} [commitment] - { seed, hash } shown before the flip
+   * @returns {Promise<Object>} - Decision
+   */
+  const decide = async (input, commitment = null) => {
+    const choices = getChoices(input);
+    if (commitment) {
+      const index = await deriveFairIndex(commitment.seed, choices.weights);
+      const fair = { ...commitment, index, algorithm: FAIR_ALGORITHM };
+      return buildDecision(input, choices, index, fair);
+    }
+    return buildDecision(input, choices, pickWeightedIndex(choices.weights, drawInt), null);
+  };
+
+  /**
+   * Wait for an animation to report that it has landed
+   * @param {Promise|undefined} landing - Resolves when the animation finishes
+   * @returns {Promise<void>} - Immediately without a landing; at most LANDING_TIMEOUT otherwise
+   */
+  const waitForLanding = (landing) => {
+    if (!landing || typeof landing.then !== 'function') {
+      return Promise.resolve();
+    }
+    // Guard: Cancel the timeout once the race is settled so no timer outlives the flip
+    const timeout = new AbortController();
+    return Promise.race([landing, clock.sleep(LANDING_TIMEOUT, timeout.signal)]).finally(() => timeout.abort());
+  };
+
+  /**
+   * Draw a result and wait for the flip animation to land
+   * @param {Object} input
+   * @param {Object} [hooks]
+   * @param {Object} [hooks.commitment] - Provably fair commitment to draw from
+   * @param {Function} [hooks.onStart] - Called with the decision; returns a promise that resolves on landing
+   * @returns {Promise<Object>} - Decision, once the animation has landed
+   */
+  const flip = async (input, { commitment = null, onStart } = {}) => {
+    const decision = await decide(input, commitment);
+    await waitForLanding(onStart ? onStart(decision) : null);
+    return decision;
+  };
+
+  /**
+   * Wait for the animation of a decision drawn elsewhere (e.g. by a session host)
+   * @param {Object} decision - From getDecisionAt
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onStart] - Called with the decision; returns a promise that resolves on landing
+   * @returns {Promise<Object>} - The decision, once the animation has landed
+   */
+  const play = async (decision, { onStart } = {}) => {
+    await waitForLanding(onStart ? onStart(decision) : null);
+    return decision;
+  };
+
+  /**
+   * Play a best-of-N series (coin modes) or a bracket (multi mode)
+   * @param {Object} input
+   * @param {Object} run
+   * @param {'series'|'bracket'} run.format
+   * @param {number} [run.bestOf] - Series length
+   * @param {Function} [run.onFlip] - ({ side, pair }) before each flip; returns a promise that resolves on landing
+   * @param {Function} [run.onScore] - ({ series, bracket }) after each flip lands
+   * @returns {Promise<Object>} - Decision for the winner, with series/bracket attached
+   */
+  const playRun = async (input, { format, bestOf, onFlip, onScore }) => {
+    const choices = getChoices(input);
+    const isBracket = format === 'bracket';
+    // Bracket matches flip a coin between two options
+    const faces = isBracket ? CUSTOM_FACES : choices.faces;
+
+    let series = isBracket ? null : createSeries(bestOf);
+    let bracket = isBracket ? createBracket(choices.labels.length, drawInt) : null;
+    let winnerIndex = null;
+
+    while (winnerIndex === null) {
+      // Option indices competing in this flip
+      const match = isBracket ? getNextMatch(bracket) : null;
+      const pair = match ? [match.a, match.b] : [0, 1];
+
+      const picked = pickWeightedIndex([choices.weights[pair[0]], choices.weights[pair[1]]], drawInt);
+      await waitForLanding(onFlip ? onFlip({ side: faces[picked], pair }) : null);
+
+      if (match) {
+        bracket = recordMatchWinner(bracket, match.roundIndex, match.matchIndex, pair[picked]);
+        winnerIndex = bracket.championIndex;
+      } else {
+        series = recordSeriesFlip(series, picked);
+        winnerIndex = series.winnerIndex;
+      }
+      if (onScore) {
+        onScore({ series, bracket });
+      }
+      await clock.sleep(MATCH_PAUSE);
+    }
+
+    const decision = buildDecision(input, choices, winnerIndex, null);
+    return {
+      ...decision,
+      odds: null,
+      series: series ? { bestOf: series.bestOf, scores: series.scores, flips: series.flips } : undefined,
+      bracket: bracket ? { rounds: bracket.rounds } : undefined,
+    };
+  };
+
+  /**
+   * Draw a group outcome from a roster and wait for its animation to land
+   * @param {Object} input - { groupMode, names, teamCount, rosterId }
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onStart] - Called with the decision; returns a promise that resolves on landing
+   * @returns {Promise<Object>} - Decision with the outcome under `group`
+   * @throws {Error} - If the roster is too small for the draw
+   */
+  const drawGroup = async (input, { onStart } = {}) => {
+    const names = getRosterNames(input.names);
+    const decision = buildGroupDecision(input, drawGroupOutcome(input.groupMode, names, input.teamCount, drawInt));
+    await waitForLanding(onStart ? onStart(decision) : null);
+    return decision;
+  };
+
+  /**
+   * Save a decision (single flip or finished run) to history
+   * @param {Object} decision
+   * @param {number} [flippedAt] - When it was drawn, if not just now
+   * @returns {Promise<string|false>} - The entry id, false if saving failed; never throws
+   */
+  const record = async (decision, flippedAt) => {
+    try {
+      const details = getHistoryDetails(decision);
+      return await (flippedAt === undefined ? save(decision.label, details) : save(decision.label, details, flippedAt));
+    } catch (error) {
+      // History save failure is non-critical - log but don't crash
+      console.error('Failed to save flip to history:', error);
+      return false;
+    }
+  };
+
+  return { decide, flip, play, playRun, drawGroup, record };
+};
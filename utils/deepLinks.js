@@ -0,0 +1,247 @@
+import { DEFAULT_LAST_CHOICE, sanitizeLastChoice } from './lastChoice';
+import { DEFAULT_ANSWER_SET, ANSWER_SETS, isBuiltInAnswerSet } from './questions';
+
+/**
+ * Decision links
+ * Links that open the app on a prefilled decision, so a setup can be pasted
+ * into a chat and everyone lands on the same thing:
+ *   decisioncoin://flip?a=Pizza&b=Tacos&auto=1
+ *   https://decisioncoin.appwarehouse.io/open/flip?a=Pizza&b=Tacos
+ * The https form opens the app directly on iOS (universal links). Android has
+ * no verified app links yet, so there it opens the /open/ page, which hands
+ * over to the decisioncoin:// form.
+ *
+ * Routes (repeat a parameter for a list):
+ * - flip: a, b (custom sides; none for Heads/Tails), wa, wb (weights)
+ * - spin: o (2-12 options), w (weights, in the same order)
+ * - ask:  q (question), s (built-in answer set) or o (own answers); Yes/No if neither
+ * - draw: n (names), m (pick | order | teams), t (team count)
+ * - auto=1 flips as soon as the app has opened the link
+ *
+ * A link only carries a setup; everything in it is validated like the inputs
+ * (150 characters per label, the option/answer/roster limits).
+ */
+
+export const LINK_SCHEME = 'decisioncoin';
+export const LINK_HOST = 'decisioncoin.appwarehouse.io';
+export const LINK_PATH_PREFIX = '/open'; // Keeps the docs pages on the same domain in the browser
+
+const MAX_LINK_LENGTH = 8000; // Far beyond any valid setup; longer links are rejected unread
+
+// Route each engine mode is shared under
+const ROUTES = {
+  default: 'flip',
+  custom: 'flip',
+  multi: 'spin',
+  question: 'ask',
+  group: 'draw',
+};
+
+/**
+ * Decode one query component; '+' is a space in links typed or pasted by hand
+ * @returns {string|null} - Null if malformed
+ */
+const decodeComponent = (component) => {
+  try {
+    return decodeURIComponent(component.replace(/\+/g, ' '));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Split a query string into lists of values per key
+ * @param {string} query - Without the leading '?'
+ * @returns {Object<string, Array<string>>}
+ */
+const parseQuery = (query) => {
+  const params = {};
+  query.split('&').forEach((pair) => {
+    if (!pair) {
+      return;
+    }
+    const separator = pair.indexOf('=');
+    const key = decodeComponent(separator === -1 ? pair : pair.substring(0, separator));
+    const value = decodeComponent(separator === -1 ? '' : pair.substring(separator + 1));
+    // Guard: Skip malformed pairs rather than rejecting the whole link
+    if (key === null || value === null) {
+      return;
+    }
+    params[key] = (params[key] || []).concat(value.trim());
+  });
+  return params;
+};
+
+/**
+ * Route of a decision link, or null if the URL isn't one
+ * @param {string} url
+ * @returns {{route: string, query: string}|null}
+ */
+const matchLink = (url) => {
+  const [withoutHash] = url.split('#');
+  const queryStart = withoutHash.indexOf('?');
+  const address = queryStart === -1 ? withoutHash : withoutHash.substring(0, queryStart);
+  const query = queryStart === -1 ? '' : withoutHash.substring(queryStart + 1);
+
+  const schemePrefix = `${LINK_SCHEME}://`;
+  const webPrefixes = [`https://${LINK_HOST}${LINK_PATH_PREFIX}/`, `http://${LINK_HOST}${LINK_PATH_PREFIX}/`];
+
+  let path = null;
+  if (address.toLowerCase().startsWith(schemePrefix)) {
+    path = address.substring(schemePrefix.length);
+  } else {
+    const webPrefix = webPrefixes.find((prefix) => address.toLowerCase().startsWith(prefix));
+    if (webPrefix) {
+      path = address.substring(webPrefix.length);
+    }
+  }
+  if (path === null) {
+    return null;
+  }
+
+  return { route: path.replace(/^\/+|\/+$/g, '').toLowerCase(), query };
+};
+
+/**
+ * Engine input for a route's parameters
+ * @returns {Object|null} - Null if the route doesn't exist
+ */
+const getLinkInput = (route, params) => {
+  const values = (key) => (params[key] || []).filter(Boolean);
+  const first = (key) => values(key)[0] || '';
+
+  if (route === 'flip') {
+    const customSideA = first('a');
+    const customSideB = first('b');
+    // No labels is a plain Heads/Tails flip
+    if (!customSideA && !customSideB) {
+      return DEFAULT_LAST_CHOICE;
+    }
+    return {
+      mode: 'custom',
+      customSideA,
+      customSideB,
+      customWeightA: first('wa') || undefined,
+      customWeightB: first('wb') || undefined,
+    };
+  }
+
+  if (route === 'spin') {
+    // Weights line up with the options as written, blanks included
+    const weights = params.w || [];
+    return {
+      mode: 'multi',
+      options: (params.o || [])
+        .map((label, index) => ({ label, weight: weights[index] || undefined }))
+        .filter((option) => option.label),
+    };
+  }
+
+  if (route === 'ask') {
+    // Built-in sets travel by name so they are shown in the reader's language
+    const answers = values('o');
+    const fallbackSet = answers.length > 0 ? 'custom' : DEFAULT_ANSWER_SET;
+    const answerSet = isBuiltInAnswerSet(first('s')) ? first('s') : fallbackSet;
+    return {
+      mode: 'question',
+      question: first('q'),
+      answers: answerSet === 'custom' ? answers : ANSWER_SETS[answerSet].answers,
+      answerSet,
+    };
+  }
+
+  if (route === 'draw') {
+    return {
+      mode: 'group',
+      groupMode: first('m') || 'pick',
+      names: values('n'),
+      teamCount: parseInt(first('t'), 10),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Read a decision link
+ * @param {string} url - Any URL the app was opened with
+ * @returns {{choice: Object, auto: boolean}|null} - Null if it isn't a valid decision link
+ */
+export const parseDecisionLink = (url) => {
+  // Guard: Only strings of a sane length
+  if (typeof url !== 'string' || url.length > MAX_LINK_LENGTH) {
+    return null;
+  }
+
+  const match = matchLink(url.trim());
+  if (!match) {
+    return null;
+  }
+
+  const params = parseQuery(match.query);
+  const input = getLinkInput(match.route, params);
+  if (!input) {
+    return null;
+  }
+
+  const choice = sanitizeLastChoice(input);
+  // Guard: A setup that doesn't hold up (one option, one name...) is ignored,
+  // rather than silently opening on a coin flip
+  if (choice.mode !== input.mode) {
+    return null;
+  }
+
+  return { choice, auto: (params.auto || [])[0] === '1' };
+};
+
+/**
+ * Build a link that opens the app on a choice
+ * @param {Object} choice - Engine input (see utils/decisionEngine)
+ * @param {Object} [options]
+ * @param {boolean} [options.auto] - Flip as soon as the link opens
+ * @param {boolean} [options.web] - https link (tappable in chats) instead of decisioncoin://
+ * @returns {string}
+ */
+export const buildDecisionLink = (choice, { auto = false, web = true } = {}) => {
+  const clean = sanitizeLastChoice(choice);
+  const params = [];
+  const add = (key, value) => {
+    params.push(`${key}=${encodeURIComponent(value)}`);
+  };
+
+  if (clean.mode === 'custom') {
+    add('a', clean.customSideA);
+    add('b', clean.customSideB);
+    if (clean.customWeightA !== clean.customWeightB) {
+      add('wa', clean.customWeightA);
+      add('wb', clean.customWeightB);
+    }
+  } else if (clean.mode === 'multi') {
+    clean.options.forEach((option) => add('o', option.label));
+    if (clean.options.some((option) => option.weight !== clean.options[0].weight)) {
+      clean.options.forEach((option) => add('w', option.weight));
+    }
+  } else if (clean.mode === 'question') {
+    if (clean.question) {
+      add('q', clean.question);
+    }
+    if (isBuiltInAnswerSet(clean.answerSet)) {
+      add('s', clean.answerSet);
+    } else {
+      clean.answers.forEach((answer) => add('o', answer));
+    }
+  } else if (clean.mode === 'group') {
+    clean.names.forEach((name) => add('n', name));
+    add('m', clean.groupMode);
+    if (clean.groupMode === 'teams') {
+      add('t', clean.teamCount);
+    }
+  }
+  if (auto) {
+    add('auto', 1);
+  }
+
+  const base = web ? `https://${LINK_HOST}${LINK_PATH_PREFIX}/` : `${LINK_SCHEME}://`;
+  const query = params.length > 0 ? `?${params.join('&')}` : '';
+  return `${base}${ROUTES[clean.mode]}${query}`;
+};
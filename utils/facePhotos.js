@@ -0,0 +1,93 @@
+import * as ImagePicker from 'expo-image-picker';
+import { Directory, File, Paths } from 'expo-file-system';
+import { sanitizeCoinFaces } from './coinFaces';
+
+/**
+ * Coin face photos
+ * Photos picked for a coin face are copied into the app's document folder,
+ * since the picker's own copy lives in a cache the OS may clear. Faces store
+ * only the file name; the URI is rebuilt on load because the folder's path
+ * can change between launches on iOS.
+ */
+
+const PHOTO_DIRECTORY = 'coin-faces';
+
+/**
+ * Let the user pick (and square-crop) a photo for a face
+ * @returns {Promise<Object|null>} - Photo face, null if cancelled or on error
+ */
+export const pickPhotoFace = async () => {
+  try {
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ['images'],
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 0.7,
+    });
+
+    // Guard: User cancelled
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+      return null;
+    }
+
+    const picked = new File(result.assets[0].uri);
+    const directory = new Directory(Paths.document, PHOTO_DIRECTORY);
+    if (!directory.exists) {
+      directory.create();
+    }
+    const extension = picked.extension || '.jpg';
+    const stored = new File(directory, `${Date.now().toString(36)}${extension}`);
+    picked.copy(stored);
+
+    return { type: 'photo', file: stored.name };
+  } catch (error) {
+    console.error('pickPhotoFace error:', error);
+    return null;
+  }
+};
+
+/**
+ * URI of a photo face's file
+ * @param {Object} face - Sanitized photo face
+ * @returns {string|null} - Null on error
+ */
+export const getPhotoFaceUri = (face) => {
+  try {
+    return new File(Paths.document, PHOTO_DIRECTORY, face.file).uri;
+  } catch (error) {
+    console.error('getPhotoFaceUri error:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete stored photos no coin uses any more
+ * Called after a face is replaced or a preset is deleted.
+ * @param {Array<Object>} coins - Every coin still in use ({ a, b } faces)
+ * @returns {Promise<number>} - Number of files deleted; 0 on error
+ */
+export const prunePhotoFaces = async (coins) => {
+  try {
+    const directory = new Directory(Paths.document, PHOTO_DIRECTORY);
+    if (!directory.exists) {
+      return 0;
+    }
+
+    const inUse = new Set();
+    coins.forEach((coin) => {
+      const faces = sanitizeCoinFaces(coin);
+      [faces.a, faces.b].forEach((face) => {
+        if (face.type === 'photo') {
+          inUse.add(face.file);
+        }
+      });
+    });
+
+    const unused = directory.list().filter((item) => item instanceof File && !inUse.has(item.name));
+    unused.forEach((file) => file.delete());
+    return unused.length;
+  } catch (error) {
+    console.error('prunePhotoFaces error:', error);
+    return 0;
+  }
+};
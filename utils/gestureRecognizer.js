@@ -0,0 +1,257 @@
+/**
+ * Gesture recognizer
+ * Classifies a short window of accelerometer readings as a flick, a shake or
+ * noise. Looking at a window instead of single readings is what keeps the
+ * two apart: a flick is one sharp upward rise that then settles, a shake is
+ * several strong back-and-forth swings, and walking or fidgeting is neither.
+ *
+ * Samples are { x, y, z, t } with x/y/z in g and t in ms.
+ */
+
+export const GESTURE_SAMPLE_INTERVAL = 50; // Accelerometer update interval the windows are tuned for
+export const GESTURE_WINDOW_MS = 800; // How much history each classification looks at
+export const FLICK_RISE_MS = 150; // A flick's rise in y must happen within this long
+export const FLICK_SETTLE_MS = 400; // Quiet time after a rise before it counts as a flick
+export const SHAKE_MIN_SWINGS = 4; // Alternating strong swings needed for a shake
+
+/**
+ * Upward rises in y larger than the flick threshold
+ * A rise is measured against the lowest y in the preceding FLICK_RISE_MS and
+ * must also end that far above the window's mean, so springing back from a
+ * dip (a flick's own rebound) isn't a second rise. Consecutive readings
+ * above the threshold belong to the same rise.
+ * @param {Array<Object>} samples
+ * @param {number} threshold - flickThreshold, in g
+ * @returns {{rises: Array<number>, maxRise: number}} - Times each rise peaked, and the largest rise seen
+ */
+export const findFlickRises = (samples, threshold) => {
+  const rises = [];
+  let maxRise = 0;
+  let inRise = false;
+  const mean = samples.reduce((sum, sample) => sum + sample.y, 0) / (samples.length || 1);
+
+  samples.forEach((sample, index) => {
+    let low = sample.y;
+    for (let i = index - 1; i >= 0 && sample.t - samples[i].t <= FLICK_RISE_MS; i--) {
+      low = Math.min(low, samples[i].y);
+    }
+    const rise = sample.y - low;
+    maxRise = Math.max(maxRise, rise);
+
+    if (rise > threshold && sample.y - mean > threshold) {
+      if (inRise) {
+        rises[rises.length - 1] = sample.t;
+      } else {
+        rises.push(sample.t);
+      }
+      inRise = true;
+    } else {
+      inRise = false;
+    }
+  });
+
+  return { rises, maxRise };
+};
+
+/**
+ * Strong swings on the busiest axis
+ * Each axis is centred on its mean (which removes gravity); a swing is an
+ * excursion beyond ±amplitude, and only alternating swings are counted.
+ * @param {Array<Object>} samples
+ * @param {number} amplitude - Minimum excursion from the mean, in g
+ * @returns {{swings: number, force: number}} - Most swings on one axis, and the largest excursion plus 1g
+ */
+export const countShakeSwings = (samples, amplitude) => {
+  let swings = 0;
+  let peak = 0;
+
+  ['x', 'y', 'z'].forEach((axis) => {
+    const mean = samples.reduce((sum, sample) => sum + sample[axis], 0) / (samples.length || 1);
+    let count = 0;
+    let lastSign = 0;
+
+    samples.forEach((sample) => {
+      const deviation = sample[axis] - mean;
+      peak = Math.max(peak, Math.abs(deviation));
+      if (Math.abs(deviation) <= amplitude) {
+        return;
+      }
+      const sign = Math.sign(deviation);
+      if (sign !== lastSign) {
+        count++;
+        lastSign = sign;
+      }
+    });
+
+    swings = Math.max(swings, count);
+  });
+
+  // Reported like the total-force reading: 1g at rest
+  return { swings, force: 1 + peak };
+};
+
+/**
+ * Classify a window of samples
+ * @param {Array<Object>} samples - Oldest first
+ * @param {Object} settings - Gesture settings (thresholds and enabled flags)
+ * @param {number} [now] - Current time; defaults to the last sample's time
+ * @returns {'flick'|'shake'|'noise'|'pending'|'mixed'} - 'pending' while a lone rise settles;
+ *   'mixed' for motion too busy to be a flick that doesn't count as a shake
+ */
+export const classifyWindow = (samples, settings, now) => {
+  if (!Array.isArray(samples) || samples.length < 2) {
+    return 'noise';
+  }
+  const time = now === undefined ? samples[samples.length - 1].t : now;
+
+  // Shake threshold is a total force; the swing beyond gravity is what's left over
+  const { swings } = countShakeSwings(samples, settings.shakeThreshold - 1);
+  if (swings >= SHAKE_MIN_SWINGS) {
+    // A shake with shaking turned off is still too busy to be a flick
+    return settings.shakeEnabled ? 'shake' : 'mixed';
+  }
+
+  const { rises } = findFlickRises(samples, settings.flickThreshold);
+  // Guard: Repeated rises are the start of a shake, not a flick
+  if (rises.length !== 1) {
+    return rises.length > 1 ? 'mixed' : 'noise';
+  }
+  if (time - rises[0] < FLICK_SETTLE_MS) {
+    return 'pending';
+  }
+  return settings.flickEnabled ? 'flick' : 'noise';
+};
+
+/**
+ * Create a streaming recognizer
+ * Feed it every reading; it reports each gesture once, then ignores the
+ * rest of that gesture's motion for one window so a shake's last swing or a
+ * flick's rebound can't fire a second gesture.
+ * @param {Function} getSettings - Returns the current gesture settings
+ * @returns {{push: Function, getLevels: Function, getLastFlickRise: Function, reset: Function}}
+ */
+export const createGestureRecognizer = (getSettings) => {
+  let samples = [];
+  let quietUntil = 0;
+  let noFlickUntil = 0; // Set while a mixed window's rises could still look like a lone flick
+  let lastFlickRise = 0;
+
+  /**
+   * Add a reading
+   * @param {{x: number, y: number, z: number}} reading
+   * @param {number} t - Reading time in ms
+   * @returns {'flick'|'shake'|null} - Gesture recognized by this reading
+   */
+  const push = ({ x, y, z }, t) => {
+    // Guard: Ensure values are valid numbers
+    if (![x, y, z, t].every((value) => typeof value === 'number' && Number.isFinite(value))) {
+      return null;
+    }
+    if (t < quietUntil) {
+      return null;
+    }
+
+    samples.push({ x, y, z, t });
+    samples = samples.filter((sample) => t - sample.t <= GESTURE_WINDOW_MS);
+
+    const result = classifyWindow(samples, getSettings(), t);
+    if (result === 'mixed') {
+      noFlickUntil = t + GESTURE_WINDOW_MS;
+    }
+    if (result === 'flick' && t < noFlickUntil) {
+      return null;
+    }
+    if (result !== 'flick' && result !== 'shake') {
+      return null;
+    }
+    if (result === 'flick') {
+      lastFlickRise = findFlickRises(samples, getSettings().flickThreshold).maxRise;
+    }
+    samples = [];
+    quietUntil = t + GESTURE_WINDOW_MS;
+    return result;
+  };
+
+  /**
+   * Live levels for calibration displays
+   * @returns {{rise: number, force: number, swings: number}}
+   */
+  const getLevels = () => {
+    const settings = getSettings();
+    const { maxRise } = findFlickRises(samples, settings.flickThreshold);
+    const { swings, force } = countShakeSwings(samples, settings.shakeThreshold - 1);
+    return { rise: maxRise, force: samples.length ? force : 1, swings };
+  };
+
+  /**
+   * How sharp the last reported flick was, for toss strength
+   * @returns {number} - Rise in g
+   */
+  const getLastFlickRise = () => lastFlickRise;
+
+  const reset = () => {
+    samples = [];
+    quietUntil = 0;
+    noFlickUntil = 0;
+  };
+
+  return { push, getLevels, getLastFlickRise, reset };
+};
+
+export const TRACE_DURATION_MS = 10000; // How much of the calibration view's readings a trace keeps
+
+const roundReading = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Record raw readings so a real motion can become a test fixture
+ * (__tests__/fixtures/gestures). Only the last TRACE_DURATION_MS are kept.
+ * The recognizer's verdicts are deliberately left out of the trace: whoever
+ * made the motion fills in "expected", so the fixture can catch the recognizer
+ * getting it wrong.
+ * @returns {{push: Function, toJson: Function, reset: Function}}
+ */
+export const createTraceRecorder = () => {
+  let samples = [];
+
+  /**
+   * Add a reading
+   * @param {{x: number, y: number, z: number}} reading
+   * @param {number} t - Reading time in ms
+   */
+  const push = ({ x, y, z }, t) => {
+    // Guard: Ensure values are valid numbers
+    if (![x, y, z, t].every((value) => typeof value === 'number' && Number.isFinite(value))) {
+      return;
+    }
+    samples.push({ x, y, z, t });
+    samples = samples.filter((sample) => t - sample.t <= TRACE_DURATION_MS);
+  };
+
+  /**
+   * The recorded readings in the fixture format, one reading per line
+   * Each reading is [x, y, z, t] with t in ms since the first one.
+   * @returns {string|null} - Null if nothing was recorded
+   */
+  const toJson = () => {
+    if (samples.length === 0) {
+      return null;
+    }
+    const start = samples[0].t;
+    const header = JSON.stringify({
+      description: '',
+      source: 'device',
+      intervalMs: GESTURE_SAMPLE_INTERVAL,
+      expected: [],
+    });
+    const lines = samples.map((sample) =>
+      JSON.stringify([roundReading(sample.x), roundReading(sample.y), roundReading(sample.z), sample.t - start])
+    );
+    return `${header.slice(0, -1)},"samples":[\n${lines.join(',\n')}\n]}\n`;
+  };
+
+  const reset = () => {
+    samples = [];
+  };
+
+  return { push, toJson, reset };
+};
@@ -0,0 +1,75 @@
+/**
+ * Gesture settings
+ * Thresholds and cooldowns for flick-to-flip, shake-to-reset and
+ * swipe-to-flip. Accelerometer values are in g; cooldowns in ms;
+ * swipe velocity in points per second.
+ */
+
+export const DEFAULT_GESTURE_SETTINGS = {
+  flickEnabled: true,
+  flickThreshold: 0.8, // Sharp rise in y (see utils/gestureRecognizer)
+  flickCooldown: 4000,
+  shakeEnabled: true,
+  shakeThreshold: 1.5, // Force of each back-and-forth swing, gravity included
+  shakeCooldown: 1000,
+  swipeEnabled: true,
+  swipeVelocity: 500, // Upward fling speed on the coin / wheel
+};
+
+// Allowed range and step for each numeric setting (the settings screen steps by `step`)
+export const GESTURE_LIMITS = {
+  flickThreshold: { min: 0.2, max: 3, step: 0.1 },
+  flickCooldown: { min: 500, max: 10000, step: 500 },
+  shakeThreshold: { min: 1.1, max: 4, step: 0.1 },
+  shakeCooldown: { min: 250, max: 5000, step: 250 },
+  swipeVelocity: { min: 100, max: 2000, step: 100 },
+};
+
+/**
+ * Clamp a value into a setting's range and snap it to the step
+ * @param {string} key - Key of GESTURE_LIMITS
+ * @param {*} value
+ * @returns {number}
+ */
+export const clampGestureValue = (key, value) => {
+  const { min, max, step } = GESTURE_LIMITS[key];
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return DEFAULT_GESTURE_SETTINGS[key];
+  }
+  const snapped = Math.round(number / step) * step;
+  // Round away float noise from the step multiplication (0.1 * 7 = 0.7000000000000001)
+  return Math.min(max, Math.max(min, Number(snapped.toFixed(2))));
+};
+
+/**
+ * Fill in defaults and clamp every value into range
+ * @param {Object} settings - Possibly partial or stale stored settings
+ * @returns {Object}
+ */
+export const sanitizeGestureSettings = (settings) => {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const sanitized = { ...DEFAULT_GESTURE_SETTINGS };
+
+  ['flickEnabled', 'shakeEnabled', 'swipeEnabled'].forEach((key) => {
+    if (typeof source[key] === 'boolean') {
+      sanitized[key] = source[key];
+    }
+  });
+  Object.keys(GESTURE_LIMITS).forEach((key) => {
+    if (source[key] !== undefined) {
+      sanitized[key] = clampGestureValue(key, source[key]);
+    }
+  });
+
+  return sanitized;
+};
+
+/**
+ * Minimum upward swipe speed, or null when swiping is off
+ * @param {Object} settings
+ * @returns {number|null}
+ */
+export const getSwipeVelocity = (settings) => {
+  return settings.swipeEnabled ? settings.swipeVelocity : null;
+};
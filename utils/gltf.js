@@ -0,0 +1,200 @@
+/**
+ * Minimal glTF 2.0 binary (.glb) reader for coin models
+ * Reads just what a coin needs - triangle primitives with positions,
+ * normals, UVs and a PBR material - into plain typed arrays, without the
+ * browser APIs (TextDecoder, image loading) three's GLTFLoader relies on.
+ *
+ * Coin models name their materials by part: 'face_a', 'face_b', 'edge' and
+ * optionally 'edge_accent'. The coin's axis is z, with face A toward +z.
+ * Coins flip end over end around x; face B is mapped to read upright after a half turn.
+ */
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENT_ARRAYS = {
+  5121: Uint8Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+/**
+ * Decode UTF-8 bytes (the JSON chunk)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const decodeUtf8 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte < 0x80) {
+      text += String.fromCharCode(byte);
+    } else if (byte < 0xe0) {
+      text += String.fromCharCode(((byte & 0x1f) << 6) | (bytes[++i] & 0x3f));
+    } else if (byte < 0xf0) {
+      text += String.fromCharCode(((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f));
+    } else {
+      const codePoint =
+        ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+      text += String.fromCodePoint(codePoint);
+    }
+  }
+  return text;
+};
+
+/**
+ * Split a .glb file into its JSON and binary chunks
+ * @param {ArrayBuffer} buffer
+ * @returns {{json: Object, bin: ArrayBuffer|null, binOffset: number, binLength: number}}
+ * @throws {Error} - If the file isn't a glTF 2.0 binary or is cut short
+ */
+export const parseGlb = (buffer) => {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a glTF binary file');
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error('Only glTF 2.0 models are supported');
+  }
+
+  let json = null;
+  let binOffset = -1;
+  let binLength = 0;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    // Guard: A chunk can't run past the end of the file
+    if (start + length > buffer.byteLength) {
+      throw new Error(`Model file is truncated: a ${length}-byte chunk starts ${buffer.byteLength - start} bytes from the end`);
+    }
+    if (type === CHUNK_JSON) {
+      try {
+        json = JSON.parse(decodeUtf8(new Uint8Array(buffer, start, length)));
+      } catch (error) {
+        throw new Error(`Model JSON chunk is invalid: ${error.message}`);
+      }
+    } else if (type === CHUNK_BIN) {
+      binOffset = start;
+      binLength = length;
+    }
+    offset = start + length;
+  }
+
+  if (!json) {
+    throw new Error('Model has no JSON chunk');
+  }
+  return { json, bin: binOffset >= 0 ? buffer : null, binOffset, binLength };
+};
+
+const isByteCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Read an accessor into a typed array
+ * @param {Object} glb - From parseGlb
+ * @param {number} index - Accessor index
+ * @returns {{array: TypedArray, itemSize: number}}
+ * @throws {Error} - If the accessor is unsupported or reads outside the binary chunk
+ */
+const readAccessor = ({ json, bin, binOffset, binLength }, index) => {
+  const accessor = (json.accessors || [])[index];
+  const View = accessor && COMPONENT_ARRAYS[accessor.componentType];
+  const itemSize = accessor && TYPE_SIZES[accessor.type];
+  if (!View || !itemSize || !bin) {
+    throw new Error(`Unsupported accessor ${index}`);
+  }
+
+  const bufferView = (json.bufferViews || [])[accessor.bufferView];
+  if (!bufferView) {
+    throw new Error(`Accessor ${index} has no buffer view`);
+  }
+  const viewOffset = bufferView.byteOffset || 0;
+  const accessorOffset = accessor.byteOffset || 0;
+  const stride = bufferView.byteStride || 0;
+  const elementBytes = View.BYTES_PER_ELEMENT * itemSize;
+  if (![viewOffset, accessorOffset, stride, accessor.count, bufferView.byteLength].every(isByteCount)) {
+    throw new Error(`Accessor ${index} has an invalid offset, stride, count or length`);
+  }
+
+  // Guard: The view must sit inside the binary chunk, and the accessor inside the view
+  if (viewOffset + bufferView.byteLength > binLength) {
+    throw new Error(`Buffer view ${accessor.bufferView} ends past the binary chunk (${binLength} bytes)`);
+  }
+  const span = accessor.count === 0 ? 0 : (accessor.count - 1) * (stride || elementBytes) + elementBytes;
+  if (accessorOffset + span > bufferView.byteLength) {
+    throw new Error(`Accessor ${index} reads past the end of buffer view ${accessor.bufferView}`);
+  }
+
+  const start = binOffset + viewOffset + accessorOffset;
+
+  // Tightly packed: copy straight out (copying also fixes alignment)
+  if (!stride || stride === elementBytes) {
+    return { array: new View(bin.slice(start, start + accessor.count * elementBytes)), itemSize };
+  }
+
+  // Interleaved: gather each element
+  const array = new View(accessor.count * itemSize);
+  for (let i = 0; i < accessor.count; i++) {
+    const element = new View(bin.slice(start + i * stride, start + i * stride + elementBytes));
+    array.set(element, i * itemSize);
+  }
+  return { array, itemSize };
+};
+
+/**
+ * Material settings for a primitive
+ * @param {Object} json
+ * @param {number} index
+ * @returns {{name: string, color: Array<number>, metalness: number, roughness: number}}
+ */
+const readMaterial = (json, index) => {
+  const material = (json.materials || [])[index] || {};
+  const pbr = material.pbrMetallicRoughness || {};
+  return {
+    name: material.name || '',
+    color: pbr.baseColorFactor || [1, 1, 1, 1],
+    metalness: typeof pbr.metallicFactor === 'number' ? pbr.metallicFactor : 1,
+    roughness: typeof pbr.roughnessFactor === 'number' ? pbr.roughnessFactor : 1,
+  };
+};
+
+/**
+ * Every triangle primitive in a model
+ * @param {ArrayBuffer} buffer - .glb file contents
+ * @returns {Array<{part: string, positions: Float32Array, normals: Float32Array|null,
+ *   uvs: Float32Array|null, indices: TypedArray|null, material: Object}>}
+ */
+export const readModelParts = (buffer) => {
+  const glb = parseGlb(buffer);
+  const parts = [];
+
+  (glb.json.meshes || []).forEach((mesh) => {
+    (mesh.primitives || []).forEach((primitive) => {
+      // Guard: Only triangles (mode 4, the default)
+      if (primitive.mode !== undefined && primitive.mode !== 4) {
+        return;
+      }
+      const { attributes } = primitive;
+      if (!attributes || attributes.POSITION === undefined) {
+        return;
+      }
+
+      const material = readMaterial(glb.json, primitive.material);
+      parts.push({
+        part: material.name,
+        positions: readAccessor(glb, attributes.POSITION).array,
+        normals: attributes.NORMAL === undefined ? null : readAccessor(glb, attributes.NORMAL).array,
+        uvs: attributes.TEXCOORD_0 === undefined ? null : readAccessor(glb, attributes.TEXCOORD_0).array,
+        indices: primitive.indices === undefined ? null : readAccessor(glb, primitive.indices).array,
+        material,
+      });
+    });
+  });
+
+  return parts;
+};
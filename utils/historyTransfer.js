@@ -0,0 +1,430 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { getHistory, importHistoryEntries, MAX_NOTE_LENGTH } from './storage';
+import { sanitizeLastChoice, MAX_OPTIONS } from './lastChoice';
+import { DECISION_MODES } from './decisionEngine';
+import { sanitizeQuestion } from './questions';
+import { sanitizeChallenge } from './challenge';
+import { sanitizeFair } from './provablyFair';
+import { sanitizeSeries, sanitizeBracket } from './series';
+import { sanitizeGroup } from './roster';
+import { t } from './i18n';
+
+/**
+ * History export / import
+ * Exports go to a cache file that is handed to the system share sheet.
+ * Both formats write timestamps as ISO-8601 strings; imports accept
+ * ISO strings or epoch milliseconds.
+ */
+
+const EXPORT_FORMAT_VERSION = 1;
+const MAX_SIDE_LENGTH = 150;
+const MAX_BUILT_IN_LABELS = 12; // One per option at most
+const CSV_COLUMNS = ['timestamp', 'side', 'mode', 'labels', 'weights', 'presetId', 'note', 'question'];
+const LIST_SEPARATOR = '|';
+// Spreadsheets run a cell starting with = + - @ (or a tab / CR before one) as a formula.
+// Such cells are written with a leading "'", and so are cells that already start with
+// one, so the guard can be taken off again on import.
+const GUARDED_START = /^[=+\-@\t\r']/;
+const FORMULA_GUARD = "'";
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks (RFC 4180)
+ * A cell that a spreadsheet would run as a formula gets a leading "'" so it shows as text.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCsvField = (value) => {
+  const raw = value == null ? '' : String(value);
+  const text = GUARDED_START.test(raw) ? `${FORMULA_GUARD}${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Undo the formula guard of escapeCsvField on a parsed cell
+ * @param {string} cell
+ * @returns {string}
+ */
+const unguardCsvField = (cell) => {
+  return cell.startsWith(FORMULA_GUARD) && GUARDED_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+};
+
+/**
+ * Join a list into one CSV cell, escaping "\" and "|" inside items
+ * @param {Array} items
+ * @returns {string}
+ */
+const joinList = (items) => {
+  return items
+    .map((item) => String(item).replace(/\\/g, '\\\\').replace(/\|/g, '\\|'))
+    .join(LIST_SEPARATOR);
+};
+
+/**
+ * Split a CSV list cell written by joinList
+ * @param {string} cell
+ * @returns {Array<string>}
+ */
+const splitList = (cell) => {
+  const items = [];
+  let current = '';
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === '\\' && i + 1 < cell.length) {
+      current += cell[i + 1];
+      i += 1;
+    } else if (cell[i] === LIST_SEPARATOR) {
+      items.push(current);
+      current = '';
+    } else {
+      current += cell[i];
+    }
+  }
+  items.push(current);
+  return items;
+};
+
+/**
+ * Convert an epoch timestamp into ISO-8601
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const toIsoString = (timestamp) => {
+  return typeof timestamp === 'number' ? new Date(timestamp).toISOString() : '';
+};
+
+/**
+ * Serialize entries to CSV
+ * List columns (labels, weights) are joined with "|" ("\|" inside a label)
+ * @param {Array} entries
+ * @returns {string}
+ */
+export const historyToCsv = (entries) => {
+  const rows = entries.map((entry) => [
+    toIsoString(entry.timestamp),
+    entry.side,
+    entry.mode || '',
+    Array.isArray(entry.options) ? joinList(entry.options) : '',
+    Array.isArray(entry.weights) ? joinList(entry.weights) : '',
+    entry.presetId || '',
+    entry.note || '',
+    entry.question || '',
+  ].map(escapeCsvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Serialize entries to JSON
+ * Keeps every stored field; only the timestamp is rewritten as ISO-8601
+ * @param {Array} entries
+ * @returns {string}
+ */
+export const historyToJson = (entries) => {
+  return JSON.stringify(
+    {
+      app: 'decision-coin',
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: entries.map((entry) => ({ ...entry, timestamp: toIsoString(entry.timestamp) })),
+    },
+    null,
+    2
+  );
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value !== ''));
+};
+
+/**
+ * Parse a timestamp from ISO-8601 or epoch milliseconds
+ * @param {*} value
+ * @returns {number|null}
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const text = value.trim();
+  const parsed = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Clean imported option labels and their weights with the app's own limits
+ * 2 to MAX_OPTIONS labels of up to 150 characters; weights are whole numbers
+ * 0-999, one per label, or left out.
+ * @param {*} options
+ * @param {*} weights
+ * @returns {{options: Array<string>, weights: Array<number>|null}|null} - Null if the labels are unusable
+ */
+const normalizeOptions = (options, weights) => {
+  // Guard: More options than the app allows is not something it wrote
+  if (!Array.isArray(options) || options.length > MAX_OPTIONS || !options.every((option) => typeof option === 'string')) {
+    return null;
+  }
+  const hasWeights = Array.isArray(weights)
+    && weights.length === options.length
+    && weights.every((weight) => Number.isFinite(weight) && weight >= 0);
+  const choice = sanitizeLastChoice({
+    mode: 'multi',
+    options: options.map((label, index) => ({ label, weight: hasWeights ? weights[index] : undefined })),
+  });
+  if (choice.mode !== 'multi') {
+    return null;
+  }
+  return {
+    options: choice.options.map((option) => option.label),
+    weights: hasWeights ? choice.options.map((option) => option.weight) : null,
+  };
+};
+
+/**
+ * Validate and normalize one imported record
+ * Only known fields with the right types are kept, within the limits the app's own inputs have
+ * @param {Object} raw
+ * @returns {Object|null} - Entry ready for storage, null if invalid
+ */
+const normalizeEntry = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return null;
+  }
+
+  const side = typeof raw.side === 'string' ? raw.side.trim() : '';
+  const timestamp = parseTimestamp(raw.timestamp);
+
+  // Guard: Side and time are the minimum for a usable entry
+  if (!side || side.length > MAX_SIDE_LENGTH || timestamp === null) {
+    return null;
+  }
+
+  const entry = { side, timestamp };
+  if (typeof raw.id === 'string' && raw.id) {
+    entry.id = raw.id;
+  }
+  if (DECISION_MODES.includes(raw.mode)) {
+    entry.mode = raw.mode;
+  }
+  const options = normalizeOptions(raw.options, raw.weights);
+  if (options) {
+    entry.options = options.options;
+    if (options.weights) {
+      entry.weights = options.weights;
+    }
+  }
+  if (Array.isArray(raw.builtInLabels) && raw.builtInLabels.every((label) => typeof label === 'string')) {
+    entry.builtInLabels = raw.builtInLabels.slice(0, MAX_BUILT_IN_LABELS);
+  }
+  if (typeof raw.presetId === 'string' && raw.presetId) {
+    entry.presetId = raw.presetId;
+  }
+  const note = typeof raw.note === 'string' ? raw.note.trim().substring(0, MAX_NOTE_LENGTH) : '';
+  if (note) {
+    entry.note = note;
+  }
+  if (sanitizeQuestion(raw.question)) {
+    entry.question = sanitizeQuestion(raw.question);
+  }
+  if (sanitizeFair(raw.fair)) {
+    entry.fair = sanitizeFair(raw.fair);
+  }
+  if (sanitizeSeries(raw.series)) {
+    entry.series = sanitizeSeries(raw.series);
+  }
+  if (sanitizeBracket(raw.bracket)) {
+    entry.bracket = sanitizeBracket(raw.bracket);
+  }
+  if (sanitizeGroup(raw.group)) {
+    entry.group = sanitizeGroup(raw.group);
+  }
+  if (sanitizeChallenge(raw.challenge)) {
+    entry.challenge = sanitizeChallenge(raw.challenge);
+  }
+  if (raw.vetoed === true) {
+    entry.vetoed = true;
+  }
+  return entry;
+};
+
+/**
+ * Convert a CSV row (already split) into a raw record
+ * @param {Array<string>} header
+ * @param {Array<string>} fields
+ * @returns {Object}
+ */
+const csvRowToRecord = (header, fields) => {
+  const record = {};
+  header.forEach((column, index) => {
+    const value = fields[index] !== undefined ? unguardCsvField(fields[index]) : '';
+    if (value === '') {
+      return;
+    }
+    if (column === 'labels') {
+      record.options = splitList(value);
+    } else if (column === 'weights') {
+      record.weights = splitList(value).map(Number);
+    } else if (CSV_COLUMNS.includes(column)) {
+      record[column] = value;
+    }
+  });
+  return record;
+};
+
+/**
+ * Parse exported text (JSON or CSV, detected from content)
+ * @param {string} text - File contents
+ * @returns {{entries: Array, invalid: number, error: string|null}}
+ */
+export const parseHistoryExport = (text) => {
+  const empty = (error) => ({ entries: [], invalid: 0, error });
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return empty(t('transfer.emptyFile'));
+  }
+
+  let records;
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      records = Array.isArray(parsed) ? parsed : parsed && parsed.entries;
+    } catch (error) {
+      return empty(t('transfer.invalidJson'));
+    }
+    if (!Array.isArray(records)) {
+      return empty(t('transfer.noEntries'));
+    }
+  } else {
+    const rows = parseCsv(trimmed);
+    const header = rows.length ? rows[0].map((column) => column.trim()) : [];
+    if (!header.includes('side') || !header.includes('timestamp')) {
+      return empty(t('transfer.csvColumns'));
+    }
+    records = rows.slice(1).map((fields) => csvRowToRecord(header, fields));
+  }
+
+  const entries = records.map(normalizeEntry).filter(Boolean);
+  return { entries, invalid: records.length - entries.length, error: null };
+};
+
+/**
+ * Export all history to a file and open the share sheet
+ * @param {'csv'|'json'} format
+ * @returns {Promise<{success: boolean, count: number, error: string|null}>}
+ */
+export const exportHistory = async (format) => {
+  try {
+    const entries = await getHistory();
+    if (entries.length === 0) {
+      return { success: false, count: 0, error: t('transfer.nothingToExport') };
+    }
+
+    const isCsv = format === 'csv';
+    const date = new Date().toISOString().slice(0, 10);
+    const file = new File(Paths.cache, `decision-coin-history-${date}.${isCsv ? 'csv' : 'json'}`);
+    file.create({ overwrite: true });
+    file.write(isCsv ? historyToCsv(entries) : historyToJson(entries));
+
+    // Guard: Sharing is missing on some platforms (e.g. web without Web Share)
+    if (!(await Sharing.isAvailableAsync())) {
+      return { success: false, count: entries.length, error: t('transfer.sharingUnavailable') };
+    }
+
+    await Sharing.shareAsync(file.uri, {
+      mimeType: isCsv ? 'text/csv' : 'application/json',
+      UTI: isCsv ? 'public.comma-separated-values-text' : 'public.json',
+      dialogTitle: t('transfer.dialogTitle'),
+    });
+    return { success: true, count: entries.length, error: null };
+  } catch (error) {
+    console.error('exportHistory error:', error);
+    return { success: false, count: 0, error: t('transfer.exportFailed') };
+  }
+};
+
+/**
+ * Pick a previously exported file and merge it into history
+ * @returns {Promise<{cancelled: boolean, added: number, duplicates: number, invalid: number, error: string|null}>}
+ */
+export const importHistoryFromFile = async () => {
+  const result = { cancelled: false, added: 0, duplicates: 0, invalid: 0, error: null };
+
+  try {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+      copyToCacheDirectory: true,
+      multiple: false,
+    });
+
+    if (picked.canceled || !picked.assets || picked.assets.length === 0) {
+      return { ...result, cancelled: true };
+    }
+
+    const text = await new File(picked.assets[0].uri).text();
+    const parsed = parseHistoryExport(text);
+    if (parsed.error) {
+      return { ...result, error: parsed.error };
+    }
+
+    const merged = await importHistoryEntries(parsed.entries);
+    if (!merged) {
+      return { ...result, invalid: parsed.invalid, error: t('transfer.saveFailed') };
+    }
+
+    return { ...result, ...merged, invalid: parsed.invalid };
+  } catch (error) {
+    console.error('importHistoryFromFile error:', error);
+    return { ...result, error: t('transfer.importFailed') };
+  }
+};
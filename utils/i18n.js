@@ -0,0 +1,199 @@
+import en from './locales/en';
+import es from './locales/es';
+
+/**
+ * Translations
+ * Every string the app shows comes from a catalog in utils/locales, looked up
+ * with t('area.key', params). The language follows the device unless the user
+ * picks one in Settings (see components/LocaleProvider); helpers outside React
+ * (history descriptions, the widget) read the same current language.
+ *
+ * Catalog messages:
+ * - 'Hello {name}' - {name} is filled in from params
+ * - { one, other } - picked by params.count with the language's plural rule
+ *
+ * Built-in labels (Heads/Tails, Yes/No/Maybe) are stored in history in English
+ * and translated when shown, so history reads right after a language switch.
+ */
+
+export const LANGUAGES = [
+  { key: 'en', label: 'English' },
+  { key: 'es', label: 'Español' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+export const DEFAULT_LANGUAGE_SETTING = 'system'; // Follow the device
+
+const CATALOGS = { en, es };
+
+// CLDR cardinal rules, for the plural forms each catalog uses
+const PLURAL_RULES = {
+  en: (count) => (count === 1 ? 'one' : 'other'),
+  es: (count) => (count === 1 ? 'one' : 'other'),
+};
+
+// The app's own labels: stored as these English words, shown in the current language
+const BUILT_IN_LABELS = ['Heads', 'Tails', 'Yes', 'No', 'Maybe'];
+const COIN_LABELS = ['Heads', 'Tails'];
+// Stored label of an empty multi option (see getOptionLabels)
+const OPTION_FALLBACK_PATTERN = /^Option (\d+)$/;
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Clean a stored language setting
+ * @param {*} setting
+ * @returns {string} - 'system' or a key of LANGUAGES
+ */
+export const sanitizeLanguageSetting = (setting) =>
+  setting === DEFAULT_LANGUAGE_SETTING || Object.prototype.hasOwnProperty.call(CATALOGS, setting)
+    ? setting
+    : DEFAULT_LANGUAGE_SETTING;
+
+/**
+ * Language to show for a setting
+ * @param {string} setting - 'system' or a language key
+ * @param {Array<Object>} [deviceLocales] - From expo-localization getLocales(), preferred first
+ * @returns {string} - Language key; English if the device prefers nothing we have
+ */
+export const resolveLanguage = (setting, deviceLocales = []) => {
+  const clean = sanitizeLanguageSetting(setting);
+  if (clean !== DEFAULT_LANGUAGE_SETTING) {
+    return clean;
+  }
+  const match = (Array.isArray(deviceLocales) ? deviceLocales : [])
+    .map((locale) => (locale && typeof locale.languageCode === 'string' ? locale.languageCode.toLowerCase() : ''))
+    .find((code) => Object.prototype.hasOwnProperty.call(CATALOGS, code));
+  return match || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Switch the language t() and the formatters use
+ * @param {string} language - Language key; anything unknown falls back to English
+ */
+export const setLanguage = (language) => {
+  currentLanguage = Object.prototype.hasOwnProperty.call(CATALOGS, language) ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * @returns {string} - Current language key
+ */
+export const getLanguage = () => currentLanguage;
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Translate a message
+ * Missing Spanish messages fall back to English, missing English ones to the key.
+ * @param {string} key - e.g. 'history.empty'
+ * @param {Object} [params] - Values for {placeholders}; count also picks the plural form
+ * @returns {string}
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(CATALOGS[currentLanguage], key);
+  if (message === undefined) {
+    message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  }
+  if (message && typeof message === 'object') {
+    const form = typeof params.count === 'number' ? PLURAL_RULES[currentLanguage](params.count) : 'other';
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+};
+
+/**
+ * Show one of the app's own labels in the current language
+ * @param {string} label - As stored ("Heads", "Yes", "Option 2")
+ * @returns {string}
+ */
+export const translateBuiltInLabel = (label) => {
+  if (BUILT_IN_LABELS.includes(label)) {
+    return t(`labels.${label}`);
+  }
+  const fallback = typeof label === 'string' ? label.match(OPTION_FALLBACK_PATTERN) : null;
+  return fallback ? t('options.fallback', { number: fallback[1] }) : label;
+};
+
+/**
+ * Show a label in the current language if the app supplied it
+ * Whatever the user typed is shown as typed, even when it reads "Yes".
+ * @param {string} label - As stored
+ * @param {Array<string>} [builtInLabels] - Labels of the same choice that the app supplied (see getChoices)
+ * @returns {string}
+ */
+export const translateLabel = (label, builtInLabels = []) =>
+  Array.isArray(builtInLabels) && builtInLabels.includes(label) ? translateBuiltInLabel(label) : label;
+
+/**
+ * Labels a history entry marks as the app's own
+ * Entries saved before the mark existed count as built-in only for plain coin flips.
+ * @param {Object} entry
+ * @returns {Array<string>}
+ */
+export const getEntryBuiltInLabels = (entry) => {
+  if (!entry || typeof entry !== 'object') {
+    return [];
+  }
+  if (Array.isArray(entry.builtInLabels)) {
+    return entry.builtInLabels;
+  }
+  return entry.mode === undefined || entry.mode === 'default' ? COIN_LABELS : [];
+};
+
+/**
+ * Show one of a history entry's labels in the current language
+ * @param {Object} entry
+ * @param {string} [label] - Defaults to the entry's result
+ * @returns {string}
+ */
+export const translateEntryLabel = (entry, label = entry.side) => translateLabel(label, getEntryBuiltInLabels(entry));
+
+/**
+ * How long ago a moment was: "Just now", "5 minutes ago", then the date after a week
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} [now]
+ * @returns {string}
+ */
+export const formatRelativeTime = (timestamp, now = Date.now()) => {
+  // Guard: Ensure timestamp is valid
+  if (!timestamp || typeof timestamp !== 'number') {
+    return t('time.unknown');
+  }
+
+  const diffMins = Math.floor((now - timestamp) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) {
+    return t('time.justNow');
+  }
+  if (diffMins < 60) {
+    return t('time.minutesAgo', { count: diffMins });
+  }
+  if (diffHours < 24) {
+    return t('time.hoursAgo', { count: diffHours });
+  }
+  if (diffDays < 7) {
+    return t('time.daysAgo', { count: diffDays });
+  }
+  return formatDate(timestamp);
+};
+
+/**
+ * Calendar date in the current language
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export const formatDate = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleDateString(currentLanguage);
+  } catch (error) {
+    console.error('formatDate error:', error);
+    return new Date(timestamp).toDateString();
+  }
+};
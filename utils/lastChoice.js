@@ -0,0 +1,83 @@
+import { DEFAULT_WEIGHT, sanitizeWeight } from './weights';
+import { getRosterNames, canDrawGroup, sanitizeTeamCount, GROUP_MODES } from './roster';
+import { sanitizeQuestion, isBuiltInAnswerSet, getAnswers, MAX_ANSWER_LENGTH, MAX_ANSWERS } from './questions';
+
+/**
+ * Last-used choice
+ * The engine input of the last decision made in the app, kept so the home
+ * screen widgets and the "Flip now" quick action can flip the same thing
+ * without going through the inputs again.
+ */
+
+const MAX_LABEL_LENGTH = 150; // Same limit as the custom side and option inputs
+export const MAX_OPTIONS = 12;
+
+export const DEFAULT_LAST_CHOICE = { mode: 'default' };
+
+const cleanLabel = (label) => (typeof label === 'string' ? label.substring(0, MAX_LABEL_LENGTH) : '');
+
+/**
+ * Clean a stored choice back into a valid engine input
+ * @param {*} choice - Engine input (see utils/decisionEngine)
+ * @returns {Object} - The choice, or a plain coin flip if it can't be used
+ */
+export const sanitizeLastChoice = (choice) => {
+  if (!choice || typeof choice !== 'object') {
+    return DEFAULT_LAST_CHOICE;
+  }
+
+  if (choice.mode === 'custom') {
+    return {
+      mode: 'custom',
+      customSideA: cleanLabel(choice.customSideA),
+      customSideB: cleanLabel(choice.customSideB),
+      customWeightA: sanitizeWeight(choice.customWeightA),
+      customWeightB: sanitizeWeight(choice.customWeightB),
+      presetId: typeof choice.presetId === 'string' ? choice.presetId : null,
+    };
+  }
+
+  if (choice.mode === 'multi' && Array.isArray(choice.options) && choice.options.length >= 2) {
+    return {
+      mode: 'multi',
+      options: choice.options.slice(0, MAX_OPTIONS).map((option) => ({
+        label: cleanLabel(option && option.label),
+        weight: sanitizeWeight(option ? option.weight : DEFAULT_WEIGHT),
+      })),
+    };
+  }
+
+  if (choice.mode === 'question' && Array.isArray(choice.answers)) {
+    const answers = choice.answers
+      .filter((answer) => typeof answer === 'string' && answer.trim())
+      .map((answer) => answer.trim().substring(0, MAX_ANSWER_LENGTH))
+      .slice(0, MAX_ANSWERS);
+    if (answers.length >= 2) {
+      // Guard: A built-in set only counts with exactly its own answers
+      const isBuiltIn = isBuiltInAnswerSet(choice.answerSet) && getAnswers(choice.answerSet).join('\n') === answers.join('\n');
+      return {
+        mode: 'question',
+        question: sanitizeQuestion(choice.question),
+        answers,
+        answerSet: isBuiltIn ? choice.answerSet : 'custom',
+      };
+    }
+  }
+
+  if (choice.mode === 'group') {
+    const names = getRosterNames(choice.names);
+    const groupMode = GROUP_MODES.includes(choice.groupMode) ? choice.groupMode : 'pick';
+    const teamCount = sanitizeTeamCount(choice.teamCount, names.length);
+    if (canDrawGroup(groupMode, names, teamCount)) {
+      return {
+        mode: 'group',
+        groupMode,
+        names,
+        teamCount,
+        rosterId: typeof choice.rosterId === 'string' ? choice.rosterId : null,
+      };
+    }
+  }
+
+  return DEFAULT_LAST_CHOICE;
+};
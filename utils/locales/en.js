@@ -0,0 +1,461 @@
+/**
+ * English messages (see utils/i18n for the format)
+ * English is the fallback for any message another catalog leaves out.
+ */
+export default {
+  common: {
+    and: 'and',
+    cancel: 'Cancel',
+    close: 'Close',
+    delete: 'Delete',
+    done: 'Done',
+    loading: 'Loading...',
+    save: 'Save',
+  },
+
+  // Built-in labels, stored in English (see translateLabel)
+  labels: {
+    Heads: 'Heads',
+    Tails: 'Tails',
+    Yes: 'Yes',
+    No: 'No',
+    Maybe: 'Maybe',
+  },
+
+  time: {
+    unknown: 'Unknown time',
+    justNow: 'Just now',
+    minutesAgo: { one: '1 minute ago', other: '{count} minutes ago' },
+    hoursAgo: { one: '1 hour ago', other: '{count} hours ago' },
+    daysAgo: { one: '1 day ago', other: '{count} days ago' },
+  },
+
+  app: {
+    title: 'Decision Coin',
+    settings: 'Settings',
+    settingsHint: 'Opens appearance, language and gesture settings',
+    history: 'History',
+    historyHint: 'Opens past flips and stats',
+    sessionHint: 'Opens the session',
+    hostingBanner: 'Hosting at {address} · {count} in session',
+    guestBanner: "In {host}'s session · only the host flips",
+    theHost: 'the host',
+    modes: {
+      default: 'Heads/Tails',
+      custom: 'Custom (A/B)',
+      multi: 'Options',
+      group: 'Group',
+      question: 'Ask',
+    },
+    coinSummary: 'Coin: {a} / {b}',
+    designCoin: 'Design Coin',
+    sideLabel: 'Side {side}:',
+    sideWeight: 'Side {side} weight',
+    sideInput: 'Side {side} label',
+    sidePlaceholder: 'Enter label for {side} (up to 150 characters)',
+    weight: 'Weight',
+    fair: {
+      title: 'Provably fair',
+      commitment: 'Commitment (SHA-256 of seed):\n{hash}',
+      preparing: 'Preparing commitment...',
+      reveal: 'Seed: {seed}\nHash: {hash}',
+      oneAtATime: 'Provably fair mode flips one decision at a time',
+      unavailableTitle: 'Provably fair is off',
+      unavailableMessage: "This device couldn't provide secure randomness for a seed, so provably fair mode was turned off.",
+    },
+    formats: {
+      wheel: 'Wheel',
+      bracket: 'Bracket',
+      single: 'Single',
+      bestOf: 'Best of {count}',
+    },
+    result: 'Result:',
+    ready: 'Ready',
+    odds: {
+      equal: '{share} chance (equal odds)',
+      weighted: '{share} chance · {odds}',
+    },
+    actions: {
+      waitingForHost: 'Waiting for host...',
+      shuffling: 'Shuffling...',
+      shuffle: 'Shuffle Order',
+      dealing: 'Dealing...',
+      makeTeams: 'Make {count} Teams',
+      picking: 'Picking...',
+      pick: 'Pick Someone',
+      playingSeries: 'Playing series...',
+      playSeries: 'Play Best of {count}',
+      playingBracket: 'Playing bracket...',
+      runBracket: 'Run Bracket',
+      spinning: 'Spinning...',
+      spin: 'Spin Wheel',
+      asking: 'Asking...',
+      ask: 'Ask',
+      flipping: 'Flipping...',
+      flip: 'Flip Coin',
+    },
+    reset: 'Reset',
+    resetHint: 'Clears the result, like shaking the phone',
+    veto: {
+      button: { one: 'Veto (1 left)', other: 'Veto ({count} left)' },
+      none: 'No vetoes left',
+      hint: 'Overturns this result and flips again',
+      confirmTitle: 'Veto this result?',
+      confirmMessage: '"{label}" stays in history as vetoed and the coin is flipped again. {left}',
+      leftAfter: { one: '1 veto left after this one.', other: '{count} vetoes left after this one.' },
+      confirm: 'Veto',
+      failedTitle: 'Veto not used',
+      failedMessage: 'This result could not be marked as vetoed, so it stands. Try again.',
+    },
+    random: {
+      failedTitle: 'No result',
+      failedMessage: "This device couldn't provide secure randomness, so nothing was drawn. Try again.",
+    },
+    shareLink: 'Share this setup as a link',
+    flipTogether: 'Flip together',
+    resultCleared: 'Result cleared',
+    session: {
+      hostFailed: 'Could not host here. Check that you are on Wi-Fi and try again.',
+      badAddress: "Enter the address shown on the host's phone, e.g. 192.168.1.20",
+      ended: 'The session has ended.',
+      joinFailed: 'Could not reach that host. Check the address and that you are on the same Wi-Fi.',
+    },
+    instructions: {
+      flip: 'Tap "Flip Coin" or flick the coin upward to flip (harder flicks toss higher)',
+      flick: 'Flick your phone upward to toss the coin',
+      reset: 'Shake device or tap "Reset" to clear result (tap "Undo" to bring it back)',
+      design: 'In Custom mode, tap "Design Coin" to put a skin, a photo or your labels on the coin, or pick its 3D shape',
+      options: 'Use "Options" mode to spin a wheel across 2-12 choices',
+      group: 'Use "Group" mode to pick someone, shuffle a running order or split a roster into teams',
+      ask: 'Use "Ask" mode to put a question to the coin; more than two answers spin the wheel',
+      series: 'Pick "Best of 3/5/7" for a series, or "Bracket" to knock options out pairwise',
+      fair: 'Turn on "Provably fair" to see the seed\'s hash before flipping and verify it in history',
+      widget: 'Add the Decision Coin widget to your home screen, or long-press the app icon for "Flip now"',
+      share: 'Tap "Share this setup as a link" to send your sides, options or question to others; the link opens the same setup',
+      together: 'Tap "Flip together" to host a session on your Wi-Fi or join one; everyone sees the host\'s flips and keeps them in their history',
+      veto: 'Lost a flip? Tap "Veto" to flip again ({count} per session); history keeps both results',
+      history: 'View history to browse past flips and set how long to keep them',
+      screenReader: 'With VoiceOver or TalkBack, double-tap the coin or wheel to flip, or use "Reset" instead of shaking; on iPhone a two-finger double-tap flips from anywhere',
+      settings: 'Open Settings to pick a light, dark or system look, an accent color and a language, or to tune or turn off flick, shake and swipe',
+    },
+  },
+
+  a11y: {
+    result: 'Result: {label}',
+  },
+
+  coin: {
+    label: 'Coin',
+    showing: 'Coin, showing {side}',
+    hint: 'Flips the coin',
+  },
+
+  wheel: {
+    label: 'Wheel',
+    landedOn: 'Wheel, landed on {label}',
+    hint: 'Spins the wheel',
+  },
+
+  widget: {
+    flip: 'Flip',
+  },
+
+  quickActions: {
+    flip: 'Flip now',
+    history: 'Open history',
+  },
+
+  quickFlip: {
+    either: '{a} or {b}',
+    options: '{count} options',
+    people: '{count} people',
+    order: 'Order of {people}',
+    teams: '{count} teams from {people}',
+    pick: 'Pick from {people}',
+  },
+
+  undo: {
+    label: 'Undo',
+    button: 'UNDO',
+  },
+
+  coinFaces: {
+    title: 'Coin Faces',
+    side: 'Side {side}',
+    preview: 'Side {side} preview',
+    changePhoto: 'Change photo',
+    shape: 'Shape (3D)',
+    flatHint: 'Skins and labels are drawn flat: use quarter or photo faces to see the shape.',
+    presetHint: 'Faces are saved with the active preset. Save a new preset to keep this coin.',
+    types: {
+      quarter: 'Quarter',
+      label: 'Label',
+      photo: 'Photo',
+    },
+    skins: {
+      euro: 'Euro',
+      peso: 'Peso',
+      gold: 'Gold',
+      chip: 'Poker chip',
+    },
+    models: {
+      classic: 'Classic',
+      token: 'Token',
+      chip: 'Poker chip',
+    },
+  },
+
+  options: {
+    fallback: 'Option {number}',
+    weight: 'Option {number} weight',
+    remove: 'Remove option {number}',
+    maximum: 'Maximum {count} options',
+    add: '+ Add Option',
+  },
+
+  questions: {
+    label: 'Your question:',
+    a11yLabel: 'Your question',
+    placeholder: 'e.g. Should we ship on Friday?',
+    answers: 'Answers:',
+    customPlaceholder: 'Answers, separated by commas',
+    needAnswers: 'Add at least two answers',
+    sets: {
+      yesno: 'Yes / No',
+      yesnomaybe: 'Yes / No / Maybe',
+      custom: 'Custom',
+    },
+  },
+
+  roster: {
+    title: 'Rosters',
+    deleteLabel: 'Delete roster',
+    chipLabel: { one: '{name}, 1 person', other: '{name}, {count} people' },
+    save: '+ Save roster',
+    saveLabel: 'Save roster',
+    name: 'Roster name',
+    namePlaceholder: 'Roster name (optional)',
+    names: 'Names:',
+    people: { one: '1 person', other: '{count} people' },
+    namesLabel: 'Names, one per line',
+    namesPlaceholder: 'One name per line',
+    teams: 'Teams:',
+    teamsLabel: 'Teams',
+    modes: {
+      pick: 'Pick one',
+      order: 'Order',
+      teams: 'Teams',
+    },
+  },
+
+  group: {
+    needNames: 'Add at least two names to draw from',
+    teamTitle: 'Team {number}',
+    goesFirst: '{name} goes first',
+    teamCount: '{count} teams',
+    pickedFrom: 'Picked 1 of {count}: {names}',
+    order: 'Order: {order}',
+    team: 'Team {number}: {names}',
+  },
+
+  match: {
+    seriesTitle: 'Best of {count} · first to {wins}',
+    flips: 'Flips: {flips}',
+    bracketTitle: 'Bracket · {count} options',
+    bye: '{label} (bye)',
+    versus: 'vs',
+  },
+
+  series: {
+    final: 'Final',
+    semifinal: 'Semifinal',
+    round: 'Round {number}',
+    seriesRun: 'Best of {count} · won {scores}',
+    bracketRun: 'Bracket · {matches} over {rounds}',
+    matches: { one: '1 match', other: '{count} matches' },
+    rounds: { one: '1 round', other: '{count} rounds' },
+  },
+
+  challenge: {
+    story: { one: 'After a veto: {story}', other: 'After {count} vetoes: {story}' },
+    vetoed: 'Vetoed · flipped again',
+  },
+
+  session: {
+    title: 'Flip Together',
+    hosting: "You're hosting",
+    joinWith: 'Others join with this address:',
+    hostHint:
+      "Your flips play on every phone in the session and are saved to everyone's history. Series, brackets and group draws stay on your phone.",
+    joined: 'Joined {address} as {name}',
+    guestHint: "The host's flips play here and are saved to your history.",
+    participants: 'In this session ({count})',
+    hostName: '{name} (host)',
+    end: 'End Session',
+    leave: 'Leave Session',
+    yourName: 'Your name:',
+    yourNameLabel: 'Your name',
+    namePlaceholder: 'Shown to the others',
+    host: 'Host a Session',
+    orJoin: 'Or join one on this Wi-Fi:',
+    addressLabel: 'Host address',
+    addressPlaceholder: 'Address from the host, e.g. 192.168.1.20',
+    join: 'Join',
+    connecting: 'Connecting',
+    defaultHost: 'Host',
+    defaultGuest: 'Guest {number}',
+  },
+
+  presets: {
+    title: 'Presets',
+    manage: 'Manage',
+    manageLabel: 'Manage presets',
+    favoriteLabel: '{name}, favorite',
+    saveCurrent: '+ Save current',
+    saveCurrentLabel: 'Save current as a preset',
+    name: 'Preset name',
+    namePlaceholder: 'Preset name (optional)',
+    renameHint: 'Renames the preset',
+    sides: '{a} / {b} · tap to rename',
+    favorite: 'Favorite {name}',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    delete: 'Delete {name}',
+    empty: 'No presets saved yet',
+  },
+
+  history: {
+    title: 'Flip History',
+    tabs: {
+      list: 'List',
+      stats: 'Stats',
+    },
+    all: 'All',
+    allPresets: 'All presets',
+    empty: 'No flip history yet',
+    emptyPreset: 'No flips with this preset yet',
+    loadingMore: 'Loading more...',
+    clear: 'Clear History',
+    cleared: 'History cleared',
+    deleted: 'Entry deleted',
+    export: 'Export',
+    exportCsv: 'Export CSV',
+    exportJson: 'Export JSON',
+    import: 'Import',
+    imported: { one: 'Added 1 flip.', other: 'Added {count} flips.' },
+    skipped: 'Skipped {items}.',
+    duplicates: { one: '1 duplicate', other: '{count} duplicates' },
+    invalidRows: { one: '1 invalid row', other: '{count} invalid rows' },
+    keep: 'Keep history:',
+    keepOption: 'Keep {option}',
+    retention: {
+      forever: 'Forever',
+      last100: 'Last 100',
+      last1000: 'Last 1,000',
+      days30: '30 days',
+      year1: '1 year',
+    },
+    unknownSide: 'Unknown',
+    deletedPreset: 'Deleted preset',
+    itemHint: 'Long-press to add a note, flip again or delete',
+    actionsFor: 'Actions for {title}',
+    preset: 'Preset: {name}',
+    fromOptions: 'From {count} options: {options}',
+    odds: 'Odds: {odds}',
+    fair: 'Fair · {hash}…',
+    verify: {
+      button: 'Verify',
+      checking: 'Checking...',
+      valid: '✓ Verified',
+      invalid: '✗ Mismatch',
+    },
+  },
+
+  entryActions: {
+    note: 'Note',
+    notePlaceholder: 'What did you decide and why?',
+    saveNote: 'Save Note',
+    editNote: 'Edit Note',
+    addNote: 'Add Note',
+    rerun: 'Re-run This Decision',
+    delete: 'Delete Entry',
+  },
+
+  stats: {
+    coinScope: 'Heads/Tails',
+    allScope: 'All results',
+    empty: 'No flips to analyze yet',
+    results: { one: 'Results (1 flip)', other: 'Results ({count} flips)' },
+    moreResults: { one: '+1 more result', other: '+{count} more results' },
+    streaks: 'Streaks',
+    current: 'Current',
+    longest: 'Longest',
+    perDay: 'Flips per day (last 14 days)',
+    average: 'Average {average} flips per active day',
+    fairness: 'Fairness check (chi-square)',
+    noCoinFlips: 'No Heads/Tails flips to test yet.',
+    needMore: 'Need at least {count} Heads/Tails flips for a meaningful test ({sampleSize} so far).',
+    fair: 'Consistent with a fair coin',
+    unfair: 'Unusual result for a fair coin',
+    fairHint: 'A split of {heads}/{tails} or more lopsided happens by chance {share} of the time.',
+    unfairHint:
+      'p < 0.05: a split this lopsided is rare for a fair coin, though it still happens by chance about 1 time in 20.',
+  },
+
+  settings: {
+    title: 'Settings',
+    appearance: 'Appearance',
+    themeModes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+    },
+    themeLabel: '{mode} theme',
+    themeHint: "System follows your phone's light or dark setting.",
+    accents: {
+      mint: 'Mint',
+      ocean: 'Ocean',
+      grape: 'Grape',
+      sunset: 'Sunset',
+      gold: 'Gold',
+    },
+    accentLabel: '{accent} accent',
+    language: 'Language',
+    systemLanguage: 'System',
+    languageHint: "System follows your phone's language.",
+    flick: 'Flick phone to flip',
+    shake: 'Shake to reset',
+    swipe: 'Swipe coin / wheel up to flip',
+    swipeLabel: 'Swipe coin or wheel up to flip',
+    sensitivity: 'Sensitivity (lower fires easier)',
+    cooldown: 'Cooldown',
+    minimumSpeed: 'Minimum speed',
+    calibration: 'Calibration',
+    flickReading: 'Flick (sharpest rise in y)',
+    shakeReading: 'Shake (strongest swing)',
+    fired: 'FIRED',
+    off: 'off',
+    noSensor: 'No accelerometer on this device.',
+    shareTrace: 'Share last 10 s of readings',
+    shareTraceHint: 'Shares the raw readings as a test trace for tuning the gestures',
+    swipeTest: 'Swipe up here to test',
+    swipeFired: '{velocity} pt/s · would flip',
+    swipeSlow: '{velocity} pt/s · too slow',
+    calibrationHint:
+      "A flick is one sharp rise that settles; a shake needs several strong swings back and forth. Gestures don't flip or reset while this screen is open.",
+    restoreDefaults: 'Restore Defaults',
+  },
+
+  transfer: {
+    emptyFile: 'The file is empty.',
+    invalidJson: 'The file is not valid JSON.',
+    noEntries: 'The JSON file has no "entries" list.',
+    csvColumns: 'The CSV file needs "timestamp" and "side" columns.',
+    nothingToExport: 'There is no history to export.',
+    sharingUnavailable: 'Sharing is not available on this device.',
+    dialogTitle: 'Export flip history',
+    exportFailed: 'Export failed.',
+    saveFailed: 'Saving the imported history failed.',
+    importFailed: 'Import failed.',
+  },
+};
@@ -0,0 +1,460 @@
+/**
+ * Spanish messages (see utils/i18n for the format)
+ * Anything left out here is shown in English.
+ */
+export default {
+  common: {
+    and: 'y',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    delete: 'Eliminar',
+    done: 'Listo',
+    loading: 'Cargando...',
+    save: 'Guardar',
+  },
+
+  labels: {
+    Heads: 'Cara',
+    Tails: 'Cruz',
+    Yes: 'Sí',
+    No: 'No',
+    Maybe: 'Quizás',
+  },
+
+  time: {
+    unknown: 'Hora desconocida',
+    justNow: 'Ahora mismo',
+    minutesAgo: { one: 'Hace 1 minuto', other: 'Hace {count} minutos' },
+    hoursAgo: { one: 'Hace 1 hora', other: 'Hace {count} horas' },
+    daysAgo: { one: 'Hace 1 día', other: 'Hace {count} días' },
+  },
+
+  app: {
+    title: 'Decision Coin',
+    settings: 'Ajustes',
+    settingsHint: 'Abre los ajustes de apariencia, idioma y gestos',
+    history: 'Historial',
+    historyHint: 'Abre las tiradas anteriores y las estadísticas',
+    sessionHint: 'Abre la sesión',
+    hostingBanner: 'Anfitrión en {address} · {count} en la sesión',
+    guestBanner: 'En la sesión de {host} · solo tira el anfitrión',
+    theHost: 'el anfitrión',
+    modes: {
+      default: 'Cara/Cruz',
+      custom: 'Personalizada (A/B)',
+      multi: 'Opciones',
+      group: 'Grupo',
+      question: 'Preguntar',
+    },
+    coinSummary: 'Moneda: {a} / {b}',
+    designCoin: 'Diseñar moneda',
+    sideLabel: 'Lado {side}:',
+    sideWeight: 'Peso del lado {side}',
+    sideInput: 'Etiqueta del lado {side}',
+    sidePlaceholder: 'Etiqueta para {side} (hasta 150 caracteres)',
+    weight: 'Peso',
+    fair: {
+      title: 'Demostrablemente justa',
+      commitment: 'Compromiso (SHA-256 de la semilla):\n{hash}',
+      preparing: 'Preparando el compromiso...',
+      reveal: 'Semilla: {seed}\nHash: {hash}',
+      oneAtATime: 'El modo demostrablemente justo tira una decisión cada vez',
+      unavailableTitle: 'Modo demostrablemente justo desactivado',
+      unavailableMessage: 'Este dispositivo no pudo dar aleatoriedad segura para una semilla, así que se desactivó el modo demostrablemente justo.',
+    },
+    formats: {
+      wheel: 'Ruleta',
+      bracket: 'Eliminatoria',
+      single: 'Una',
+      bestOf: 'Al mejor de {count}',
+    },
+    result: 'Resultado:',
+    ready: 'Lista',
+    odds: {
+      equal: '{share} de probabilidad (todas iguales)',
+      weighted: '{share} de probabilidad · {odds}',
+    },
+    actions: {
+      waitingForHost: 'Esperando al anfitrión...',
+      shuffling: 'Barajando...',
+      shuffle: 'Barajar orden',
+      dealing: 'Repartiendo...',
+      makeTeams: 'Hacer {count} equipos',
+      picking: 'Eligiendo...',
+      pick: 'Elegir a alguien',
+      playingSeries: 'Jugando la serie...',
+      playSeries: 'Jugar al mejor de {count}',
+      playingBracket: 'Jugando la eliminatoria...',
+      runBracket: 'Jugar eliminatoria',
+      spinning: 'Girando...',
+      spin: 'Girar ruleta',
+      asking: 'Preguntando...',
+      ask: 'Preguntar',
+      flipping: 'Lanzando...',
+      flip: 'Lanzar moneda',
+    },
+    reset: 'Reiniciar',
+    resetHint: 'Borra el resultado, como agitar el teléfono',
+    veto: {
+      button: { one: 'Vetar (queda 1)', other: 'Vetar (quedan {count})' },
+      none: 'No quedan vetos',
+      hint: 'Anula este resultado y vuelve a lanzar',
+      confirmTitle: '¿Vetar este resultado?',
+      confirmMessage: '"{label}" queda en el historial como vetado y la moneda se lanza de nuevo. {left}',
+      leftAfter: { one: 'Después de este queda 1 veto.', other: 'Después de este quedan {count} vetos.' },
+      confirm: 'Vetar',
+      failedTitle: 'Veto no usado',
+      failedMessage: 'No se pudo marcar este resultado como vetado, así que se mantiene. Inténtalo de nuevo.',
+    },
+    random: {
+      failedTitle: 'Sin resultado',
+      failedMessage: 'Este dispositivo no pudo dar aleatoriedad segura, así que no se sorteó nada. Inténtalo de nuevo.',
+    },
+    shareLink: 'Compartir esta configuración como enlace',
+    flipTogether: 'Lanzar juntos',
+    resultCleared: 'Resultado borrado',
+    session: {
+      hostFailed: 'No se pudo crear la sesión. Comprueba que estás conectado al wifi e inténtalo de nuevo.',
+      badAddress: 'Escribe la dirección que aparece en el teléfono del anfitrión, p. ej. 192.168.1.20',
+      ended: 'La sesión ha terminado.',
+      joinFailed: 'No se pudo conectar con ese anfitrión. Comprueba la dirección y que estáis en el mismo wifi.',
+    },
+    instructions: {
+      flip: 'Toca "Lanzar moneda" o desliza la moneda hacia arriba para lanzarla (cuanto más fuerte, más alto sube)',
+      flick: 'Sacude el teléfono hacia arriba para lanzar la moneda',
+      reset: 'Agita el dispositivo o toca "Reiniciar" para borrar el resultado (toca "Deshacer" para recuperarlo)',
+      design: 'En modo Personalizada, toca "Diseñar moneda" para ponerle un estilo, una foto o tus etiquetas, o elegir su forma 3D',
+      options: 'Usa el modo "Opciones" para girar una ruleta con 2 a 12 opciones',
+      group: 'Usa el modo "Grupo" para elegir a alguien, barajar un orden o repartir una lista en equipos',
+      ask: 'Usa el modo "Preguntar" para hacerle una pregunta a la moneda; con más de dos respuestas gira la ruleta',
+      series: 'Elige "Al mejor de 3/5/7" para una serie, o "Eliminatoria" para enfrentar las opciones por parejas',
+      fair: 'Activa "Demostrablemente justa" para ver el hash de la semilla antes de lanzar y comprobarlo en el historial',
+      widget: 'Añade el widget de Decision Coin a la pantalla de inicio, o mantén pulsado el icono de la app para "Lanzar ahora"',
+      share: 'Toca "Compartir esta configuración como enlace" para enviar tus lados, opciones o pregunta; el enlace abre la misma configuración',
+      together: 'Toca "Lanzar juntos" para crear una sesión en tu wifi o unirte a una; todos ven las tiradas del anfitrión y las guardan en su historial',
+      veto: '¿Has perdido? Toca "Vetar" para lanzar de nuevo ({count} por sesión); el historial guarda ambos resultados',
+      history: 'Abre el historial para ver las tiradas anteriores y decidir cuánto tiempo guardarlas',
+      screenReader: 'Con VoiceOver o TalkBack, toca dos veces la moneda o la ruleta para lanzar, o usa "Reiniciar" en lugar de agitar; en iPhone, un doble toque con dos dedos lanza desde cualquier sitio',
+      settings: 'Abre Ajustes para elegir un aspecto claro, oscuro o del sistema, un color de acento y un idioma, o para ajustar o desactivar sacudir, agitar y deslizar',
+    },
+  },
+
+  a11y: {
+    result: 'Resultado: {label}',
+  },
+
+  coin: {
+    label: 'Moneda',
+    showing: 'Moneda, muestra {side}',
+    hint: 'Lanza la moneda',
+  },
+
+  wheel: {
+    label: 'Ruleta',
+    landedOn: 'Ruleta, se detuvo en {label}',
+    hint: 'Gira la ruleta',
+  },
+
+  widget: {
+    flip: 'Lanzar',
+  },
+
+  quickActions: {
+    flip: 'Lanzar ahora',
+    history: 'Abrir historial',
+  },
+
+  quickFlip: {
+    either: '{a} o {b}',
+    options: '{count} opciones',
+    people: '{count} personas',
+    order: 'Orden de {people}',
+    teams: '{count} equipos de {people}',
+    pick: 'Elegir entre {people}',
+  },
+
+  undo: {
+    label: 'Deshacer',
+    button: 'DESHACER',
+  },
+
+  coinFaces: {
+    title: 'Caras de la moneda',
+    side: 'Lado {side}',
+    preview: 'Vista previa del lado {side}',
+    changePhoto: 'Cambiar foto',
+    shape: 'Forma (3D)',
+    flatHint: 'Los estilos y las etiquetas se dibujan planos: usa la cara de cuarto de dólar o una foto para ver la forma.',
+    presetHint: 'Las caras se guardan con la plantilla activa. Guarda una plantilla nueva para conservar esta moneda.',
+    types: {
+      quarter: 'Cuarto de dólar',
+      label: 'Etiqueta',
+      photo: 'Foto',
+    },
+    skins: {
+      euro: 'Euro',
+      peso: 'Peso',
+      gold: 'Oro',
+      chip: 'Ficha de póker',
+    },
+    models: {
+      classic: 'Clásica',
+      token: 'Ficha',
+      chip: 'Ficha de póker',
+    },
+  },
+
+  options: {
+    fallback: 'Opción {number}',
+    weight: 'Peso de la opción {number}',
+    remove: 'Quitar la opción {number}',
+    maximum: 'Máximo {count} opciones',
+    add: '+ Añadir opción',
+  },
+
+  questions: {
+    label: 'Tu pregunta:',
+    a11yLabel: 'Tu pregunta',
+    placeholder: 'p. ej. ¿Lanzamos el viernes?',
+    answers: 'Respuestas:',
+    customPlaceholder: 'Respuestas, separadas por comas',
+    needAnswers: 'Añade al menos dos respuestas',
+    sets: {
+      yesno: 'Sí / No',
+      yesnomaybe: 'Sí / No / Quizás',
+      custom: 'Personalizadas',
+    },
+  },
+
+  roster: {
+    title: 'Listas',
+    deleteLabel: 'Eliminar lista',
+    chipLabel: { one: '{name}, 1 persona', other: '{name}, {count} personas' },
+    save: '+ Guardar lista',
+    saveLabel: 'Guardar lista',
+    name: 'Nombre de la lista',
+    namePlaceholder: 'Nombre de la lista (opcional)',
+    names: 'Nombres:',
+    people: { one: '1 persona', other: '{count} personas' },
+    namesLabel: 'Nombres, uno por línea',
+    namesPlaceholder: 'Un nombre por línea',
+    teams: 'Equipos:',
+    teamsLabel: 'Equipos',
+    modes: {
+      pick: 'Elegir uno',
+      order: 'Orden',
+      teams: 'Equipos',
+    },
+  },
+
+  group: {
+    needNames: 'Añade al menos dos nombres para el sorteo',
+    teamTitle: 'Equipo {number}',
+    goesFirst: '{name} va primero',
+    teamCount: '{count} equipos',
+    pickedFrom: 'Elegido 1 de {count}: {names}',
+    order: 'Orden: {order}',
+    team: 'Equipo {number}: {names}',
+  },
+
+  match: {
+    seriesTitle: 'Al mejor de {count} · gana quien llegue a {wins}',
+    flips: 'Tiradas: {flips}',
+    bracketTitle: 'Eliminatoria · {count} opciones',
+    bye: '{label} (pasa directo)',
+    versus: 'contra',
+  },
+
+  series: {
+    final: 'Final',
+    semifinal: 'Semifinal',
+    round: 'Ronda {number}',
+    seriesRun: 'Al mejor de {count} · ganó {scores}',
+    bracketRun: 'Eliminatoria · {matches} en {rounds}',
+    matches: { one: '1 partido', other: '{count} partidos' },
+    rounds: { one: '1 ronda', other: '{count} rondas' },
+  },
+
+  challenge: {
+    story: { one: 'Tras un veto: {story}', other: 'Tras {count} vetos: {story}' },
+    vetoed: 'Vetado · se lanzó de nuevo',
+  },
+
+  session: {
+    title: 'Lanzar juntos',
+    hosting: 'Eres el anfitrión',
+    joinWith: 'Los demás se unen con esta dirección:',
+    hostHint:
+      'Tus tiradas se ven en todos los teléfonos de la sesión y se guardan en el historial de todos. Las series, eliminatorias y sorteos de grupo se quedan en tu teléfono.',
+    joined: 'Unido a {address} como {name}',
+    guestHint: 'Las tiradas del anfitrión se ven aquí y se guardan en tu historial.',
+    participants: 'En esta sesión ({count})',
+    hostName: '{name} (anfitrión)',
+    end: 'Terminar sesión',
+    leave: 'Salir de la sesión',
+    yourName: 'Tu nombre:',
+    yourNameLabel: 'Tu nombre',
+    namePlaceholder: 'Lo verán los demás',
+    host: 'Crear una sesión',
+    orJoin: 'O únete a una en este wifi:',
+    addressLabel: 'Dirección del anfitrión',
+    addressPlaceholder: 'Dirección del anfitrión, p. ej. 192.168.1.20',
+    join: 'Unirse',
+    connecting: 'Conectando',
+    defaultHost: 'Anfitrión',
+    defaultGuest: 'Invitado {number}',
+  },
+
+  presets: {
+    title: 'Plantillas',
+    manage: 'Gestionar',
+    manageLabel: 'Gestionar plantillas',
+    favoriteLabel: '{name}, favorito',
+    saveCurrent: '+ Guardar actual',
+    saveCurrentLabel: 'Guardar la configuración actual como plantilla',
+    name: 'Nombre de la plantilla',
+    namePlaceholder: 'Nombre de la plantilla (opcional)',
+    renameHint: 'Cambia el nombre de la plantilla',
+    sides: '{a} / {b} · toca para renombrar',
+    favorite: 'Marcar {name} como favorito',
+    moveUp: 'Subir {name}',
+    moveDown: 'Bajar {name}',
+    delete: 'Eliminar {name}',
+    empty: 'Aún no hay plantillas guardadas',
+  },
+
+  history: {
+    title: 'Historial de tiradas',
+    tabs: {
+      list: 'Lista',
+      stats: 'Estadísticas',
+    },
+    all: 'Todos',
+    allPresets: 'Todas las plantillas',
+    empty: 'Aún no hay tiradas',
+    emptyPreset: 'Aún no hay tiradas con esta plantilla',
+    loadingMore: 'Cargando más...',
+    clear: 'Borrar historial',
+    cleared: 'Historial borrado',
+    deleted: 'Entrada eliminada',
+    export: 'Exportar',
+    exportCsv: 'Exportar CSV',
+    exportJson: 'Exportar JSON',
+    import: 'Importar',
+    imported: { one: 'Se añadió 1 tirada.', other: 'Se añadieron {count} tiradas.' },
+    skipped: 'Se omitieron {items}.',
+    duplicates: { one: '1 duplicada', other: '{count} duplicadas' },
+    invalidRows: { one: '1 fila no válida', other: '{count} filas no válidas' },
+    keep: 'Guardar historial:',
+    keepOption: 'Guardar {option}',
+    retention: {
+      forever: 'Siempre',
+      last100: 'Últimas 100',
+      last1000: 'Últimas 1000',
+      days30: '30 días',
+      year1: '1 año',
+    },
+    unknownSide: 'Desconocido',
+    deletedPreset: 'Plantilla eliminada',
+    itemHint: 'Mantén pulsado para añadir una nota, lanzar de nuevo o eliminar',
+    actionsFor: 'Acciones para {title}',
+    preset: 'Plantilla: {name}',
+    fromOptions: 'Entre {count} opciones: {options}',
+    odds: 'Probabilidades: {odds}',
+    fair: 'Justa · {hash}…',
+    verify: {
+      button: 'Verificar',
+      checking: 'Comprobando...',
+      valid: '✓ Verificada',
+      invalid: '✗ No coincide',
+    },
+  },
+
+  entryActions: {
+    note: 'Nota',
+    notePlaceholder: '¿Qué decidiste y por qué?',
+    saveNote: 'Guardar nota',
+    editNote: 'Editar nota',
+    addNote: 'Añadir nota',
+    rerun: 'Repetir esta decisión',
+    delete: 'Eliminar entrada',
+  },
+
+  stats: {
+    coinScope: 'Cara/Cruz',
+    allScope: 'Todos los resultados',
+    empty: 'Aún no hay tiradas que analizar',
+    results: { one: 'Resultados (1 tirada)', other: 'Resultados ({count} tiradas)' },
+    moreResults: { one: '+1 resultado más', other: '+{count} resultados más' },
+    streaks: 'Rachas',
+    current: 'Actual',
+    longest: 'Más larga',
+    perDay: 'Tiradas por día (últimos 14 días)',
+    average: 'Media de {average} tiradas por día activo',
+    fairness: 'Prueba de equidad (chi cuadrado)',
+    noCoinFlips: 'Aún no hay tiradas de Cara/Cruz que probar.',
+    needMore: 'Hacen falta al menos {count} tiradas de Cara/Cruz para una prueba fiable (llevas {sampleSize}).',
+    fair: 'Coherente con una moneda justa',
+    unfair: 'Resultado inusual para una moneda justa',
+    fairHint: 'Un reparto de {heads}/{tails} o más desigual ocurre por azar el {share} de las veces.',
+    unfairHint:
+      'p < 0,05: un reparto tan desigual es raro en una moneda justa, aunque por azar sigue ocurriendo más o menos 1 vez de cada 20.',
+  },
+
+  settings: {
+    title: 'Ajustes',
+    appearance: 'Apariencia',
+    themeModes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+    themeLabel: 'Tema {mode}',
+    themeHint: 'Sistema sigue el modo claro u oscuro de tu teléfono.',
+    accents: {
+      mint: 'Menta',
+      ocean: 'Océano',
+      grape: 'Uva',
+      sunset: 'Atardecer',
+      gold: 'Oro',
+    },
+    accentLabel: 'Acento {accent}',
+    language: 'Idioma',
+    systemLanguage: 'Sistema',
+    languageHint: 'Sistema sigue el idioma de tu teléfono.',
+    flick: 'Sacudir el teléfono para lanzar',
+    shake: 'Agitar para reiniciar',
+    swipe: 'Deslizar moneda / ruleta hacia arriba para lanzar',
+    swipeLabel: 'Deslizar la moneda o la ruleta hacia arriba para lanzar',
+    sensitivity: 'Sensibilidad (menor se activa antes)',
+    cooldown: 'Pausa',
+    minimumSpeed: 'Velocidad mínima',
+    calibration: 'Calibración',
+    flickReading: 'Sacudida (subida más brusca en y)',
+    shakeReading: 'Agitar (oscilación más fuerte)',
+    fired: 'ACTIVADO',
+    off: 'no',
+    noSensor: 'Este dispositivo no tiene acelerómetro.',
+    shareTrace: 'Compartir las lecturas de los últimos 10 s',
+    shareTraceHint: 'Comparte las lecturas sin procesar como traza de prueba para ajustar los gestos',
+    swipeTest: 'Desliza hacia arriba aquí para probar',
+    swipeFired: '{velocity} pt/s · lanzaría',
+    swipeSlow: '{velocity} pt/s · demasiado lento',
+    calibrationHint:
+      'Una sacudida es una subida brusca que se detiene; agitar necesita varias oscilaciones fuertes de ida y vuelta. Los gestos no lanzan ni reinician mientras esta pantalla está abierta.',
+    restoreDefaults: 'Restaurar valores predeterminados',
+  },
+
+  transfer: {
+    emptyFile: 'El archivo está vacío.',
+    invalidJson: 'El archivo no es un JSON válido.',
+    noEntries: 'El archivo JSON no tiene una lista "entries".',
+    csvColumns: 'El archivo CSV necesita las columnas "timestamp" y "side".',
+    nothingToExport: 'No hay historial que exportar.',
+    sharingUnavailable: 'Compartir no está disponible en este dispositivo.',
+    dialogTitle: 'Exportar historial de tiradas',
+    exportFailed: 'No se pudo exportar.',
+    saveFailed: 'No se pudo guardar el historial importado.',
+    importFailed: 'No se pudo importar.',
+  },
+};
@@ -0,0 +1,130 @@
+import * as Crypto from 'expo-crypto';
+import { randomHex } from './random';
+import { getTickets, indexForTicket } from './weights';
+
+/**
+ * Provably fair commit-reveal flips
+ *
+ * 1. Before the flip a random seed is generated and only its SHA-256 hash
+ *    (the commitment) is shown.
+ * 2. The result is derived from the seed alone, so it is fixed the moment
+ *    the commitment is shown.
+ * 3. After the flip the seed is revealed and stored in history.
+ *
+ * Anyone can re-verify an entry offline with any SHA-256 tool:
+ * - SHA-256(seed) must equal the commitment hash.
+ * - For counter = 0, 1, 2, ... compute SHA-256(`${seed}:${counter}`) and read
+ *   it as eight big-endian uint32 words. The first word below
+ *   floor(2^32 / totalTickets) * totalTickets, taken modulo totalTickets, is the
+ *   winning ticket. Tickets are handed out to the options in order.
+ */
+
+export const FAIR_ALGORITHM = 'sha256-commit-v1';
+
+const UINT32_RANGE = 0x100000000; // 2^32
+const MAX_COUNTER = 64;
+const MAX_SEED_LENGTH = 128;
+
+const sha256 = (text) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, text, {
+    encoding: Crypto.CryptoEncoding.HEX,
+  });
+
+/**
+ * Clean a stored provably fair record
+ * @param {*} fair
+ * @returns {Object|null} - { seed, hash, index, algorithm }, or null if it isn't one
+ */
+export const sanitizeFair = (fair) => {
+  if (
+    !fair ||
+    typeof fair !== 'object' ||
+    typeof fair.seed !== 'string' ||
+    !fair.seed ||
+    fair.seed.length > MAX_SEED_LENGTH ||
+    typeof fair.hash !== 'string' ||
+    !/^[0-9a-f]{64}$/i.test(fair.hash) ||
+    !Number.isInteger(fair.index) ||
+    fair.index < 0
+  ) {
+    return null;
+  }
+  return {
+    seed: fair.seed,
+    hash: fair.hash,
+    index: fair.index,
+    algorithm: typeof fair.algorithm === 'string' ? fair.algorithm : FAIR_ALGORITHM,
+  };
+};
+
+/**
+ * Create a fresh seed and its commitment hash
+ * Rejects with a RandomSourceError when there is no secure randomness: fair
+ * mode is not offered with a seed anyone could have guessed.
+ * @returns {Promise<{seed: string, hash: string}>}
+ */
+export const createCommitment = async () => {
+  const seed = randomHex(32);
+  const hash = await sha256(seed);
+  return { seed, hash };
+};
+
+/**
+ * Derive the winning option index from a revealed seed
+ * @param {string} seed - The revealed seed
+ * @param {Array<number>} weights - Option weights in force for the flip
+ * @returns {Promise<number>} - Winning option index
+ */
+export const deriveFairIndex = async (seed, weights) => {
+  const tickets = getTickets(weights);
+  const total = tickets.reduce((sum, ticket) => sum + ticket, 0);
+
+  // Guard: Nothing to choose between
+  if (total <= 1) {
+    return 0;
+  }
+
+  const limit = UINT32_RANGE - (UINT32_RANGE % total);
+
+  for (let counter = 0; counter < MAX_COUNTER; counter++) {
+    const hex = await sha256(`${seed}:${counter}`);
+    for (let offset = 0; offset + 8 <= hex.length; offset += 8) {
+      const word = parseInt(hex.slice(offset, offset + 8), 16);
+      if (word < limit) {
+        return indexForTicket(tickets, word % total);
+      }
+    }
+  }
+
+  // Unreachable in practice: every word would have to be rejected 512 times in a row
+  throw new Error('deriveFairIndex: No acceptable word found');
+};
+
+/**
+ * Re-verify a provably fair history entry
+ * @param {Object} entry - History entry with a `fair` record
+ * @returns {Promise<{valid: boolean, commitmentMatches: boolean, resultMatches: boolean}>}
+ */
+export const verifyFairEntry = async (entry) => {
+  const failed = { valid: false, commitmentMatches: false, resultMatches: false };
+
+  try {
+    // Guard: Entry must carry a complete fair record
+    if (!entry || !entry.fair || typeof entry.fair.seed !== 'string' || typeof entry.fair.hash !== 'string') {
+      return failed;
+    }
+
+    const { seed, hash, index } = entry.fair;
+    const options = Array.isArray(entry.options) ? entry.options : ['Heads', 'Tails'];
+    const weights = Array.isArray(entry.weights) ? entry.weights : options.map(() => 1);
+
+    const commitmentMatches = (await sha256(seed)) === hash.toLowerCase();
+    const expectedIndex = await deriveFairIndex(seed, weights);
+    const resultMatches = expectedIndex === index && options[expectedIndex] === entry.side;
+
+    return { valid: commitmentMatches && resultMatches, commitmentMatches, resultMatches };
+  } catch (error) {
+    console.error('verifyFairEntry error:', error);
+    return failed;
+  }
+};
@@ -0,0 +1,99 @@
+import { t } from './i18n';
+
+/**
+ * Question mode ("ask the oracle")
+ * The user types a question and gets one answer from an answer set. Two
+ * answers are flipped on the coin, three or more are spun on the wheel.
+ * History keeps the question next to the answer.
+ */
+
+export const MAX_QUESTION_LENGTH = 200;
+export const MAX_ANSWER_LENGTH = 40;
+export const MAX_ANSWERS = 12;
+
+// Built-in answer sets; 'custom' uses the user's own answers. Built-in answers
+// are stored in English and shown translated (see utils/i18n translateLabel);
+// the user's own are shown as typed, even if they match a built-in set
+export const ANSWER_SETS = {
+  yesno: { answers: ['Yes', 'No'] },
+  yesnomaybe: { answers: ['Yes', 'No', 'Maybe'] },
+  custom: { answers: [] },
+};
+
+export const DEFAULT_ANSWER_SET = 'yesno';
+
+/**
+ * Whether an answer set is one of the app's own
+ * @param {string} answerSet
+ * @returns {boolean}
+ */
+export const isBuiltInAnswerSet = (answerSet) => answerSet !== 'custom' && Object.keys(ANSWER_SETS).includes(answerSet);
+
+/**
+ * Built-in answer set with exactly these answers
+ * @param {Array<string>} answers
+ * @returns {string} - Key of ANSWER_SETS; 'custom' if none matches
+ */
+export const findAnswerSet = (answers) =>
+  Object.keys(ANSWER_SETS).find((key) =>
+    isBuiltInAnswerSet(key) && ANSWER_SETS[key].answers.join('\n') === answers.join('\n')
+  ) || 'custom';
+
+/**
+ * Name of an answer set in the current language
+ * @param {string} answerSet - Key of ANSWER_SETS
+ * @returns {string}
+ */
+export const getAnswerSetName = (answerSet) => t(`questions.sets.${answerSet}`);
+
+/**
+ * Clean a question: single line, trimmed, capped in length
+ * @param {*} question
+ * @returns {string}
+ */
+export const sanitizeQuestion = (question) => {
+  if (typeof question !== 'string') {
+    return '';
+  }
+  return question.replace(/\s+/g, ' ').trim().substring(0, MAX_QUESTION_LENGTH);
+};
+
+/**
+ * Split custom answers typed comma- or line-separated
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const parseCustomAnswers = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text
+    .split(/[\n,]/)
+    .map((answer) => answer.trim().substring(0, MAX_ANSWER_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_ANSWERS);
+};
+
+/**
+ * Answers for an answer set
+ * @param {string} answerSet - Key of ANSWER_SETS
+ * @param {string} [customText] - The user's answers for 'custom'
+ * @returns {Array<string>} - Fewer than two answers means nothing to choose from
+ */
+export const getAnswers = (answerSet, customText) => {
+  if (answerSet === 'custom') {
+    return parseCustomAnswers(customText);
+  }
+  return (ANSWER_SETS[answerSet] || ANSWER_SETS[DEFAULT_ANSWER_SET]).answers;
+};
+
+/**
+ * Question and answer on one line, for history
+ * @param {string} question
+ * @param {string} answer
+ * @returns {string} - "Should we ship Friday? → No"; just the answer without a question
+ */
+export const formatQuestionResult = (question, answer) => {
+  const text = sanitizeQuestion(question);
+  return text ? `${text} → ${answer}` : answer;
+};
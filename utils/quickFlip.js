@@ -0,0 +1,147 @@
+import { createDecisionEngine, getChoices, getDecisionAt, resolveSideLabel } from './decisionEngine';
+import { getTickets } from './weights';
+import { sanitizeLastChoice } from './lastChoice';
+import { formatQuestionResult } from './questions';
+import { getLastChoice, getHistoryPage } from './storage';
+import { t, translateLabel, translateBuiltInLabel, translateEntryLabel } from './i18n';
+
+/**
+ * Quick flips
+ * Decisions made outside the main screen: the home screen widgets and the
+ * app-icon quick actions. They flip the last-used choice (see utils/lastChoice)
+ * and save through the engine like any other flip, so history can't tell them apart.
+ */
+
+/**
+ * App-icon quick actions (long-press the icon), titled in the current language
+ * Icons are iOS built-ins; Android shows none.
+ * @returns {Array<{id: string, title: string, icon: string}>}
+ */
+export const getQuickActionItems = () => [
+  { id: 'flip', title: t('quickActions.flip'), icon: 'shuffle' },
+  { id: 'history', title: t('quickActions.history'), icon: 'time' },
+];
+
+/**
+ * One-line summary of a choice for the widget
+ * @param {Object} choice - Sanitized choice
+ * @returns {string} - e.g. "Pizza or Tacos", "4 options", "Pick from 6 people"
+ */
+export const describeLastChoice = (choice) => {
+  if (choice.mode === 'custom') {
+    const sideA = resolveSideLabel('A', choice.customSideA, choice.customSideB);
+    const sideB = resolveSideLabel('B', choice.customSideA, choice.customSideB);
+    return t('quickFlip.either', { a: sideA, b: sideB });
+  }
+  if (choice.mode === 'multi') {
+    return t('quickFlip.options', { count: choice.options.length });
+  }
+  if (choice.mode === 'question') {
+    const { builtInLabels } = getChoices(choice);
+    return choice.question || choice.answers.map((answer) => translateLabel(answer, builtInLabels)).join(' / ');
+  }
+  if (choice.mode === 'group') {
+    const people = t('quickFlip.people', { count: choice.names.length });
+    if (choice.groupMode === 'order') {
+      return t('quickFlip.order', { people });
+    }
+    if (choice.groupMode === 'teams') {
+      return t('quickFlip.teams', { count: choice.teamCount, people });
+    }
+    return t('quickFlip.pick', { people });
+  }
+  return t('quickFlip.either', { a: translateBuiltInLabel('Heads'), b: translateBuiltInLabel('Tails') });
+};
+
+/**
+ * Result line for a history entry, as the widget shows it
+ * @param {Object|null} entry
+ * @returns {string|null} - "Pizza", "Should we ship Friday? → No"; null without an entry
+ */
+export const describeWidgetResult = (entry) => {
+  if (!entry || typeof entry.side !== 'string') {
+    return null;
+  }
+  const side = translateEntryLabel(entry);
+  return entry.question ? formatQuestionResult(entry.question, side) : side;
+};
+
+/**
+ * Everything a native widget needs to draw from a choice on its own
+ * Group orders and teams are only drawn in JS, so `labels` is empty for them.
+ * @param {Object} choice - Sanitized choice
+ * @returns {{choice: Object, title: string, labels: Array<string>, tickets: Array<number>}}
+ */
+export const getWidgetChoice = (choice) => {
+  const title = describeLastChoice(choice);
+  if (choice.mode === 'group') {
+    return choice.groupMode === 'pick'
+      ? { choice, title, labels: choice.names, tickets: choice.names.map(() => 1) }
+      : { choice, title, labels: [], tickets: [] };
+  }
+  const { labels, weights, builtInLabels } = getChoices(choice);
+  return {
+    choice,
+    title,
+    labels: labels.map((label) => translateLabel(label, builtInLabels)),
+    tickets: getTickets(weights),
+  };
+};
+
+/**
+ * What the widget shows: the last-used choice and the latest result
+ * @returns {Promise<{title: string, result: string|null, choice: Object}>}
+ */
+export const getWidgetState = async () => {
+  const choice = await getLastChoice();
+  const { entries } = await getHistoryPage({ limit: 1 });
+  return {
+    choice,
+    title: describeLastChoice(choice),
+    result: describeWidgetResult(entries[0] || null),
+  };
+};
+
+/**
+ * Flip the last-used choice right away and save it to history
+ * @param {Object} [engine] - Decision engine; a default one if omitted
+ * @returns {Promise<Object|null>} - Decision, null if it couldn't be made
+ */
+export const quickFlip = async (engine = createDecisionEngine()) => {
+  try {
+    const choice = await getLastChoice();
+    // No animation to wait for: the draw lands immediately
+    const decision = choice.mode === 'group' ? await engine.drawGroup(choice) : await engine.decide(choice);
+    await engine.record(decision);
+    return decision;
+  } catch (error) {
+    console.error('quickFlip error:', error);
+    return null;
+  }
+};
+
+/**
+ * Save flips that a native widget drew while the app was closed
+ * Each flip carries the choice it was drawn from and when it was drawn;
+ * they are saved oldest first.
+ * @param {Array} flips - [{ choice, index, timestamp }]
+ * @param {Object} [engine] - Decision engine; a default one if omitted
+ * @returns {Promise<number>} - Number of flips saved
+ */
+export const recordWidgetFlips = async (flips, engine = createDecisionEngine()) => {
+  if (!Array.isArray(flips)) {
+    return 0;
+  }
+
+  let saved = 0;
+  for (const flip of flips) {
+    // Guard: Skip anything that doesn't fit the choice it claims to come from
+    const claimed = flip && typeof flip === 'object' && flip.choice ? flip.choice : null;
+    const choice = claimed ? sanitizeLastChoice(claimed) : null;
+    const decision = choice && choice.mode === claimed.mode ? getDecisionAt(choice, flip.index) : null;
+    if (decision && (await engine.record(decision, flip.timestamp))) {
+      saved += 1;
+    }
+  }
+  return saved;
+};
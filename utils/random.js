@@ -0,0 +1,125 @@
+import * as Crypto from 'expo-crypto';
+
+/**
+ * Pluggable randomness source
+ * Every draw in the app goes through randomInt(), which uses the active
+ * source's 32-bit words with rejection sampling so results are unbiased.
+ *
+ * A source is { name, fillUint32(Uint32Array) } and fills the array in place.
+ */
+
+const UINT32_RANGE = 0x100000000; // 2^32
+
+/**
+ * Default source: native CSPRNG via expo-crypto
+ */
+export const secureSource = {
+  name: 'secure',
+  fillUint32: (array) => {
+    Crypto.getRandomValues(array);
+    return array;
+  },
+};
+
+/**
+ * Thrown when the active source can't produce random words
+ * There is deliberately no fallback: a draw that settles a dispute (or seeds a
+ * provably fair flip) must not quietly use weaker randomness.
+ */
+export class RandomSourceError extends Error {
+  constructor(sourceName, cause) {
+    super(`Random source "${sourceName}" failed`);
+    this.name = 'RandomSourceError';
+    this.sourceName = sourceName;
+    this.cause = cause;
+  }
+}
+
+let activeSource = secureSource;
+
+/**
+ * Replace the active randomness source (e.g. a seeded source in tests)
+ * @param {{name: string, fillUint32: Function}} source
+ * @returns {boolean} - True if the source was accepted
+ */
+export const setRandomSource = (source) => {
+  // Guard: Ignore anything that can't produce random words
+  if (!source || typeof source.fillUint32 !== 'function') {
+    console.warn('setRandomSource: Invalid source, keeping', activeSource.name);
+    return false;
+  }
+  activeSource = source;
+  return true;
+};
+
+/**
+ * @returns {{name: string, fillUint32: Function}} - The active source
+ */
+export const getRandomSource = () => activeSource;
+
+/**
+ * Draw one uint32 from the active source
+ * @throws {RandomSourceError} If the source throws; the source stays active
+ */
+const nextUint32 = () => {
+  const buffer = new Uint32Array(1);
+  try {
+    activeSource.fillUint32(buffer);
+  } catch (error) {
+    console.error(`Random source "${activeSource.name}" failed:`, error);
+    throw new RandomSourceError(activeSource.name, error);
+  }
+  return buffer[0];
+};
+
+/**
+ * Unbiased random integer in [0, maxExclusive)
+ * Rejection sampling drops the top partial block of 2^32 so every value is equally likely
+ * @param {number} maxExclusive - Positive integer upper bound (at most 2^32)
+ * @returns {number}
+ * @throws {RandomSourceError} If the active source fails
+ */
+export const randomInt = (maxExclusive) => {
+  // Guard: Degenerate ranges have a single possible answer
+  if (!Number.isInteger(maxExclusive) || maxExclusive <= 1) {
+    return 0;
+  }
+
+  const limit = UINT32_RANGE - (UINT32_RANGE % maxExclusive);
+  let value = nextUint32();
+  while (value >= limit) {
+    value = nextUint32();
+  }
+  return value % maxExclusive;
+};
+
+/**
+ * Shuffled copy of a list (Fisher-Yates)
+ * @param {Array} items
+ * @param {Function} [drawInt] - (maxExclusive) => integer; defaults to randomInt
+ * @returns {Array}
+ */
+export const shuffle = (items, drawInt = randomInt) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = drawInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Random hex string built from the active source
+ * @param {number} byteCount - Number of random bytes (rounded up to whole 32-bit words)
+ * @returns {string}
+ * @throws {RandomSourceError} If the active source fails
+ */
+export const randomHex = (byteCount = 32) => {
+  const words = new Uint32Array(Math.ceil(byteCount / 4));
+  for (let i = 0; i < words.length; i++) {
+    words[i] = nextUint32();
+  }
+  return Array.from(words, (word) => word.toString(16).padStart(8, '0'))
+    .join('')
+    .slice(0, byteCount * 2);
+};
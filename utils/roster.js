@@ -0,0 +1,175 @@
+import { randomInt, shuffle } from './random';
+import { t } from './i18n';
+
+/**
+ * Rosters and group draws
+ * A roster is a saved list of names. A group draw uses one in one of three ways:
+ *   'pick'  - one random person
+ *   'order' - everyone in a random order (who goes first, second, ...)
+ *   'teams' - everyone dealt into N teams whose sizes differ by at most one
+ * Outcomes are plain objects so they can be stored in history as they are:
+ *   { mode, names, picked? , order?, teams? }
+ */
+
+export const GROUP_MODES = ['pick', 'order', 'teams'];
+export const MIN_ROSTER_SIZE = 2;
+export const MAX_ROSTER_SIZE = 50;
+export const MAX_NAME_LENGTH = 60;
+export const MIN_TEAMS = 2;
+
+/**
+ * Clean a list of names: trimmed, non-blank, capped in length and count
+ * @param {*} names
+ * @returns {Array<string>}
+ */
+export const getRosterNames = (names) => {
+  if (!Array.isArray(names)) {
+    return [];
+  }
+  return names
+    .filter((name) => typeof name === 'string')
+    .map((name) => name.trim().substring(0, MAX_NAME_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_ROSTER_SIZE);
+};
+
+/**
+ * Split text typed one name per line (commas work too) into names
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const parseRosterText = (text) => {
+  return getRosterNames(typeof text === 'string' ? text.split(/[\n,]/) : []);
+};
+
+/**
+ * Largest number of teams a roster can be split into (one person each)
+ * @param {number} count - Number of names
+ * @returns {number}
+ */
+export const getMaxTeams = (count) => Math.max(MIN_TEAMS, Math.floor(count));
+
+/**
+ * Clamp a team count into range for a roster
+ * @param {*} teamCount
+ * @param {number} count - Number of names
+ * @returns {number}
+ */
+export const sanitizeTeamCount = (teamCount, count) => {
+  const value = Number.isInteger(teamCount) ? teamCount : MIN_TEAMS;
+  return Math.min(getMaxTeams(count), Math.max(MIN_TEAMS, value));
+};
+
+/**
+ * Whether a roster has enough names for a draw
+ * @param {string} groupMode
+ * @param {Array<string>} names - Cleaned names
+ * @param {number} [teamCount]
+ * @returns {boolean}
+ */
+export const canDrawGroup = (groupMode, names, teamCount) => {
+  if (!GROUP_MODES.includes(groupMode) || names.length < MIN_ROSTER_SIZE) {
+    return false;
+  }
+  return groupMode !== 'teams' || names.length >= sanitizeTeamCount(teamCount, names.length);
+};
+
+/**
+ * Deal names into teams, round robin, so team sizes differ by at most one
+ * @param {Array<string>} names - Already shuffled
+ * @param {number} teamCount
+ * @returns {Array<Array<string>>}
+ */
+const dealTeams = (names, teamCount) => {
+  const teams = Array.from({ length: teamCount }, () => []);
+  names.forEach((name, index) => {
+    teams[index % teamCount].push(name);
+  });
+  return teams;
+};
+
+/**
+ * Draw a group outcome
+ * @param {string} groupMode - 'pick' | 'order' | 'teams'
+ * @param {Array<string>} names - Cleaned names (see getRosterNames)
+ * @param {number} [teamCount] - Number of teams for 'teams'
+ * @param {Function} [drawInt] - (maxExclusive) => integer; defaults to randomInt
+ * @returns {Object} - { mode, names, picked } | { mode, names, order } | { mode, names, teams }
+ * @throws {Error} - If the roster is too small for the draw
+ */
+export const drawGroupOutcome = (groupMode, names, teamCount, drawInt = randomInt) => {
+  if (!canDrawGroup(groupMode, names, teamCount)) {
+    throw new Error(`Not enough names for a ${groupMode} draw`);
+  }
+
+  if (groupMode === 'pick') {
+    return { mode: 'pick', names, picked: drawInt(names.length) };
+  }
+  const order = shuffle(names, drawInt);
+  if (groupMode === 'order') {
+    return { mode: 'order', names, order };
+  }
+  return { mode: 'teams', names, teams: dealTeams(order, sanitizeTeamCount(teamCount, names.length)) };
+};
+
+/**
+ * Clean a stored outcome
+ * @param {*} group
+ * @returns {Object|null} - Outcome as drawGroupOutcome returns it, or null if it isn't one
+ */
+export const sanitizeGroup = (group) => {
+  if (!group || typeof group !== 'object' || !GROUP_MODES.includes(group.mode)) {
+    return null;
+  }
+  const names = getRosterNames(group.names);
+  if (names.length < MIN_ROSTER_SIZE) {
+    return null;
+  }
+
+  if (group.mode === 'pick') {
+    const valid = Number.isInteger(group.picked) && group.picked >= 0 && group.picked < names.length;
+    return valid ? { mode: 'pick', names, picked: group.picked } : null;
+  }
+  if (group.mode === 'order') {
+    const order = getRosterNames(group.order);
+    return order.length > 0 ? { mode: 'order', names, order } : null;
+  }
+  const teams = Array.isArray(group.teams) ? group.teams.map(getRosterNames).filter((team) => team.length > 0) : [];
+  return teams.length > 0 ? { mode: 'teams', names, teams } : null;
+};
+
+/**
+ * Headline for an outcome: the result text and history label
+ * @param {Object} group - From drawGroupOutcome
+ * @returns {string}
+ */
+export const getGroupLabel = (group) => {
+  if (group.mode === 'pick') {
+    return group.names[group.picked];
+  }
+  if (group.mode === 'order') {
+    return t('group.goesFirst', { name: group.order[0] });
+  }
+  return t('group.teamCount', { count: group.teams.length });
+};
+
+/**
+ * Full outcome as lines of text, for history and sharing
+ * @param {Object} group - Stored outcome; anything malformed gives no lines
+ * @returns {Array<string>}
+ */
+export const describeGroupOutcome = (group) => {
+  if (!group || typeof group !== 'object' || !Array.isArray(group.names)) {
+    return [];
+  }
+  if (group.mode === 'pick' && Number.isInteger(group.picked)) {
+    return [t('group.pickedFrom', { count: group.names.length, names: group.names.join(', ') })];
+  }
+  if (group.mode === 'order' && Array.isArray(group.order)) {
+    return [t('group.order', { order: group.order.map((name, index) => `${index + 1}. ${name}`).join('  ') })];
+  }
+  if (group.mode === 'teams' && Array.isArray(group.teams)) {
+    return group.teams.map((team, index) => t('group.team', { number: index + 1, names: team.join(', ') }));
+  }
+  return [];
+};
@@ -0,0 +1,247 @@
+import { randomInt, shuffle } from './random';
+import { t } from './i18n';
+
+/**
+ * Multi-flip formats
+ * A best-of-N series flips one coin until a side has a majority of N.
+ * A bracket pairs options off and flips once per match until one is left;
+ * entrants are shuffled first so byes (odd counts) land at random.
+ * All functions are pure and return new objects.
+ */
+
+export const SERIES_LENGTHS = [3, 5, 7];
+const MAX_BRACKET_ROUNDS = 8; // 256 entrants, far beyond any option list; caps what imports can carry
+
+/**
+ * Wins needed to take a best-of-N series
+ * @param {number} bestOf
+ * @returns {number}
+ */
+export const getWinsNeeded = (bestOf) => Math.floor(bestOf / 2) + 1;
+
+/**
+ * Start an empty series
+ * @param {number} bestOf - One of SERIES_LENGTHS
+ * @returns {{bestOf: number, scores: Array<number>, flips: Array<number>, winnerIndex: number|null}}
+ */
+export const createSeries = (bestOf) => ({
+  bestOf: SERIES_LENGTHS.includes(bestOf) ? bestOf : SERIES_LENGTHS[0],
+  scores: [0, 0],
+  flips: [],
+  winnerIndex: null,
+});
+
+/**
+ * Record one flip of a series
+ * @param {Object} series
+ * @param {number} index - Winning side of the flip (0 or 1)
+ * @returns {Object} - Updated series; unchanged if it is already decided
+ */
+export const recordSeriesFlip = (series, index) => {
+  // Guard: A decided series takes no more flips
+  if (series.winnerIndex !== null || (index !== 0 && index !== 1)) {
+    return series;
+  }
+
+  const scores = [...series.scores];
+  scores[index] += 1;
+  return {
+    ...series,
+    scores,
+    flips: [...series.flips, index],
+    winnerIndex: scores[index] >= getWinsNeeded(series.bestOf) ? index : null,
+  };
+};
+
+/**
+ * Pair entrants for one round; a lone last entrant gets a bye
+ * @param {Array<number>} entrants - Option indices
+ * @returns {Array<{a: number, b: number|null, winner: number|null}>}
+ */
+const pairRound = (entrants) => {
+  const matches = [];
+  for (let i = 0; i < entrants.length; i += 2) {
+    const b = i + 1 < entrants.length ? entrants[i + 1] : null;
+    matches.push({ a: entrants[i], b, winner: b === null ? entrants[i] : null });
+  }
+  return matches;
+};
+
+/**
+ * Start a bracket over option indices 0..count-1
+ * @param {number} count - Number of options (at least 2)
+ * @param {Function} [drawInt] - Random source for seeding; defaults to randomInt
+ * @returns {{rounds: Array<Array<Object>>, championIndex: number|null}}
+ */
+export const createBracket = (count, drawInt = randomInt) => {
+  const entrants = shuffle(Array.from({ length: count }, (_, index) => index), drawInt);
+  return { rounds: [pairRound(entrants)], championIndex: null };
+};
+
+/**
+ * Next match still to be played
+ * @param {Object} bracket
+ * @returns {{roundIndex: number, matchIndex: number, a: number, b: number}|null} - Null when decided
+ */
+export const getNextMatch = (bracket) => {
+  if (bracket.championIndex !== null) {
+    return null;
+  }
+  const roundIndex = bracket.rounds.length - 1;
+  const matchIndex = bracket.rounds[roundIndex].findIndex((match) => match.winner === null);
+  if (matchIndex === -1) {
+    return null;
+  }
+  const { a, b } = bracket.rounds[roundIndex][matchIndex];
+  return { roundIndex, matchIndex, a, b };
+};
+
+/**
+ * Record the winner of a match; completing a round seeds the next one
+ * @param {Object} bracket
+ * @param {number} roundIndex
+ * @param {number} matchIndex
+ * @param {number} winner - Option index of the winner (must be one of the pair)
+ * @returns {Object} - Updated bracket; unchanged if the match is unknown or already played
+ */
+export const recordMatchWinner = (bracket, roundIndex, matchIndex, winner) => {
+  const round = bracket.rounds[roundIndex];
+  const match = round && round[matchIndex];
+
+  // Guard: Only open matches of the current round, won by one of its entrants
+  if (
+    !match ||
+    roundIndex !== bracket.rounds.length - 1 ||
+    match.winner !== null ||
+    (winner !== match.a && winner !== match.b)
+  ) {
+    return bracket;
+  }
+
+  const nextRound = round.map((item, index) => (index === matchIndex ? { ...item, winner } : item));
+  const rounds = [...bracket.rounds.slice(0, roundIndex), nextRound];
+
+  if (nextRound.some((item) => item.winner === null)) {
+    return { ...bracket, rounds };
+  }
+
+  const winners = nextRound.map((item) => item.winner);
+  if (winners.length === 1) {
+    return { ...bracket, rounds, championIndex: winners[0] };
+  }
+  return { ...bracket, rounds: [...rounds, pairRound(winners)] };
+};
+
+/**
+ * Name a bracket round, counting back from the final
+ * @param {number} roundIndex
+ * @param {number} roundCount - Total rounds in the finished bracket
+ * @returns {string}
+ */
+export const getRoundName = (roundIndex, roundCount) => {
+  const fromEnd = roundCount - 1 - roundIndex;
+  if (fromEnd === 0) {
+    return t('series.final');
+  }
+  if (fromEnd === 1) {
+    return t('series.semifinal');
+  }
+  return t('series.round', { number: roundIndex + 1 });
+};
+
+/**
+ * Number of rounds a bracket of `count` entrants will take
+ * @param {number} count
+ * @returns {number}
+ */
+export const getRoundCount = (count) => {
+  let rounds = 0;
+  let remaining = count;
+  while (remaining > 1) {
+    remaining = Math.ceil(remaining / 2);
+    rounds += 1;
+  }
+  return rounds;
+};
+
+/**
+ * Whether a value is an option index
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Clean a stored series
+ * @param {*} series
+ * @returns {Object|null} - { bestOf, scores, flips }, or null if it isn't one
+ */
+export const sanitizeSeries = (series) => {
+  if (
+    !series ||
+    typeof series !== 'object' ||
+    !SERIES_LENGTHS.includes(series.bestOf) ||
+    !Array.isArray(series.scores) ||
+    series.scores.length !== 2 ||
+    !series.scores.every(isIndex)
+  ) {
+    return null;
+  }
+  const flips = Array.isArray(series.flips)
+    ? series.flips.filter((flip) => flip === 0 || flip === 1).slice(0, series.bestOf)
+    : [];
+  return { bestOf: series.bestOf, scores: [...series.scores], flips };
+};
+
+/**
+ * Clean a stored bracket
+ * @param {*} bracket
+ * @returns {Object|null} - { rounds }, or null if it isn't one
+ */
+export const sanitizeBracket = (bracket) => {
+  if (
+    !bracket ||
+    typeof bracket !== 'object' ||
+    !Array.isArray(bracket.rounds) ||
+    bracket.rounds.length === 0 ||
+    bracket.rounds.length > MAX_BRACKET_ROUNDS
+  ) {
+    return null;
+  }
+  const isMatch = (match) =>
+    match &&
+    typeof match === 'object' &&
+    isIndex(match.a) &&
+    (match.b === null || isIndex(match.b)) &&
+    (match.winner === null || match.winner === match.a || match.winner === match.b);
+  const valid = bracket.rounds.every((round) => Array.isArray(round) && round.length > 0 && round.every(isMatch));
+  if (!valid) {
+    return null;
+  }
+  return {
+    rounds: bracket.rounds.map((round) => round.map(({ a, b, winner }) => ({ a, b, winner }))),
+  };
+};
+
+/**
+ * One-line summary of a stored series or bracket entry
+ * @param {Object} entry - History entry
+ * @returns {string|null} - Null for single flips
+ */
+export const describeRun = (entry) => {
+  if (entry && entry.series && Array.isArray(entry.series.scores)) {
+    const scores = [...entry.series.scores].sort((a, b) => b - a);
+    return t('series.seriesRun', { count: entry.series.bestOf, scores: scores.join('–') });
+  }
+  if (entry && entry.bracket && Array.isArray(entry.bracket.rounds)) {
+    const matches = entry.bracket.rounds
+      .flat()
+      .filter((match) => match && match.b !== null).length;
+    const rounds = entry.bracket.rounds.length;
+    return t('series.bracketRun', {
+      matches: t('series.matches', { count: matches }),
+      rounds: t('series.rounds', { count: rounds }),
+    });
+  }
+  return null;
+};
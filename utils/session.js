@@ -0,0 +1,322 @@
+import { createWebSocketServer } from './webSocketServer';
+import { sanitizeLastChoice } from './lastChoice';
+import { getDecisionAt } from './decisionEngine';
+import { t } from './i18n';
+
+/**
+ * Flip-together sessions
+ * One phone hosts a session on the local network and the others join it, so a
+ * room can watch the same flip. When the host flips, the result is broadcast
+ * as the animation starts; every phone animates it and saves it to its own
+ * history. Guests don't flip themselves while joined.
+ *
+ * Messages are JSON over WebSocket (see utils/webSocketServer):
+ * - guest → host  { type: 'join', name }
+ * - host → guest  { type: 'welcome', name, participants }   name as the host knows the guest
+ * - host → guests { type: 'participants', participants }    host first
+ * - host → guests { type: 'flip', flipId, choice, index }   choice is an engine input (see utils/lastChoice)
+ *
+ * Only single flips are shared: series, brackets and group draws stay on the host.
+ */
+
+export const SESSION_PORT = 8787;
+export const MAX_PARTICIPANTS = 20; // Host included
+export const MAX_NAME_LENGTH = 30;
+export const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Clean a participant name: single line, trimmed, capped in length
+ * @param {*} name
+ * @returns {string} - Empty if there's nothing usable
+ */
+export const sanitizeParticipantName = (name) => {
+  if (typeof name !== 'string') {
+    return '';
+  }
+  return name.replace(/\s+/g, ' ').trim().substring(0, MAX_NAME_LENGTH);
+};
+
+/**
+ * Read a host address typed by a guest ("192.168.1.20" or "192.168.1.20:8787")
+ * @param {string} text
+ * @returns {{host: string, port: number}|null} - Null if it isn't an address
+ */
+export const parseSessionAddress = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = text.trim().match(/^([a-zA-Z0-9.-]+)(?::(\d{1,5}))?$/);
+  if (!match) {
+    return null;
+  }
+  const port = match[2] ? parseInt(match[2], 10) : SESSION_PORT;
+  if (port < 1 || port > 65535) {
+    return null;
+  }
+  return { host: match[1], port };
+};
+
+const sanitizeParticipants = (participants) =>
+  (Array.isArray(participants) ? participants : [])
+    .map(sanitizeParticipantName)
+    .filter(Boolean)
+    .slice(0, MAX_PARTICIPANTS);
+
+/**
+ * Choice as shared between phones
+ * Preset ids only mean something on the phone that saved the preset.
+ * @param {*} input - Engine input
+ * @returns {Object} - Sanitized choice without a preset id
+ */
+const toSharedChoice = (input) => {
+  const choice = sanitizeLastChoice(input);
+  return choice.mode === 'custom' ? { ...choice, presetId: null } : choice;
+};
+
+/**
+ * Parse and validate a session message
+ * @param {string} text - Raw message
+ * @returns {Object|null} - The message, or null if it is malformed or unknown
+ */
+export const parseSessionMessage = (text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!message || typeof message !== 'object') {
+    return null;
+  }
+
+  if (message.type === 'join') {
+    return { type: 'join', name: sanitizeParticipantName(message.name) };
+  }
+  if (message.type === 'welcome') {
+    return {
+      type: 'welcome',
+      name: sanitizeParticipantName(message.name),
+      participants: sanitizeParticipants(message.participants),
+    };
+  }
+  if (message.type === 'participants') {
+    return { type: 'participants', participants: sanitizeParticipants(message.participants) };
+  }
+  if (message.type === 'flip' && Number.isInteger(message.flipId) && message.choice) {
+    const choice = toSharedChoice(message.choice);
+    // Guard: The result has to fit the choice it was drawn from
+    if (choice.mode !== message.choice.mode || !getDecisionAt(choice, message.index)) {
+      return null;
+    }
+    return { type: 'flip', flipId: message.flipId, choice, index: message.index };
+  }
+  return null;
+};
+
+/**
+ * Name not yet taken in a session: "Ana", then "Ana (2)"...
+ * @param {string} name
+ * @param {Array<string>} taken
+ * @returns {string}
+ */
+const getUniqueName = (name, taken) => {
+  let candidate = name;
+  for (let count = 2; taken.includes(candidate); count++) {
+    candidate = `${name} (${count})`;
+  }
+  return candidate;
+};
+
+/**
+ * Host a session
+ * @param {Object} deps
+ * @param {Object} deps.net - TCP module (react-native-tcp-socket, or Node's net in tests)
+ * @param {string} [deps.name] - Host's name as guests see it
+ * @param {number} [deps.port] - 0 picks a free port
+ * @param {Function} [deps.onParticipants] - (names) whenever someone joins or leaves; host first
+ * @returns {{start: Function, broadcastFlip: Function, getParticipants: Function, stop: Function}}
+ */
+export const createSessionHost = ({ net, name, port = SESSION_PORT, onParticipants }) => {
+  const hostName = sanitizeParticipantName(name) || t('session.defaultHost');
+  const guests = new Map(); // connection -> name, for guests that have joined
+  let guestCount = 0;
+  let flipId = 0;
+
+  const getParticipants = () => [hostName, ...guests.values()];
+
+  const sendAll = (message) => {
+    const text = JSON.stringify(message);
+    let sent = 0;
+    guests.forEach((guestName, connection) => {
+      if (connection.send(text)) {
+        sent += 1;
+      }
+    });
+    return sent;
+  };
+
+  const announceParticipants = () => {
+    const participants = getParticipants();
+    sendAll({ type: 'participants', participants });
+    if (onParticipants) {
+      onParticipants(participants);
+    }
+  };
+
+  const server = createWebSocketServer({
+    net,
+    onConnection: (connection) => {
+      connection.on('message', (text) => {
+        const message = parseSessionMessage(text);
+        // Guard: Guests only ever join, and only once
+        if (!message || message.type !== 'join' || guests.has(connection)) {
+          return;
+        }
+        // Guard: A full room turns newcomers away
+        if (guests.size + 1 >= MAX_PARTICIPANTS) {
+          connection.close();
+          return;
+        }
+        guestCount += 1;
+        const guestName = getUniqueName(message.name || t('session.defaultGuest', { number: guestCount }), getParticipants());
+        guests.set(connection, guestName);
+        connection.send(JSON.stringify({ type: 'welcome', name: guestName, participants: getParticipants() }));
+        announceParticipants();
+      });
+      connection.on('close', () => {
+        if (guests.delete(connection)) {
+          announceParticipants();
+        }
+      });
+    },
+  });
+
+  return {
+    /**
+     * Start accepting guests
+     * @returns {Promise<number>} - The port guests connect to
+     * @throws {Error} - If the port can't be opened
+     */
+    start: () => server.listen(port),
+    /**
+     * Send a flip to every guest as its animation starts
+     * @param {Object} input - Engine input the flip was drawn from
+     * @param {number} index - Drawn index (decision.index)
+     * @returns {number} - Guests it was sent to
+     */
+    broadcastFlip: (input, index) => {
+      flipId += 1;
+      return sendAll({ type: 'flip', flipId, choice: toSharedChoice(input), index });
+    },
+    getParticipants,
+    /**
+     * End the session for everyone
+     * @returns {Promise<void>}
+     */
+    stop: async () => {
+      guests.forEach((guestName, connection) => connection.close());
+      guests.clear();
+      await server.close();
+    },
+  };
+};
+
+/**
+ * Join a session
+ * @param {Object} deps
+ * @param {{host: string, port: number}} deps.address - From parseSessionAddress
+ * @param {string} [deps.name]
+ * @param {Function} [deps.WebSocketImpl] - WebSocket class; the global one by default
+ * @param {Function} [deps.onFlip] - ({ choice, decision }) when the host flips
+ * @param {Function} [deps.onParticipants] - (names) whenever someone joins or leaves; host first
+ * @param {Function} [deps.onClose] - () when the session ends after joining
+ * @returns {{connect: Function, leave: Function}}
+ */
+export const createSessionGuest = ({
+  address,
+  name,
+  WebSocketImpl = global.WebSocket,
+  onFlip,
+  onParticipants,
+  onClose,
+}) => {
+  let socket = null;
+  let hasJoined = false;
+  let hasLeft = false;
+  let lastFlipId = 0;
+
+  const handleMessage = (message) => {
+    if (message.type === 'participants' && onParticipants) {
+      onParticipants(message.participants);
+    } else if (message.type === 'flip' && message.flipId > lastFlipId) {
+      // Guard: Each flip plays once, even if it arrives twice
+      lastFlipId = message.flipId;
+      if (onFlip) {
+        onFlip({ choice: message.choice, decision: getDecisionAt(message.choice, message.index) });
+      }
+    }
+  };
+
+  return {
+    /**
+     * Connect and join
+     * @returns {Promise<{name: string, participants: Array<string>}>} - Once the host has welcomed us
+     * @throws {Error} - If the host can't be reached or doesn't answer in time
+     */
+    connect: () => new Promise((resolve, reject) => {
+      const fail = (error) => {
+        clearTimeout(timeout);
+        if (socket) {
+          socket.close();
+        }
+        reject(error);
+      };
+      const timeout = setTimeout(() => fail(new Error('No answer from the host')), CONNECT_TIMEOUT);
+
+      try {
+        socket = new WebSocketImpl(`ws://${address.host}:${address.port}`);
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'join', name: sanitizeParticipantName(name) }));
+      };
+      socket.onmessage = (event) => {
+        const message = parseSessionMessage(typeof event.data === 'string' ? event.data : '');
+        if (!message) {
+          return;
+        }
+        if (message.type === 'welcome' && !hasJoined) {
+          hasJoined = true;
+          clearTimeout(timeout);
+          resolve({ name: message.name, participants: message.participants });
+          return;
+        }
+        if (hasJoined) {
+          handleMessage(message);
+        }
+      };
+      socket.onerror = () => {
+        // Followed by onclose, which reports it
+      };
+      socket.onclose = () => {
+        if (!hasJoined) {
+          fail(new Error('Could not reach the host'));
+        } else if (!hasLeft && onClose) {
+          onClose();
+        }
+      };
+    }),
+    /**
+     * Leave the session
+     */
+    leave: () => {
+      hasLeft = true;
+      if (socket) {
+        socket.close();
+      }
+    },
+  };
+};
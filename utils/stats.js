@@ -0,0 +1,270 @@
+/**
+ * Flip history statistics
+ * Pure functions over history entries (newest first, as returned by getHistory)
+ */
+
+const COIN_SIDES = ['Heads', 'Tails'];
+
+/**
+ * Check whether an entry is a plain Heads/Tails coin flip
+ * Entries saved before modes were recorded have no mode at all.
+ * Series winners aren't single flips, so they stay out of the fairness test.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export const isCoinFlip = (entry) => {
+  if (!entry || !COIN_SIDES.includes(entry.side) || entry.series) {
+    return false;
+  }
+  return entry.mode === undefined || entry.mode === 'default';
+};
+
+/**
+ * Count results per label
+ * @param {Array} entries
+ * @returns {Array<{label: string, count: number, share: number}>} - Sorted by count, descending
+ */
+export const countByLabel = (entries) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    counts.set(entry.side, (counts.get(entry.side) || 0) + 1);
+  });
+
+  const total = entries.length;
+  return Array.from(counts, ([label, count]) => ({
+    label,
+    count,
+    share: total > 0 ? count / total : 0,
+  })).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Find the longest and current run of identical results
+ * @param {Array} entries - Newest first
+ * @returns {{longest: {label: string|null, length: number}, current: {label: string|null, length: number}}}
+ */
+export const computeStreaks = (entries) => {
+  const longest = { label: null, length: 0 };
+  const current = { label: null, length: 0 };
+
+  if (entries.length === 0) {
+    return { longest, current };
+  }
+
+  // Current streak counts back from the newest entry
+  current.label = entries[0].side;
+  while (current.length < entries.length && entries[current.length].side === current.label) {
+    current.length += 1;
+  }
+
+  let runLabel = null;
+  let runLength = 0;
+  entries.forEach((entry) => {
+    if (entry.side === runLabel) {
+      runLength += 1;
+    } else {
+      runLabel = entry.side;
+      runLength = 1;
+    }
+    if (runLength > longest.length) {
+      longest.label = runLabel;
+      longest.length = runLength;
+    }
+  });
+
+  return { longest, current };
+};
+
+/**
+ * Local calendar date key for a timestamp
+ * @param {number} timestamp
+ * @returns {string} - YYYY-MM-DD
+ */
+const toDateKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Flips per calendar day for the last N days (including days with no flips)
+ * @param {Array} entries
+ * @param {number} days - Window size
+ * @param {number} now - Current time in ms
+ * @returns {Array<{date: string, count: number}>} - Oldest day first
+ */
+export const flipsPerDay = (entries, days = 14, now = Date.now()) => {
+  const buckets = [];
+  const byKey = new Map();
+  // Step back by calendar day, not 24 h, so DST changes don't skip or repeat a date
+  const day = new Date(now);
+  day.setHours(12, 0, 0, 0);
+  day.setDate(day.getDate() - (days - 1));
+  for (let i = 0; i < days; i++) {
+    const bucket = { date: toDateKey(day.getTime()), count: 0 };
+    buckets.push(bucket);
+    byKey.set(bucket.date, bucket);
+    day.setDate(day.getDate() + 1);
+  }
+
+  entries.forEach((entry) => {
+    if (typeof entry.timestamp !== 'number') {
+      return;
+    }
+    const bucket = byKey.get(toDateKey(entry.timestamp));
+    if (bucket) {
+      bucket.count += 1;
+    }
+  });
+
+  return buckets;
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number}
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient) => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * Series expansion below a + 1, continued fraction above (Numerical Recipes)
+ * @param {number} a
+ * @param {number} x
+ * @returns {number}
+ */
+const upperIncompleteGamma = (a, x) => {
+  if (x <= 0) {
+    return 1;
+  }
+
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 200; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) {
+        break;
+      }
+    }
+    return 1 - sum * Math.exp(logPrefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) {
+      d = tiny;
+    }
+    c = b + an / c;
+    if (Math.abs(c) < tiny) {
+      c = tiny;
+    }
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) {
+      break;
+    }
+  }
+  return Math.exp(logPrefix) * h;
+};
+
+/**
+ * Pearson chi-square goodness-of-fit test
+ * @param {Array<number>} observed - Observed counts per category
+ * @param {Array<number>} expectedShares - Expected share per category (sums to 1)
+ * @returns {{statistic: number, degreesOfFreedom: number, pValue: number}}
+ */
+export const chiSquareTest = (observed, expectedShares) => {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const statistic = observed.reduce((sum, count, index) => {
+    const expected = total * expectedShares[index];
+    return expected > 0 ? sum + ((count - expected) ** 2) / expected : sum;
+  }, 0);
+  const degreesOfFreedom = Math.max(observed.length - 1, 1);
+  const pValue = upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2);
+
+  return { statistic, degreesOfFreedom, pValue: Math.min(Math.max(pValue, 0), 1) };
+};
+
+// Chi-square needs an expected count of at least 5 per side to be meaningful
+export const MIN_FAIRNESS_SAMPLE = 10;
+export const FAIRNESS_SIGNIFICANCE = 0.05;
+
+/**
+ * Check Heads/Tails flips against a fair 50/50 coin
+ * @param {Array} entries - Any history entries; non-coin entries are ignored
+ * @returns {{sampleSize: number, heads: number, tails: number, enoughData: boolean,
+ *   statistic: number, pValue: number, looksFair: boolean}|null} - Null if there are no coin flips
+ */
+export const coinFairness = (entries) => {
+  const coinEntries = entries.filter(isCoinFlip);
+  if (coinEntries.length === 0) {
+    return null;
+  }
+
+  const heads = coinEntries.filter((entry) => entry.side === 'Heads').length;
+  const tails = coinEntries.length - heads;
+  const { statistic, pValue } = chiSquareTest([heads, tails], [0.5, 0.5]);
+
+  return {
+    sampleSize: coinEntries.length,
+    heads,
+    tails,
+    enoughData: coinEntries.length >= MIN_FAIRNESS_SAMPLE,
+    statistic,
+    pValue,
+    looksFair: pValue >= FAIRNESS_SIGNIFICANCE,
+  };
+};
+
+/**
+ * Compute the full stats summary shown in the stats view
+ * @param {Array} entries - History entries, newest first
+ * @param {number} [now] - Current time in ms
+ */
+export const computeStats = (entries, now = Date.now()) => {
+  // Guard: Drop anything that isn't a usable entry
+  const valid = Array.isArray(entries)
+    ? entries.filter((entry) => entry && typeof entry.side === 'string')
+    : [];
+
+  const days = flipsPerDay(valid, 14, now);
+  const activeDays = new Set(
+    valid.filter((entry) => typeof entry.timestamp === 'number').map((entry) => toDateKey(entry.timestamp))
+  ).size;
+
+  return {
+    total: valid.length,
+    labels: countByLabel(valid),
+    streaks: computeStreaks(valid),
+    days,
+    averagePerActiveDay: activeDays > 0 ? valid.length / activeDays : 0,
+    fairness: coinFairness(valid),
+  };
+};
@@ -1,20 +1,196 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_GESTURE_SETTINGS, sanitizeGestureSettings } from './gestures';
+import { sanitizeCoinFaces } from './coinFaces';
+import { getRosterNames, MIN_ROSTER_SIZE } from './roster';
+import { DEFAULT_LAST_CHOICE, sanitizeLastChoice } from './lastChoice';
+import { getVetoedChallenge } from './challenge';
+import { DEFAULT_THEME_SETTINGS, sanitizeThemeSettings } from './theme';
+import { DEFAULT_LANGUAGE_SETTING, sanitizeLanguageSetting } from './i18n';
 
-const HISTORY_KEY = '@decision_coin_history';
-const MAX_HISTORY_ENTRIES = 10;
+// Pre-1.1 history: a single JSON array capped at 10 entries. Migrated on first read.
+const LEGACY_HISTORY_KEY = '@decision_coin_history';
+
+// History is stored as an index plus fixed-size chunks so a flip only
+// rewrites the newest chunk instead of re-serializing the whole list
+const HISTORY_INDEX_KEY = '@decision_coin_history_index';
+const HISTORY_CHUNK_PREFIX = '@decision_coin_history_chunk_';
+const HISTORY_CHUNK_SIZE = 50;
+const RETENTION_KEY = '@decision_coin_retention';
+export const MAX_NOTE_LENGTH = 500;
+const HISTORY_TRASH_KEY = '@decision_coin_history_trash';
+
+export const UNDO_WINDOW_MS = 8000;
+
+const DAY_MS = 86400000;
+
+// Pruning is opt-in: never drop history the user hasn't asked us to
+export const DEFAULT_RETENTION_POLICY = { type: 'all' };
 
 /**
  * Storage utility functions with error handling
  * Guards against AsyncStorage failures to prevent crashes
  */
 
+/**
+ * Generate a reasonably unique id for stored records
+ * @returns {string}
+ */
+const createId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * History writes are read-modify-write on the index, so run them one at a time
+ */
+let historyQueue = Promise.resolve();
+const withHistoryLock = (task) => {
+  const run = historyQueue.then(task, task);
+  historyQueue = run.catch(() => {});
+  return run;
+};
+
+const emptyIndex = () => ({ version: 1, nextChunk: 0, chunks: [] });
+
+/**
+ * Read a JSON array stored under a key
+ * @param {string} key
+ * @returns {Promise<Array>} - Empty array if missing or malformed
+ */
+const readArray = async (key) => {
+  const jsonValue = await AsyncStorage.getItem(key);
+  if (jsonValue == null) {
+    return [];
+  }
+  const parsed = JSON.parse(jsonValue);
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+/**
+ * Summarize a chunk's entries for the index
+ * @param {string} key - Chunk storage key
+ * @param {Array} entries - Entries in the chunk, oldest first
+ */
+const describeChunk = (key, entries) => ({
+  key,
+  count: entries.length,
+  oldest: entries.length ? entries[0].timestamp : 0,
+  newest: entries.length ? entries[entries.length - 1].timestamp : 0,
+});
+
+/**
+ * Move the old single-array history into chunks
+ * @returns {Promise<Object>} - The new index
+ */
+const migrateLegacyHistory = async () => {
+  const legacy = await readArray(LEGACY_HISTORY_KEY);
+  const index = emptyIndex();
+
+  // Guard: Nothing to migrate
+  if (legacy.length === 0) {
+    return index;
+  }
+
+  // Legacy history is newest first; chunks are oldest first. Legacy entries had no ids.
+  const entries = legacy
+    .filter((entry) => entry && typeof entry === 'object')
+    .reverse()
+    .map((entry) => ({ ...entry, id: entry.id || createId() }));
+
+  const key = `${HISTORY_CHUNK_PREFIX}${index.nextChunk}`;
+  index.nextChunk += 1;
+  index.chunks.push(describeChunk(key, entries));
+
+  await AsyncStorage.multiSet([
+    [key, JSON.stringify(entries)],
+    [HISTORY_INDEX_KEY, JSON.stringify(index)],
+  ]);
+  await AsyncStorage.removeItem(LEGACY_HISTORY_KEY);
+  return index;
+};
+
+/**
+ * Read the history index, migrating legacy history the first time
+ * @returns {Promise<Object>}
+ */
+const readIndex = async () => {
+  const jsonValue = await AsyncStorage.getItem(HISTORY_INDEX_KEY);
+
+  if (jsonValue == null) {
+    return migrateLegacyHistory();
+  }
+
+  const parsed = JSON.parse(jsonValue);
+
+  // Guard: Ensure index has the expected shape
+  if (!parsed || !Array.isArray(parsed.chunks) || typeof parsed.nextChunk !== 'number') {
+    console.warn('readIndex: Stored index is malformed, starting fresh');
+    return emptyIndex();
+  }
+
+  return parsed;
+};
+
+/**
+ * Drop entries that fall outside the retention policy
+ * Whole chunks are removed without being read; only a partially
+ * expired oldest chunk is rewritten.
+ * @param {Object} index - History index (mutated)
+ * @param {Object} policy - Retention policy
+ * @returns {Promise<Object>} - The updated index
+ */
+const applyRetention = async (index, policy) => {
+  const removedKeys = [];
+  const writes = [];
+
+  if (policy.type === 'count') {
+    let total = index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+    while (index.chunks.length > 0 && total > policy.value) {
+      const oldest = index.chunks[0];
+      const excess = total - policy.value;
+      if (oldest.count <= excess) {
+        removedKeys.push(oldest.key);
+        index.chunks.shift();
+        total -= oldest.count;
+      } else {
+        const kept = (await readArray(oldest.key)).slice(excess);
+        index.chunks[0] = describeChunk(oldest.key, kept);
+        writes.push([oldest.key, JSON.stringify(kept)]);
+        total -= excess;
+      }
+    }
+  } else if (policy.type === 'age') {
+    const cutoff = Date.now() - policy.value * DAY_MS;
+    while (index.chunks.length > 0 && index.chunks[0].newest < cutoff) {
+      removedKeys.push(index.chunks.shift().key);
+    }
+    if (index.chunks.length > 0 && index.chunks[0].oldest < cutoff) {
+      const oldest = index.chunks[0];
+      const kept = (await readArray(oldest.key)).filter((entry) => entry.timestamp >= cutoff);
+      index.chunks[0] = describeChunk(oldest.key, kept);
+      writes.push([oldest.key, JSON.stringify(kept)]);
+    }
+  }
+
+  if (removedKeys.length === 0 && writes.length === 0) {
+    return index;
+  }
+
+  await AsyncStorage.multiSet([...writes, [HISTORY_INDEX_KEY, JSON.stringify(index)]]);
+  if (removedKeys.length > 0) {
+    await AsyncStorage.multiRemove(removedKeys);
+  }
+  return index;
+};
+
 /**
  * Save a flip result to history
- * Automatically maintains max 10 entries
+ * Appends to the newest chunk and applies the retention policy
  * @param {string} side - The coin side result (e.g., "Heads", "Tails", or custom)
- * @returns {Promise<boolean>} - True if saved successfully, false otherwise
+ * @param {Object} [details] - Extra context stored with the entry (e.g., mode, options)
+ * @param {number} [flippedAt] - When the flip happened in ms (e.g. drawn earlier by a widget); defaults to now
+ * @returns {Promise<string|false>} - The new entry's id if saved successfully, false otherwise
  */
-export const saveFlipToHistory = async (side) => {
+export const saveFlipToHistory = async (side, details = {}, flippedAt) => {
   try {
     // Guard: Ensure side is valid
     if (!side || typeof side !== 'string') {
@@ -22,26 +198,43 @@ export const saveFlipToHistory = async (side) => {
       return false;
     }
 
-    const timestamp = Date.now();
+    // Guard: A flip can't be stamped later than now
+    const now = Date.now();
+    const timestamp = Number.isFinite(flippedAt) && flippedAt > 0 ? Math.min(flippedAt, now) : now;
     const entry = {
+      // Guard: Only spread plain objects so a bad argument can't corrupt the entry
+      ...(details && typeof details === 'object' && !Array.isArray(details) ? details : {}),
+      id: createId(),
       side: side.trim(),
       timestamp: timestamp,
     };
 
-    // Get current history
-    const currentHistory = await getHistory();
-
-    // Add new entry at the beginning
-    const updatedHistory = [entry, ...currentHistory];
+    return await withHistoryLock(async () => {
+      const index = await readIndex();
+      const head = index.chunks[index.chunks.length - 1];
 
-    // Keep only last 10 entries (guard against exceeding limit)
-    const trimmedHistory = updatedHistory.slice(0, MAX_HISTORY_ENTRIES);
+      // Append to the newest chunk, or start a new one when it is full
+      let key;
+      let entries;
+      if (head && head.count < HISTORY_CHUNK_SIZE) {
+        key = head.key;
+        entries = [...(await readArray(key)), entry];
+        index.chunks[index.chunks.length - 1] = describeChunk(key, entries);
+      } else {
+        key = `${HISTORY_CHUNK_PREFIX}${index.nextChunk}`;
+        index.nextChunk += 1;
+        entries = [entry];
+        index.chunks.push(describeChunk(key, entries));
+      }
 
-    // Save back to storage
-    const jsonValue = JSON.stringify(trimmedHistory);
-    await AsyncStorage.setItem(HISTORY_KEY, jsonValue);
+      await AsyncStorage.multiSet([
+        [key, JSON.stringify(entries)],
+        [HISTORY_INDEX_KEY, JSON.stringify(index)],
+      ]);
 
-    return true;
+      await applyRetention(index, await getRetentionPolicy());
+      return entry.id;
+    });
   } catch (error) {
     // Gracefully handle storage errors - don't crash the app
     console.error('saveFlipToHistory error:', error);
@@ -50,13 +243,534 @@ export const saveFlipToHistory = async (side) => {
 };
 
 /**
- * Get flip history from storage
- * @returns {Promise<Array>} - Array of history entries, empty array on error
+ * Get one page of history, newest first
+ * Chunks are read lazily, so early pages never touch old chunks
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Number of matching entries to skip
+ * @param {number} [options.limit] - Page size
+ * @param {Function} [options.filter] - Optional predicate entries must match
+ * @returns {Promise<{entries: Array, hasMore: boolean}>} - Empty page on error
+ */
+export const getHistoryPage = async ({ offset = 0, limit = 20, filter } = {}) => {
+  try {
+    const index = await readIndex();
+    const matches = typeof filter === 'function' ? filter : () => true;
+    const entries = [];
+    let skipped = 0;
+
+    // Walk chunks newest to oldest; stop once the page is full plus one look-ahead
+    for (let c = index.chunks.length - 1; c >= 0; c--) {
+      const chunk = index.chunks[c];
+
+      // Unfiltered pages can skip whole chunks without reading them
+      if (!filter && skipped + chunk.count <= offset) {
+        skipped += chunk.count;
+        continue;
+      }
+
+      const chunkEntries = await readArray(chunk.key);
+      for (let i = chunkEntries.length - 1; i >= 0; i--) {
+        const entry = chunkEntries[i];
+        if (!entry || typeof entry !== 'object' || !matches(entry)) {
+          continue;
+        }
+        if (skipped < offset) {
+          skipped += 1;
+          continue;
+        }
+        if (entries.length === limit) {
+          return { entries, hasMore: true };
+        }
+        entries.push(entry);
+      }
+    }
+
+    return { entries, hasMore: false };
+  } catch (error) {
+    console.error('getHistoryPage error:', error);
+    return { entries: [], hasMore: false };
+  }
+};
+
+/**
+ * Get the full flip history from storage
+ * Prefer getHistoryPage for display; this reads every chunk
+ * @returns {Promise<Array>} - Array of history entries (newest first), empty array on error
  */
 export const getHistory = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(HISTORY_KEY);
-    
+    const index = await readIndex();
+    if (index.chunks.length === 0) {
+      return [];
+    }
+
+    const pairs = await AsyncStorage.multiGet(index.chunks.map((chunk) => chunk.key));
+    const entries = [];
+    pairs.forEach(([, jsonValue]) => {
+      const parsed = jsonValue == null ? [] : JSON.parse(jsonValue);
+      // Guard: Skip malformed chunks instead of failing the whole read
+      if (Array.isArray(parsed)) {
+        entries.push(...parsed);
+      }
+    });
+
+    return entries.filter((entry) => entry && typeof entry === 'object').reverse();
+  } catch (error) {
+    // Gracefully handle storage errors
+    console.error('getHistory error:', error);
+    return [];
+  }
+};
+
+/**
+ * Soft-delete support
+ * Deletions move data into a trash record instead of destroying it, so they
+ * can be undone for UNDO_WINDOW_MS. Expired records are purged for good by
+ * commitDeletion() or purgeExpiredTrash() (run on startup).
+ */
+
+/**
+ * Read trash records
+ * @returns {Promise<Array>}
+ */
+const readTrash = async () => {
+  const records = await readArray(HISTORY_TRASH_KEY);
+  return records.filter((record) => record && typeof record.token === 'string');
+};
+
+/**
+ * Add a trash record and return its undo token
+ * @param {Object} record - { type: 'clear', chunks } | { type: 'entry', entry }
+ * @returns {Promise<string>}
+ */
+const addToTrash = async (record) => {
+  const token = createId();
+  const now = Date.now();
+  const trash = await readTrash();
+  trash.push({ ...record, token, deletedAt: now, expiresAt: now + UNDO_WINDOW_MS });
+  await AsyncStorage.setItem(HISTORY_TRASH_KEY, JSON.stringify(trash));
+  return token;
+};
+
+/**
+ * Permanently drop trash records and any chunks they own
+ * @param {Function} shouldPurge - Predicate over trash records
+ */
+const purgeTrash = async (shouldPurge) => {
+  const trash = await readTrash();
+  const purged = trash.filter(shouldPurge);
+  if (purged.length === 0) {
+    return;
+  }
+
+  await AsyncStorage.setItem(
+    HISTORY_TRASH_KEY,
+    JSON.stringify(trash.filter((record) => !shouldPurge(record)))
+  );
+
+  const chunkKeys = purged
+    .filter((record) => record.type === 'clear' && Array.isArray(record.chunks))
+    .flatMap((record) => record.chunks.map((chunk) => chunk.key));
+  if (chunkKeys.length > 0) {
+    await AsyncStorage.multiRemove(chunkKeys);
+  }
+};
+
+/**
+ * Clear all history from storage
+ * Soft delete: chunks move to the trash and can be restored with undoDeletion
+ * @returns {Promise<string|null>} - Undo token if cleared successfully, null otherwise
+ */
+export const clearHistory = async () => {
+  try {
+    return await withHistoryLock(async () => {
+      const index = await readIndex();
+      const token = await addToTrash({ type: 'clear', chunks: index.chunks });
+
+      // Keep an empty index (and the chunk counter, so trashed keys are never reused)
+      // so the legacy migration doesn't run again
+      await AsyncStorage.setItem(
+        HISTORY_INDEX_KEY,
+        JSON.stringify({ ...emptyIndex(), nextChunk: index.nextChunk })
+      );
+      await AsyncStorage.removeItem(LEGACY_HISTORY_KEY);
+      return token;
+    });
+  } catch (error) {
+    // Gracefully handle storage errors
+    console.error('clearHistory error:', error);
+    return null;
+  }
+};
+
+/**
+ * Find an entry by id and replace or remove it
+ * Only the chunk holding the entry is rewritten. Caller must hold the history lock.
+ * @param {string} id - Entry id
+ * @param {Function} update - Receives the entry; returns the new entry, or null to delete it
+ * @returns {Promise<Object|null>} - The entry as it was before the update, null if not found
+ */
+const updateHistoryEntry = async (id, update) => {
+  const index = await readIndex();
+
+  // Recent entries are edited most, so search newest chunks first
+  for (let c = index.chunks.length - 1; c >= 0; c--) {
+    const chunk = index.chunks[c];
+    const entries = await readArray(chunk.key);
+    const position = entries.findIndex((entry) => entry && entry.id === id);
+    if (position === -1) {
+      continue;
+    }
+
+    const previous = entries[position];
+    const updated = update(previous);
+    const nextEntries = [...entries];
+    if (updated) {
+      nextEntries[position] = updated;
+    } else {
+      nextEntries.splice(position, 1);
+    }
+
+    if (nextEntries.length === 0) {
+      index.chunks.splice(c, 1);
+      await AsyncStorage.setItem(HISTORY_INDEX_KEY, JSON.stringify(index));
+      await AsyncStorage.removeItem(chunk.key);
+    } else {
+      index.chunks[c] = describeChunk(chunk.key, nextEntries);
+      await AsyncStorage.multiSet([
+        [chunk.key, JSON.stringify(nextEntries)],
+        [HISTORY_INDEX_KEY, JSON.stringify(index)],
+      ]);
+    }
+    return previous;
+  }
+
+  console.warn('updateHistoryEntry: Entry not found', id);
+  return null;
+};
+
+/**
+ * Put a deleted entry back in time order. Caller must hold the history lock.
+ * @param {Object} entry
+ */
+const reinsertHistoryEntry = async (entry) => {
+  const index = await readIndex();
+
+  // First chunk that ends at or after the entry's time; the head chunk if it is the newest
+  let c = index.chunks.findIndex((chunk) => chunk.newest >= entry.timestamp);
+  if (c === -1) {
+    c = index.chunks.length - 1;
+  }
+
+  if (c === -1) {
+    const key = `${HISTORY_CHUNK_PREFIX}${index.nextChunk}`;
+    index.nextChunk += 1;
+    index.chunks.push(describeChunk(key, [entry]));
+    await AsyncStorage.multiSet([
+      [key, JSON.stringify([entry])],
+      [HISTORY_INDEX_KEY, JSON.stringify(index)],
+    ]);
+    return;
+  }
+
+  const chunk = index.chunks[c];
+  const entries = [...(await readArray(chunk.key)), entry].sort((a, b) => a.timestamp - b.timestamp);
+  index.chunks[c] = describeChunk(chunk.key, entries);
+  await AsyncStorage.multiSet([
+    [chunk.key, JSON.stringify(entries)],
+    [HISTORY_INDEX_KEY, JSON.stringify(index)],
+  ]);
+};
+
+/**
+ * Delete a single history entry
+ * Soft delete: the entry moves to the trash and can be restored with undoDeletion
+ * @param {string} id - Entry id
+ * @returns {Promise<string|null>} - Undo token if deleted successfully, null otherwise
+ */
+export const deleteHistoryEntry = async (id) => {
+  try {
+    // Guard: Ensure id is valid
+    if (!id || typeof id !== 'string') {
+      return null;
+    }
+    return await withHistoryLock(async () => {
+      const removed = await updateHistoryEntry(id, () => null);
+      return removed ? addToTrash({ type: 'entry', entry: removed }) : null;
+    });
+  } catch (error) {
+    console.error('deleteHistoryEntry error:', error);
+    return null;
+  }
+};
+
+/**
+ * Undo a clearHistory or deleteHistoryEntry call
+ * @param {string} token - Token returned by the delete call
+ * @returns {Promise<boolean>} - True if restored, false if unknown or already purged
+ */
+export const undoDeletion = async (token) => {
+  try {
+    return await withHistoryLock(async () => {
+      const trash = await readTrash();
+      const record = trash.find((item) => item.token === token);
+
+      // Guard: Unknown or already purged
+      if (!record) {
+        return false;
+      }
+
+      if (record.type === 'clear' && Array.isArray(record.chunks)) {
+        // Cleared chunks predate anything flipped since, so they go in front
+        const index = await readIndex();
+        index.chunks = [...record.chunks, ...index.chunks];
+        await AsyncStorage.setItem(HISTORY_INDEX_KEY, JSON.stringify(index));
+      } else if (record.type === 'entry' && record.entry) {
+        await reinsertHistoryEntry(record.entry);
+      }
+
+      await AsyncStorage.setItem(
+        HISTORY_TRASH_KEY,
+        JSON.stringify(trash.filter((item) => item.token !== token))
+      );
+      return true;
+    });
+  } catch (error) {
+    console.error('undoDeletion error:', error);
+    return false;
+  }
+};
+
+/**
+ * Make a deletion permanent once its undo window is over
+ * @param {string} token - Token returned by the delete call
+ * @returns {Promise<boolean>}
+ */
+export const commitDeletion = async (token) => {
+  try {
+    await withHistoryLock(() => purgeTrash((record) => record.token === token));
+    return true;
+  } catch (error) {
+    console.error('commitDeletion error:', error);
+    return false;
+  }
+};
+
+/**
+ * Purge deletions whose undo window has passed (e.g. the app was closed mid-window)
+ * @returns {Promise<boolean>}
+ */
+export const purgeExpiredTrash = async () => {
+  try {
+    const now = Date.now();
+    await withHistoryLock(() => purgeTrash((record) => !(record.expiresAt > now)));
+    return true;
+  } catch (error) {
+    console.error('purgeExpiredTrash error:', error);
+    return false;
+  }
+};
+
+/**
+ * Attach (or clear) a free-text note on a history entry
+ * @param {string} id - Entry id
+ * @param {string} note - Note text; blank removes the note
+ * @returns {Promise<boolean>} - True if saved successfully, false otherwise
+ */
+export const setHistoryEntryNote = async (id, note) => {
+  try {
+    // Guard: Ensure id is valid
+    if (!id || typeof id !== 'string') {
+      return false;
+    }
+
+    const trimmed = typeof note === 'string' ? note.trim().substring(0, MAX_NOTE_LENGTH) : '';
+    const previous = await withHistoryLock(() =>
+      updateHistoryEntry(id, (entry) => {
+        const { note: previousNote, ...rest } = entry;
+        return trimmed ? { ...rest, note: trimmed } : rest;
+      })
+    );
+    return !!previous;
+  } catch (error) {
+    console.error('setHistoryEntryNote error:', error);
+    return false;
+  }
+};
+
+/**
+ * Mark a history entry as overturned by a veto
+ * The entry stays in history; a first flip joins the challenge it starts (see utils/challenge)
+ * @param {string} id - Entry id
+ * @returns {Promise<boolean>} - True if marked, false otherwise
+ */
+export const vetoHistoryEntry = async (id) => {
+  try {
+    // Guard: Ensure id is valid
+    if (!id || typeof id !== 'string') {
+      return false;
+    }
+
+    const previous = await withHistoryLock(() =>
+      updateHistoryEntry(id, (entry) => ({ ...entry, vetoed: true, challenge: getVetoedChallenge(entry) }))
+    );
+    return !!previous;
+  } catch (error) {
+    console.error('vetoHistoryEntry error:', error);
+    return false;
+  }
+};
+
+/**
+ * Merge imported entries into history
+ * Entries whose timestamp already exists are treated as duplicates.
+ * Imports can predate existing history, so all chunks are rewritten in time order.
+ * @param {Array} entries - Validated entries ({ side, timestamp, ... })
+ * @returns {Promise<{added: number, duplicates: number}|null>} - Null on failure
+ */
+export const importHistoryEntries = async (entries) => {
+  try {
+    // Guard: Ensure entries is an array
+    if (!Array.isArray(entries)) {
+      return null;
+    }
+
+    return await withHistoryLock(async () => {
+      const index = await readIndex();
+      const existing = (await getHistory()).reverse();
+      const seen = new Set(existing.map((entry) => entry.timestamp));
+
+      const additions = [];
+      let duplicates = 0;
+      entries.forEach((entry) => {
+        if (!entry || typeof entry.timestamp !== 'number' || seen.has(entry.timestamp)) {
+          duplicates += 1;
+          return;
+        }
+        seen.add(entry.timestamp);
+        additions.push({ ...entry, id: entry.id || createId() });
+      });
+
+      if (additions.length === 0) {
+        return { added: 0, duplicates };
+      }
+
+      const merged = [...existing, ...additions].sort((a, b) => a.timestamp - b.timestamp);
+      const nextIndex = { ...emptyIndex(), nextChunk: index.nextChunk };
+      const writes = [];
+      for (let start = 0; start < merged.length; start += HISTORY_CHUNK_SIZE) {
+        const chunkEntries = merged.slice(start, start + HISTORY_CHUNK_SIZE);
+        const key = `${HISTORY_CHUNK_PREFIX}${nextIndex.nextChunk}`;
+        nextIndex.nextChunk += 1;
+        nextIndex.chunks.push(describeChunk(key, chunkEntries));
+        writes.push([key, JSON.stringify(chunkEntries)]);
+      }
+
+      // New chunks are written under fresh keys before the index switches over,
+      // so a failure part-way leaves the old history intact
+      await AsyncStorage.multiSet([...writes, [HISTORY_INDEX_KEY, JSON.stringify(nextIndex)]]);
+      await AsyncStorage.multiRemove(index.chunks.map((chunk) => chunk.key));
+
+      await applyRetention(nextIndex, await getRetentionPolicy());
+      return { added: additions.length, duplicates };
+    });
+  } catch (error) {
+    console.error('importHistoryEntries error:', error);
+    return null;
+  }
+};
+
+/**
+ * Validate a retention policy
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+const isValidRetentionPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') {
+    return false;
+  }
+  if (policy.type === 'all') {
+    return true;
+  }
+  return (
+    (policy.type === 'count' || policy.type === 'age') &&
+    Number.isInteger(policy.value) &&
+    policy.value > 0
+  );
+};
+
+/**
+ * Get the history retention policy
+ * @returns {Promise<Object>} - { type: 'all' } | { type: 'count', value } | { type: 'age', value (days) }
+ */
+export const getRetentionPolicy = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(RETENTION_KEY);
+    if (jsonValue == null) {
+      return DEFAULT_RETENTION_POLICY;
+    }
+    const parsed = JSON.parse(jsonValue);
+    return isValidRetentionPolicy(parsed) ? parsed : DEFAULT_RETENTION_POLICY;
+  } catch (error) {
+    console.error('getRetentionPolicy error:', error);
+    return DEFAULT_RETENTION_POLICY;
+  }
+};
+
+/**
+ * Save the history retention policy and prune history right away
+ * @param {Object} policy - See getRetentionPolicy
+ * @returns {Promise<boolean>} - True if saved successfully, false otherwise
+ */
+export const setRetentionPolicy = async (policy) => {
+  try {
+    // Guard: Reject malformed policies rather than silently keeping nothing
+    if (!isValidRetentionPolicy(policy)) {
+      console.warn('setRetentionPolicy: Invalid policy', policy);
+      return false;
+    }
+
+    await AsyncStorage.setItem(RETENTION_KEY, JSON.stringify(policy));
+    await withHistoryLock(async () => applyRetention(await readIndex(), policy));
+    return true;
+  } catch (error) {
+    console.error('setRetentionPolicy error:', error);
+    return false;
+  }
+};
+
+/**
+ * Decision presets
+ * Saved custom A/B label pairs (with weights and coin faces) the user can apply in one tap.
+ * Stored as an ordered array; array order is the display order.
+ */
+
+const PRESETS_KEY = '@decision_coin_presets';
+const MAX_PRESET_NAME_LENGTH = 60;
+
+/**
+ * Persist the full preset list
+ * @param {Array} presets
+ * @returns {Promise<boolean>}
+ */
+const savePresets = async (presets) => {
+  try {
+    await AsyncStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error('savePresets error:', error);
+    return false;
+  }
+};
+
+/**
+ * Get saved presets in display order
+ * @returns {Promise<Array>} - Array of presets, empty array on error
+ */
+export const getPresets = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(PRESETS_KEY);
+
     // Guard: Handle null/empty storage
     if (jsonValue == null) {
       return [];
@@ -64,31 +778,455 @@ export const getHistory = async () => {
 
     const parsed = JSON.parse(jsonValue);
 
-    // Guard: Ensure parsed value is an array
+    // Guard: Ensure parsed value is an array of objects with ids
     if (!Array.isArray(parsed)) {
-      console.warn('getHistory: Stored data is not an array, returning empty array');
+      console.warn('getPresets: Stored data is not an array, returning empty array');
       return [];
     }
 
-    return parsed;
+    return parsed.filter((preset) => preset && typeof preset.id === 'string');
   } catch (error) {
-    // Gracefully handle storage errors
-    console.error('getHistory error:', error);
+    console.error('getPresets error:', error);
     return [];
   }
 };
 
 /**
- * Clear all history from storage
- * @returns {Promise<boolean>} - True if cleared successfully, false otherwise
+ * Create a preset from the current custom sides
+ * @param {Object} preset
+ * @param {string} preset.name - Display name
+ * @param {string} preset.sideA - Label for side A
+ * @param {string} preset.sideB - Label for side B
+ * @param {Array<number>} [preset.weights] - Weights for A and B
+ * @param {Object} [preset.faces] - Coin faces { a, b } (see utils/coinFaces)
+ * @returns {Promise<Object|null>} - The created preset, null on failure
  */
-export const clearHistory = async () => {
+export const createPreset = async ({ name, sideA, sideB, weights, faces }) => {
+  try {
+    // Guard: Need at least a name or one label to save
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const labelA = typeof sideA === 'string' ? sideA.trim() : '';
+    const labelB = typeof sideB === 'string' ? sideB.trim() : '';
+    if (!trimmedName && !labelA && !labelB) {
+      console.warn('createPreset: Nothing to save');
+      return null;
+    }
+
+    const preset = {
+      id: createId(),
+      name: (trimmedName || `${labelA || 'A'} / ${labelB || 'B'}`).substring(0, MAX_PRESET_NAME_LENGTH),
+      sideA: labelA,
+      sideB: labelB,
+      weights: Array.isArray(weights) && weights.length === 2 ? weights : [1, 1],
+      faces: sanitizeCoinFaces(faces),
+      favorite: false,
+      createdAt: Date.now(),
+    };
+
+    const presets = await getPresets();
+    const saved = await savePresets([...presets, preset]);
+    return saved ? preset : null;
+  } catch (error) {
+    console.error('createPreset error:', error);
+    return null;
+  }
+};
+
+/**
+ * Apply a change to a single preset by id
+ * @param {string} id
+ * @param {Function} update - Receives the preset, returns the updated preset
+ * @returns {Promise<boolean>}
+ */
+const updatePreset = async (id, update) => {
+  try {
+    const presets = await getPresets();
+    const index = presets.findIndex((preset) => preset.id === id);
+
+    // Guard: Unknown preset
+    if (index === -1) {
+      console.warn('updatePreset: Preset not found', id);
+      return false;
+    }
+
+    const updated = [...presets];
+    updated[index] = update(presets[index]);
+    return await savePresets(updated);
+  } catch (error) {
+    console.error('updatePreset error:', error);
+    return false;
+  }
+};
+
+/**
+ * Rename a preset
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export const renamePreset = async (id, name) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  // Guard: Don't allow blank names
+  if (!trimmedName) {
+    return false;
+  }
+
+  return updatePreset(id, (preset) => ({
+    ...preset,
+    name: trimmedName.substring(0, MAX_PRESET_NAME_LENGTH),
+  }));
+};
+
+/**
+ * Replace a preset's coin faces
+ * @param {string} id
+ * @param {Object} faces - { a, b } (see utils/coinFaces)
+ * @returns {Promise<boolean>}
+ */
+export const setPresetFaces = async (id, faces) => {
+  return updatePreset(id, (preset) => ({ ...preset, faces: sanitizeCoinFaces(faces) }));
+};
+
+/**
+ * Toggle the favorite flag on a preset
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export const togglePresetFavorite = async (id) => {
+  return updatePreset(id, (preset) => ({ ...preset, favorite: !preset.favorite }));
+};
+
+/**
+ * Move a preset one step up or down in the list
+ * @param {string} id
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Promise<boolean>}
+ */
+export const movePreset = async (id, direction) => {
   try {
-    await AsyncStorage.removeItem(HISTORY_KEY);
+    const presets = await getPresets();
+    const index = presets.findIndex((preset) => preset.id === id);
+    const target = index + (direction < 0 ? -1 : 1);
+
+    // Guard: Unknown preset or already at the edge
+    if (index === -1 || target < 0 || target >= presets.length) {
+      return false;
+    }
+
+    const reordered = [...presets];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return await savePresets(reordered);
+  } catch (error) {
+    console.error('movePreset error:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete a preset
+ * History entries keep their presetId; they just no longer match a saved preset
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export const deletePreset = async (id) => {
+  try {
+    const presets = await getPresets();
+    const remaining = presets.filter((preset) => preset.id !== id);
+
+    // Guard: Nothing to delete
+    if (remaining.length === presets.length) {
+      return false;
+    }
+
+    return await savePresets(remaining);
+  } catch (error) {
+    console.error('deletePreset error:', error);
+    return false;
+  }
+};
+
+/**
+ * Rosters
+ * Saved lists of names for group draws (see utils/roster.js).
+ * Stored as an ordered array, newest last, like presets.
+ */
+
+const ROSTERS_KEY = '@decision_coin_rosters';
+const MAX_ROSTER_NAME_LENGTH = 60;
+
+/**
+ * Persist the full roster list
+ * @param {Array} rosters
+ * @returns {Promise<boolean>}
+ */
+const saveRosters = async (rosters) => {
+  try {
+    await AsyncStorage.setItem(ROSTERS_KEY, JSON.stringify(rosters));
     return true;
   } catch (error) {
-    // Gracefully handle storage errors
-    console.error('clearHistory error:', error);
+    console.error('saveRosters error:', error);
     return false;
   }
 };
+
+/**
+ * Get saved rosters in display order
+ * @returns {Promise<Array>} - Array of rosters, empty array on error
+ */
+export const getRosters = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(ROSTERS_KEY);
+
+    // Guard: Handle null/empty storage
+    if (jsonValue == null) {
+      return [];
+    }
+
+    const parsed = JSON.parse(jsonValue);
+
+    // Guard: Ensure parsed value is an array of objects with ids
+    if (!Array.isArray(parsed)) {
+      console.warn('getRosters: Stored data is not an array, returning empty array');
+      return [];
+    }
+
+    return parsed
+      .filter((roster) => roster && typeof roster.id === 'string')
+      .map((roster) => ({ ...roster, names: getRosterNames(roster.names) }));
+  } catch (error) {
+    console.error('getRosters error:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a new roster
+ * @param {Object} roster
+ * @param {string} roster.name - Display name (e.g. "Standup")
+ * @param {Array<string>} roster.names - People on the roster
+ * @returns {Promise<Object|null>} - The created roster, null on failure
+ */
+export const createRoster = async ({ name, names }) => {
+  try {
+    const cleanNames = getRosterNames(names);
+
+    // Guard: A roster needs enough people to draw from
+    if (cleanNames.length < MIN_ROSTER_SIZE) {
+      console.warn('createRoster: Not enough names');
+      return null;
+    }
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    const roster = {
+      id: createId(),
+      name: (trimmedName || cleanNames.slice(0, 3).join(', ')).substring(0, MAX_ROSTER_NAME_LENGTH),
+      names: cleanNames,
+      createdAt: Date.now(),
+    };
+
+    const rosters = await getRosters();
+    const saved = await saveRosters([...rosters, roster]);
+    return saved ? roster : null;
+  } catch (error) {
+    console.error('createRoster error:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace the names on a saved roster
+ * @param {string} id
+ * @param {Array<string>} names
+ * @returns {Promise<boolean>}
+ */
+export const setRosterNames = async (id, names) => {
+  try {
+    const cleanNames = getRosterNames(names);
+    const rosters = await getRosters();
+    const index = rosters.findIndex((roster) => roster.id === id);
+
+    // Guard: Unknown roster, or too few names left to draw from
+    if (index === -1 || cleanNames.length < MIN_ROSTER_SIZE) {
+      return false;
+    }
+
+    const updated = [...rosters];
+    updated[index] = { ...rosters[index], names: cleanNames };
+    return await saveRosters(updated);
+  } catch (error) {
+    console.error('setRosterNames error:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete a roster
+ * History entries keep their rosterId; they just no longer match a saved roster
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export const deleteRoster = async (id) => {
+  try {
+    const rosters = await getRosters();
+    const remaining = rosters.filter((roster) => roster.id !== id);
+
+    // Guard: Nothing to delete
+    if (remaining.length === rosters.length) {
+      return false;
+    }
+
+    return await saveRosters(remaining);
+  } catch (error) {
+    console.error('deleteRoster error:', error);
+    return false;
+  }
+};
+
+/**
+ * Gesture settings
+ * Sensitivity and on/off switches for each gesture; see utils/gestures.js
+ */
+
+const GESTURE_SETTINGS_KEY = '@decision_coin_gesture_settings';
+
+/**
+ * Get the saved gesture settings, filled in with defaults
+ * @returns {Promise<Object>}
+ */
+export const getGestureSettings = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(GESTURE_SETTINGS_KEY);
+    return sanitizeGestureSettings(jsonValue != null ? JSON.parse(jsonValue) : null);
+  } catch (error) {
+    console.error('getGestureSettings error:', error);
+    return { ...DEFAULT_GESTURE_SETTINGS };
+  }
+};
+
+/**
+ * Save gesture settings (values are clamped into range first)
+ * @param {Object} settings
+ * @returns {Promise<Object|null>} - The settings as saved, null on failure
+ */
+export const setGestureSettings = async (settings) => {
+  try {
+    const sanitized = sanitizeGestureSettings(settings);
+    await AsyncStorage.setItem(GESTURE_SETTINGS_KEY, JSON.stringify(sanitized));
+    return sanitized;
+  } catch (error) {
+    console.error('setGestureSettings error:', error);
+    return null;
+  }
+};
+
+/**
+ * Last-used choice
+ * What the app last decided on, for the widgets and quick actions; see utils/lastChoice.js
+ */
+
+const LAST_CHOICE_KEY = '@decision_coin_last_choice';
+
+/**
+ * Get the last-used choice (a plain coin flip until something is saved)
+ * @returns {Promise<Object>} - Engine input
+ */
+export const getLastChoice = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(LAST_CHOICE_KEY);
+    return sanitizeLastChoice(jsonValue != null ? JSON.parse(jsonValue) : null);
+  } catch (error) {
+    console.error('getLastChoice error:', error);
+    return DEFAULT_LAST_CHOICE;
+  }
+};
+
+/**
+ * Remember a choice as the last used
+ * @param {Object} choice - Engine input
+ * @returns {Promise<Object|null>} - The choice as saved, null on failure
+ */
+export const setLastChoice = async (choice) => {
+  try {
+    const sanitized = sanitizeLastChoice(choice);
+    await AsyncStorage.setItem(LAST_CHOICE_KEY, JSON.stringify(sanitized));
+    return sanitized;
+  } catch (error) {
+    console.error('setLastChoice error:', error);
+    return null;
+  }
+};
+
+/**
+ * Theme settings
+ * Light, dark or system, and the accent color; see utils/theme.js
+ */
+
+const THEME_SETTINGS_KEY = '@decision_coin_theme_settings';
+
+/**
+ * Get the saved theme settings, filled in with defaults
+ * @returns {Promise<Object>} - { mode, accent }
+ */
+export const getThemeSettings = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(THEME_SETTINGS_KEY);
+    return sanitizeThemeSettings(jsonValue != null ? JSON.parse(jsonValue) : null);
+  } catch (error) {
+    console.error('getThemeSettings error:', error);
+    return { ...DEFAULT_THEME_SETTINGS };
+  }
+};
+
+/**
+ * Save theme settings
+ * @param {Object} settings - { mode, accent }
+ * @returns {Promise<Object|null>} - The settings as saved, null on failure
+ */
+export const setThemeSettings = async (settings) => {
+  try {
+    const sanitized = sanitizeThemeSettings(settings);
+    await AsyncStorage.setItem(THEME_SETTINGS_KEY, JSON.stringify(sanitized));
+    return sanitized;
+  } catch (error) {
+    console.error('setThemeSettings error:', error);
+    return null;
+  }
+};
+
+/**
+ * Language setting
+ * 'system' to follow the device, or a language picked in Settings; see utils/i18n.js
+ */
+
+const LANGUAGE_KEY = '@decision_coin_language';
+
+/**
+ * Get the saved language setting
+ * @returns {Promise<string>} - 'system' until one is picked
+ */
+export const getLanguageSetting = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(LANGUAGE_KEY);
+    return sanitizeLanguageSetting(jsonValue != null ? JSON.parse(jsonValue) : null);
+  } catch (error) {
+    console.error('getLanguageSetting error:', error);
+    return DEFAULT_LANGUAGE_SETTING;
+  }
+};
+
+/**
+ * Save the language setting
+ * @param {string} setting - 'system' or a language key
+ * @returns {Promise<string|null>} - The setting as saved, null on failure
+ */
+export const setLanguageSetting = async (setting) => {
+  try {
+    const sanitized = sanitizeLanguageSetting(setting);
+    await AsyncStorage.setItem(LANGUAGE_KEY, JSON.stringify(sanitized));
+    return sanitized;
+  } catch (error) {
+    console.error('setLanguageSetting error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Themes
+ * The app is light or dark (or follows the system setting), in one of a few
+ * accent colors. Components take their colors from the theme through
+ * useTheme/useThemedStyles (see components/ThemeProvider) rather than
+ * hard-coding them; the dark theme in mint is the app's original look.
+ *
+ * Theme settings are stored as { mode, accent }.
+ */
+
+// Names are settings.themeModes.<key> and settings.accents.<key> in utils/locales
+export const THEME_MODES = [
+  { key: 'system' },
+  { key: 'light' },
+  { key: 'dark' },
+];
+
+// Each accent has a shade for either theme, so it stays readable as text on
+// the background, and a color for text drawn on top of it
+export const ACCENTS = [
+  { key: 'mint', dark: '#3ECFAC', light: '#12876C', onAccent: '#FFFFFF' },
+  { key: 'ocean', dark: '#4B7BEC', light: '#2D5BC9', onAccent: '#FFFFFF' },
+  { key: 'grape', dark: '#A55EEA', light: '#7E3AC4', onAccent: '#FFFFFF' },
+  { key: 'sunset', dark: '#FD9644', light: '#B85A0B', onAccent: '#FFFFFF' },
+  { key: 'gold', dark: '#F7B731', light: '#8A6500', onAccent: '#1E2A34' },
+];
+
+export const DEFAULT_THEME_SETTINGS = { mode: 'system', accent: 'mint' };
+
+const PALETTES = {
+  dark: {
+    background: '#2C3A47', // Screen and panels
+    surface: '#1E2A34', // Cards, inputs, chips
+    raised: '#3D4F5F', // Secondary buttons
+    border: '#3D4F5F',
+    text: '#FFFFFF',
+    textSecondary: 'rgba(255, 255, 255, 0.8)',
+    textMuted: 'rgba(255, 255, 255, 0.6)',
+    textFaint: 'rgba(255, 255, 255, 0.5)',
+    placeholder: 'rgba(255, 255, 255, 0.35)',
+    overlay: 'rgba(0, 0, 0, 0.6)',
+    danger: '#FF4444',
+    onDanger: '#FFFFFF',
+    warning: '#F7B731',
+    shadow: '#000000',
+    statusBarStyle: 'light-content',
+  },
+  light: {
+    background: '#EEF2F5',
+    surface: '#FFFFFF',
+    raised: '#D5DEE5',
+    border: '#C6D1DA',
+    text: '#1E2A34',
+    textSecondary: 'rgba(30, 42, 52, 0.85)',
+    textMuted: 'rgba(30, 42, 52, 0.7)',
+    textFaint: 'rgba(30, 42, 52, 0.6)',
+    placeholder: 'rgba(30, 42, 52, 0.4)',
+    overlay: 'rgba(0, 0, 0, 0.4)',
+    danger: '#D32F2F',
+    onDanger: '#FFFFFF',
+    warning: '#A86B00',
+    shadow: '#000000',
+    statusBarStyle: 'dark-content',
+  },
+};
+
+/**
+ * Clean stored theme settings
+ * @param {*} settings
+ * @returns {Object} - { mode, accent }, with defaults for anything unusable
+ */
+export const sanitizeThemeSettings = (settings) => {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return {
+    mode: THEME_MODES.some((mode) => mode.key === source.mode) ? source.mode : DEFAULT_THEME_SETTINGS.mode,
+    accent: ACCENTS.some((accent) => accent.key === source.accent) ? source.accent : DEFAULT_THEME_SETTINGS.accent,
+  };
+};
+
+/**
+ * Resolve theme settings into the colors to draw with
+ * @param {Object} settings - { mode, accent }
+ * @param {string|null} systemScheme - 'light' | 'dark' from the system (null if unknown)
+ * @returns {Object} - Palette plus name ('light' | 'dark'), isDark, accent and onAccent
+ */
+export const getTheme = (settings, systemScheme) => {
+  const { mode, accent } = sanitizeThemeSettings(settings);
+  // Guard: Dark is the original look, so it's the fallback when the system doesn't say
+  const name = mode === 'system' ? (systemScheme === 'light' ? 'light' : 'dark') : mode;
+  const accentColors = ACCENTS.find((preset) => preset.key === accent);
+  return {
+    ...PALETTES[name],
+    name,
+    isDark: name === 'dark',
+    accent: accentColors[name],
+    onAccent: accentColors.onAccent,
+  };
+};
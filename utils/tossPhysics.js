@@ -0,0 +1,150 @@
+/**
+ * Toss physics
+ * Turns how hard a coin was tossed into how it flies: launch speed sets the
+ * height and airtime, spin rate times airtime sets the number of turns, and
+ * the landing loses energy over a couple of small bounces before it settles.
+ * The resulting duration is the only one there is; the Coin animates to it
+ * and reports back when it lands.
+ *
+ * Strength is 0..1: 0 is the gentlest toss, 1 the hardest.
+ */
+
+export const DEFAULT_TOSS_STRENGTH = 0.5; // Flip button and re-runs
+export const MATCH_TOSS_STRENGTH = 0.1; // Series and bracket flips stay short so a run stays watchable
+
+const GRAVITY = 700; // Screen points per second², tuned so tosses stay on screen
+const MIN_HEIGHT = 60; // Points
+const MAX_HEIGHT = 180;
+const MIN_SPIN_RATE = 4; // Turns per second
+const MAX_SPIN_RATE = 7;
+const MIN_TURNS = 2;
+const RESTITUTION = 0.3; // Share of speed kept on each bounce
+const BOUNCES = 2;
+const LANDING_TILT = 24; // Degrees the coin rocks on the first bounce
+const SETTLE_MS = 220;
+const AIR_FRAMES = 16; // Keyframes sampled along the flight arc
+const BOUNCE_FRAMES = 4;
+
+// Swipe speeds (points per second) and accelerometer rises (g) above the trigger that count as a full-strength toss
+const SWIPE_STRENGTH_RANGE = 2500;
+const FLICK_STRENGTH_RANGE = 2;
+
+const clamp01 = (value) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0);
+
+/**
+ * Toss strength for an upward swipe on the coin
+ * @param {number} velocity - Upward swipe speed, points per second
+ * @param {number} minimum - Slowest swipe that flips (the swipe setting)
+ * @returns {number} - 0..1
+ */
+export const strengthFromSwipe = (velocity, minimum) => {
+  return clamp01((velocity - minimum) / SWIPE_STRENGTH_RANGE);
+};
+
+/**
+ * Toss strength for a flick of the phone
+ * @param {number} rise - Sharpest rise in y, in g
+ * @param {number} threshold - Smallest rise that flips (the flick setting)
+ * @returns {number} - 0..1
+ */
+export const strengthFromFlick = (rise, threshold) => {
+  return clamp01((rise - threshold) / FLICK_STRENGTH_RANGE);
+};
+
+/**
+ * Work out a toss
+ * Keyframe times are fractions of `duration`, ready for Animated.interpolate.
+ * Heights are points above the table; rotations are degrees around x, ending
+ * on a whole number of turns (plus a half turn to land on the back face).
+ * @param {number} strength - 0..1; anything else falls back to DEFAULT_TOSS_STRENGTH
+ * @param {boolean} [landOnBack] - Whether the coin must land showing its second face
+ * @returns {{strength: number, height: number, turns: number, airtime: number, duration: number,
+ *   frames: {times: Array<number>, heights: Array<number>, rotations: Array<number>}}}
+ */
+export const createToss = (strength, landOnBack = false) => {
+  const s = typeof strength === 'number' && Number.isFinite(strength) ? clamp01(strength) : DEFAULT_TOSS_STRENGTH;
+
+  // Height from strength, then launch speed and airtime from height (h = v² / 2g)
+  const height = MIN_HEIGHT + (MAX_HEIGHT - MIN_HEIGHT) * s;
+  const launch = Math.sqrt(2 * GRAVITY * height);
+  const airtime = (2 * launch) / GRAVITY; // Seconds
+
+  const spinRate = MIN_SPIN_RATE + (MAX_SPIN_RATE - MIN_SPIN_RATE) * s;
+  const turns = Math.max(MIN_TURNS, Math.round(spinRate * airtime));
+  const landingAngle = turns * 360 + (landOnBack ? 180 : 0);
+
+  const points = [];
+
+  // Flight: free fall with a steady spin
+  for (let i = 0; i <= AIR_FRAMES; i++) {
+    const t = (airtime * i) / AIR_FRAMES;
+    points.push({
+      t,
+      height: launch * t - (GRAVITY * t * t) / 2,
+      rotation: (landingAngle * i) / AIR_FRAMES,
+    });
+  }
+
+  // Landing: each bounce keeps a share of the speed and rocks the coin a little less
+  let speed = launch;
+  let start = airtime;
+  let tilt = LANDING_TILT;
+  for (let bounce = 0; bounce < BOUNCES; bounce++) {
+    speed *= RESTITUTION;
+    const hop = (2 * speed) / GRAVITY;
+    for (let i = 1; i <= BOUNCE_FRAMES; i++) {
+      const t = (hop * i) / BOUNCE_FRAMES;
+      const rock = i === BOUNCE_FRAMES ? 0 : tilt * Math.sin((Math.PI * i) / BOUNCE_FRAMES);
+      points.push({
+        t: start + t,
+        height: speed * t - (GRAVITY * t * t) / 2,
+        rotation: landingAngle + (bounce % 2 === 0 ? rock : -rock),
+      });
+    }
+    start += hop;
+    tilt *= RESTITUTION;
+  }
+
+  // Settle: rest flat for a beat before reporting the landing
+  const total = start + SETTLE_MS / 1000;
+  points.push({ t: total, height: 0, rotation: landingAngle });
+
+  return {
+    strength: s,
+    height,
+    turns,
+    airtime: Math.round(airtime * 1000),
+    duration: Math.round(total * 1000),
+    frames: {
+      times: points.map((point) => point.t / total),
+      heights: points.map((point) => Math.max(0, point.height)),
+      rotations: points.map((point) => point.rotation),
+    },
+  };
+};
+
+/**
+ * Where a toss has the coin at a moment in its flight
+ * Interpolates the keyframes, for renderers that draw every frame themselves
+ * rather than handing the frames to Animated.
+ * @param {Object} toss - From createToss
+ * @param {number} elapsed - Milliseconds since the toss started
+ * @returns {{height: number, rotation: number, done: boolean}}
+ */
+export const getTossPose = (toss, elapsed) => {
+  const { times, heights, rotations } = toss.frames;
+  const progress = toss.duration > 0 ? Math.min(1, Math.max(0, elapsed / toss.duration)) : 1;
+
+  let index = 1;
+  while (index < times.length - 1 && times[index] < progress) {
+    index++;
+  }
+  const span = times[index] - times[index - 1];
+  const mix = span > 0 ? (progress - times[index - 1]) / span : 1;
+
+  return {
+    height: heights[index - 1] + (heights[index] - heights[index - 1]) * mix,
+    rotation: rotations[index - 1] + (rotations[index] - rotations[index - 1]) * mix,
+    done: progress >= 1,
+  };
+};
@@ -0,0 +1,329 @@
+import { Buffer } from 'buffer';
+import * as Crypto from 'expo-crypto';
+
+/**
+ * Minimal WebSocket server (RFC 6455) over a TCP module
+ * Phones can't run a WebSocket server out of the box, so the host speaks the
+ * protocol itself over react-native-tcp-socket. Any module with Node's
+ * `net.createServer` API works, so tests run the same server over Node's `net`.
+ *
+ * Covers what phones on one network need to exchange short JSON messages:
+ * text messages (fragmented or not), ping/pong and closing. Binary messages
+ * and extensions are not supported.
+ */
+
+export const MAX_MESSAGE_SIZE = 64 * 1024; // Session messages are a few hundred bytes
+const MAX_HANDSHAKE_SIZE = 8 * 1024;
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+const CLOSE_CODES = { normal: 1000, unsupported: 1003, protocolError: 1002, tooBig: 1009 };
+
+/**
+ * Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+export const getAcceptKey = (key) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA1, `${key}${HANDSHAKE_GUID}`, {
+    encoding: Crypto.CryptoEncoding.BASE64,
+  });
+
+/**
+ * Encode one unmasked frame (servers never mask)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+export const encodeFrame = (opcode, payload) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff]);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    // Messages are capped far below 2^32, so the high word stays 0
+    header.writeUInt32BE(length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decode the first complete frame in a buffer
+ * @param {Buffer} buffer
+ * @returns {{fin: boolean, opcode: number, masked: boolean, payload: Buffer, size: number}|null}
+ *   - Null until the whole frame has arrived; size is the number of bytes it used
+ * @throws {Error} - If the frame is larger than MAX_MESSAGE_SIZE
+ */
+export const decodeFrame = (buffer) => {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    // Guard: Anything needing the high word is far too big anyway
+    length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  if (length > MAX_MESSAGE_SIZE) {
+    throw new Error('Frame too large');
+  }
+
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  const payload = Buffer.from(buffer.slice(offset, offset + length));
+  if (masked) {
+    for (let index = 0; index < payload.length; index++) {
+      payload[index] ^= buffer[maskOffset + (index % 4)];
+    }
+  }
+  return { fin, opcode, masked, payload, size: offset + length };
+};
+
+/**
+ * Read the Sec-WebSocket-Key from an upgrade request
+ * @param {string} request - Request line and headers
+ * @returns {string|null} - Null if it isn't a WebSocket upgrade
+ */
+export const getHandshakeKey = (request) => {
+  const lines = request.split('\r\n');
+  if (!/^GET \S+ HTTP\/1\.1$/.test(lines[0])) {
+    return null;
+  }
+  const headers = {};
+  lines.slice(1).forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+    }
+  });
+  if ((headers.upgrade || '').toLowerCase() !== 'websocket' || !headers['sec-websocket-key']) {
+    return null;
+  }
+  return headers['sec-websocket-key'];
+};
+
+/**
+ * Wrap one TCP socket as a WebSocket connection
+ * @param {Object} socket - net.Socket-like
+ * @param {Function} onOpen - (connection) once the handshake is done
+ * @returns {void}
+ */
+const acceptSocket = (socket, onOpen) => {
+  let buffer = Buffer.alloc(0);
+  let isOpen = false;
+  let isClosed = false;
+  let fragments = null; // Text message being reassembled from continuation frames
+  const listeners = { message: [], close: [] };
+
+  const connection = {
+    /**
+     * Send a text message
+     * @param {string} text
+     * @returns {boolean} - False once the connection is closed
+     */
+    send: (text) => {
+      if (!isOpen || isClosed) {
+        return false;
+      }
+      socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+      return true;
+    },
+    /**
+     * Close the connection
+     * @param {number} [code]
+     */
+    close: (code = CLOSE_CODES.normal) => {
+      if (isClosed) {
+        return;
+      }
+      if (isOpen) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        socket.write(encodeFrame(OPCODES.close, payload));
+      }
+      finish();
+      socket.end();
+    },
+    on: (event, listener) => {
+      listeners[event].push(listener);
+    },
+  };
+
+  const finish = () => {
+    if (isClosed) {
+      return;
+    }
+    isClosed = true;
+    if (isOpen) {
+      listeners.close.forEach((listener) => listener());
+    }
+  };
+
+  const handleFrame = (frame) => {
+    // Guard: Clients must mask every frame
+    if (!frame.masked) {
+      connection.close(CLOSE_CODES.protocolError);
+      return;
+    }
+
+    if (frame.opcode === OPCODES.ping) {
+      socket.write(encodeFrame(OPCODES.pong, frame.payload));
+    } else if (frame.opcode === OPCODES.close) {
+      connection.close();
+    } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+      // Guard: A continuation needs a message to continue, and a new message needs the last one finished
+      if ((frame.opcode === OPCODES.continuation) !== (fragments !== null)) {
+        connection.close(CLOSE_CODES.protocolError);
+        return;
+      }
+      fragments = fragments ? Buffer.concat([fragments, frame.payload]) : frame.payload;
+      if (fragments.length > MAX_MESSAGE_SIZE) {
+        connection.close(CLOSE_CODES.tooBig);
+        return;
+      }
+      if (frame.fin) {
+        const text = fragments.toString('utf8');
+        fragments = null;
+        listeners.message.forEach((listener) => listener(text));
+      }
+    } else if (frame.opcode !== OPCODES.pong) {
+      connection.close(CLOSE_CODES.unsupported);
+    }
+  };
+
+  const readFrames = () => {
+    try {
+      let frame = decodeFrame(buffer);
+      while (frame && !isClosed) {
+        buffer = buffer.slice(frame.size);
+        handleFrame(frame);
+        frame = decodeFrame(buffer);
+      }
+    } catch (error) {
+      connection.close(CLOSE_CODES.tooBig);
+    }
+  };
+
+  const handshake = async () => {
+    const end = buffer.indexOf('\r\n\r\n');
+    if (end === -1) {
+      // Guard: Don't buffer an endless request
+      if (buffer.length > MAX_HANDSHAKE_SIZE) {
+        finish();
+        socket.destroy();
+      }
+      return;
+    }
+
+    const request = buffer.slice(0, end).toString('utf8');
+    buffer = buffer.slice(end + 4);
+    const key = getHandshakeKey(request);
+    if (!key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      finish();
+      return;
+    }
+
+    const accept = await getAcceptKey(key);
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    isOpen = true;
+    onOpen(connection);
+    readFrames();
+  };
+
+  let handshakeStarted = false;
+  socket.on('data', (data) => {
+    if (isClosed) {
+      return;
+    }
+    buffer = Buffer.concat([buffer, Buffer.from(data)]);
+    if (isOpen) {
+      readFrames();
+    } else if (!handshakeStarted) {
+      handshakeStarted = buffer.indexOf('\r\n\r\n') !== -1;
+      handshake().catch((error) => {
+        console.error('WebSocket handshake error:', error);
+        finish();
+        socket.destroy();
+      });
+    }
+  });
+  socket.on('error', () => {
+    // A dropped phone surfaces as an error followed by close
+    finish();
+  });
+  socket.on('close', finish);
+};
+
+/**
+ * Create a WebSocket server
+ * @param {Object} deps
+ * @param {Object} deps.net - Module with net.createServer (react-native-tcp-socket or Node's net)
+ * @param {Function} deps.onConnection - (connection) for each client that completes the handshake;
+ *   connection: { send(text), close(code), on('message' | 'close', listener) }
+ * @returns {{listen: Function, close: Function}}
+ */
+export const createWebSocketServer = ({ net, onConnection }) => {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    acceptSocket(socket, onConnection);
+  });
+
+  return {
+    /**
+     * Start listening on all interfaces
+     * @param {number} port - 0 picks a free port
+     * @returns {Promise<number>} - The port listened on
+     */
+    listen: (port) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen({ port, host: '0.0.0.0' }, () => {
+        server.removeListener('error', reject);
+        resolve(server.address().port);
+      });
+    }),
+    /**
+     * Stop listening and drop every client
+     * @returns {Promise<void>}
+     */
+    close: () => new Promise((resolve) => {
+      sockets.forEach((socket) => socket.destroy());
+      sockets.clear();
+      server.close(() => resolve());
+    }),
+  };
+};
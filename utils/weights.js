@@ -0,0 +1,148 @@
+import { randomInt } from './random';
+
+/**
+ * Weighted outcome helpers
+ * Weights are whole "tickets" per option: 7 vs 3 means 70% / 30%.
+ * A weight of 0 takes an option out of the draw.
+ */
+
+export const DEFAULT_WEIGHT = 1;
+export const MAX_WEIGHT = 999;
+
+/**
+ * Coerce any value into a valid weight
+ * @param {*} value - Raw weight (number or numeric string)
+ * @returns {number} - Integer between 0 and MAX_WEIGHT, DEFAULT_WEIGHT if invalid
+ */
+export const sanitizeWeight = (value) => {
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+
+  // Guard: Reject NaN, Infinity, negatives and non-numbers
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    return DEFAULT_WEIGHT;
+  }
+
+  return Math.min(Math.floor(number), MAX_WEIGHT);
+};
+
+/**
+ * Parse text typed into a weight input
+ * Non-digits are dropped; an empty field counts as 0 while typing
+ * @param {string} text - TextInput value
+ * @returns {number}
+ */
+export const parseWeightInput = (text) => {
+  const digits = typeof text === 'string' ? text.replace(/[^0-9]/g, '') : '';
+  if (!digits) {
+    return 0;
+  }
+  return sanitizeWeight(digits);
+};
+
+/**
+ * Check whether all weights are equal (plain 50/50 or 1-in-N draw)
+ * @param {Array<number>} weights
+ * @returns {boolean}
+ */
+export const isUniform = (weights) => {
+  if (!Array.isArray(weights) || weights.length === 0) {
+    return true;
+  }
+  const first = sanitizeWeight(weights[0]);
+  return weights.every((weight) => sanitizeWeight(weight) === first);
+};
+
+/**
+ * Turn weights into whole tickets for the draw
+ * Falls back to one ticket each when every weight is 0
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+export const getTickets = (weights) => {
+  if (!Array.isArray(weights) || weights.length === 0) {
+    return [];
+  }
+
+  const sanitized = weights.map(sanitizeWeight);
+
+  // Guard: All-zero weights would make every option impossible - treat as equal odds
+  if (sanitized.every((weight) => weight === 0)) {
+    return sanitized.map(() => 1);
+  }
+
+  return sanitized;
+};
+
+/**
+ * Normalize weights into shares that sum to 1
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+export const getShares = (weights) => {
+  const tickets = getTickets(weights);
+  const total = tickets.reduce((sum, ticket) => sum + ticket, 0);
+  return tickets.map((ticket) => ticket / total);
+};
+
+/**
+ * Map a ticket number onto the option that holds it
+ * @param {Array<number>} tickets - Output of getTickets
+ * @param {number} ticket - Integer in [0, total tickets)
+ * @returns {number} - Option index
+ */
+export const indexForTicket = (tickets, ticket) => {
+  let remaining = ticket;
+  for (let i = 0; i < tickets.length; i++) {
+    if (remaining < tickets[i]) {
+      return i;
+    }
+    remaining -= tickets[i];
+  }
+  return tickets.length - 1;
+};
+
+/**
+ * Pick an index with probability proportional to its weight
+ * Draws a whole ticket so integer weights give exact odds
+ * @param {Array<number>} weights
+ * @param {Function} [drawInt] - Returns an integer in [0, max) for a given max
+ * @returns {number} - Selected index
+ */
+export const pickWeightedIndex = (weights, drawInt = randomInt) => {
+  const tickets = getTickets(weights);
+  if (tickets.length === 0) {
+    return 0;
+  }
+
+  const total = tickets.reduce((sum, ticket) => sum + ticket, 0);
+  return indexForTicket(tickets, drawInt(total));
+};
+
+/**
+ * Format a share as a percentage label
+ * @param {number} share - Value between 0 and 1
+ * @returns {string} - e.g. "70%" or "33.3%"
+ */
+export const formatPercent = (share) => {
+  if (typeof share !== 'number' || !Number.isFinite(share)) {
+    return '0%';
+  }
+  const percent = Math.round(share * 1000) / 10;
+  return `${percent}%`;
+};
+
+/**
+ * Build a one-line odds summary for a set of labels
+ * @param {Array<string>} labels
+ * @param {Array<number>} weights
+ * @returns {string} - e.g. "Pizza 70% · Tacos 30%"
+ */
+export const formatOdds = (labels, weights) => {
+  if (!Array.isArray(labels) || !Array.isArray(weights)) {
+    return '';
+  }
+  const shares = getShares(weights);
+  return labels
+    .map((label, index) => `${label} ${formatPercent(shares[index])}`)
+    .join(' · ');
+};
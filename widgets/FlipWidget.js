@@ -0,0 +1,52 @@
+import React from 'react';
+import { FlexWidget, TextWidget } from 'react-native-android-widget';
+import { t } from '../utils/i18n';
+
+/**
+ * FlipWidget (Android home screen)
+ * Shows the last-used choice and the latest result with a "Flip" button.
+ * Rendered by react-native-android-widget from the widget task handler, not
+ * by React Native: only its Flex/Text widgets and plain styles are available.
+ * Tapping the button sends the FLIP click action; tapping anywhere else opens the app.
+ */
+const FlipWidget = ({ title, result, isFlipping }) => (
+  <FlexWidget
+    clickAction="OPEN_APP"
+    style={{
+      height: 'match_parent',
+      width: 'match_parent',
+      flexDirection: 'column',
+      justifyContent: 'space-between',
+      padding: 12,
+      borderRadius: 16,
+      backgroundColor: '#2C3A47',
+    }}
+  >
+    <TextWidget
+      text={title}
+      maxLines={1}
+      truncate="END"
+      style={{ fontSize: 13, color: 'rgba(255, 255, 255, 0.6)' }}
+    />
+    <TextWidget
+      text={isFlipping ? t('app.actions.flipping') : result || t('app.ready')}
+      maxLines={2}
+      truncate="END"
+      style={{ fontSize: 20, fontWeight: 'bold', color: '#FFFFFF' }}
+    />
+    <FlexWidget
+      clickAction="FLIP"
+      style={{
+        width: 'match_parent',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderRadius: 8,
+        backgroundColor: '#3ECFAC',
+      }}
+    >
+      <TextWidget text={t('widget.flip')} style={{ fontSize: 15, fontWeight: 'bold', color: '#FFFFFF' }} />
+    </FlexWidget>
+  </FlexWidget>
+);
+
+export default FlipWidget;
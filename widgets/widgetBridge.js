@@ -0,0 +1,72 @@
+import React from 'react';
+import { Platform } from 'react-native';
+import { requestWidgetUpdate } from 'react-native-android-widget';
+import { ExtensionStorage } from '@bacons/apple-targets';
+import FlipWidget from './FlipWidget';
+import { getWidgetState, getWidgetChoice } from '../utils/quickFlip';
+
+/**
+ * Widget bridge
+ * Keeps the home screen widgets in step with the app.
+ * - Android: the widget is rendered from JS (see widgetTaskHandler), so it is simply redrawn.
+ * - iOS: the WidgetKit extension (targets/widget) can't run JS. The app shares the
+ *   last-used choice with it through the app group, the widget draws on its own and
+ *   queues its flips there, and the app saves the queue to history when it next opens.
+ */
+
+export const ANDROID_WIDGET_NAME = 'Flip'; // Must match the widget name in app.json
+export const IOS_WIDGET_KIND = 'FlipWidget'; // Must match `kind` in targets/widget/FlipWidget.swift
+export const APP_GROUP = 'group.com.decisioncoin.app';
+
+// Keys in the app group's shared defaults (read by targets/widget/FlipWidget.swift)
+const CHOICE_KEY = 'choice';
+const RESULT_KEY = 'result';
+const PENDING_FLIPS_KEY = 'pendingFlips';
+
+const sharedStorage = new ExtensionStorage(APP_GROUP);
+
+/**
+ * Redraw the widgets with the current last-used choice and latest result
+ * @returns {Promise<boolean>} - False if the update failed; never throws
+ */
+export const refreshWidgets = async () => {
+  try {
+    const state = await getWidgetState();
+    if (Platform.OS === 'android') {
+      await requestWidgetUpdate({
+        widgetName: ANDROID_WIDGET_NAME,
+        renderWidget: () => <FlipWidget title={state.title} result={state.result} isFlipping={false} />,
+      });
+    } else if (Platform.OS === 'ios') {
+      sharedStorage.set(CHOICE_KEY, JSON.stringify(getWidgetChoice(state.choice)));
+      sharedStorage.set(RESULT_KEY, state.result || '');
+      ExtensionStorage.reloadWidget(IOS_WIDGET_KIND);
+    }
+    return true;
+  } catch (error) {
+    console.error('refreshWidgets error:', error);
+    return false;
+  }
+};
+
+/**
+ * Take the flips the iOS widget queued since the app last looked
+ * @returns {Array} - [{ choice, index, timestamp }], oldest first; empty elsewhere or on error
+ */
+export const takeWidgetFlips = () => {
+  if (Platform.OS !== 'ios') {
+    return [];
+  }
+  try {
+    const jsonValue = sharedStorage.get(PENDING_FLIPS_KEY);
+    if (!jsonValue) {
+      return [];
+    }
+    sharedStorage.remove(PENDING_FLIPS_KEY);
+    const flips = JSON.parse(jsonValue);
+    return Array.isArray(flips) ? flips : [];
+  } catch (error) {
+    console.error('takeWidgetFlips error:', error);
+    return [];
+  }
+};
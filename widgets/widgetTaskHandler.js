@@ -0,0 +1,38 @@
+import React from 'react';
+import { getLocales } from 'expo-localization';
+import FlipWidget from './FlipWidget';
+import { getWidgetState, quickFlip } from '../utils/quickFlip';
+import { getLanguageSetting } from '../utils/storage';
+import { resolveLanguage, setLanguage } from '../utils/i18n';
+
+/**
+ * Android widget task handler
+ * Runs headless (the app doesn't have to be open) whenever a widget is added,
+ * updated, resized or tapped. The "Flip" button flips the last-used choice and
+ * saves it to history exactly like a flip in the app.
+ * Registered in index.js.
+ */
+export const widgetTaskHandler = async ({ widgetAction, clickAction, renderWidget }) => {
+  try {
+    if (widgetAction === 'WIDGET_DELETED') {
+      return;
+    }
+
+    // Headless: the app's language isn't set up here, so read it like the app does
+    setLanguage(resolveLanguage(await getLanguageSetting(), getLocales()));
+
+    if (widgetAction === 'WIDGET_CLICK' && clickAction === 'FLIP') {
+      const before = await getWidgetState();
+      renderWidget(<FlipWidget title={before.title} result={before.result} isFlipping={true} />);
+      await quickFlip();
+    }
+
+    const state = await getWidgetState();
+    renderWidget(<FlipWidget title={state.title} result={state.result} isFlipping={false} />);
+  } catch (error) {
+    // Guard: A failed update leaves the widget as it was rather than crashing the task
+    console.error('widgetTaskHandler error:', error);
+  }
+};
+
+export default widgetTaskHandler;